@@ -0,0 +1,386 @@
+// Default rates, allowances, thresholds and deadlines by tax year
+// Admins can publish new versions of a year through the admin API; these values are used until they do.
+// Income tax band limits are cumulative amounts of taxable income, i.e. after the personal allowance.
+// Scottish bands apply to Scottish taxpayers' non-savings income only; Welsh rates currently match UK rates.
+// Student loan plans missing from a year (e.g. Plan 5 before 2026-27) have no repayments due that year.
+
+// Self Assessment deadlines for the tax year starting 6 April of `startYear`
+const filingDeadlines = (startYear) => ({
+  paper: `${startYear + 1}-10-31`,
+  online: `${startYear + 2}-01-31`,
+  balancingPayment: `${startYear + 2}-01-31`,
+  secondPaymentOnAccount: `${startYear + 2}-07-31`,
+  amendment: `${startYear + 3}-01-31` // last day to amend a filed return online
+});
+
+const savings = {
+  startingRateBand: 5000,
+  startingRate: 0,
+  personalSavingsAllowance: { basic: 1000, higher: 500, additional: 0 }
+};
+
+const property = {
+  propertyAllowance: 1000,
+  // Residential finance costs only attract a basic rate tax reduction
+  financeCostCreditRate: 0.20
+};
+
+// Pension contributions and Gift Aid are paid net of basic rate tax
+const reliefs = {
+  reliefAtSourceRate: 0.20
+};
+
+// 10% of the personal allowance (rounded up to the next £10) can be transferred to a basic rate spouse
+const marriageAllowance = {
+  transferableAmount: 1260,
+  reducerRate: 0.20
+};
+
+// Capital allowances on equipment and vehicles bought for a trade. Cars get no Annual Investment Allowance;
+// they join the main pool at or below the CO2 threshold and the special rate pool above it, and new
+// zero-emission cars get a 100% first-year allowance.
+const capitalAllowances = {
+  annualInvestmentAllowance: 1000000,
+  mainRate: 0.18,
+  specialRate: 0.06,
+  smallPoolsLimit: 1000,
+  carCo2Threshold: 50
+};
+
+// Flat rates self-employed people can use instead of actual costs. Mileage covers all running costs of the
+// vehicle; use of home is by hours worked at home each month; premises rates are the private use deduction
+// per month by number of people living at business premises.
+const simplifiedExpenses = {
+  mileage: {
+    car: { rate: 0.45, reducedRate: 0.25, reducedRateAfter: 10000 },
+    goods_vehicle: { rate: 0.45, reducedRate: 0.25, reducedRateAfter: 10000 },
+    motorcycle: { rate: 0.24 }
+  },
+  useOfHome: [
+    { minHours: 25, monthly: 10 },
+    { minHours: 51, monthly: 18 },
+    { minHours: 101, monthly: 26 }
+  ],
+  premisesPrivateUse: [
+    { occupants: 1, monthly: 350 },
+    { occupants: 2, monthly: 500 },
+    { occupants: 3, monthly: 650 }
+  ]
+};
+
+// Non-domiciled UK residents could be taxed only on foreign income brought to the UK. Claiming it loses the
+// personal allowance unless less than £2,000 is left abroad, and long-term residents pay an annual charge.
+// The remittance basis was replaced by the foreign income and gains regime from 6 April 2025.
+const remittanceBasis = {
+  available: true,
+  unremittedIncomeLimit: 2000,
+  charges: [
+    { residentYears: 12, ofYears: 14, charge: 60000 },
+    { residentYears: 7, ofYears: 9, charge: 30000 }
+  ]
+};
+
+const taxYears = {
+  '2021-22': {
+    personalAllowance: 12570,
+    personalAllowanceTaperThreshold: 100000,
+    incomeTaxBands: [
+      { name: 'basic', rate: 0.20, limit: 37700 },
+      { name: 'higher', rate: 0.40, limit: 150000 },
+      { name: 'additional', rate: 0.45, limit: null }
+    ],
+    scottishIncomeTaxBands: [
+      { name: 'starter', rate: 0.19, limit: 2097 },
+      { name: 'basic', rate: 0.20, limit: 12726 },
+      { name: 'intermediate', rate: 0.21, limit: 31092 },
+      { name: 'higher', rate: 0.41, limit: 150000 },
+      { name: 'top', rate: 0.46, limit: null }
+    ],
+    nationalInsurance: {
+      class2: { weeklyRate: 3.05, smallProfitsThreshold: 6515, compulsoryThreshold: 6515 },
+      class4: { lowerProfitsLimit: 9568, upperProfitsLimit: 50270, mainRate: 0.09, additionalRate: 0.02 }
+    },
+    studentLoans: {
+      unearnedIncomeLimit: 2000,
+      plan_1: { threshold: 19895, rate: 0.09 },
+      plan_2: { threshold: 27295, rate: 0.09 },
+      plan_4: { threshold: 25000, rate: 0.09 },
+      postgraduate: { threshold: 21000, rate: 0.06 }
+    },
+    // Charge of 1% of Child Benefit for every £100 of adjusted net income over £50,000
+    childBenefitCharge: { threshold: 50000, taperWidth: 10000 },
+    savings,
+    property,
+    tradingAllowance: 1000,
+    capitalAllowances,
+    simplifiedExpenses,
+    remittanceBasis,
+    reliefs,
+    dividends: {
+      allowance: 2000,
+      rates: { basic: 0.075, higher: 0.325, additional: 0.381 }
+    },
+    capitalGains: {
+      annualExemptAmount: 12300,
+      rates: {
+        residential: { basic: 0.18, higher: 0.28 },
+        other: { basic: 0.10, higher: 0.20 }
+      }
+    },
+    marriageAllowance,
+    marriedCouplesAllowance: { maximum: 9125, minimum: 3530, incomeLimit: 30400, reducerRate: 0.10 },
+    filingDeadlines: filingDeadlines(2021)
+  },
+  '2022-23': {
+    personalAllowance: 12570,
+    personalAllowanceTaperThreshold: 100000,
+    incomeTaxBands: [
+      { name: 'basic', rate: 0.20, limit: 37700 },
+      { name: 'higher', rate: 0.40, limit: 150000 },
+      { name: 'additional', rate: 0.45, limit: null }
+    ],
+    scottishIncomeTaxBands: [
+      { name: 'starter', rate: 0.19, limit: 2162 },
+      { name: 'basic', rate: 0.20, limit: 13118 },
+      { name: 'intermediate', rate: 0.21, limit: 31092 },
+      { name: 'higher', rate: 0.41, limit: 150000 },
+      { name: 'top', rate: 0.46, limit: null }
+    ],
+    nationalInsurance: {
+      class2: { weeklyRate: 3.15, smallProfitsThreshold: 6725, compulsoryThreshold: 11908 },
+      class4: { lowerProfitsLimit: 11908, upperProfitsLimit: 50270, mainRate: 0.0973, additionalRate: 0.0273 }
+    },
+    studentLoans: {
+      unearnedIncomeLimit: 2000,
+      plan_1: { threshold: 20195, rate: 0.09 },
+      plan_2: { threshold: 27295, rate: 0.09 },
+      plan_4: { threshold: 25375, rate: 0.09 },
+      postgraduate: { threshold: 21000, rate: 0.06 }
+    },
+    // Charge of 1% of Child Benefit for every £100 of adjusted net income over £50,000
+    childBenefitCharge: { threshold: 50000, taperWidth: 10000 },
+    savings,
+    property,
+    tradingAllowance: 1000,
+    capitalAllowances,
+    simplifiedExpenses,
+    remittanceBasis,
+    reliefs,
+    dividends: {
+      allowance: 2000,
+      rates: { basic: 0.0875, higher: 0.3375, additional: 0.3935 }
+    },
+    capitalGains: {
+      annualExemptAmount: 12300,
+      rates: {
+        residential: { basic: 0.18, higher: 0.28 },
+        other: { basic: 0.10, higher: 0.20 }
+      }
+    },
+    marriageAllowance,
+    marriedCouplesAllowance: { maximum: 9415, minimum: 3640, incomeLimit: 31400, reducerRate: 0.10 },
+    filingDeadlines: filingDeadlines(2022)
+  },
+  '2023-24': {
+    personalAllowance: 12570,
+    personalAllowanceTaperThreshold: 100000,
+    incomeTaxBands: [
+      { name: 'basic', rate: 0.20, limit: 37700 },
+      { name: 'higher', rate: 0.40, limit: 125140 },
+      { name: 'additional', rate: 0.45, limit: null }
+    ],
+    scottishIncomeTaxBands: [
+      { name: 'starter', rate: 0.19, limit: 2162 },
+      { name: 'basic', rate: 0.20, limit: 13118 },
+      { name: 'intermediate', rate: 0.21, limit: 31092 },
+      { name: 'higher', rate: 0.42, limit: 125140 },
+      { name: 'top', rate: 0.47, limit: null }
+    ],
+    nationalInsurance: {
+      class2: { weeklyRate: 3.45, smallProfitsThreshold: 6725, compulsoryThreshold: 12570 },
+      class4: { lowerProfitsLimit: 12570, upperProfitsLimit: 50270, mainRate: 0.09, additionalRate: 0.02 }
+    },
+    studentLoans: {
+      unearnedIncomeLimit: 2000,
+      plan_1: { threshold: 22015, rate: 0.09 },
+      plan_2: { threshold: 27295, rate: 0.09 },
+      plan_4: { threshold: 27660, rate: 0.09 },
+      postgraduate: { threshold: 21000, rate: 0.06 }
+    },
+    // Charge of 1% of Child Benefit for every £100 of adjusted net income over £50,000
+    childBenefitCharge: { threshold: 50000, taperWidth: 10000 },
+    savings,
+    property,
+    tradingAllowance: 1000,
+    capitalAllowances,
+    simplifiedExpenses,
+    remittanceBasis,
+    reliefs,
+    dividends: {
+      allowance: 1000,
+      rates: { basic: 0.0875, higher: 0.3375, additional: 0.3935 }
+    },
+    capitalGains: {
+      annualExemptAmount: 6000,
+      rates: {
+        residential: { basic: 0.18, higher: 0.28 },
+        other: { basic: 0.10, higher: 0.20 }
+      }
+    },
+    marriageAllowance,
+    marriedCouplesAllowance: { maximum: 10375, minimum: 4010, incomeLimit: 34600, reducerRate: 0.10 },
+    filingDeadlines: filingDeadlines(2023)
+  },
+  '2024-25': {
+    personalAllowance: 12570,
+    personalAllowanceTaperThreshold: 100000,
+    incomeTaxBands: [
+      { name: 'basic', rate: 0.20, limit: 37700 },
+      { name: 'higher', rate: 0.40, limit: 125140 },
+      { name: 'additional', rate: 0.45, limit: null }
+    ],
+    scottishIncomeTaxBands: [
+      { name: 'starter', rate: 0.19, limit: 2306 },
+      { name: 'basic', rate: 0.20, limit: 13991 },
+      { name: 'intermediate', rate: 0.21, limit: 31092 },
+      { name: 'higher', rate: 0.42, limit: 62430 },
+      { name: 'advanced', rate: 0.45, limit: 125140 },
+      { name: 'top', rate: 0.48, limit: null }
+    ],
+    nationalInsurance: {
+      // Class 2 is voluntary from 2024-25 (compulsoryThreshold null)
+      class2: { weeklyRate: 3.45, smallProfitsThreshold: 6725, compulsoryThreshold: null },
+      class4: { lowerProfitsLimit: 12570, upperProfitsLimit: 50270, mainRate: 0.06, additionalRate: 0.02 }
+    },
+    studentLoans: {
+      unearnedIncomeLimit: 2000,
+      plan_1: { threshold: 24990, rate: 0.09 },
+      plan_2: { threshold: 27295, rate: 0.09 },
+      plan_4: { threshold: 31395, rate: 0.09 },
+      postgraduate: { threshold: 21000, rate: 0.06 }
+    },
+    // Charge of 1% of Child Benefit for every £200 of adjusted net income over £60,000
+    childBenefitCharge: { threshold: 60000, taperWidth: 20000 },
+    savings,
+    property,
+    tradingAllowance: 1000,
+    capitalAllowances,
+    simplifiedExpenses,
+    remittanceBasis,
+    reliefs,
+    dividends: {
+      allowance: 500,
+      rates: { basic: 0.0875, higher: 0.3375, additional: 0.3935 }
+    },
+    capitalGains: {
+      annualExemptAmount: 3000,
+      rates: {
+        residential: { basic: 0.18, higher: 0.24 },
+        other: { basic: 0.10, higher: 0.20 }
+      },
+      // Main rates rose for disposals on or after 30 October 2024
+      rateChange: {
+        from: '2024-10-30',
+        rates: { other: { basic: 0.18, higher: 0.24 } }
+      }
+    },
+    marriageAllowance,
+    marriedCouplesAllowance: { maximum: 11080, minimum: 4280, incomeLimit: 37000, reducerRate: 0.10 },
+    filingDeadlines: filingDeadlines(2024)
+  },
+  '2025-26': {
+    personalAllowance: 12570,
+    personalAllowanceTaperThreshold: 100000,
+    incomeTaxBands: [
+      { name: 'basic', rate: 0.20, limit: 37700 },
+      { name: 'higher', rate: 0.40, limit: 125140 },
+      { name: 'additional', rate: 0.45, limit: null }
+    ],
+    scottishIncomeTaxBands: [
+      { name: 'starter', rate: 0.19, limit: 2827 },
+      { name: 'basic', rate: 0.20, limit: 14921 },
+      { name: 'intermediate', rate: 0.21, limit: 31092 },
+      { name: 'higher', rate: 0.42, limit: 62430 },
+      { name: 'advanced', rate: 0.45, limit: 125140 },
+      { name: 'top', rate: 0.48, limit: null }
+    ],
+    nationalInsurance: {
+      class2: { weeklyRate: 3.50, smallProfitsThreshold: 6845, compulsoryThreshold: null },
+      class4: { lowerProfitsLimit: 12570, upperProfitsLimit: 50270, mainRate: 0.06, additionalRate: 0.02 }
+    },
+    studentLoans: {
+      unearnedIncomeLimit: 2000,
+      plan_1: { threshold: 26065, rate: 0.09 },
+      plan_2: { threshold: 28470, rate: 0.09 },
+      plan_4: { threshold: 32745, rate: 0.09 },
+      postgraduate: { threshold: 21000, rate: 0.06 }
+    },
+    // Charge of 1% of Child Benefit for every £200 of adjusted net income over £60,000
+    childBenefitCharge: { threshold: 60000, taperWidth: 20000 },
+    savings,
+    property,
+    tradingAllowance: 1000,
+    capitalAllowances,
+    simplifiedExpenses,
+    remittanceBasis: { ...remittanceBasis, available: false },
+    reliefs,
+    dividends: {
+      allowance: 500,
+      rates: { basic: 0.0875, higher: 0.3375, additional: 0.3935 }
+    },
+    capitalGains: {
+      annualExemptAmount: 3000,
+      rates: {
+        residential: { basic: 0.18, higher: 0.24 },
+        other: { basic: 0.18, higher: 0.24 }
+      }
+    },
+    marriageAllowance,
+    marriedCouplesAllowance: { maximum: 11270, minimum: 4360, incomeLimit: 37700, reducerRate: 0.10 },
+    filingDeadlines: filingDeadlines(2025)
+  }
+};
+
+// First calendar year of a tax year string (e.g. 2024 for '2024-25')
+const getStartYear = (taxYear) => parseInt(String(taxYear).slice(0, 4), 10);
+
+// Tax year following `taxYear` (e.g. '2025-26' after '2024-25')
+const getNextTaxYear = (taxYear) => {
+  const startYear = getStartYear(taxYear) + 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+// Tax year before `taxYear` (e.g. '2023-24' before '2024-25')
+const getPreviousTaxYear = (taxYear) => {
+  const startYear = getStartYear(taxYear) - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+// First and last days of a tax year as ISO dates (6 April to 5 April)
+const getTaxYearDates = (taxYear) => {
+  const startYear = getStartYear(taxYear);
+  return { start: `${startYear}-04-06`, end: `${startYear + 1}-04-05` };
+};
+
+// Tax year an ISO date falls in (e.g. '2024-25' for 2025-04-05, '2025-26' for 2025-04-06)
+const getTaxYearForDate = (isoDate) => {
+  const [year, month, day] = String(isoDate).slice(0, 10).split('-').map(Number);
+  const startYear = month > 4 || (month === 4 && day >= 6) ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+// Get the default rates for a tax year, or null if the year is not configured
+const getTaxYearRates = (taxYear) => {
+  return taxYears[taxYear] || null;
+};
+
+module.exports = {
+  taxYears,
+  filingDeadlines,
+  getStartYear,
+  getNextTaxYear,
+  getPreviousTaxYear,
+  getTaxYearDates,
+  getTaxYearForDate,
+  getTaxYearRates
+};
@@ -58,6 +58,34 @@ CREATE TABLE customers (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Spouses and civil partners linked for marriage allowance and married couple's allowance claims
+CREATE TABLE couples (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
+    partner_customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
+    relationship VARCHAR(20) DEFAULT 'married' CHECK (relationship IN ('married', 'civil_partnership')),
+    marriage_date DATE,
+    is_active BOOLEAN DEFAULT TRUE,
+    ended_at TIMESTAMP,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (customer_id <> partner_customer_id)
+);
+
+-- Allowance transfers claimed by a couple for a tax year
+CREATE TABLE couple_allowance_claims (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    couple_id UUID REFERENCES couples(id) ON DELETE CASCADE,
+    tax_year VARCHAR(10) NOT NULL,
+    claim_type VARCHAR(30) NOT NULL CHECK (claim_type IN ('marriage_allowance', 'married_couples_allowance')),
+    from_customer_id UUID REFERENCES customers(id), -- marriage allowance transferor, or married couple's allowance claimant
+    to_customer_id UUID REFERENCES customers(id), -- marriage allowance recipient, or spouse receiving part of the minimum
+    mca_transfer VARCHAR(20) DEFAULT 'none' CHECK (mca_transfer IN ('none', 'half_minimum', 'all_minimum')),
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (couple_id, tax_year, claim_type)
+);
+
 -- Tax returns table
 CREATE TABLE tax_returns (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -69,9 +97,32 @@ CREATE TABLE tax_returns (
     total_income DECIMAL(12,2),
     total_tax_due DECIMAL(12,2),
     total_refund DECIMAL(12,2),
+    class2_nic DECIMAL(12,2),
+    class4_nic DECIMAL(12,2),
+    class2_voluntary BOOLEAN DEFAULT FALSE, -- pay Class 2 voluntarily when profits are below the small profits threshold
+    student_loan_plans TEXT[], -- plan_1, plan_2, plan_4, plan_5, postgraduate
+    student_loan_repayment DECIMAL(12,2),
+    child_benefit_received DECIMAL(10,2), -- total Child Benefit received in the tax year
+    child_benefit_children INTEGER,
+    child_benefit_charge DECIMAL(12,2),
+    capital_gains_tax DECIMAL(12,2),
+    pension_contributions DECIMAL(12,2) DEFAULT 0.00, -- relief at source contributions, net amount paid
+    gift_aid_donations DECIMAL(12,2) DEFAULT 0.00, -- net amount donated
+    payments_on_account_made DECIMAL(12,2) DEFAULT 0.00, -- payments on account already paid towards this year
+    poa_reduced_to DECIMAL(12,2), -- claim to reduce each payment on account for the following year
+    poa_reduction_reason VARCHAR(50),
+    trading_allowance_election VARCHAR(20) DEFAULT 'auto' CHECK (trading_allowance_election IN ('auto', 'allowance', 'expenses')),
+    trading_allowance_method VARCHAR(20), -- method used in the last computed calculation
+    property_allowance_election VARCHAR(20) DEFAULT 'auto' CHECK (property_allowance_election IN ('auto', 'allowance', 'expenses')),
+    tax_regime VARCHAR(20) CHECK (tax_regime IN ('uk', 'scottish', 'welsh')), -- accountant override; NULL = derive from customer postcode
+    calculation_breakdown JSONB, -- line-by-line output of the calculation engine
+    calculated_at TIMESTAMP,
+    calculation_version INTEGER NOT NULL DEFAULT 0, -- incremented whenever the calculated figures change
     submission_deadline DATE,
     filed_date TIMESTAMP,
     hmrc_reference VARCHAR(100),
+    amends_return_id UUID REFERENCES tax_returns(id) ON DELETE SET NULL, -- the filed return this amendment corrects
+    original_return_id UUID REFERENCES tax_returns(id) ON DELETE SET NULL, -- first return filed for the year, shared by all its amendments
     notes TEXT,
     price DECIMAL(10,2) DEFAULT 169.00,
     payment_status VARCHAR(20) DEFAULT 'pending' CHECK (payment_status IN ('pending', 'paid', 'refunded', 'failed')),
@@ -79,30 +130,171 @@ CREATE TABLE tax_returns (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Rental properties owned by a customer
+CREATE TABLE properties (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
+    address_line1 VARCHAR(255) NOT NULL,
+    address_line2 VARCHAR(255),
+    city VARCHAR(100),
+    postcode VARCHAR(20),
+    ownership_share DECIMAL(5,2) DEFAULT 100.00 CHECK (ownership_share > 0 AND ownership_share <= 100), -- customer's percentage share
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Income sources table
 CREATE TABLE income_sources (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     tax_return_id UUID REFERENCES tax_returns(id) ON DELETE CASCADE,
     source_type VARCHAR(50) NOT NULL, -- employment, self_employment, rental, dividends, etc.
     employer_name VARCHAR(255),
+    employer_paye_reference VARCHAR(20), -- employer's PAYE reference (tax office number/reference), employments only
+    property_id UUID REFERENCES properties(id) ON DELETE SET NULL, -- the let property, rental income only
     gross_income DECIMAL(12,2) NOT NULL,
     tax_deducted DECIMAL(12,2) DEFAULT 0.00,
     ni_contributions DECIMAL(12,2) DEFAULT 0.00,
+    student_loan_deducted DECIMAL(12,2) DEFAULT 0.00,
+    postgraduate_loan_deducted DECIMAL(12,2) DEFAULT 0.00,
     start_date DATE,
     end_date DATE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Per-return figures for each rental property (whole-property amounts before ownership share)
+CREATE TABLE property_income (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tax_return_id UUID REFERENCES tax_returns(id) ON DELETE CASCADE,
+    property_id UUID REFERENCES properties(id) ON DELETE CASCADE,
+    rents_received DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    allowable_expenses DECIMAL(12,2) DEFAULT 0.00,
+    finance_costs DECIMAL(12,2) DEFAULT 0.00, -- mortgage interest and other finance costs
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (tax_return_id, property_id)
+);
+
+-- Disposals of chargeable assets reported on a return
+CREATE TABLE disposals (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tax_return_id UUID REFERENCES tax_returns(id) ON DELETE CASCADE,
+    asset_type VARCHAR(30) NOT NULL CHECK (asset_type IN ('shares', 'crypto', 'residential_property', 'other_property', 'other')),
+    asset_name VARCHAR(255) NOT NULL,
+    asset_identifier VARCHAR(100), -- ticker, ISIN or token used to match shares and crypto to acquisitions
+    quantity DECIMAL(20,8),
+    acquisition_date DATE,
+    disposal_date DATE NOT NULL,
+    proceeds DECIMAL(12,2) NOT NULL,
+    acquisition_cost DECIMAL(12,2), -- shares and crypto are costed from matched acquisitions instead
+    disposal_costs DECIMAL(12,2) DEFAULT 0.00,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Purchases of shares and crypto, kept per customer for same-day, 30-day and section 104 matching
+CREATE TABLE asset_acquisitions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
+    asset_type VARCHAR(30) NOT NULL CHECK (asset_type IN ('shares', 'crypto')),
+    asset_identifier VARCHAR(100) NOT NULL,
+    acquisition_date DATE NOT NULL,
+    quantity DECIMAL(20,8) NOT NULL CHECK (quantity > 0),
+    cost DECIMAL(12,2) NOT NULL, -- including dealing costs
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Expenses table
-CREATE TABLE expenses (
+-- Capital assets register: equipment and vehicles bought for a customer's trade
+CREATE TABLE capital_assets (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
+    description VARCHAR(255) NOT NULL,
+    asset_type VARCHAR(20) NOT NULL CHECK (asset_type IN ('equipment', 'car')),
+    pool VARCHAR(20) DEFAULT 'main' CHECK (pool IN ('main', 'special_rate')), -- cars are pooled by CO2 emissions instead
+    purchase_date DATE NOT NULL,
+    cost DECIMAL(12,2) NOT NULL CHECK (cost >= 0),
+    co2_emissions INTEGER, -- g/km, cars only
+    registration VARCHAR(20), -- vehicles only
+    is_new BOOLEAN DEFAULT TRUE, -- new and unused cars can get first-year allowances
+    private_use_percent DECIMAL(5,2) DEFAULT 0 CHECK (private_use_percent >= 0 AND private_use_percent < 100),
+    disposal_date DATE,
+    disposal_proceeds DECIMAL(12,2),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Capital allowance pool balances carried forward at the end of each tax year
+CREATE TABLE capital_allowance_pools (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
+    tax_year VARCHAR(10) NOT NULL,
+    pool_key VARCHAR(60) NOT NULL, -- main, special_rate or single:<asset id>
+    asset_id UUID REFERENCES capital_assets(id) ON DELETE CASCADE,
+    balance DECIMAL(12,2) NOT NULL,
+    source VARCHAR(20) DEFAULT 'calculated' CHECK (source IN ('calculated', 'manual')), -- manual for balances from before the customer joined
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(customer_id, tax_year, pool_key)
+);
+
+-- Statutory residence test answers and outcome for a return
+CREATE TABLE residence_assessments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tax_return_id UUID UNIQUE REFERENCES tax_returns(id) ON DELETE CASCADE,
+    answers JSONB NOT NULL,
+    is_uk_resident BOOLEAN NOT NULL,
+    deciding_test VARCHAR(30) NOT NULL CHECK (deciding_test IN ('automatic_overseas', 'automatic_uk', 'sufficient_ties')),
+    reason TEXT,
+    split_year BOOLEAN DEFAULT false,
+    split_year_case INTEGER CHECK (split_year_case BETWEEN 1 AND 8),
+    split_year_date DATE, -- date the UK part of the year starts (arrivers) or ends (leavers)
+    remittance_basis BOOLEAN DEFAULT false,
+    assessed_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Foreign income sources on a return, in the currency received
+CREATE TABLE foreign_income (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     tax_return_id UUID REFERENCES tax_returns(id) ON DELETE CASCADE,
-    category VARCHAR(100) NOT NULL, -- office_costs, travel, professional_fees, etc.
-    description TEXT NOT NULL,
-    amount DECIMAL(10,2) NOT NULL,
-    expense_date DATE NOT NULL,
-    receipt_url VARCHAR(500),
-    is_approved BOOLEAN DEFAULT FALSE,
+    country CHAR(2) NOT NULL, -- ISO 3166 country code
+    income_type VARCHAR(20) NOT NULL CHECK (income_type IN ('employment', 'self_employment', 'property', 'pension', 'dividends', 'interest', 'other')),
+    description VARCHAR(255),
+    currency CHAR(3) NOT NULL DEFAULT 'GBP',
+    exchange_rate DECIMAL(14,6) NOT NULL DEFAULT 1 CHECK (exchange_rate > 0), -- units of currency per £1
+    amount DECIMAL(14,2) NOT NULL CHECK (amount >= 0),
+    foreign_tax_paid DECIMAL(14,2) DEFAULT 0.00 CHECK (foreign_tax_paid >= 0),
+    amount_remitted DECIMAL(14,2) DEFAULT 0.00 CHECK (amount_remitted >= 0), -- brought to the UK, for the remittance basis
+    overseas_part BOOLEAN DEFAULT false, -- arose in the overseas part of a split year
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Loss ledger: trading, property and capital losses by the tax year they arose in
+CREATE TABLE losses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
+    loss_type VARCHAR(20) NOT NULL CHECK (loss_type IN ('trading', 'property', 'capital')),
+    tax_year VARCHAR(10) NOT NULL,
+    amount DECIMAL(12,2) NOT NULL CHECK (amount >= 0),
+    source VARCHAR(20) DEFAULT 'calculated' CHECK (source IN ('calculated', 'manual')), -- manual for losses from before the customer joined
+    tax_return_id UUID REFERENCES tax_returns(id) ON DELETE SET NULL,
+    notes TEXT,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Loss relief: each amount of a loss used, and the year and return it was used in
+CREATE TABLE loss_uses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    loss_id UUID REFERENCES losses(id) ON DELETE CASCADE,
+    relief_type VARCHAR(20) NOT NULL CHECK (relief_type IN ('carry_forward', 'sideways', 'carry_back')),
+    used_tax_year VARCHAR(10) NOT NULL,
+    amount DECIMAL(12,2) NOT NULL CHECK (amount > 0),
+    tax_return_id UUID REFERENCES tax_returns(id) ON DELETE SET NULL,
+    created_by UUID REFERENCES users(id),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -117,9 +309,122 @@ CREATE TABLE documents (
     file_size INTEGER,
     mime_type VARCHAR(100),
     is_processed BOOLEAN DEFAULT FALSE,
+    calculation_version INTEGER, -- for generated tax calculations, the calculation version shown
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Expenses table
+CREATE TABLE expenses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tax_return_id UUID REFERENCES tax_returns(id) ON DELETE CASCADE,
+    category VARCHAR(100) NOT NULL, -- from the expense category catalogue (services/expenseCategories.js)
+    description TEXT NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    expense_date DATE NOT NULL,
+    receipt_url VARCHAR(500),
+    is_approved BOOLEAN DEFAULT FALSE,
+    expense_method VARCHAR(20) DEFAULT 'actual' CHECK (expense_method IN ('actual', 'simplified')),
+    vehicle_registration VARCHAR(20), -- vehicle costs are claimed either as actual costs or simplified mileage, never both
+    calculation JSONB, -- working for expenses generated by the simplified expenses calculators
+    receipt_document_id UUID REFERENCES documents(id) ON DELETE SET NULL, -- uploaded receipt
+    submitted_by UUID REFERENCES users(id),
+    reviewed_by UUID REFERENCES users(id), -- accountant who approved or rejected the expense
+    reviewed_at TIMESTAMP,
+    rejection_reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Status changes on a return: who moved it, when and why
+CREATE TABLE tax_return_transitions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tax_return_id UUID REFERENCES tax_returns(id) ON DELETE CASCADE,
+    from_status VARCHAR(20) NOT NULL,
+    to_status VARCHAR(20) NOT NULL,
+    changed_by UUID REFERENCES users(id),
+    changed_by_role VARCHAR(20),
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Calculations sent to the customer for approval, frozen as they were sent
+CREATE TABLE return_approvals (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tax_return_id UUID REFERENCES tax_returns(id) ON DELETE CASCADE,
+    calculation_version INTEGER NOT NULL,
+    snapshot JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'changes_requested', 'superseded')),
+    submitted_by UUID REFERENCES users(id),
+    submission_note TEXT,
+    responded_by UUID REFERENCES users(id),
+    customer_comments TEXT,
+    responded_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Each version of a return's calculation with the income and expense records it was worked out from
+CREATE TABLE return_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tax_return_id UUID REFERENCES tax_returns(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    totals JSONB NOT NULL,
+    calculation JSONB, -- engine breakdown; NULL when the totals were entered by hand
+    income JSONB NOT NULL, -- income sources, property figures and foreign income
+    expenses JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (tax_return_id, version)
+);
+
+-- Items brought into a return from the previous year's return, to be confirmed before the return goes to review
+CREATE TABLE carry_over_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tax_return_id UUID REFERENCES tax_returns(id) ON DELETE CASCADE,
+    from_tax_return_id UUID REFERENCES tax_returns(id) ON DELETE SET NULL,
+    item_type VARCHAR(30) NOT NULL CHECK (item_type IN ('income_source', 'property', 'capital_allowance_pool', 'loss', 'expense_category')),
+    item_id UUID, -- the income source, property or loss carried over
+    reference VARCHAR(100), -- pool key or expense category
+    description VARCHAR(255) NOT NULL,
+    previous_year JSONB, -- last year's figures, as a prompt for this year's
+    confirmed_at TIMESTAMP,
+    confirmed_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Customer rules for categorising bank statement transactions by payee; checked before the built-in
+-- rules in services/bankStatements.js
+CREATE TABLE categorisation_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
+    pattern VARCHAR(100) NOT NULL, -- words matched in the transaction description, ignoring case
+    target VARCHAR(20) NOT NULL CHECK (target IN ('expense', 'income', 'ignore')),
+    category VARCHAR(50), -- expense category, for expense rules
+    source_type VARCHAR(50), -- income source type, for income rules
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Transactions imported from bank statement documents; the fingerprint keeps one row per transaction
+-- however many times a statement is imported
+CREATE TABLE bank_transactions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
+    document_id UUID REFERENCES documents(id) ON DELETE SET NULL,
+    tax_year VARCHAR(10) NOT NULL,
+    transaction_date DATE NOT NULL,
+    description VARCHAR(255) NOT NULL,
+    amount DECIMAL(12,2) NOT NULL, -- negative for money out
+    reference VARCHAR(100), -- the bank's transaction ID, where the export has one
+    fingerprint VARCHAR(64) NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'ignored')),
+    tax_return_id UUID REFERENCES tax_returns(id) ON DELETE SET NULL, -- the return it was accepted into
+    expense_id UUID REFERENCES expenses(id) ON DELETE SET NULL,
+    income_source_id UUID REFERENCES income_sources(id) ON DELETE SET NULL,
+    resolved_by UUID REFERENCES users(id),
+    resolved_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(customer_id, fingerprint)
+);
+
 -- Messages/Communications table
 CREATE TABLE messages (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -213,17 +518,48 @@ CREATE TABLE system_settings (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Tax year configuration (versioned rates, allowances, thresholds and deadlines)
+CREATE TABLE tax_year_configs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tax_year VARCHAR(10) NOT NULL, -- e.g., '2024-25'
+    version INTEGER NOT NULL,
+    config JSONB NOT NULL,
+    notes TEXT,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (tax_year, version)
+);
+
 -- Create indexes for better performance
 CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_role ON users(role);
+CREATE INDEX idx_couples_customer_id ON couples(customer_id);
+CREATE INDEX idx_couples_partner_customer_id ON couples(partner_customer_id);
 CREATE INDEX idx_tax_returns_customer_id ON tax_returns(customer_id);
 CREATE INDEX idx_tax_returns_accountant_id ON tax_returns(accountant_id);
 CREATE INDEX idx_tax_returns_status ON tax_returns(status);
 CREATE INDEX idx_tax_returns_tax_year ON tax_returns(tax_year);
+CREATE INDEX idx_tax_returns_original_return_id ON tax_returns(original_return_id);
 CREATE INDEX idx_messages_tax_return_id ON messages(tax_return_id);
 CREATE INDEX idx_messages_sender_id ON messages(sender_id);
 CREATE INDEX idx_messages_recipient_id ON messages(recipient_id);
 CREATE INDEX idx_documents_tax_return_id ON documents(tax_return_id);
+CREATE INDEX idx_expenses_tax_return_id ON expenses(tax_return_id);
+CREATE INDEX idx_income_sources_tax_return_id ON income_sources(tax_return_id);
+CREATE INDEX idx_properties_customer_id ON properties(customer_id);
+CREATE INDEX idx_property_income_tax_return_id ON property_income(tax_return_id);
+CREATE INDEX idx_disposals_tax_return_id ON disposals(tax_return_id);
+CREATE INDEX idx_asset_acquisitions_customer_id ON asset_acquisitions(customer_id, asset_identifier);
+CREATE INDEX idx_capital_assets_customer_id ON capital_assets(customer_id);
+CREATE INDEX idx_tax_return_transitions_tax_return_id ON tax_return_transitions(tax_return_id, created_at);
+CREATE INDEX idx_return_approvals_tax_return_id ON return_approvals(tax_return_id, created_at);
+CREATE INDEX idx_carry_over_items_tax_return_id ON carry_over_items(tax_return_id);
+CREATE INDEX idx_categorisation_rules_customer_id ON categorisation_rules(customer_id);
+CREATE INDEX idx_bank_transactions_customer_id ON bank_transactions(customer_id, tax_year, status);
+CREATE INDEX idx_foreign_income_tax_return_id ON foreign_income(tax_return_id);
+CREATE INDEX idx_losses_customer_id ON losses(customer_id, loss_type, tax_year);
+CREATE INDEX idx_loss_uses_loss_id ON loss_uses(loss_id);
+CREATE INDEX idx_loss_uses_used_tax_year ON loss_uses(used_tax_year);
 CREATE INDEX idx_payments_customer_id ON payments(customer_id);
 CREATE INDEX idx_payments_status ON payments(payment_status);
 CREATE INDEX idx_notifications_user_id ON notifications(user_id);
@@ -244,6 +580,16 @@ CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users FOR EACH ROW EXECU
 CREATE TRIGGER update_accountants_updated_at BEFORE UPDATE ON accountants FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_customers_updated_at BEFORE UPDATE ON customers FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_tax_returns_updated_at BEFORE UPDATE ON tax_returns FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_income_sources_updated_at BEFORE UPDATE ON income_sources FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_expenses_updated_at BEFORE UPDATE ON expenses FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_properties_updated_at BEFORE UPDATE ON properties FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_property_income_updated_at BEFORE UPDATE ON property_income FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_disposals_updated_at BEFORE UPDATE ON disposals FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_capital_assets_updated_at BEFORE UPDATE ON capital_assets FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_residence_assessments_updated_at BEFORE UPDATE ON residence_assessments FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_foreign_income_updated_at BEFORE UPDATE ON foreign_income FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_losses_updated_at BEFORE UPDATE ON losses FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_categorisation_rules_updated_at BEFORE UPDATE ON categorisation_rules FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_system_settings_updated_at BEFORE UPDATE ON system_settings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 -- Insert default system settings
@@ -0,0 +1,79 @@
+const TaxReturn = require('../models/TaxReturn');
+const { query } = require('../config/database');
+const { OPEN_STATUSES } = require('../services/returnLifecycle');
+
+// Middleware to load a tax return and check the user may access it:
+// customers their own returns, accountants returns assigned to them, admins everything.
+// The loaded return is available as req.taxReturn.
+const loadTaxReturn = (paramName = 'id') => {
+  return async (req, res, next) => {
+    try {
+      const taxReturn = await TaxReturn.findById(req.params[paramName]);
+      if (!taxReturn) {
+        return res.status(404).json({
+          success: false,
+          error: 'Tax return not found'
+        });
+      }
+
+      if (req.user.role === 'customer') {
+        const customerResult = await query('SELECT id FROM customers WHERE user_id = $1', [req.user.id]);
+        if (taxReturn.customerId !== customerResult.rows[0]?.id) {
+          return res.status(403).json({
+            success: false,
+            error: 'Access denied'
+          });
+        }
+      } else if (req.user.role === 'accountant') {
+        const accountantResult = await query('SELECT id FROM accountants WHERE user_id = $1', [req.user.id]);
+        if (taxReturn.accountantId !== accountantResult.rows[0]?.id) {
+          return res.status(403).json({
+            success: false,
+            error: 'Access denied'
+          });
+        }
+      }
+
+      req.taxReturn = taxReturn;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Middleware for routes that change what a loaded return is calculated from: refused once it is filed,
+// as corrections then go on an amendment. Use after loadTaxReturn.
+const requireEditable = (req, res, next) => {
+  try {
+    req.taxReturn.assertEditable();
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Middleware for routes that change a loaded return's entries: only while it is pending or in progress, so
+// the return reviewed and approved is the one filed. Use after loadTaxReturn.
+const requireOpen = (req, res, next) => {
+  const { status } = req.taxReturn;
+  if (OPEN_STATUSES.includes(status)) {
+    return next();
+  }
+  if (status === 'filed') {
+    return requireEditable(req, res, next);
+  }
+
+  res.status(409).json({
+    success: false,
+    error: status === 'cancelled'
+      ? 'This return has been cancelled and cannot be changed'
+      : `This return is ${status.replace('_', ' ')}; it must be moved back to in progress before it can be changed`
+  });
+};
+
+module.exports = {
+  loadTaxReturn,
+  requireEditable,
+  requireOpen
+};
@@ -0,0 +1,81 @@
+const { query } = require('../config/database');
+
+class AssetAcquisition {
+  constructor(acquisitionData) {
+    this.id = acquisitionData.id;
+    this.customerId = acquisitionData.customer_id;
+    this.assetType = acquisitionData.asset_type;
+    this.assetIdentifier = acquisitionData.asset_identifier;
+    this.acquisitionDate = acquisitionData.acquisition_date;
+    this.quantity = acquisitionData.quantity;
+    this.cost = acquisitionData.cost;
+    this.createdAt = acquisitionData.created_at;
+  }
+
+  // Record a purchase of shares or crypto
+  static async create(acquisitionData) {
+    const {
+      customerId,
+      assetType,
+      assetIdentifier,
+      acquisitionDate,
+      quantity,
+      cost
+    } = acquisitionData;
+
+    const queryText = `
+      INSERT INTO asset_acquisitions (customer_id, asset_type, asset_identifier, acquisition_date, quantity, cost)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+
+    const values = [customerId, assetType, assetIdentifier, acquisitionDate, quantity, cost];
+    const result = await query(queryText, values);
+    return new AssetAcquisition(result.rows[0]);
+  }
+
+  // Find acquisition by ID
+  static async findById(id) {
+    const result = await query('SELECT * FROM asset_acquisitions WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new AssetAcquisition(result.rows[0]);
+  }
+
+  // A customer's acquisitions (rows are used by the calculation engine)
+  static async findByCustomerId(customerId) {
+    const queryText = `
+      SELECT * FROM asset_acquisitions
+      WHERE customer_id = $1
+      ORDER BY acquisition_date ASC, created_at ASC
+    `;
+
+    const result = await query(queryText, [customerId]);
+    return result.rows;
+  }
+
+  // Delete acquisition
+  async delete() {
+    await query('DELETE FROM asset_acquisitions WHERE id = $1', [this.id]);
+    return true;
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      customerId: this.customerId,
+      assetType: this.assetType,
+      assetIdentifier: this.assetIdentifier,
+      acquisitionDate: this.acquisitionDate,
+      quantity: this.quantity,
+      cost: this.cost,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = AssetAcquisition;
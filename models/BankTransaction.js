@@ -0,0 +1,214 @@
+const { query, transaction } = require('../config/database');
+
+// Columns a transaction can be linked through; removing the record puts the transaction back for review
+const LINK_COLUMNS = ['expense_id', 'income_source_id', 'tax_return_id'];
+
+class BankTransaction {
+  constructor(transactionData) {
+    this.id = transactionData.id;
+    this.customerId = transactionData.customer_id;
+    this.documentId = transactionData.document_id;
+    this.taxYear = transactionData.tax_year;
+    this.transactionDate = transactionData.transaction_date;
+    this.description = transactionData.description;
+    this.amount = transactionData.amount;
+    this.reference = transactionData.reference;
+    this.status = transactionData.status;
+    this.taxReturnId = transactionData.tax_return_id;
+    this.expenseId = transactionData.expense_id;
+    this.incomeSourceId = transactionData.income_source_id;
+    this.resolvedBy = transactionData.resolved_by;
+    this.resolvedAt = transactionData.resolved_at;
+    this.createdAt = transactionData.created_at;
+  }
+
+  // Store a parsed statement's transactions against the customer, skipping any already imported, and mark
+  // the statement document as processed; transactions are { date, taxYear, description, amount, reference, fingerprint }
+  static async importStatement(customerId, documentId, transactions) {
+    return await transaction(async (client) => {
+      const imported = [];
+
+      for (const item of transactions) {
+        const result = await client.query(
+          `INSERT INTO bank_transactions (customer_id, document_id, tax_year, transaction_date, description, amount, reference, fingerprint)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           ON CONFLICT (customer_id, fingerprint) DO NOTHING
+           RETURNING *`,
+          [customerId, documentId, item.taxYear, item.date, item.description, item.amount, item.reference, item.fingerprint]
+        );
+        if (result.rows[0]) {
+          imported.push(new BankTransaction(result.rows[0]));
+        }
+      }
+
+      await client.query('UPDATE documents SET is_processed = true WHERE id = $1', [documentId]);
+
+      return { imported, duplicates: transactions.length - imported.length };
+    });
+  }
+
+  // Find transaction by ID
+  static async findById(id) {
+    const result = await query('SELECT * FROM bank_transactions WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new BankTransaction(result.rows[0]);
+  }
+
+  // A customer's transactions dated in one tax year, optionally with one status, in date order
+  static async findForYear(customerId, taxYear, status = null) {
+    let queryText = 'SELECT * FROM bank_transactions WHERE customer_id = $1 AND tax_year = $2';
+    const values = [customerId, taxYear];
+
+    if (status) {
+      queryText += ' AND status = $3';
+      values.push(status);
+    }
+
+    queryText += ' ORDER BY transaction_date ASC, created_at ASC';
+
+    const result = await query(queryText, values);
+    return result.rows.map(row => new BankTransaction(row));
+  }
+
+  // Put transactions accepted as a record back for review when the record is removed
+  static async reopen(client, column, id) {
+    if (!LINK_COLUMNS.includes(column)) {
+      throw new Error(`Cannot reopen bank transactions by ${column}`);
+    }
+
+    await client.query(
+      `UPDATE bank_transactions
+       SET status = 'pending', tax_return_id = NULL, expense_id = NULL, income_source_id = NULL,
+           resolved_by = NULL, resolved_at = NULL
+       WHERE ${column} = $1`,
+      [id]
+    );
+  }
+
+  // Mark the transaction accepted into a return, failing if it already has been
+  static async markAccepted(client, id, taxReturnId, userId) {
+    const result = await client.query(
+      `UPDATE bank_transactions
+       SET status = 'accepted', tax_return_id = $1, resolved_by = $2, resolved_at = CURRENT_TIMESTAMP
+       WHERE id = $3 AND status <> 'accepted'
+       RETURNING *`,
+      [taxReturnId, userId, id]
+    );
+
+    if (result.rows.length === 0) {
+      const error = new Error('This transaction has already been accepted');
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+
+  // Accept money out as an expense on the return, waiting for the accountant's review; returns the
+  // transaction and the expenses row
+  async acceptAsExpense(taxReturnId, { category, description }, userId) {
+    return await transaction(async (client) => {
+      await BankTransaction.markAccepted(client, this.id, taxReturnId, userId);
+
+      const expense = await client.query(
+        `INSERT INTO expenses (tax_return_id, category, description, amount, expense_date, submitted_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [taxReturnId, category, description || this.description, Math.abs(parseFloat(this.amount)), this.transactionDate, userId]
+      );
+
+      const result = await client.query(
+        'UPDATE bank_transactions SET expense_id = $1 WHERE id = $2 RETURNING *',
+        [expense.rows[0].id, this.id]
+      );
+
+      return { transaction: new BankTransaction(result.rows[0]), expense: expense.rows[0] };
+    });
+  }
+
+  // Accept money in as income: added to an existing income source on the return, or as a new source
+  // ({ sourceType, employerName, propertyId }); returns the transaction and the income_sources row. Never
+  // employment income, which is entered from the P60 rather than the net pay received
+  async acceptAsIncome(taxReturnId, { incomeSourceId = null, source = null }, userId) {
+    const amount = parseFloat(this.amount);
+
+    return await transaction(async (client) => {
+      await BankTransaction.markAccepted(client, this.id, taxReturnId, userId);
+
+      let incomeSource;
+      if (incomeSourceId) {
+        incomeSource = await client.query(
+          `UPDATE income_sources SET gross_income = gross_income + $1
+           WHERE id = $2 AND tax_return_id = $3
+           RETURNING *`,
+          [amount, incomeSourceId, taxReturnId]
+        );
+
+        // Adding this year's receipts to a source carried over from last year confirms it
+        await client.query(
+          `UPDATE carry_over_items SET confirmed_at = CURRENT_TIMESTAMP, confirmed_by = $1
+           WHERE item_type = 'income_source' AND item_id = $2 AND confirmed_at IS NULL`,
+          [userId, incomeSourceId]
+        );
+      } else {
+        incomeSource = await client.query(
+          `INSERT INTO income_sources (tax_return_id, source_type, employer_name, property_id, gross_income)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING *`,
+          [
+            taxReturnId,
+            source.sourceType,
+            source.employerName || null,
+            source.propertyId || null,
+            amount
+          ]
+        );
+      }
+
+      const result = await client.query(
+        'UPDATE bank_transactions SET income_source_id = $1 WHERE id = $2 RETURNING *',
+        [incomeSource.rows[0].id, this.id]
+      );
+
+      return { transaction: new BankTransaction(result.rows[0]), incomeSource: incomeSource.rows[0] };
+    });
+  }
+
+  // Leave the transaction off the return (transfers between own accounts, personal spending)
+  async ignore(userId) {
+    const queryText = `
+      UPDATE bank_transactions
+      SET status = 'ignored', resolved_by = $1, resolved_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING *
+    `;
+
+    const result = await query(queryText, [userId, this.id]);
+    return new BankTransaction(result.rows[0]);
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      customerId: this.customerId,
+      documentId: this.documentId,
+      taxYear: this.taxYear,
+      transactionDate: this.transactionDate,
+      description: this.description,
+      amount: this.amount,
+      reference: this.reference,
+      status: this.status,
+      taxReturnId: this.taxReturnId,
+      expenseId: this.expenseId,
+      incomeSourceId: this.incomeSourceId,
+      resolvedBy: this.resolvedBy,
+      resolvedAt: this.resolvedAt,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = BankTransaction;
@@ -0,0 +1,184 @@
+const { query, transaction } = require('../config/database');
+
+class CapitalAsset {
+  constructor(assetData) {
+    this.id = assetData.id;
+    this.customerId = assetData.customer_id;
+    this.description = assetData.description;
+    this.assetType = assetData.asset_type;
+    this.pool = assetData.pool;
+    this.purchaseDate = assetData.purchase_date;
+    this.cost = assetData.cost;
+    this.co2Emissions = assetData.co2_emissions;
+    this.registration = assetData.registration;
+    this.isNew = assetData.is_new;
+    this.privateUsePercent = assetData.private_use_percent;
+    this.disposalDate = assetData.disposal_date;
+    this.disposalProceeds = assetData.disposal_proceeds;
+    this.createdAt = assetData.created_at;
+    this.updatedAt = assetData.updated_at;
+  }
+
+  // Add an asset to a customer's register
+  static async create(assetData) {
+    const {
+      customerId,
+      description,
+      assetType,
+      pool = 'main',
+      purchaseDate,
+      cost,
+      co2Emissions = null,
+      registration = null,
+      isNew = true,
+      privateUsePercent = 0
+    } = assetData;
+
+    const queryText = `
+      INSERT INTO capital_assets (customer_id, description, asset_type, pool, purchase_date, cost, co2_emissions,
+                                  registration, is_new, private_use_percent)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `;
+
+    const values = [customerId, description, assetType, pool, purchaseDate, cost, co2Emissions, registration, isNew, privateUsePercent];
+    const result = await query(queryText, values);
+    return new CapitalAsset(result.rows[0]);
+  }
+
+  // Find asset by ID
+  static async findById(id) {
+    const result = await query('SELECT * FROM capital_assets WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new CapitalAsset(result.rows[0]);
+  }
+
+  // All of a customer's assets (engine input rows)
+  static async findByCustomerId(customerId) {
+    const result = await query(
+      'SELECT * FROM capital_assets WHERE customer_id = $1 ORDER BY purchase_date ASC, created_at ASC',
+      [customerId]
+    );
+    return result.rows;
+  }
+
+  // The customer's vehicle with this registration held at any point in the tax year (capital allowances claimed on it)
+  static async findVehicleHeldInYear(customerId, registration, taxYearDates) {
+    const queryText = `
+      SELECT * FROM capital_assets
+      WHERE customer_id = $1 AND UPPER(registration) = UPPER($2)
+        AND purchase_date <= $3 AND (disposal_date IS NULL OR disposal_date >= $4)
+      LIMIT 1
+    `;
+
+    const result = await query(queryText, [customerId, registration, taxYearDates.end, taxYearDates.start]);
+    return result.rows[0] ? new CapitalAsset(result.rows[0]) : null;
+  }
+
+  // Pool balances carried forward at the end of a tax year (engine input rows)
+  static async getClosingPools(customerId, taxYear) {
+    const result = await query(
+      'SELECT * FROM capital_allowance_pools WHERE customer_id = $1 AND tax_year = $2 ORDER BY pool_key ASC',
+      [customerId, taxYear]
+    );
+    return result.rows;
+  }
+
+  // Replace the pool balances carried forward at the end of a tax year
+  static async saveClosingPools(customerId, taxYear, pools, source = 'calculated', client = null) {
+    const write = async (client) => {
+      await client.query('DELETE FROM capital_allowance_pools WHERE customer_id = $1 AND tax_year = $2', [customerId, taxYear]);
+
+      for (const pool of pools) {
+        await client.query(
+          `INSERT INTO capital_allowance_pools (customer_id, tax_year, pool_key, asset_id, balance, source)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [customerId, taxYear, pool.poolKey, pool.assetId || null, pool.balance, source]
+        );
+      }
+
+      const result = await client.query(
+        'SELECT * FROM capital_allowance_pools WHERE customer_id = $1 AND tax_year = $2 ORDER BY pool_key ASC',
+        [customerId, taxYear]
+      );
+      return result.rows;
+    };
+
+    return client ? await write(client) : await transaction(write);
+  }
+
+  // Update asset details, including recording its disposal
+  async update(updateData) {
+    const allowedFields = [
+      'description',
+      'pool',
+      'purchase_date',
+      'cost',
+      'co2_emissions',
+      'registration',
+      'is_new',
+      'private_use_percent',
+      'disposal_date',
+      'disposal_proceeds'
+    ];
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    for (const [key, value] of Object.entries(updateData)) {
+      if (allowedFields.includes(key)) {
+        updates.push(`${key} = $${paramCount}`);
+        values.push(value);
+        paramCount++;
+      }
+    }
+
+    if (updates.length === 0) {
+      return this;
+    }
+
+    values.push(this.id);
+    const queryText = `
+      UPDATE capital_assets
+      SET ${updates.join(', ')}
+      WHERE id = $${paramCount}
+      RETURNING *
+    `;
+
+    const result = await query(queryText, values);
+    return new CapitalAsset(result.rows[0]);
+  }
+
+  // Delete asset
+  async delete() {
+    await query('DELETE FROM capital_assets WHERE id = $1', [this.id]);
+    return true;
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      customerId: this.customerId,
+      description: this.description,
+      assetType: this.assetType,
+      pool: this.pool,
+      purchaseDate: this.purchaseDate,
+      cost: this.cost,
+      co2Emissions: this.co2Emissions,
+      registration: this.registration,
+      isNew: this.isNew,
+      privateUsePercent: this.privateUsePercent,
+      disposalDate: this.disposalDate,
+      disposalProceeds: this.disposalProceeds,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = CapitalAsset;
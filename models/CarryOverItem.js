@@ -0,0 +1,213 @@
+const { query, transaction } = require('../config/database');
+const Loss = require('./Loss');
+const BankTransaction = require('./BankTransaction');
+const { getTaxYearDates } = require('../config/taxYears');
+const { EXPENSE_CATEGORIES } = require('../services/expenseCategories');
+
+// Items that only record what the ledgers already bring forward; they are corrected on the losses and
+// capital allowances endpoints rather than removed from the return
+const LEDGER_ITEM_TYPES = ['capital_allowance_pool', 'loss'];
+
+const POOL_NAMES = {
+  main: 'Main pool',
+  special_rate: 'Special rate pool'
+};
+
+const capitalise = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const poolDescription = (pool) => POOL_NAMES[pool.pool_key] || 'Single asset pool';
+
+class CarryOverItem {
+  constructor(itemData) {
+    this.id = itemData.id;
+    this.taxReturnId = itemData.tax_return_id;
+    this.fromTaxReturnId = itemData.from_tax_return_id;
+    this.itemType = itemData.item_type;
+    this.itemId = itemData.item_id;
+    this.reference = itemData.reference;
+    this.description = itemData.description;
+    this.previousYear = itemData.previous_year;
+    this.confirmedAt = itemData.confirmed_at;
+    this.confirmedBy = itemData.confirmed_by;
+    this.createdAt = itemData.created_at;
+  }
+
+  // Start a new return from the previous year's: copy continuing income sources and the properties let
+  // with nil figures, and flag them, the pool balances and losses brought forward and last year's expense
+  // categories as needing confirmation. Runs on the client of the transaction that creates the return.
+  static async carryOver(client, taxReturn, previousReturn) {
+    const { start } = getTaxYearDates(taxReturn.taxYear);
+    const availableLosses = await Loss.findAvailable(taxReturn.customerId, taxReturn.taxYear);
+
+    const items = [];
+    const addItem = async (itemType, { itemId = null, reference = null, description, previousYear }) => {
+      const result = await client.query(
+        `INSERT INTO carry_over_items (tax_return_id, from_tax_return_id, item_type, item_id, reference, description, previous_year)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [taxReturn.id, previousReturn.id, itemType, itemId, reference, description, JSON.stringify(previousYear)]
+      );
+      items.push(new CarryOverItem(result.rows[0]));
+    };
+
+    // Sources that ended before this year are left behind
+    const incomeSources = await client.query(
+      `SELECT * FROM income_sources
+       WHERE tax_return_id = $1 AND (end_date IS NULL OR end_date >= $2)
+       ORDER BY created_at ASC`,
+      [previousReturn.id, start]
+    );
+    for (const source of incomeSources.rows) {
+      const shell = await client.query(
+        `INSERT INTO income_sources (tax_return_id, source_type, employer_name, employer_paye_reference, property_id, gross_income, start_date)
+         VALUES ($1, $2, $3, $4, $5, 0, $6)
+         RETURNING id`,
+        [taxReturn.id, source.source_type, source.employer_name, source.employer_paye_reference, source.property_id, source.start_date]
+      );
+      await addItem('income_source', {
+        itemId: shell.rows[0].id,
+        description: source.employer_name || capitalise(source.source_type.replace(/_/g, ' ')),
+        previousYear: { grossIncome: source.gross_income, taxDeducted: source.tax_deducted }
+      });
+    }
+
+    const properties = await client.query(
+      `SELECT p.*, pi.rents_received, pi.allowable_expenses, pi.finance_costs
+       FROM property_income pi
+       JOIN properties p ON pi.property_id = p.id
+       WHERE pi.tax_return_id = $1 AND p.is_active = true
+       ORDER BY pi.created_at ASC`,
+      [previousReturn.id]
+    );
+    for (const property of properties.rows) {
+      await client.query(
+        'INSERT INTO property_income (tax_return_id, property_id, rents_received) VALUES ($1, $2, 0)',
+        [taxReturn.id, property.id]
+      );
+      await addItem('property', {
+        itemId: property.id,
+        description: [property.address_line1, property.postcode].filter(Boolean).join(', '),
+        previousYear: {
+          rentsReceived: property.rents_received,
+          allowableExpenses: property.allowable_expenses,
+          financeCosts: property.finance_costs
+        }
+      });
+    }
+
+    // Last year's closing pools are this year's opening balances
+    const pools = await client.query(
+      'SELECT * FROM capital_allowance_pools WHERE customer_id = $1 AND tax_year = $2 ORDER BY pool_key ASC',
+      [taxReturn.customerId, previousReturn.taxYear]
+    );
+    for (const pool of pools.rows) {
+      await addItem('capital_allowance_pool', {
+        reference: pool.pool_key,
+        description: poolDescription(pool),
+        previousYear: { closingBalance: pool.balance, source: pool.source }
+      });
+    }
+
+    for (const loss of availableLosses) {
+      await addItem('loss', {
+        itemId: loss.id,
+        description: `${capitalise(loss.loss_type)} loss from ${loss.tax_year}`,
+        previousYear: { amount: loss.amount, available: loss.available }
+      });
+    }
+
+    const categories = await client.query(
+      `SELECT category, COUNT(*) AS claims, SUM(amount) AS total
+       FROM expenses
+       WHERE tax_return_id = $1 AND is_approved = true
+       GROUP BY category
+       ORDER BY category ASC`,
+      [previousReturn.id]
+    );
+    for (const category of categories.rows) {
+      await addItem('expense_category', {
+        reference: category.category,
+        description: EXPENSE_CATEGORIES[category.category]?.label || capitalise(category.category.replace(/_/g, ' ')),
+        previousYear: { claims: parseInt(category.claims), total: category.total }
+      });
+    }
+
+    return items;
+  }
+
+  // Find a carried-over item on a return
+  static async findById(taxReturnId, id) {
+    const result = await query('SELECT * FROM carry_over_items WHERE id = $1 AND tax_return_id = $2', [id, taxReturnId]);
+    return result.rows[0] ? new CarryOverItem(result.rows[0]) : null;
+  }
+
+  // Items carried over into a return, in the order they were brought in
+  static async findByTaxReturnId(taxReturnId) {
+    const result = await query(
+      'SELECT * FROM carry_over_items WHERE tax_return_id = $1 ORDER BY created_at ASC, item_type ASC',
+      [taxReturnId]
+    );
+    return result.rows.map(row => new CarryOverItem(row));
+  }
+
+  // Number of items on a return still waiting to be confirmed
+  static async countUnconfirmed(taxReturnId) {
+    const result = await query(
+      'SELECT COUNT(*) AS unconfirmed FROM carry_over_items WHERE tax_return_id = $1 AND confirmed_at IS NULL',
+      [taxReturnId]
+    );
+    return parseInt(result.rows[0].unconfirmed);
+  }
+
+  // Whether the item can be removed from the return rather than only confirmed
+  isRemovable() {
+    return !LEDGER_ITEM_TYPES.includes(this.itemType);
+  }
+
+  // Confirm the item applies this year
+  async confirm(userId) {
+    const result = await query(
+      `UPDATE carry_over_items SET confirmed_at = CURRENT_TIMESTAMP, confirmed_by = $1
+       WHERE id = $2
+       RETURNING *`,
+      [userId, this.id]
+    );
+    return new CarryOverItem(result.rows[0]);
+  }
+
+  // Remove an item that does not apply this year, with the income source or property figures copied for it;
+  // bank transactions accepted into the income source go back for review
+  async delete() {
+    return await transaction(async (client) => {
+      if (this.itemType === 'income_source') {
+        await BankTransaction.reopen(client, 'income_source_id', this.itemId);
+        await client.query('DELETE FROM income_sources WHERE id = $1 AND tax_return_id = $2', [this.itemId, this.taxReturnId]);
+      } else if (this.itemType === 'property') {
+        await client.query('DELETE FROM property_income WHERE property_id = $1 AND tax_return_id = $2', [this.itemId, this.taxReturnId]);
+      }
+
+      await client.query('DELETE FROM carry_over_items WHERE id = $1', [this.id]);
+      return true;
+    });
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      taxReturnId: this.taxReturnId,
+      fromTaxReturnId: this.fromTaxReturnId,
+      itemType: this.itemType,
+      itemId: this.itemId,
+      reference: this.reference,
+      description: this.description,
+      previousYear: this.previousYear,
+      confirmed: Boolean(this.confirmedAt),
+      confirmedAt: this.confirmedAt,
+      confirmedBy: this.confirmedBy,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = CarryOverItem;
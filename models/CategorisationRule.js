@@ -0,0 +1,99 @@
+const { query } = require('../config/database');
+
+class CategorisationRule {
+  constructor(ruleData) {
+    this.id = ruleData.id;
+    this.customerId = ruleData.customer_id;
+    this.pattern = ruleData.pattern;
+    this.target = ruleData.target;
+    this.category = ruleData.category;
+    this.sourceType = ruleData.source_type;
+    this.createdAt = ruleData.created_at;
+    this.updatedAt = ruleData.updated_at;
+  }
+
+  // Add a rule for one of a customer's payees
+  static async create(ruleData) {
+    const { customerId, pattern, target, category = null, sourceType = null } = ruleData;
+
+    const queryText = `
+      INSERT INTO categorisation_rules (customer_id, pattern, target, category, source_type)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+
+    const values = [
+      customerId,
+      pattern,
+      target,
+      target === 'expense' ? category : null,
+      target === 'income' ? sourceType : null
+    ];
+    const result = await query(queryText, values);
+    return new CategorisationRule(result.rows[0]);
+  }
+
+  // Find rule by ID
+  static async findById(id) {
+    const result = await query('SELECT * FROM categorisation_rules WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new CategorisationRule(result.rows[0]);
+  }
+
+  // A customer's rules, oldest first
+  static async findByCustomerId(customerId) {
+    const result = await query(
+      'SELECT * FROM categorisation_rules WHERE customer_id = $1 ORDER BY created_at ASC',
+      [customerId]
+    );
+    return result.rows.map(row => new CategorisationRule(row));
+  }
+
+  // Update the rule; the category or source type only applies to the matching target
+  async update(updateData) {
+    const rule = { ...this.toJSON(), ...updateData };
+
+    const queryText = `
+      UPDATE categorisation_rules
+      SET pattern = $1, target = $2, category = $3, source_type = $4
+      WHERE id = $5
+      RETURNING *
+    `;
+
+    const values = [
+      rule.pattern,
+      rule.target,
+      rule.target === 'expense' ? rule.category : null,
+      rule.target === 'income' ? rule.sourceType : null,
+      this.id
+    ];
+    const result = await query(queryText, values);
+    return new CategorisationRule(result.rows[0]);
+  }
+
+  // Delete rule
+  async delete() {
+    await query('DELETE FROM categorisation_rules WHERE id = $1', [this.id]);
+    return true;
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      customerId: this.customerId,
+      pattern: this.pattern,
+      target: this.target,
+      category: this.category,
+      sourceType: this.sourceType,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = CategorisationRule;
@@ -0,0 +1,177 @@
+const { query } = require('../config/database');
+
+class Couple {
+  constructor(coupleData) {
+    this.id = coupleData.id;
+    this.customerId = coupleData.customer_id;
+    this.partnerCustomerId = coupleData.partner_customer_id;
+    this.relationship = coupleData.relationship;
+    this.marriageDate = coupleData.marriage_date;
+    this.isActive = coupleData.is_active;
+    this.endedAt = coupleData.ended_at;
+    this.createdBy = coupleData.created_by;
+    this.createdAt = coupleData.created_at;
+  }
+
+  // Link two customers as a couple
+  static async create(coupleData) {
+    const {
+      customerId,
+      partnerCustomerId,
+      relationship = 'married',
+      marriageDate = null,
+      createdBy
+    } = coupleData;
+
+    const queryText = `
+      INSERT INTO couples (customer_id, partner_customer_id, relationship, marriage_date, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+
+    const values = [customerId, partnerCustomerId, relationship, marriageDate, createdBy];
+    const result = await query(queryText, values);
+    return new Couple(result.rows[0]);
+  }
+
+  // Find couple by ID
+  static async findById(id) {
+    const result = await query('SELECT * FROM couples WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new Couple(result.rows[0]);
+  }
+
+  // Find the active couple a customer belongs to
+  static async findActiveByCustomerId(customerId) {
+    const queryText = `
+      SELECT * FROM couples
+      WHERE (customer_id = $1 OR partner_customer_id = $1) AND is_active = true
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+
+    const result = await query(queryText, [customerId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new Couple(result.rows[0]);
+  }
+
+  // Allowance claims affecting a customer's return for a tax year
+  static async findClaimsForCustomer(customerId, taxYear) {
+    const queryText = `
+      SELECT cac.* FROM couple_allowance_claims cac
+      JOIN couples c ON cac.couple_id = c.id
+      WHERE (cac.from_customer_id = $1 OR cac.to_customer_id = $1) AND cac.tax_year = $2 AND c.is_active = true
+    `;
+
+    const result = await query(queryText, [customerId, taxYear]);
+    return result.rows;
+  }
+
+  // Both partners' customer IDs
+  getCustomerIds() {
+    return [this.customerId, this.partnerCustomerId];
+  }
+
+  // The other partner's customer ID
+  getPartnerOf(customerId) {
+    return customerId === this.customerId ? this.partnerCustomerId : this.customerId;
+  }
+
+  // Partners' dates of birth, keyed by customer ID
+  async getDatesOfBirth() {
+    const result = await query(
+      'SELECT id, date_of_birth FROM customers WHERE id = ANY($1::uuid[])',
+      [this.getCustomerIds()]
+    );
+    return Object.fromEntries(result.rows.map(row => [row.id, row.date_of_birth]));
+  }
+
+  // Get the couple's allowance claims, optionally for one tax year
+  async getClaims(taxYear = null) {
+    let queryText = 'SELECT * FROM couple_allowance_claims WHERE couple_id = $1';
+    const values = [this.id];
+
+    if (taxYear) {
+      queryText += ' AND tax_year = $2';
+      values.push(taxYear);
+    }
+
+    queryText += ' ORDER BY tax_year DESC, created_at ASC';
+
+    const result = await query(queryText, values);
+    return result.rows;
+  }
+
+  // Record or replace a claim for a tax year
+  async saveClaim(claimData) {
+    const {
+      taxYear,
+      claimType,
+      fromCustomerId,
+      toCustomerId,
+      mcaTransfer = 'none',
+      createdBy
+    } = claimData;
+
+    const queryText = `
+      INSERT INTO couple_allowance_claims (couple_id, tax_year, claim_type, from_customer_id, to_customer_id, mca_transfer, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (couple_id, tax_year, claim_type)
+      DO UPDATE SET from_customer_id = EXCLUDED.from_customer_id,
+                    to_customer_id = EXCLUDED.to_customer_id,
+                    mca_transfer = EXCLUDED.mca_transfer,
+                    created_by = EXCLUDED.created_by
+      RETURNING *
+    `;
+
+    const values = [this.id, taxYear, claimType, fromCustomerId, toCustomerId, mcaTransfer, createdBy];
+    const result = await query(queryText, values);
+    return result.rows[0];
+  }
+
+  // Withdraw a claim, returning the deleted row
+  async withdrawClaim(claimId) {
+    const result = await query(
+      'DELETE FROM couple_allowance_claims WHERE id = $1 AND couple_id = $2 RETURNING *',
+      [claimId, this.id]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Unlink the couple (claims are kept for the record but no longer apply)
+  async end() {
+    const queryText = `
+      UPDATE couples
+      SET is_active = false, ended_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await query(queryText, [this.id]);
+    return new Couple(result.rows[0]);
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      customerId: this.customerId,
+      partnerCustomerId: this.partnerCustomerId,
+      relationship: this.relationship,
+      marriageDate: this.marriageDate,
+      isActive: this.isActive,
+      endedAt: this.endedAt,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = Couple;
@@ -0,0 +1,126 @@
+const { query } = require('../config/database');
+const { currentReturnIds } = require('../services/returnLifecycle');
+
+class Disposal {
+  constructor(disposalData) {
+    this.id = disposalData.id;
+    this.taxReturnId = disposalData.tax_return_id;
+    this.assetType = disposalData.asset_type;
+    this.assetName = disposalData.asset_name;
+    this.assetIdentifier = disposalData.asset_identifier;
+    this.quantity = disposalData.quantity;
+    this.acquisitionDate = disposalData.acquisition_date;
+    this.disposalDate = disposalData.disposal_date;
+    this.proceeds = disposalData.proceeds;
+    this.acquisitionCost = disposalData.acquisition_cost;
+    this.disposalCosts = disposalData.disposal_costs;
+    this.createdAt = disposalData.created_at;
+    this.updatedAt = disposalData.updated_at;
+  }
+
+  // Record a disposal on a tax return
+  static async create(disposalData) {
+    const {
+      taxReturnId,
+      assetType,
+      assetName,
+      assetIdentifier = null,
+      quantity = null,
+      acquisitionDate = null,
+      disposalDate,
+      proceeds,
+      acquisitionCost = null,
+      disposalCosts = 0
+    } = disposalData;
+
+    const queryText = `
+      INSERT INTO disposals (tax_return_id, asset_type, asset_name, asset_identifier, quantity, acquisition_date,
+                             disposal_date, proceeds, acquisition_cost, disposal_costs)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `;
+
+    const values = [
+      taxReturnId,
+      assetType,
+      assetName,
+      assetIdentifier,
+      quantity,
+      acquisitionDate,
+      disposalDate,
+      proceeds,
+      acquisitionCost,
+      disposalCosts
+    ];
+    const result = await query(queryText, values);
+    return new Disposal(result.rows[0]);
+  }
+
+  // Find disposal by ID
+  static async findById(id) {
+    const result = await query('SELECT * FROM disposals WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new Disposal(result.rows[0]);
+  }
+
+  // Find disposals reported on a tax return
+  static async findByTaxReturnId(taxReturnId) {
+    const queryText = `
+      SELECT * FROM disposals
+      WHERE tax_return_id = $1
+      ORDER BY disposal_date ASC, created_at ASC
+    `;
+
+    const result = await query(queryText, [taxReturnId]);
+    return result.rows.map(row => new Disposal(row));
+  }
+
+  // Every disposal across a customer's returns (rows are used by the calculation engine, which needs earlier
+  // years' disposals to work out section 104 pools). Each year's come from one return: cancelled returns are
+  // left out, and an amendment's copies replace the disposals on the return it amends.
+  static async findByCustomerId(customerId) {
+    const returns = await query('SELECT id, status, amends_return_id FROM tax_returns WHERE customer_id = $1', [customerId]);
+    const counted = currentReturnIds(returns.rows);
+
+    const queryText = `
+      SELECT d.* FROM disposals d
+      JOIN tax_returns tr ON d.tax_return_id = tr.id
+      WHERE tr.customer_id = $1 AND tr.status <> 'cancelled'
+      ORDER BY d.disposal_date ASC, d.created_at ASC
+    `;
+
+    const result = await query(queryText, [customerId]);
+    return result.rows.filter(row => counted.has(row.tax_return_id));
+  }
+
+  // Delete disposal
+  async delete() {
+    await query('DELETE FROM disposals WHERE id = $1', [this.id]);
+    return true;
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      taxReturnId: this.taxReturnId,
+      assetType: this.assetType,
+      assetName: this.assetName,
+      assetIdentifier: this.assetIdentifier,
+      quantity: this.quantity,
+      acquisitionDate: this.acquisitionDate,
+      disposalDate: this.disposalDate,
+      proceeds: this.proceeds,
+      acquisitionCost: this.acquisitionCost,
+      disposalCosts: this.disposalCosts,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = Disposal;
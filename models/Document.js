@@ -0,0 +1,87 @@
+const { query } = require('../config/database');
+
+class Document {
+  constructor(documentData) {
+    this.id = documentData.id;
+    this.taxReturnId = documentData.tax_return_id;
+    this.uploadedBy = documentData.uploaded_by;
+    this.documentType = documentData.document_type;
+    this.originalName = documentData.original_name;
+    this.filePath = documentData.file_path;
+    this.fileSize = documentData.file_size;
+    this.mimeType = documentData.mime_type;
+    this.isProcessed = documentData.is_processed;
+    this.calculationVersion = documentData.calculation_version;
+    this.createdAt = documentData.created_at;
+  }
+
+  // Record a stored file against a tax return
+  static async create(documentData) {
+    const {
+      taxReturnId,
+      uploadedBy,
+      documentType,
+      originalName,
+      filePath,
+      fileSize = null,
+      mimeType = null,
+      isProcessed = false,
+      calculationVersion = null
+    } = documentData;
+
+    const queryText = `
+      INSERT INTO documents (
+        tax_return_id, uploaded_by, document_type, original_name, file_path, file_size, mime_type, is_processed,
+        calculation_version
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `;
+
+    const values = [
+      taxReturnId, uploadedBy, documentType, originalName, filePath, fileSize, mimeType, isProcessed, calculationVersion
+    ];
+    const result = await query(queryText, values);
+    return new Document(result.rows[0]);
+  }
+
+  // Find document by ID
+  static async findById(id) {
+    const result = await query('SELECT * FROM documents WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new Document(result.rows[0]);
+  }
+
+  // Find the tax calculation document generated for a version of the return's calculation
+  static async findCalculation(taxReturnId, calculationVersion) {
+    const result = await query(
+      `SELECT * FROM documents
+       WHERE tax_return_id = $1 AND document_type = 'tax_calculation' AND calculation_version = $2
+       ORDER BY created_at DESC LIMIT 1`,
+      [taxReturnId, calculationVersion]
+    );
+    return result.rows[0] ? new Document(result.rows[0]) : null;
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      taxReturnId: this.taxReturnId,
+      uploadedBy: this.uploadedBy,
+      documentType: this.documentType,
+      originalName: this.originalName,
+      fileSize: this.fileSize,
+      mimeType: this.mimeType,
+      isProcessed: this.isProcessed,
+      calculationVersion: this.calculationVersion,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = Document;
@@ -0,0 +1,229 @@
+const { query, transaction } = require('../config/database');
+const BankTransaction = require('./BankTransaction');
+
+// Columns that, when changed, send an expense back to the accountant for review
+const REVIEWED_FIELDS = ['category', 'description', 'amount', 'expense_date', 'vehicle_registration'];
+
+class Expense {
+  constructor(expenseData) {
+    this.id = expenseData.id;
+    this.taxReturnId = expenseData.tax_return_id;
+    this.category = expenseData.category;
+    this.description = expenseData.description;
+    this.amount = expenseData.amount;
+    this.expenseDate = expenseData.expense_date;
+    this.receiptUrl = expenseData.receipt_url;
+    this.isApproved = expenseData.is_approved;
+    this.expenseMethod = expenseData.expense_method;
+    this.vehicleRegistration = expenseData.vehicle_registration;
+    this.calculation = expenseData.calculation;
+    this.receiptDocumentId = expenseData.receipt_document_id;
+    this.submittedBy = expenseData.submitted_by;
+    this.reviewedBy = expenseData.reviewed_by;
+    this.reviewedAt = expenseData.reviewed_at;
+    this.rejectionReason = expenseData.rejection_reason;
+    this.createdAt = expenseData.created_at;
+    this.updatedAt = expenseData.updated_at;
+  }
+
+  // Where the expense is in review: waiting for the accountant, approved, or rejected with a reason
+  get status() {
+    if (this.isApproved) {
+      return 'approved';
+    }
+    return this.reviewedAt ? 'rejected' : 'pending';
+  }
+
+  // Add an expense to a tax return
+  static async create(expenseData) {
+    const {
+      taxReturnId,
+      category,
+      description,
+      amount,
+      expenseDate,
+      receiptUrl = null,
+      isApproved = false,
+      expenseMethod = 'actual',
+      vehicleRegistration = null,
+      calculation = null,
+      receiptDocumentId = null,
+      submittedBy = null
+    } = expenseData;
+
+    const queryText = `
+      INSERT INTO expenses (tax_return_id, category, description, amount, expense_date, receipt_url, is_approved,
+                            expense_method, vehicle_registration, calculation, receipt_document_id, submitted_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING *
+    `;
+
+    const values = [
+      taxReturnId,
+      category,
+      description,
+      amount,
+      expenseDate,
+      receiptUrl,
+      isApproved,
+      expenseMethod,
+      vehicleRegistration ? vehicleRegistration.toUpperCase() : null,
+      calculation ? JSON.stringify(calculation) : null,
+      receiptDocumentId,
+      submittedBy
+    ];
+    const result = await query(queryText, values);
+    return new Expense(result.rows[0]);
+  }
+
+  // Find expense by ID
+  static async findById(id) {
+    const result = await query('SELECT * FROM expenses WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new Expense(result.rows[0]);
+  }
+
+  // Expenses on a return, newest first, optionally only those with one review status
+  static async findByTaxReturnId(taxReturnId, filters = {}) {
+    let queryText = 'SELECT * FROM expenses WHERE tax_return_id = $1';
+
+    if (filters.status === 'approved') {
+      queryText += ' AND is_approved = true';
+    } else if (filters.status === 'rejected') {
+      queryText += ' AND is_approved = false AND reviewed_at IS NOT NULL';
+    } else if (filters.status === 'pending') {
+      queryText += ' AND is_approved = false AND reviewed_at IS NULL';
+    }
+
+    queryText += ' ORDER BY expense_date DESC, created_at DESC';
+
+    const result = await query(queryText, [taxReturnId]);
+    return result.rows.map(row => new Expense(row));
+  }
+
+  // Vehicle expenses on a return for one vehicle, optionally only those claimed by one method
+  static async findForVehicle(taxReturnId, registration, expenseMethod = null) {
+    let queryText = 'SELECT * FROM expenses WHERE tax_return_id = $1 AND UPPER(vehicle_registration) = UPPER($2)';
+    const values = [taxReturnId, registration];
+
+    if (expenseMethod) {
+      queryText += ' AND expense_method = $3';
+      values.push(expenseMethod);
+    }
+
+    queryText += ' ORDER BY created_at ASC';
+
+    const result = await query(queryText, values);
+    return result.rows.map(row => new Expense(row));
+  }
+
+  // Simplified mileage claimed for a vehicle on any of the customer's returns, with each return's tax year
+  static async findSimplifiedVehicleClaims(customerId, registration) {
+    const queryText = `
+      SELECT e.*, tr.tax_year FROM expenses e
+      JOIN tax_returns tr ON e.tax_return_id = tr.id
+      WHERE tr.customer_id = $1 AND UPPER(e.vehicle_registration) = UPPER($2) AND e.expense_method = 'simplified'
+      ORDER BY tr.tax_year ASC
+    `;
+
+    const result = await query(queryText, [customerId, registration]);
+    return result.rows;
+  }
+
+  // Expenses on a return in one category
+  static async findByCategory(taxReturnId, category) {
+    const result = await query(
+      'SELECT * FROM expenses WHERE tax_return_id = $1 AND category = $2 ORDER BY created_at ASC',
+      [taxReturnId, category]
+    );
+    return result.rows.map(row => new Expense(row));
+  }
+
+  // Update expense details; changing what is claimed sends an approved or rejected expense back for review
+  async update(updateData) {
+    const allowedFields = [...REVIEWED_FIELDS, 'receipt_url', 'receipt_document_id'];
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    for (const [key, value] of Object.entries(updateData)) {
+      if (allowedFields.includes(key)) {
+        updates.push(`${key} = $${paramCount}`);
+        values.push(key === 'vehicle_registration' && value ? value.toUpperCase() : value);
+        paramCount++;
+      }
+    }
+
+    if (updates.length === 0) {
+      return this;
+    }
+
+    if (Object.keys(updateData).some(key => REVIEWED_FIELDS.includes(key))) {
+      updates.push('is_approved = false', 'reviewed_by = NULL', 'reviewed_at = NULL', 'rejection_reason = NULL');
+    }
+
+    values.push(this.id);
+    const queryText = `
+      UPDATE expenses
+      SET ${updates.join(', ')}
+      WHERE id = $${paramCount}
+      RETURNING *
+    `;
+
+    const result = await query(queryText, values);
+    return new Expense(result.rows[0]);
+  }
+
+  // Record the accountant's decision: approved expenses are used in the calculation, rejected ones are not
+  async review(approved, reviewedBy, rejectionReason = null) {
+    const queryText = `
+      UPDATE expenses
+      SET is_approved = $1, reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP, rejection_reason = $3
+      WHERE id = $4
+      RETURNING *
+    `;
+
+    const result = await query(queryText, [approved, reviewedBy, approved ? null : rejectionReason, this.id]);
+    return new Expense(result.rows[0]);
+  }
+
+  // Delete expense; a bank transaction it was accepted from goes back for review
+  async delete() {
+    return await transaction(async (client) => {
+      await BankTransaction.reopen(client, 'expense_id', this.id);
+      await client.query('DELETE FROM expenses WHERE id = $1', [this.id]);
+      return true;
+    });
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      taxReturnId: this.taxReturnId,
+      category: this.category,
+      description: this.description,
+      amount: this.amount,
+      expenseDate: this.expenseDate,
+      receiptUrl: this.receiptUrl,
+      isApproved: this.isApproved,
+      expenseMethod: this.expenseMethod,
+      vehicleRegistration: this.vehicleRegistration,
+      calculation: this.calculation,
+      receiptDocumentId: this.receiptDocumentId,
+      status: this.status,
+      submittedBy: this.submittedBy,
+      reviewedBy: this.reviewedBy,
+      reviewedAt: this.reviewedAt,
+      rejectionReason: this.rejectionReason,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = Expense;
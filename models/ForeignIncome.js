@@ -0,0 +1,145 @@
+const { query } = require('../config/database');
+
+class ForeignIncome {
+  constructor(foreignIncomeData) {
+    this.id = foreignIncomeData.id;
+    this.taxReturnId = foreignIncomeData.tax_return_id;
+    this.country = foreignIncomeData.country;
+    this.incomeType = foreignIncomeData.income_type;
+    this.description = foreignIncomeData.description;
+    this.currency = foreignIncomeData.currency;
+    this.exchangeRate = foreignIncomeData.exchange_rate;
+    this.amount = foreignIncomeData.amount;
+    this.foreignTaxPaid = foreignIncomeData.foreign_tax_paid;
+    this.amountRemitted = foreignIncomeData.amount_remitted;
+    this.overseasPart = foreignIncomeData.overseas_part;
+    this.createdAt = foreignIncomeData.created_at;
+    this.updatedAt = foreignIncomeData.updated_at;
+  }
+
+  // Add a foreign income source to a tax return
+  static async create(foreignIncomeData) {
+    const {
+      taxReturnId,
+      country,
+      incomeType,
+      description = null,
+      currency = 'GBP',
+      exchangeRate = 1,
+      amount,
+      foreignTaxPaid = 0,
+      amountRemitted = 0,
+      overseasPart = false
+    } = foreignIncomeData;
+
+    const queryText = `
+      INSERT INTO foreign_income (tax_return_id, country, income_type, description, currency, exchange_rate, amount,
+                                  foreign_tax_paid, amount_remitted, overseas_part)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `;
+
+    const values = [
+      taxReturnId,
+      country.toUpperCase(),
+      incomeType,
+      description,
+      currency.toUpperCase(),
+      exchangeRate,
+      amount,
+      foreignTaxPaid,
+      amountRemitted,
+      overseasPart
+    ];
+    const result = await query(queryText, values);
+    return new ForeignIncome(result.rows[0]);
+  }
+
+  // Find foreign income source by ID
+  static async findById(id) {
+    const result = await query('SELECT * FROM foreign_income WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new ForeignIncome(result.rows[0]);
+  }
+
+  // Foreign income sources on a return (engine input rows)
+  static async findByTaxReturnId(taxReturnId) {
+    const result = await query(
+      'SELECT * FROM foreign_income WHERE tax_return_id = $1 ORDER BY created_at ASC',
+      [taxReturnId]
+    );
+    return result.rows;
+  }
+
+  // Update foreign income source
+  async update(updateData) {
+    const allowedFields = [
+      'country',
+      'income_type',
+      'description',
+      'currency',
+      'exchange_rate',
+      'amount',
+      'foreign_tax_paid',
+      'amount_remitted',
+      'overseas_part'
+    ];
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    for (const [key, value] of Object.entries(updateData)) {
+      if (allowedFields.includes(key)) {
+        updates.push(`${key} = $${paramCount}`);
+        values.push(value);
+        paramCount++;
+      }
+    }
+
+    if (updates.length === 0) {
+      return this;
+    }
+
+    values.push(this.id);
+    const queryText = `
+      UPDATE foreign_income
+      SET ${updates.join(', ')}
+      WHERE id = $${paramCount}
+      RETURNING *
+    `;
+
+    const result = await query(queryText, values);
+    return new ForeignIncome(result.rows[0]);
+  }
+
+  // Delete foreign income source
+  async delete() {
+    await query('DELETE FROM foreign_income WHERE id = $1', [this.id]);
+    return true;
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      taxReturnId: this.taxReturnId,
+      country: this.country,
+      incomeType: this.incomeType,
+      description: this.description,
+      currency: this.currency,
+      exchangeRate: this.exchangeRate,
+      amount: this.amount,
+      foreignTaxPaid: this.foreignTaxPaid,
+      amountRemitted: this.amountRemitted,
+      overseasPart: this.overseasPart,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = ForeignIncome;
@@ -0,0 +1,170 @@
+const { query, transaction } = require('../config/database');
+const BankTransaction = require('./BankTransaction');
+
+// Whether a source brought in from last year's return is still waiting to be confirmed
+const SELECT_WITH_CONFIRMATION = `
+  SELECT s.*, (c.id IS NOT NULL AND c.confirmed_at IS NULL) AS needs_confirmation
+  FROM income_sources s
+  LEFT JOIN carry_over_items c ON c.item_type = 'income_source' AND c.item_id = s.id
+`;
+
+class IncomeSource {
+  constructor(sourceData) {
+    this.id = sourceData.id;
+    this.taxReturnId = sourceData.tax_return_id;
+    this.sourceType = sourceData.source_type;
+    this.employerName = sourceData.employer_name;
+    this.employerPayeReference = sourceData.employer_paye_reference;
+    this.propertyId = sourceData.property_id;
+    this.grossIncome = sourceData.gross_income;
+    this.taxDeducted = sourceData.tax_deducted;
+    this.niContributions = sourceData.ni_contributions;
+    this.studentLoanDeducted = sourceData.student_loan_deducted;
+    this.postgraduateLoanDeducted = sourceData.postgraduate_loan_deducted;
+    this.startDate = sourceData.start_date;
+    this.endDate = sourceData.end_date;
+    this.needsConfirmation = Boolean(sourceData.needs_confirmation);
+    this.createdAt = sourceData.created_at;
+    this.updatedAt = sourceData.updated_at;
+  }
+
+  // Add an income source to a tax return
+  static async create(sourceData) {
+    const {
+      taxReturnId,
+      sourceType,
+      employerName = null,
+      employerPayeReference = null,
+      propertyId = null,
+      grossIncome,
+      taxDeducted = 0,
+      niContributions = 0,
+      studentLoanDeducted = 0,
+      postgraduateLoanDeducted = 0,
+      startDate = null,
+      endDate = null
+    } = sourceData;
+
+    const queryText = `
+      INSERT INTO income_sources (
+        tax_return_id, source_type, employer_name, employer_paye_reference, property_id, gross_income, tax_deducted,
+        ni_contributions, student_loan_deducted, postgraduate_loan_deducted, start_date, end_date
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING *
+    `;
+
+    const values = [
+      taxReturnId, sourceType, employerName, employerPayeReference, propertyId, grossIncome, taxDeducted,
+      niContributions, studentLoanDeducted, postgraduateLoanDeducted, startDate, endDate
+    ];
+    const result = await query(queryText, values);
+    return new IncomeSource(result.rows[0]);
+  }
+
+  // Find income source by ID
+  static async findById(id) {
+    const result = await query(`${SELECT_WITH_CONFIRMATION} WHERE s.id = $1`, [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new IncomeSource(result.rows[0]);
+  }
+
+  // Income sources on a tax return, oldest first
+  static async findByTaxReturnId(taxReturnId) {
+    const result = await query(
+      `${SELECT_WITH_CONFIRMATION} WHERE s.tax_return_id = $1 ORDER BY s.created_at ASC`,
+      [taxReturnId]
+    );
+    return result.rows.map(row => new IncomeSource(row));
+  }
+
+  // Update income source details; changing a source carried over from last year confirms it
+  async update(updateData, confirmedBy = null) {
+    const allowedFields = [
+      'source_type',
+      'employer_name',
+      'employer_paye_reference',
+      'property_id',
+      'gross_income',
+      'tax_deducted',
+      'ni_contributions',
+      'student_loan_deducted',
+      'postgraduate_loan_deducted',
+      'start_date',
+      'end_date'
+    ];
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    for (const [key, value] of Object.entries(updateData)) {
+      if (allowedFields.includes(key)) {
+        updates.push(`${key} = $${paramCount}`);
+        values.push(value);
+        paramCount++;
+      }
+    }
+
+    if (updates.length === 0) {
+      return this;
+    }
+
+    values.push(this.id);
+
+    return await transaction(async (client) => {
+      await client.query(`
+        UPDATE income_sources
+        SET ${updates.join(', ')}
+        WHERE id = $${paramCount}
+      `, values);
+
+      await client.query(
+        `UPDATE carry_over_items SET confirmed_at = CURRENT_TIMESTAMP, confirmed_by = $1
+         WHERE item_type = 'income_source' AND item_id = $2 AND confirmed_at IS NULL`,
+        [confirmedBy, this.id]
+      );
+
+      const result = await client.query(`${SELECT_WITH_CONFIRMATION} WHERE s.id = $1`, [this.id]);
+      return new IncomeSource(result.rows[0]);
+    });
+  }
+
+  // Delete income source, with its carry-over flag if it was brought in from last year; bank transactions
+  // accepted into it go back for review
+  async delete() {
+    return await transaction(async (client) => {
+      await BankTransaction.reopen(client, 'income_source_id', this.id);
+      await client.query('DELETE FROM carry_over_items WHERE item_type = $1 AND item_id = $2', ['income_source', this.id]);
+      await client.query('DELETE FROM income_sources WHERE id = $1', [this.id]);
+      return true;
+    });
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      taxReturnId: this.taxReturnId,
+      sourceType: this.sourceType,
+      employerName: this.employerName,
+      employerPayeReference: this.employerPayeReference,
+      propertyId: this.propertyId,
+      grossIncome: this.grossIncome,
+      taxDeducted: this.taxDeducted,
+      niContributions: this.niContributions,
+      studentLoanDeducted: this.studentLoanDeducted,
+      postgraduateLoanDeducted: this.postgraduateLoanDeducted,
+      startDate: this.startDate,
+      endDate: this.endDate,
+      needsConfirmation: this.needsConfirmation,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = IncomeSource;
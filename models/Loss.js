@@ -0,0 +1,280 @@
+const { query, transaction } = require('../config/database');
+const { LOSS_TYPES } = require('../services/losses');
+const { roundMoney } = require('../services/money');
+
+// Each loss with what is still available to use at the start of `$2`. Sideways and carry-back claims
+// always count; carry-forward uses only count when made in an earlier year, so a year can be recalculated.
+const AVAILABLE_AT_YEAR_QUERY = `
+  SELECT l.*, l.amount - COALESCE(SUM(u.amount) FILTER (
+    WHERE u.relief_type <> 'carry_forward' OR u.used_tax_year < $2
+  ), 0) AS available
+  FROM losses l
+  LEFT JOIN loss_uses u ON u.loss_id = l.id
+  WHERE l.customer_id = $1 AND l.tax_year < $2
+  GROUP BY l.id
+  ORDER BY l.tax_year ASC, l.created_at ASC
+`;
+
+class Loss {
+  constructor(lossData) {
+    this.id = lossData.id;
+    this.customerId = lossData.customer_id;
+    this.lossType = lossData.loss_type;
+    this.taxYear = lossData.tax_year;
+    this.amount = lossData.amount;
+    this.source = lossData.source;
+    this.taxReturnId = lossData.tax_return_id;
+    this.notes = lossData.notes;
+    this.createdBy = lossData.created_by;
+    this.createdAt = lossData.created_at;
+    this.updatedAt = lossData.updated_at;
+    this.used = lossData.used;
+    this.remaining = lossData.remaining;
+    this.uses = lossData.uses;
+  }
+
+  // Record a loss, e.g. one brought forward from before the customer joined
+  static async create(lossData) {
+    const {
+      customerId,
+      lossType,
+      taxYear,
+      amount,
+      source = 'manual',
+      taxReturnId = null,
+      notes = null,
+      createdBy = null
+    } = lossData;
+
+    const queryText = `
+      INSERT INTO losses (customer_id, loss_type, tax_year, amount, source, tax_return_id, notes, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `;
+
+    const values = [customerId, lossType, taxYear, amount, source, taxReturnId, notes, createdBy];
+    const result = await query(queryText, values);
+    return new Loss(result.rows[0]);
+  }
+
+  // Find loss by ID, with the amount used and remaining
+  static async findById(id) {
+    const queryText = `
+      SELECT l.*, COALESCE(SUM(u.amount), 0) AS used, l.amount - COALESCE(SUM(u.amount), 0) AS remaining
+      FROM losses l
+      LEFT JOIN loss_uses u ON u.loss_id = l.id
+      WHERE l.id = $1
+      GROUP BY l.id
+    `;
+
+    const result = await query(queryText, [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new Loss(result.rows[0]);
+  }
+
+  // The customer's loss ledger: every loss with each use made of it
+  static async findByCustomerId(customerId) {
+    const queryText = `
+      SELECT l.*,
+             COALESCE(SUM(u.amount), 0) AS used,
+             l.amount - COALESCE(SUM(u.amount), 0) AS remaining,
+             COALESCE(json_agg(u.* ORDER BY u.used_tax_year, u.created_at) FILTER (WHERE u.id IS NOT NULL), '[]') AS uses
+      FROM losses l
+      LEFT JOIN loss_uses u ON u.loss_id = l.id
+      WHERE l.customer_id = $1
+      GROUP BY l.id
+      ORDER BY l.tax_year ASC, l.loss_type ASC, l.created_at ASC
+    `;
+
+    const result = await query(queryText, [customerId]);
+    return result.rows.map(row => new Loss(row));
+  }
+
+  // Losses from earlier years available to bring forward into `taxYear`, totalled by loss type
+  static async getBroughtForward(customerId, taxYear) {
+    const result = await query(AVAILABLE_AT_YEAR_QUERY, [customerId, taxYear]);
+    const totals = Object.fromEntries(LOSS_TYPES.map(type => [type, 0]));
+
+    for (const row of result.rows) {
+      totals[row.loss_type] += Math.max(0, parseFloat(row.available));
+    }
+
+    return totals;
+  }
+
+  // Losses from earlier years with something left to bring forward into `taxYear` (rows with `available`)
+  static async findAvailable(customerId, taxYear) {
+    const result = await query(AVAILABLE_AT_YEAR_QUERY, [customerId, taxYear]);
+    return result.rows.filter(row => parseFloat(row.available) > 0);
+  }
+
+  // Sideways and carry-back claims relieved in `taxYear`, in the order they were made (engine input rows)
+  static async findReliefClaimsInto(customerId, taxYear) {
+    const queryText = `
+      SELECT u.*, l.loss_type, l.tax_year AS loss_tax_year
+      FROM loss_uses u
+      JOIN losses l ON u.loss_id = l.id
+      WHERE l.customer_id = $1 AND u.used_tax_year = $2 AND u.relief_type IN ('sideways', 'carry_back')
+      ORDER BY u.created_at ASC
+    `;
+
+    const result = await query(queryText, [customerId, taxYear]);
+    return result.rows;
+  }
+
+  // Total of `taxYear`'s own trading loss already claimed sideways or carried back
+  static async getClaimedFromYear(customerId, taxYear) {
+    const queryText = `
+      SELECT COALESCE(SUM(u.amount), 0) AS claimed
+      FROM loss_uses u
+      JOIN losses l ON u.loss_id = l.id
+      WHERE l.customer_id = $1 AND l.tax_year = $2 AND l.loss_type = 'trading'
+        AND u.relief_type IN ('sideways', 'carry_back')
+    `;
+
+    const result = await query(queryText, [customerId, taxYear]);
+    return parseFloat(result.rows[0].claimed);
+  }
+
+  // Write a calculated return's losses into the ledger: the losses arising in its year, and the
+  // brought-forward losses it used (oldest first). Recalculating replaces what the return wrote before,
+  // and an amendment takes over what the earlier returns for its year wrote.
+  static async recordCalculatedYear(taxReturn, losses, client = null) {
+    const { id: taxReturnId, customerId, taxYear, originalReturnId } = taxReturn;
+
+    const write = async (client) => {
+      if (originalReturnId) {
+        const earlier = await client.query(
+          'SELECT id FROM tax_returns WHERE (id = $1 OR original_return_id = $1) AND id <> $2',
+          [originalReturnId, taxReturnId]
+        );
+        await Loss.transferCalculatedYear(client, earlier.rows.map(row => row.id), taxReturnId);
+      }
+
+      for (const lossType of LOSS_TYPES) {
+        const { arising } = losses[lossType];
+        const existing = await client.query(
+          'SELECT id FROM losses WHERE tax_return_id = $1 AND loss_type = $2 AND source = $3',
+          [taxReturnId, lossType, 'calculated']
+        );
+
+        // Keep an existing row even at nil so relief already claimed from it stays linked
+        if (existing.rows.length > 0) {
+          await client.query('UPDATE losses SET amount = $1, tax_year = $2 WHERE id = $3', [arising, taxYear, existing.rows[0].id]);
+        } else if (arising > 0) {
+          await client.query(
+            `INSERT INTO losses (customer_id, loss_type, tax_year, amount, source, tax_return_id)
+             VALUES ($1, $2, $3, $4, 'calculated', $5)`,
+            [customerId, lossType, taxYear, arising, taxReturnId]
+          );
+        }
+      }
+
+      await client.query(
+        'DELETE FROM loss_uses WHERE tax_return_id = $1 AND relief_type = $2',
+        [taxReturnId, 'carry_forward']
+      );
+
+      const available = await client.query(AVAILABLE_AT_YEAR_QUERY, [customerId, taxYear]);
+      for (const lossType of LOSS_TYPES) {
+        let toAllocate = losses[lossType].used;
+
+        for (const loss of available.rows.filter(row => row.loss_type === lossType)) {
+          const amount = Math.min(toAllocate, parseFloat(loss.available));
+          if (amount <= 0) {
+            continue;
+          }
+
+          await client.query(
+            `INSERT INTO loss_uses (loss_id, relief_type, used_tax_year, amount, tax_return_id)
+             VALUES ($1, 'carry_forward', $2, $3, $4)`,
+            [loss.id, taxYear, roundMoney(amount), taxReturnId]
+          );
+          toAllocate -= amount;
+        }
+      }
+    };
+
+    return client ? await write(client) : await transaction(write);
+  }
+
+  // Move the ledger rows written by calculating some returns onto another return for the same year, so a
+  // year's losses are only recorded once however many times it is amended (uses the caller's transaction)
+  static async transferCalculatedYear(client, fromReturnIds, toReturnId) {
+    await client.query(
+      'UPDATE losses SET tax_return_id = $1 WHERE tax_return_id = ANY($2) AND source = $3',
+      [toReturnId, fromReturnIds, 'calculated']
+    );
+    await client.query(
+      'UPDATE loss_uses SET tax_return_id = $1 WHERE tax_return_id = ANY($2) AND relief_type = $3',
+      [toReturnId, fromReturnIds, 'carry_forward']
+    );
+  }
+
+  // Find a use of a loss, with the loss it came from
+  static async findUseById(useId) {
+    const queryText = `
+      SELECT u.*, l.customer_id, l.loss_type, l.tax_year AS loss_tax_year
+      FROM loss_uses u
+      JOIN losses l ON u.loss_id = l.id
+      WHERE u.id = $1
+    `;
+
+    const result = await query(queryText, [useId]);
+    return result.rows[0] || null;
+  }
+
+  // Claim sideways or carry-back relief for part of this loss in another return's year
+  async claimRelief(claimData) {
+    const { reliefType, taxYear, amount, taxReturnId, createdBy } = claimData;
+
+    const queryText = `
+      INSERT INTO loss_uses (loss_id, relief_type, used_tax_year, amount, tax_return_id, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+
+    const values = [this.id, reliefType, taxYear, amount, taxReturnId, createdBy];
+    const result = await query(queryText, values);
+    return result.rows[0];
+  }
+
+  // Withdraw a sideways or carry-back claim, returning the deleted row
+  static async withdrawReliefClaim(useId) {
+    const result = await query(
+      `DELETE FROM loss_uses WHERE id = $1 AND relief_type IN ('sideways', 'carry_back') RETURNING *`,
+      [useId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Delete a manually entered loss (and any relief claimed from it)
+  async delete() {
+    await query('DELETE FROM losses WHERE id = $1', [this.id]);
+    return true;
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      customerId: this.customerId,
+      lossType: this.lossType,
+      taxYear: this.taxYear,
+      amount: this.amount,
+      source: this.source,
+      taxReturnId: this.taxReturnId,
+      notes: this.notes,
+      used: this.used,
+      remaining: this.remaining,
+      uses: this.uses,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = Loss;
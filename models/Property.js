@@ -0,0 +1,162 @@
+const { query } = require('../config/database');
+
+class Property {
+  constructor(propertyData) {
+    this.id = propertyData.id;
+    this.customerId = propertyData.customer_id;
+    this.addressLine1 = propertyData.address_line1;
+    this.addressLine2 = propertyData.address_line2;
+    this.city = propertyData.city;
+    this.postcode = propertyData.postcode;
+    this.ownershipShare = propertyData.ownership_share;
+    this.isActive = propertyData.is_active;
+    this.createdAt = propertyData.created_at;
+    this.updatedAt = propertyData.updated_at;
+  }
+
+  // Create a new rental property for a customer
+  static async create(propertyData) {
+    const {
+      customerId,
+      addressLine1,
+      addressLine2,
+      city,
+      postcode,
+      ownershipShare = 100
+    } = propertyData;
+
+    const queryText = `
+      INSERT INTO properties (customer_id, address_line1, address_line2, city, postcode, ownership_share)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+
+    const values = [customerId, addressLine1, addressLine2, city, postcode, ownershipShare];
+    const result = await query(queryText, values);
+    return new Property(result.rows[0]);
+  }
+
+  // Find property by ID
+  static async findById(id) {
+    const result = await query('SELECT * FROM properties WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new Property(result.rows[0]);
+  }
+
+  // Find a customer's properties
+  static async findByCustomerId(customerId) {
+    const queryText = `
+      SELECT * FROM properties
+      WHERE customer_id = $1 AND is_active = true
+      ORDER BY created_at ASC
+    `;
+
+    const result = await query(queryText, [customerId]);
+    return result.rows.map(row => new Property(row));
+  }
+
+  // Properties on a tax return together with that year's figures (rows are used by the calculation engine)
+  static async findByTaxReturnId(taxReturnId) {
+    const queryText = `
+      SELECT
+        p.*,
+        pi.id as property_income_id,
+        pi.property_id,
+        pi.rents_received,
+        pi.allowable_expenses,
+        pi.finance_costs
+      FROM property_income pi
+      JOIN properties p ON pi.property_id = p.id
+      WHERE pi.tax_return_id = $1
+      ORDER BY p.created_at ASC
+    `;
+
+    const result = await query(queryText, [taxReturnId]);
+    return result.rows;
+  }
+
+  // Record or replace this property's figures for a tax return
+  async setReturnFigures(taxReturnId, figures) {
+    const {
+      rentsReceived,
+      allowableExpenses = 0,
+      financeCosts = 0
+    } = figures;
+
+    const queryText = `
+      INSERT INTO property_income (tax_return_id, property_id, rents_received, allowable_expenses, finance_costs)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (tax_return_id, property_id)
+      DO UPDATE SET rents_received = EXCLUDED.rents_received,
+                    allowable_expenses = EXCLUDED.allowable_expenses,
+                    finance_costs = EXCLUDED.finance_costs
+      RETURNING *
+    `;
+
+    const values = [taxReturnId, this.id, rentsReceived, allowableExpenses, financeCosts];
+    const result = await query(queryText, values);
+    return result.rows[0];
+  }
+
+  // Remove this property's figures from a tax return (the property itself is kept)
+  async removeFromReturn(taxReturnId) {
+    const result = await query(
+      'DELETE FROM property_income WHERE tax_return_id = $1 AND property_id = $2 RETURNING id',
+      [taxReturnId, this.id]
+    );
+    return result.rows.length > 0;
+  }
+
+  // Update property details
+  async update(updateData) {
+    const allowedFields = ['address_line1', 'address_line2', 'city', 'postcode', 'ownership_share', 'is_active'];
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    for (const [key, value] of Object.entries(updateData)) {
+      if (allowedFields.includes(key)) {
+        updates.push(`${key} = $${paramCount}`);
+        values.push(value);
+        paramCount++;
+      }
+    }
+
+    if (updates.length === 0) {
+      return this;
+    }
+
+    values.push(this.id);
+    const queryText = `
+      UPDATE properties
+      SET ${updates.join(', ')}
+      WHERE id = $${paramCount}
+      RETURNING *
+    `;
+
+    const result = await query(queryText, values);
+    return new Property(result.rows[0]);
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      customerId: this.customerId,
+      addressLine1: this.addressLine1,
+      addressLine2: this.addressLine2,
+      city: this.city,
+      postcode: this.postcode,
+      ownershipShare: this.ownershipShare,
+      isActive: this.isActive,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = Property;
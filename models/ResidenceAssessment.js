@@ -0,0 +1,113 @@
+const { query } = require('../config/database');
+
+class ResidenceAssessment {
+  constructor(assessmentData) {
+    this.id = assessmentData.id;
+    this.taxReturnId = assessmentData.tax_return_id;
+    this.answers = assessmentData.answers;
+    this.isUkResident = assessmentData.is_uk_resident;
+    this.decidingTest = assessmentData.deciding_test;
+    this.reason = assessmentData.reason;
+    this.splitYear = assessmentData.split_year;
+    this.splitYearCase = assessmentData.split_year_case;
+    this.splitYearDate = assessmentData.split_year_date;
+    this.remittanceBasis = assessmentData.remittance_basis;
+    this.assessedBy = assessmentData.assessed_by;
+    this.createdAt = assessmentData.created_at;
+    this.updatedAt = assessmentData.updated_at;
+  }
+
+  // Save the questionnaire and its outcome for a return, replacing any earlier answers
+  static async save(assessmentData) {
+    const {
+      taxReturnId,
+      answers,
+      isUkResident,
+      decidingTest,
+      reason,
+      splitYear = false,
+      splitYearCase = null,
+      splitYearDate = null,
+      remittanceBasis = false,
+      assessedBy
+    } = assessmentData;
+
+    const queryText = `
+      INSERT INTO residence_assessments (tax_return_id, answers, is_uk_resident, deciding_test, reason, split_year,
+                                         split_year_case, split_year_date, remittance_basis, assessed_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (tax_return_id) DO UPDATE
+      SET answers = EXCLUDED.answers, is_uk_resident = EXCLUDED.is_uk_resident, deciding_test = EXCLUDED.deciding_test,
+          reason = EXCLUDED.reason, split_year = EXCLUDED.split_year, split_year_case = EXCLUDED.split_year_case,
+          split_year_date = EXCLUDED.split_year_date, remittance_basis = EXCLUDED.remittance_basis,
+          assessed_by = EXCLUDED.assessed_by
+      RETURNING *
+    `;
+
+    const values = [
+      taxReturnId,
+      JSON.stringify(answers),
+      isUkResident,
+      decidingTest,
+      reason,
+      splitYear,
+      splitYearCase,
+      splitYearDate,
+      remittanceBasis,
+      assessedBy
+    ];
+    const result = await query(queryText, values);
+    return new ResidenceAssessment(result.rows[0]);
+  }
+
+  // Find the assessment for a return
+  static async findByTaxReturnId(taxReturnId) {
+    const result = await query('SELECT * FROM residence_assessments WHERE tax_return_id = $1', [taxReturnId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new ResidenceAssessment(result.rows[0]);
+  }
+
+  // Residence position passed to the calculation engine
+  toCalculationOptions() {
+    return {
+      resident: this.isUkResident,
+      splitYear: this.isUkResident && this.splitYear,
+      remittanceBasis: this.isUkResident && this.remittanceBasis,
+      priorResidentYears: {
+        9: this.answers.residentYearsInPreviousNine || 0,
+        14: this.answers.residentYearsInPreviousFourteen || 0
+      }
+    };
+  }
+
+  // Remove the assessment so the return is calculated as UK resident again
+  async delete() {
+    await query('DELETE FROM residence_assessments WHERE id = $1', [this.id]);
+    return true;
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      taxReturnId: this.taxReturnId,
+      answers: this.answers,
+      isUkResident: this.isUkResident,
+      decidingTest: this.decidingTest,
+      reason: this.reason,
+      splitYear: this.splitYear,
+      splitYearCase: this.splitYearCase,
+      splitYearDate: this.splitYearDate,
+      remittanceBasis: this.remittanceBasis,
+      assessedBy: this.assessedBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = ResidenceAssessment;
@@ -0,0 +1,106 @@
+const { query, transaction } = require('../config/database');
+
+class ReturnApproval {
+  constructor(approvalData) {
+    this.id = approvalData.id;
+    this.taxReturnId = approvalData.tax_return_id;
+    this.calculationVersion = approvalData.calculation_version;
+    this.snapshot = approvalData.snapshot;
+    this.status = approvalData.status;
+    this.submittedBy = approvalData.submitted_by;
+    this.submissionNote = approvalData.submission_note;
+    this.respondedBy = approvalData.responded_by;
+    this.customerComments = approvalData.customer_comments;
+    this.respondedAt = approvalData.responded_at;
+    this.createdAt = approvalData.created_at;
+  }
+
+  // Send a calculation for approval; any request still waiting for the customer is superseded. Pass
+  // `client` to send it inside a transaction the caller has already opened.
+  static async create(approvalData, client = null) {
+    const {
+      taxReturnId,
+      calculationVersion,
+      snapshot,
+      submittedBy,
+      submissionNote = null
+    } = approvalData;
+
+    const write = async (client) => {
+      await client.query(
+        'UPDATE return_approvals SET status = \'superseded\' WHERE tax_return_id = $1 AND status = \'pending\'',
+        [taxReturnId]
+      );
+
+      const result = await client.query(
+        `INSERT INTO return_approvals (tax_return_id, calculation_version, snapshot, submitted_by, submission_note)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [taxReturnId, calculationVersion, JSON.stringify(snapshot), submittedBy, submissionNote]
+      );
+      return new ReturnApproval(result.rows[0]);
+    };
+
+    return client ? await write(client) : await transaction(write);
+  }
+
+  // Approval requests on a return, newest first
+  static async findByTaxReturnId(taxReturnId) {
+    const result = await query(
+      'SELECT * FROM return_approvals WHERE tax_return_id = $1 ORDER BY created_at DESC',
+      [taxReturnId]
+    );
+    return result.rows.map(row => new ReturnApproval(row));
+  }
+
+  // The request currently waiting for the customer, if any
+  static async findPending(taxReturnId) {
+    const result = await query(
+      'SELECT * FROM return_approvals WHERE tax_return_id = $1 AND status = \'pending\' ORDER BY created_at DESC LIMIT 1',
+      [taxReturnId]
+    );
+    return result.rows[0] ? new ReturnApproval(result.rows[0]) : null;
+  }
+
+  // Whether the customer has approved this version of the calculation
+  static async isApproved(taxReturnId, calculationVersion) {
+    const result = await query(
+      'SELECT 1 FROM return_approvals WHERE tax_return_id = $1 AND calculation_version = $2 AND status = \'approved\' LIMIT 1',
+      [taxReturnId, calculationVersion]
+    );
+    return result.rows.length > 0;
+  }
+
+  // Record the customer's approval or request for changes, on the caller's transaction if given one
+  async respond(status, respondedBy, customerComments = null, client = null) {
+    const queryText = `
+      UPDATE return_approvals
+      SET status = $1, responded_by = $2, customer_comments = $3, responded_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+      RETURNING *
+    `;
+
+    const values = [status, respondedBy, customerComments, this.id];
+    const result = client ? await client.query(queryText, values) : await query(queryText, values);
+    return new ReturnApproval(result.rows[0]);
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      taxReturnId: this.taxReturnId,
+      calculationVersion: this.calculationVersion,
+      snapshot: this.snapshot,
+      status: this.status,
+      submittedBy: this.submittedBy,
+      submissionNote: this.submissionNote,
+      respondedBy: this.respondedBy,
+      customerComments: this.customerComments,
+      respondedAt: this.respondedAt,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = ReturnApproval;
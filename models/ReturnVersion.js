@@ -0,0 +1,108 @@
+const { query } = require('../config/database');
+
+// Stored figures on tax_returns that make up a version's totals
+const TOTAL_COLUMNS = {
+  totalIncome: 'total_income',
+  totalTaxDue: 'total_tax_due',
+  totalRefund: 'total_refund',
+  class2Nic: 'class2_nic',
+  class4Nic: 'class4_nic',
+  studentLoanRepayment: 'student_loan_repayment',
+  childBenefitCharge: 'child_benefit_charge',
+  capitalGainsTax: 'capital_gains_tax'
+};
+
+class ReturnVersion {
+  constructor(versionData) {
+    this.id = versionData.id;
+    this.taxReturnId = versionData.tax_return_id;
+    this.version = versionData.version;
+    this.totals = versionData.totals;
+    this.calculation = versionData.calculation;
+    this.income = versionData.income;
+    this.expenses = versionData.expenses;
+    this.createdAt = versionData.created_at;
+  }
+
+  // Snapshot a return row's current calculation version with its income and expense records, using the
+  // caller's transaction client. A version is only ever written once.
+  static async record(client, taxReturnRow) {
+    const taxReturnId = taxReturnRow.id;
+    const incomeSources = await client.query(
+      'SELECT * FROM income_sources WHERE tax_return_id = $1 ORDER BY created_at ASC',
+      [taxReturnId]
+    );
+    const properties = await client.query(
+      'SELECT * FROM property_income WHERE tax_return_id = $1 ORDER BY created_at ASC',
+      [taxReturnId]
+    );
+    const foreignIncome = await client.query(
+      'SELECT * FROM foreign_income WHERE tax_return_id = $1 ORDER BY created_at ASC',
+      [taxReturnId]
+    );
+    const expenses = await client.query(
+      'SELECT * FROM expenses WHERE tax_return_id = $1 ORDER BY expense_date ASC, created_at ASC',
+      [taxReturnId]
+    );
+
+    const totals = Object.fromEntries(
+      Object.entries(TOTAL_COLUMNS).map(([key, column]) => [key, taxReturnRow[column]])
+    );
+    const income = {
+      incomeSources: incomeSources.rows,
+      properties: properties.rows,
+      foreignIncome: foreignIncome.rows
+    };
+
+    await client.query(
+      `INSERT INTO return_versions (tax_return_id, version, totals, calculation, income, expenses)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (tax_return_id, version) DO NOTHING`,
+      [
+        taxReturnId,
+        taxReturnRow.calculation_version,
+        JSON.stringify(totals),
+        taxReturnRow.calculation_breakdown ? JSON.stringify(taxReturnRow.calculation_breakdown) : null,
+        JSON.stringify(income),
+        JSON.stringify(expenses.rows)
+      ]
+    );
+  }
+
+  // Versions of a return, oldest first, without the records they were calculated from
+  static async findByTaxReturnId(taxReturnId) {
+    const result = await query(
+      `SELECT id, tax_return_id, version, totals, created_at
+       FROM return_versions
+       WHERE tax_return_id = $1
+       ORDER BY version ASC`,
+      [taxReturnId]
+    );
+    return result.rows.map(row => new ReturnVersion(row));
+  }
+
+  // One version in full; `version` omitted gives the latest
+  static async find(taxReturnId, version = null) {
+    const result = version === null
+      ? await query('SELECT * FROM return_versions WHERE tax_return_id = $1 ORDER BY version DESC LIMIT 1', [taxReturnId])
+      : await query('SELECT * FROM return_versions WHERE tax_return_id = $1 AND version = $2', [taxReturnId, version]);
+
+    return result.rows[0] ? new ReturnVersion(result.rows[0]) : null;
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      taxReturnId: this.taxReturnId,
+      version: this.version,
+      totals: this.totals,
+      calculation: this.calculation,
+      income: this.income,
+      expenses: this.expenses,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = ReturnVersion;
@@ -1,5 +1,49 @@
 const { query, transaction } = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
+const TaxYear = require('./TaxYear');
+const Property = require('./Property');
+const Disposal = require('./Disposal');
+const AssetAcquisition = require('./AssetAcquisition');
+const Couple = require('./Couple');
+const Loss = require('./Loss');
+const CapitalAsset = require('./CapitalAsset');
+const ForeignIncome = require('./ForeignIncome');
+const ResidenceAssessment = require('./ResidenceAssessment');
+const ReturnApproval = require('./ReturnApproval');
+const ReturnVersion = require('./ReturnVersion');
+const CarryOverItem = require('./CarryOverItem');
+const BankTransaction = require('./BankTransaction');
+const { filingDeadlines, getStartYear, getNextTaxYear, getPreviousTaxYear } = require('../config/taxYears');
+const { calculateTaxReturn } = require('../services/taxCalculator');
+const { resolveTaxRegime } = require('../services/taxRegime');
+const { calculatePaymentsOnAccount } = require('../services/paymentsOnAccount');
+const { checkTransition } = require('../services/returnLifecycle');
+
+// Records copied onto an amendment from the return it corrects, with the columns copied from each
+const AMENDMENT_COPIED_RECORDS = {
+  income_sources: [
+    'source_type', 'employer_name', 'employer_paye_reference', 'property_id', 'gross_income', 'tax_deducted',
+    'ni_contributions', 'student_loan_deducted', 'postgraduate_loan_deducted', 'start_date', 'end_date'
+  ],
+  expenses: [
+    'category', 'description', 'amount', 'expense_date', 'receipt_url', 'is_approved',
+    'expense_method', 'vehicle_registration', 'calculation', 'receipt_document_id', 'submitted_by', 'reviewed_by',
+    'reviewed_at', 'rejection_reason'
+  ],
+  property_income: ['property_id', 'rents_received', 'allowable_expenses', 'finance_costs'],
+  disposals: [
+    'asset_type', 'asset_name', 'asset_identifier', 'quantity', 'acquisition_date', 'disposal_date',
+    'proceeds', 'acquisition_cost', 'disposal_costs'
+  ],
+  foreign_income: [
+    'country', 'income_type', 'description', 'currency', 'exchange_rate', 'amount',
+    'foreign_tax_paid', 'amount_remitted', 'overseas_part'
+  ],
+  residence_assessments: [
+    'answers', 'is_uk_resident', 'deciding_test', 'reason', 'split_year', 'split_year_case',
+    'split_year_date', 'remittance_basis', 'assessed_by'
+  ]
+};
 
 class TaxReturn {
   constructor(taxReturnData) {
@@ -12,9 +56,32 @@ class TaxReturn {
     this.totalIncome = taxReturnData.total_income;
     this.totalTaxDue = taxReturnData.total_tax_due;
     this.totalRefund = taxReturnData.total_refund;
+    this.class2Nic = taxReturnData.class2_nic;
+    this.class4Nic = taxReturnData.class4_nic;
+    this.class2Voluntary = taxReturnData.class2_voluntary;
+    this.taxRegime = taxReturnData.tax_regime;
+    this.studentLoanPlans = taxReturnData.student_loan_plans;
+    this.studentLoanRepayment = taxReturnData.student_loan_repayment;
+    this.childBenefitReceived = taxReturnData.child_benefit_received;
+    this.childBenefitChildren = taxReturnData.child_benefit_children;
+    this.childBenefitCharge = taxReturnData.child_benefit_charge;
+    this.capitalGainsTax = taxReturnData.capital_gains_tax;
+    this.pensionContributions = taxReturnData.pension_contributions;
+    this.giftAidDonations = taxReturnData.gift_aid_donations;
+    this.paymentsOnAccountMade = taxReturnData.payments_on_account_made;
+    this.poaReducedTo = taxReturnData.poa_reduced_to;
+    this.poaReductionReason = taxReturnData.poa_reduction_reason;
+    this.tradingAllowanceElection = taxReturnData.trading_allowance_election;
+    this.tradingAllowanceMethod = taxReturnData.trading_allowance_method;
+    this.propertyAllowanceElection = taxReturnData.property_allowance_election;
+    this.calculationBreakdown = taxReturnData.calculation_breakdown;
+    this.calculatedAt = taxReturnData.calculated_at;
+    this.calculationVersion = taxReturnData.calculation_version;
     this.submissionDeadline = taxReturnData.submission_deadline;
     this.filedDate = taxReturnData.filed_date;
     this.hmrcReference = taxReturnData.hmrc_reference;
+    this.amendsReturnId = taxReturnData.amends_return_id;
+    this.originalReturnId = taxReturnData.original_return_id;
     this.notes = taxReturnData.notes;
     this.price = taxReturnData.price;
     this.paymentStatus = taxReturnData.payment_status;
@@ -22,8 +89,8 @@ class TaxReturn {
     this.updatedAt = taxReturnData.updated_at;
   }
 
-  // Create a new tax return
-  static async create(taxReturnData) {
+  // Create a new tax return, on a transaction's client when other records are created with it
+  static async create(taxReturnData, client = null) {
     const {
       customerId,
       taxYear,
@@ -41,7 +108,7 @@ class TaxReturn {
     const values = [customerId, taxYear, situationType, submissionDeadline, price];
 
     try {
-      const result = await query(queryText, values);
+      const result = client ? await client.query(queryText, values) : await query(queryText, values);
       return new TaxReturn(result.rows[0]);
     } catch (error) {
       throw error;
@@ -89,6 +156,32 @@ class TaxReturn {
     return result.rows.map(row => new TaxReturn(row));
   }
 
+  // The return that stands for a customer's tax year: the latest filed one (an amendment replaces what it
+  // corrects), otherwise the newest that has not been cancelled
+  static async findLatestForYear(customerId, taxYear) {
+    const queryText = `
+      SELECT * FROM tax_returns
+      WHERE customer_id = $1 AND tax_year = $2 AND status <> 'cancelled'
+      ORDER BY (status = 'filed') DESC, filed_date DESC NULLS LAST, created_at DESC
+      LIMIT 1
+    `;
+
+    const result = await query(queryText, [customerId, taxYear]);
+    return result.rows[0] ? new TaxReturn(result.rows[0]) : null;
+  }
+
+  // The first return filed for a year and its amendments, oldest first
+  static async findAmendmentChain(originalReturnId) {
+    const queryText = `
+      SELECT * FROM tax_returns
+      WHERE id = $1 OR original_return_id = $1
+      ORDER BY created_at ASC
+    `;
+
+    const result = await query(queryText, [originalReturnId]);
+    return result.rows.map(row => new TaxReturn(row));
+  }
+
   // Find tax returns by accountant ID
   static async findByAccountantId(accountantId, filters = {}) {
     let queryText = 'SELECT * FROM tax_returns WHERE accountant_id = $1';
@@ -148,36 +241,96 @@ class TaxReturn {
     return result.rows.map(row => new TaxReturn(row));
   }
 
-  // Assign accountant to tax return
-  async assignAccountant(accountantId) {
+  // Assign accountant to tax return (the status is moved on separately through updateStatus). Pass `client`
+  // to make the assignment part of a transaction the caller has already opened.
+  async assignAccountant(accountantId, client = null) {
     const queryText = `
       UPDATE tax_returns 
-      SET accountant_id = $1, status = 'in_progress'
+      SET accountant_id = $1
       WHERE id = $2
       RETURNING *
     `;
 
-    const result = await query(queryText, [accountantId, this.id]);
+    const values = [accountantId, this.id];
+    const result = client ? await client.query(queryText, values) : await query(queryText, values);
     return new TaxReturn(result.rows[0]);
   }
 
-  // Update tax return status
-  async updateStatus(newStatus) {
-    const validStatuses = ['pending', 'in_progress', 'review', 'completed', 'filed', 'cancelled'];
-    
-    if (!validStatuses.includes(newStatus)) {
-      throw new Error('Invalid status');
+  // Move the return to a new status if the lifecycle allows it for the user's role, and record the change.
+  // `fields` sets other columns in the same update (e.g. the HMRC reference when filing). Pass `client` to
+  // make the change part of a transaction the caller has already opened.
+  async updateStatus(newStatus, { userId = null, role, reason = null } = {}, fields = {}, client = null) {
+    const failure = checkTransition(this.status, newStatus, role, await this.getTransitionContext());
+    if (failure) {
+      const error = new Error(failure.error);
+      error.statusCode = failure.statusCode;
+      throw error;
+    }
+
+    const allowedFields = ['filed_date', 'hmrc_reference'];
+    const updates = ['status = $1'];
+    const values = [newStatus];
+    let paramCount = 2;
+
+    for (const [key, value] of Object.entries(fields)) {
+      if (allowedFields.includes(key)) {
+        updates.push(`${key} = $${paramCount}`);
+        values.push(value);
+        paramCount++;
+      }
     }
 
+    values.push(this.id, this.status);
+
+    const write = async (client) => {
+      // Only update if nobody has moved the return since it was loaded
+      const result = await client.query(`
+        UPDATE tax_returns
+        SET ${updates.join(', ')}
+        WHERE id = $${paramCount} AND status = $${paramCount + 1}
+        RETURNING *
+      `, values);
+
+      if (result.rows.length === 0) {
+        const error = new Error('The return\'s status has changed; reload it and try again');
+        error.statusCode = 409;
+        throw error;
+      }
+
+      await client.query(
+        `INSERT INTO tax_return_transitions (tax_return_id, from_status, to_status, changed_by, changed_by_role, reason)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [this.id, this.status, newStatus, userId, role, reason]
+      );
+
+      return new TaxReturn(result.rows[0]);
+    };
+
+    return client ? await write(client) : await transaction(write);
+  }
+
+  // What the lifecycle guards need to know about the return
+  async getTransitionContext() {
+    return {
+      calculated: Boolean(this.calculatedAt),
+      paid: this.paymentStatus === 'paid',
+      customerApproved: await ReturnApproval.isApproved(this.id, this.calculationVersion),
+      unconfirmedCarryOver: await CarryOverItem.countUnconfirmed(this.id)
+    };
+  }
+
+  // Status changes on the return, oldest first
+  async getStatusHistory() {
     const queryText = `
-      UPDATE tax_returns 
-      SET status = $1
-      WHERE id = $2
-      RETURNING *
+      SELECT t.*, CONCAT(u.first_name, ' ', u.last_name) as changed_by_name
+      FROM tax_return_transitions t
+      LEFT JOIN users u ON t.changed_by = u.id
+      WHERE t.tax_return_id = $1
+      ORDER BY t.created_at ASC
     `;
 
-    const result = await query(queryText, [newStatus, this.id]);
-    return new TaxReturn(result.rows[0]);
+    const result = await query(queryText, [this.id]);
+    return result.rows;
   }
 
   // Update payment status
@@ -199,35 +352,362 @@ class TaxReturn {
     return new TaxReturn(result.rows[0]);
   }
 
-  // Update tax calculations
-  async updateCalculations(calculationData) {
-    const { totalIncome, totalTaxDue, totalRefund } = calculationData;
+  // Update tax calculations. The breakdown and trading allowance method come only from calculate(); totals
+  // entered by hand are stored without them. The calculation version only moves on when the figures change,
+  // so recalculating an unchanged return keeps the customer's approval; each new version is kept with the
+  // income and expenses it was calculated from.
+  async updateCalculations(calculationData, { breakdown = null, tradingAllowanceMethod = null } = {}, client = null) {
+    this.assertEditable();
+
+    const {
+      totalIncome,
+      totalTaxDue,
+      totalRefund,
+      class2Nic = null,
+      class4Nic = null,
+      studentLoanRepayment = null,
+      childBenefitCharge = null,
+      capitalGainsTax = null
+    } = calculationData;
+
+    const queryText = `
+      UPDATE tax_returns 
+      SET total_income = $1, total_tax_due = $2, total_refund = $3, class2_nic = $4, class4_nic = $5,
+          student_loan_repayment = $6, child_benefit_charge = $7, capital_gains_tax = $8,
+          trading_allowance_method = $9, calculation_breakdown = $10, calculated_at = CURRENT_TIMESTAMP,
+          calculation_version = CASE
+            WHEN calculation_breakdown IS DISTINCT FROM $10::jsonb OR total_income IS DISTINCT FROM $1::numeric
+              OR total_tax_due IS DISTINCT FROM $2::numeric OR total_refund IS DISTINCT FROM $3::numeric
+            THEN calculation_version + 1
+            ELSE calculation_version
+          END
+      WHERE id = $11
+      RETURNING *
+    `;
+
+    const values = [
+      totalIncome,
+      totalTaxDue,
+      totalRefund,
+      class2Nic,
+      class4Nic,
+      studentLoanRepayment,
+      childBenefitCharge,
+      capitalGainsTax,
+      tradingAllowanceMethod,
+      breakdown,
+      this.id
+    ];
+
+    const write = async (client) => {
+      const result = await client.query(queryText, values);
+      const updated = result.rows[0];
+
+      if (updated.calculation_version !== this.calculationVersion) {
+        await ReturnVersion.record(client, updated);
+      }
+      return new TaxReturn(updated);
+    };
+
+    return client ? await write(client) : await transaction(write);
+  }
+
+  // Compute tax from income sources and approved expenses, then store the result with the losses and
+  // capital allowance pools it carries forward
+  async calculate() {
+    this.assertEditable();
+    if (this.status === 'cancelled') {
+      const error = new Error('This return has been cancelled and cannot be calculated');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const rates = await TaxYear.getRates(this.taxYear);
+    if (!rates) {
+      const error = new Error(`Tax rates are not configured for tax year ${this.taxYear}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const incomeSources = await this.getIncomeSources();
+    const expenses = (await this.getExpenses()).filter(expense => expense.is_approved);
+    const properties = await Property.findByTaxReturnId(this.id);
+    const capitalAssets = await CapitalAsset.findByCustomerId(this.customerId);
+    const capitalAllowancePools = await CapitalAsset.getClosingPools(this.customerId, getPreviousTaxYear(this.taxYear));
+    const foreignIncome = await ForeignIncome.findByTaxReturnId(this.id);
+    const residenceAssessment = await ResidenceAssessment.findByTaxReturnId(this.id);
+    const disposals = await Disposal.findByCustomerId(this.customerId);
+    const acquisitions = await AssetAcquisition.findByCustomerId(this.customerId);
+    const previous = await this.getPreviousYearBreakdown();
+    const previousProperty = previous.property || {};
+    const coupleOptions = await this.getCoupleClaimOptions();
+    const lossOptions = await this.getLossOptions();
+
+    const { regime } = await this.getTaxRegime();
+    const options = {
+      taxYear: this.taxYear,
+      class2Voluntary: this.class2Voluntary,
+      taxRegime: regime,
+      studentLoanPlans: this.studentLoanPlans || [],
+      childBenefitReceived: parseFloat(this.childBenefitReceived) || 0,
+      pensionContributions: parseFloat(this.pensionContributions) || 0,
+      giftAidDonations: parseFloat(this.giftAidDonations) || 0,
+      tradingAllowanceElection: this.tradingAllowanceElection || 'auto',
+      propertyElection: this.propertyAllowanceElection || 'auto',
+      financeCostsBroughtForward: previousProperty.financeCostsCarriedForward || 0,
+      capitalAllowancePools,
+      residence: residenceAssessment ? residenceAssessment.toCalculationOptions() : null,
+      ...lossOptions,
+      ...coupleOptions
+    };
+
+    const breakdown = calculateTaxReturn({
+      incomeSources,
+      expenses,
+      properties,
+      capitalAssets,
+      foreignIncome,
+      disposals,
+      acquisitions,
+      options
+    }, rates);
+    return await transaction(async (client) => {
+      const taxReturn = await this.updateCalculations(breakdown.totals, {
+        tradingAllowanceMethod: breakdown.tradingAllowance ? breakdown.tradingAllowance.method : null,
+        breakdown
+      }, client);
+      await Loss.recordCalculatedYear(this, breakdown.losses, client);
+      if (breakdown.capitalAllowances) {
+        await CapitalAsset.saveClosingPools(
+          this.customerId, this.taxYear, breakdown.capitalAllowances.closingPools, 'calculated', client
+        );
+      }
+
+      return { taxReturn, breakdown };
+    });
+  }
+
+  // Losses from the ledger: earlier years' losses brought forward, relief claimed in this year, and how
+  // much of this year's own trading loss has been claimed elsewhere
+  async getLossOptions() {
+    const broughtForward = await Loss.getBroughtForward(this.customerId, this.taxYear);
+    const claims = await Loss.findReliefClaimsInto(this.customerId, this.taxYear);
+
+    return {
+      tradingLossBroughtForward: broughtForward.trading,
+      propertyLossBroughtForward: broughtForward.property,
+      capitalLossBroughtForward: broughtForward.capital,
+      lossReliefClaims: claims.map(claim => ({
+        id: claim.id,
+        reliefType: claim.relief_type,
+        lossTaxYear: claim.loss_tax_year,
+        amount: parseFloat(claim.amount)
+      })),
+      tradingLossClaimed: await Loss.getClaimedFromYear(this.customerId, this.taxYear)
+    };
+  }
+
+  // Marriage allowance and married couple's allowance claims made by or for this customer for the year
+  async getCoupleClaimOptions() {
+    const claims = await Couple.findClaimsForCustomer(this.customerId, this.taxYear);
+    const options = {};
+
+    for (const claim of claims) {
+      const isFrom = claim.from_customer_id === this.customerId;
+
+      if (claim.claim_type === 'marriage_allowance') {
+        options.marriageAllowance = { role: isFrom ? 'transferor' : 'recipient' };
+      } else if (claim.claim_type === 'married_couples_allowance' && (isFrom || claim.mca_transfer !== 'none')) {
+        options.marriedCouplesAllowance = { role: isFrom ? 'claimant' : 'spouse', transfer: claim.mca_transfer };
+      }
+    }
+
+    return options;
+  }
+
+  // Last year's calculated breakdown, for amounts carried forward such as unrelieved finance costs
+  async getPreviousYearBreakdown() {
+    const queryText = `
+      SELECT calculation_breakdown FROM tax_returns
+      WHERE customer_id = $1 AND tax_year = $2 AND calculation_breakdown IS NOT NULL AND status <> 'cancelled'
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+
+    const result = await query(queryText, [this.customerId, getPreviousTaxYear(this.taxYear)]);
+    return result.rows[0]?.calculation_breakdown || {};
+  }
+
+  // Update return-level details used by the calculation engine
+  async updateDetails(updateData) {
+    this.assertEditable();
+
+    const allowedFields = [
+      'class2_voluntary',
+      'tax_regime',
+      'student_loan_plans',
+      'child_benefit_received',
+      'child_benefit_children',
+      'payments_on_account_made',
+      'pension_contributions',
+      'gift_aid_donations',
+      'trading_allowance_election',
+      'property_allowance_election'
+    ];
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    for (const [key, value] of Object.entries(updateData)) {
+      if (allowedFields.includes(key)) {
+        updates.push(`${key} = $${paramCount}`);
+        values.push(value);
+        paramCount++;
+      }
+    }
 
+    if (updates.length === 0) {
+      return this;
+    }
+
+    values.push(this.id);
     const queryText = `
       UPDATE tax_returns 
-      SET total_income = $1, total_tax_due = $2, total_refund = $3
-      WHERE id = $4
+      SET ${updates.join(', ')}
+      WHERE id = $${paramCount}
       RETURNING *
     `;
 
-    const values = [totalIncome, totalTaxDue, totalRefund, this.id];
     const result = await query(queryText, values);
     return new TaxReturn(result.rows[0]);
   }
 
-  // Mark as filed with HMRC
-  async markAsFiled(hmrcReference) {
+  // The calculated totals: the engine's when it computed the return, otherwise those entered by hand
+  getCalculationTotals() {
+    if (this.calculationBreakdown) {
+      return this.calculationBreakdown.totals;
+    }
+
+    const amount = (value) => (value === null || value === undefined ? null : parseFloat(value));
+    return {
+      totalIncome: amount(this.totalIncome),
+      class2Nic: amount(this.class2Nic),
+      class4Nic: amount(this.class4Nic),
+      studentLoanRepayment: amount(this.studentLoanRepayment),
+      childBenefitCharge: amount(this.childBenefitCharge),
+      capitalGainsTax: amount(this.capitalGainsTax),
+      totalTaxDue: amount(this.totalTaxDue),
+      totalRefund: amount(this.totalRefund)
+    };
+  }
+
+  // Payments on account and the January/July schedule for the computed return
+  async getPaymentsOnAccount() {
+    if (!this.calculationBreakdown) {
+      return null;
+    }
+
+    const rates = await TaxYear.getRates(this.taxYear);
+    const deadlines = (rates && rates.filingDeadlines) || filingDeadlines(getStartYear(this.taxYear));
+
+    return calculatePaymentsOnAccount(this.calculationBreakdown, {
+      taxYear: this.taxYear,
+      nextTaxYear: getNextTaxYear(this.taxYear),
+      deadlines,
+      paymentsOnAccountMade: parseFloat(this.paymentsOnAccountMade) || 0,
+      reducedTo: this.poaReducedTo === null || this.poaReducedTo === undefined ? null : parseFloat(this.poaReducedTo)
+    });
+  }
+
+  // Claim to reduce next year's payments on account (null withdraws the claim)
+  async claimPaymentOnAccountReduction(reducedTo, reason) {
+    this.assertEditable();
+
     const queryText = `
       UPDATE tax_returns 
-      SET status = 'filed', filed_date = CURRENT_TIMESTAMP, hmrc_reference = $1
-      WHERE id = $2
+      SET poa_reduced_to = $1, poa_reduction_reason = $2
+      WHERE id = $3
       RETURNING *
     `;
 
-    const result = await query(queryText, [hmrcReference, this.id]);
+    const values = reducedTo === null ? [null, null, this.id] : [reducedTo, reason, this.id];
+    const result = await query(queryText, values);
     return new TaxReturn(result.rows[0]);
   }
 
+  // Resolve the income tax regime from the accountant's override or the customer's postcode
+  async getTaxRegime() {
+    const result = await query('SELECT postcode FROM customers WHERE id = $1', [this.customerId]);
+    return resolveTaxRegime(this.taxRegime, result.rows[0]?.postcode);
+  }
+
+  // A filed return stays as it was filed; corrections are made on an amendment
+  assertEditable() {
+    if (this.status === 'filed') {
+      const error = new Error('This return has been filed and cannot be changed; start an amendment to correct it');
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+
+  // Start an amendment of this filed return: a new return for the same year holding a copy of everything
+  // the calculation uses, linked to this return and to the year's original. This return is left untouched
+  // apart from recording its current version as the starting point the amendment is compared with. The
+  // amendment's history opens with its move out of filed, made by the user starting it for their reason.
+  async createAmendment({ price = 0 } = {}, { userId = null, role, reason = null } = {}) {
+    const originalReturnId = this.originalReturnId || this.id;
+
+    return await transaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO tax_returns (
+          customer_id, accountant_id, tax_year, status, situation_type, class2_voluntary, tax_regime,
+          student_loan_plans, child_benefit_received, child_benefit_children, pension_contributions,
+          gift_aid_donations, payments_on_account_made, poa_reduced_to, poa_reduction_reason,
+          trading_allowance_election, property_allowance_election, submission_deadline, price, payment_status,
+          amends_return_id, original_return_id
+        )
+        SELECT
+          customer_id, accountant_id, tax_year,
+          CASE WHEN accountant_id IS NULL THEN 'pending' ELSE 'in_progress' END,
+          situation_type, class2_voluntary, tax_regime, student_loan_plans, child_benefit_received,
+          child_benefit_children, pension_contributions, gift_aid_donations, payments_on_account_made,
+          poa_reduced_to, poa_reduction_reason, trading_allowance_election, property_allowance_election,
+          submission_deadline, $2, $3, id, $4
+        FROM tax_returns
+        WHERE id = $1
+        RETURNING *
+      `, [this.id, price, price > 0 ? 'pending' : 'paid', originalReturnId]);
+      const amendment = result.rows[0];
+
+      await client.query(
+        `INSERT INTO tax_return_transitions (tax_return_id, from_status, to_status, changed_by, changed_by_role, reason)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [amendment.id, this.status, amendment.status, userId, role, reason]
+      );
+
+      for (const [table, columns] of Object.entries(AMENDMENT_COPIED_RECORDS)) {
+        await client.query(
+          `INSERT INTO ${table} (tax_return_id, ${columns.join(', ')})
+           SELECT $1, ${columns.join(', ')} FROM ${table} WHERE tax_return_id = $2`,
+          [amendment.id, this.id]
+        );
+      }
+
+      const filed = await client.query('SELECT * FROM tax_returns WHERE id = $1', [this.id]);
+      await ReturnVersion.record(client, filed.rows[0]);
+
+      return new TaxReturn(amendment);
+    });
+  }
+
+  // Mark as filed with HMRC
+  async markAsFiled(hmrcReference, actor) {
+    return await this.updateStatus('filed', { reason: `Filed with HMRC reference ${hmrcReference}`, ...actor }, {
+      filed_date: new Date(),
+      hmrc_reference: hmrcReference
+    });
+  }
+
   // Add notes
   async addNotes(notes) {
     const queryText = `
@@ -249,6 +729,8 @@ class TaxReturn {
         CONCAT(c_user.first_name, ' ', c_user.last_name) as customer_name,
         c_user.email as customer_email,
         c_user.phone as customer_phone,
+        c.postcode as customer_postcode,
+        c.national_insurance_number as customer_ni_number,
         CONCAT(a_user.first_name, ' ', a_user.last_name) as accountant_name,
         a_user.email as accountant_email,
         acc.qualification as accountant_qualification,
@@ -262,7 +744,18 @@ class TaxReturn {
     `;
 
     const result = await query(queryText, [this.id]);
-    return result.rows[0] || null;
+    const details = result.rows[0];
+
+    if (!details) {
+      return null;
+    }
+
+    // tax_regime holds the accountant's override; expose the regime actually applied
+    const { regime, source } = resolveTaxRegime(details.tax_regime, details.customer_postcode);
+    details.applied_tax_regime = regime;
+    details.tax_regime_source = source;
+
+    return details;
   }
 
   // Get income sources for this tax return
@@ -377,12 +870,39 @@ class TaxReturn {
   // Delete tax return (and related data)
   async delete() {
     return await transaction(async (client) => {
+      // Bank transactions accepted into the return go back for review
+      await BankTransaction.reopen(client, 'tax_return_id', this.id);
+
       // Delete related records first
       await client.query('DELETE FROM messages WHERE tax_return_id = $1', [this.id]);
       await client.query('DELETE FROM documents WHERE tax_return_id = $1', [this.id]);
       await client.query('DELETE FROM expenses WHERE tax_return_id = $1', [this.id]);
       await client.query('DELETE FROM income_sources WHERE tax_return_id = $1', [this.id]);
+      await client.query('DELETE FROM property_income WHERE tax_return_id = $1', [this.id]);
+      await client.query('DELETE FROM disposals WHERE tax_return_id = $1', [this.id]);
+      await client.query('DELETE FROM foreign_income WHERE tax_return_id = $1', [this.id]);
+      await client.query('DELETE FROM residence_assessments WHERE tax_return_id = $1', [this.id]);
+
+      // An amendment's ledger rows go back to the latest filed return for the year rather than being lost
+      if (this.originalReturnId) {
+        const filed = await client.query(`
+          SELECT id FROM tax_returns
+          WHERE (id = $1 OR original_return_id = $1) AND id <> $2 AND status = 'filed'
+          ORDER BY filed_date DESC
+          LIMIT 1
+        `, [this.originalReturnId, this.id]);
+        if (filed.rows[0]) {
+          await Loss.transferCalculatedYear(client, [this.id], filed.rows[0].id);
+        }
+      }
+
+      await client.query('DELETE FROM loss_uses WHERE tax_return_id = $1 AND relief_type = $2', [this.id, 'carry_forward']);
+      await client.query('DELETE FROM losses WHERE tax_return_id = $1 AND source = $2', [this.id, 'calculated']);
       await client.query('DELETE FROM payments WHERE tax_return_id = $1', [this.id]);
+      await client.query('DELETE FROM tax_return_transitions WHERE tax_return_id = $1', [this.id]);
+      await client.query('DELETE FROM return_approvals WHERE tax_return_id = $1', [this.id]);
+      await client.query('DELETE FROM return_versions WHERE tax_return_id = $1', [this.id]);
+      await client.query('DELETE FROM carry_over_items WHERE tax_return_id = $1', [this.id]);
       
       // Delete the tax return
       await client.query('DELETE FROM tax_returns WHERE id = $1', [this.id]);
@@ -403,9 +923,32 @@ class TaxReturn {
       totalIncome: this.totalIncome,
       totalTaxDue: this.totalTaxDue,
       totalRefund: this.totalRefund,
+      class2Nic: this.class2Nic,
+      class4Nic: this.class4Nic,
+      class2Voluntary: this.class2Voluntary,
+      taxRegime: this.taxRegime,
+      studentLoanPlans: this.studentLoanPlans,
+      studentLoanRepayment: this.studentLoanRepayment,
+      childBenefitReceived: this.childBenefitReceived,
+      childBenefitChildren: this.childBenefitChildren,
+      childBenefitCharge: this.childBenefitCharge,
+      capitalGainsTax: this.capitalGainsTax,
+      pensionContributions: this.pensionContributions,
+      giftAidDonations: this.giftAidDonations,
+      paymentsOnAccountMade: this.paymentsOnAccountMade,
+      poaReducedTo: this.poaReducedTo,
+      poaReductionReason: this.poaReductionReason,
+      tradingAllowanceElection: this.tradingAllowanceElection,
+      tradingAllowanceMethod: this.tradingAllowanceMethod,
+      propertyAllowanceElection: this.propertyAllowanceElection,
+      calculationBreakdown: this.calculationBreakdown,
+      calculatedAt: this.calculatedAt,
+      calculationVersion: this.calculationVersion,
       submissionDeadline: this.submissionDeadline,
       filedDate: this.filedDate,
       hmrcReference: this.hmrcReference,
+      amendsReturnId: this.amendsReturnId,
+      originalReturnId: this.originalReturnId,
       notes: this.notes,
       price: this.price,
       paymentStatus: this.paymentStatus,
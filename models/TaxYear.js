@@ -0,0 +1,140 @@
+const { query, transaction } = require('../config/database');
+const { taxYears, filingDeadlines, getStartYear, getTaxYearRates } = require('../config/taxYears');
+
+class TaxYear {
+  constructor(taxYearData) {
+    this.id = taxYearData.id;
+    this.taxYear = taxYearData.tax_year;
+    this.version = taxYearData.version;
+    this.config = taxYearData.config;
+    this.notes = taxYearData.notes;
+    this.createdBy = taxYearData.created_by;
+    this.createdAt = taxYearData.created_at;
+  }
+
+  // Find the latest published version for a tax year
+  static async findCurrent(taxYear) {
+    const queryText = `
+      SELECT * FROM tax_year_configs
+      WHERE tax_year = $1
+      ORDER BY version DESC
+      LIMIT 1
+    `;
+    const result = await query(queryText, [taxYear]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new TaxYear(result.rows[0]);
+  }
+
+  // Get every published version for a tax year, newest first
+  static async getHistory(taxYear) {
+    const queryText = `
+      SELECT * FROM tax_year_configs
+      WHERE tax_year = $1
+      ORDER BY version DESC
+    `;
+    const result = await query(queryText, [taxYear]);
+    return result.rows.map(row => new TaxYear(row));
+  }
+
+  // Get the effective rates for a tax year: the latest published version over the built-in defaults
+  static async getRates(taxYear) {
+    const current = await TaxYear.findCurrent(taxYear);
+    const defaults = getTaxYearRates(taxYear);
+
+    if (!current && !defaults) {
+      return null;
+    }
+
+    return { ...defaults, ...(current ? current.config : {}) };
+  }
+
+  // Get the online filing deadline for a tax year
+  static async getSubmissionDeadline(taxYear) {
+    const rates = await TaxYear.getRates(taxYear);
+
+    if (rates && rates.filingDeadlines) {
+      return rates.filingDeadlines.online;
+    }
+
+    return filingDeadlines(getStartYear(taxYear)).online;
+  }
+
+  // Last day a filed return for the tax year can be amended online (12 months after the online deadline)
+  static async getAmendmentDeadline(taxYear) {
+    const rates = await TaxYear.getRates(taxYear);
+
+    if (rates && rates.filingDeadlines && rates.filingDeadlines.amendment) {
+      return rates.filingDeadlines.amendment;
+    }
+
+    return filingDeadlines(getStartYear(taxYear)).amendment;
+  }
+
+  // List every known tax year with its current version number (0 = built-in defaults)
+  static async getAll() {
+    const queryText = `
+      SELECT tax_year, MAX(version) as version, MAX(created_at) as updated_at
+      FROM tax_year_configs
+      GROUP BY tax_year
+    `;
+    const result = await query(queryText);
+
+    const years = {};
+    for (const taxYear of Object.keys(taxYears)) {
+      years[taxYear] = { taxYear, version: 0, updatedAt: null };
+    }
+    for (const row of result.rows) {
+      years[row.tax_year] = { taxYear: row.tax_year, version: parseInt(row.version), updatedAt: row.updated_at };
+    }
+
+    return Object.values(years).sort((a, b) => a.taxYear.localeCompare(b.taxYear));
+  }
+
+  // Publish a new version of a tax year, merging the changes over the current rates
+  static async publish(taxYear, changes, { createdBy, notes } = {}) {
+    return await transaction(async (client) => {
+      // Serialise concurrent publishes for the same year
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [taxYear]);
+
+      const currentResult = await client.query(
+        'SELECT version, config FROM tax_year_configs WHERE tax_year = $1 ORDER BY version DESC LIMIT 1',
+        [taxYear]
+      );
+      const current = currentResult.rows[0];
+      const config = {
+        ...getTaxYearRates(taxYear),
+        ...(current ? current.config : {}),
+        ...changes
+      };
+
+      const queryText = `
+        INSERT INTO tax_year_configs (tax_year, version, config, notes, created_by)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `;
+      const values = [taxYear, current ? current.version + 1 : 1, config, notes, createdBy];
+      const result = await client.query(queryText, values);
+
+      return new TaxYear(result.rows[0]);
+    });
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      taxYear: this.taxYear,
+      version: this.version,
+      config: this.config,
+      notes: this.notes,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = TaxYear;
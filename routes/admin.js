@@ -1,11 +1,30 @@
 const express = require('express');
+const { body, param, validationResult } = require('express-validator');
 const { authenticate, authorize } = require('../middleware/auth');
 const { query } = require('../config/database');
+const { taxYears } = require('../config/taxYears');
 const User = require('../models/User');
 const TaxReturn = require('../models/TaxReturn');
+const TaxYear = require('../models/TaxYear');
 
 const router = express.Router();
 
+// Validation helper
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Top-level settings an admin may change on a tax year
+const TAX_YEAR_FIELDS = [...new Set(Object.values(taxYears).flatMap(config => Object.keys(config)))];
+
 // All admin routes require admin authentication
 router.use(authenticate, authorize('admin'));
 
@@ -500,4 +519,129 @@ router.put('/system/settings/:key', async (req, res, next) => {
   }
 });
 
+// @route   GET /api/admin/tax-years
+// @desc    List configured tax years and their current versions
+// @access  Private (Admin)
+router.get('/tax-years', async (req, res, next) => {
+  try {
+    const years = await TaxYear.getAll();
+
+    res.json({
+      success: true,
+      data: years
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/tax-years/:taxYear
+// @desc    Get the effective rates for a tax year and its version history
+// @access  Private (Admin)
+router.get('/tax-years/:taxYear', [
+  param('taxYear')
+    .matches(/^\d{4}-\d{2}$/)
+    .withMessage('Tax year must be in format YYYY-YY (e.g., 2023-24)')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const rates = await TaxYear.getRates(req.params.taxYear);
+    if (!rates) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tax year not configured'
+      });
+    }
+
+    const history = await TaxYear.getHistory(req.params.taxYear);
+
+    res.json({
+      success: true,
+      data: {
+        taxYear: req.params.taxYear,
+        version: history.length > 0 ? history[0].version : 0,
+        rates,
+        history: history.map(version => version.toJSON())
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/tax-years/:taxYear
+// @desc    Publish a new version of a tax year's rates and thresholds
+// @access  Private (Admin)
+router.put('/tax-years/:taxYear', [
+  param('taxYear')
+    .matches(/^\d{4}-\d{2}$/)
+    .withMessage('Tax year must be in format YYYY-YY (e.g., 2023-24)'),
+  body('personalAllowance')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Personal allowance must be a positive number'),
+  body('personalAllowanceTaperThreshold')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Personal allowance taper threshold must be a positive number'),
+  body('tradingAllowance')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Trading allowance must be a positive number'),
+  body(['incomeTaxBands', 'scottishIncomeTaxBands'])
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Income tax bands must be a non-empty array'),
+  body(['incomeTaxBands.*.rate', 'scottishIncomeTaxBands.*.rate'])
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Band rates must be decimals between 0 and 1'),
+  body(['incomeTaxBands.*.limit', 'scottishIncomeTaxBands.*.limit'])
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Band limits must be positive numbers or null for the top band'),
+  body(['nationalInsurance', 'savings', 'dividends', 'studentLoans', 'childBenefitCharge', 'property', 'capitalGains', 'reliefs', 'marriageAllowance', 'marriedCouplesAllowance', 'capitalAllowances', 'simplifiedExpenses', 'remittanceBasis', 'filingDeadlines'])
+    .optional()
+    .isObject()
+    .withMessage('Must be an object'),
+  body('filingDeadlines.*')
+    .isISO8601()
+    .withMessage('Filing deadlines must be dates'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes too long')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const changes = {};
+    for (const field of TAX_YEAR_FIELDS) {
+      if (req.body[field] !== undefined) {
+        changes[field] = req.body[field];
+      }
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `No tax year settings provided. Allowed settings: ${TAX_YEAR_FIELDS.join(', ')}`
+      });
+    }
+
+    const taxYear = await TaxYear.publish(req.params.taxYear, changes, {
+      createdBy: req.user.id,
+      notes: req.body.notes
+    });
+
+    res.json({
+      success: true,
+      message: `Tax year ${taxYear.taxYear} updated to version ${taxYear.version}`,
+      data: taxYear.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
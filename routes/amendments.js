@@ -0,0 +1,130 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const TaxReturn = require('../models/TaxReturn');
+const TaxYear = require('../models/TaxYear');
+const { authenticate, authorize } = require('../middleware/auth');
+const { loadTaxReturn } = require('../middleware/taxReturnAccess');
+
+// Mounted at /api/tax-returns/:taxReturnId/amendments
+const router = express.Router({ mergeParams: true });
+
+// Validation helper
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// One return in the chain: enough to see what was filed when, under which HMRC reference
+const summarise = (taxReturn) => ({
+  id: taxReturn.id,
+  amendsReturnId: taxReturn.amendsReturnId,
+  status: taxReturn.status,
+  calculationVersion: taxReturn.calculationVersion,
+  totalIncome: taxReturn.totalIncome,
+  totalTaxDue: taxReturn.totalTaxDue,
+  totalRefund: taxReturn.totalRefund,
+  filedDate: taxReturn.filedDate,
+  hmrcReference: taxReturn.hmrcReference,
+  notes: taxReturn.notes,
+  createdAt: taxReturn.createdAt
+});
+
+// @route   GET /api/tax-returns/:taxReturnId/amendments
+// @desc    Get the year's original return and every amendment of it, oldest first
+// @access  Private
+router.get('/', authenticate, loadTaxReturn('taxReturnId'), async (req, res, next) => {
+  try {
+    const { taxReturn } = req;
+    const chain = await TaxReturn.findAmendmentChain(taxReturn.originalReturnId || taxReturn.id);
+
+    res.json({
+      success: true,
+      data: {
+        originalReturnId: chain[0].id,
+        returns: chain.map(summarise)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tax-returns/:taxReturnId/amendments
+// @desc    Start an amendment of a filed return; the filed return is kept unchanged
+// @access  Private (Accountant/Admin)
+router.post('/', authenticate, authorize('accountant', 'admin'), loadTaxReturn('taxReturnId'), [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .isLength({ max: 2000 })
+    .withMessage('Say what the amendment corrects'),
+  body('price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a positive number')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { taxReturn } = req;
+    if (taxReturn.status !== 'filed') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only a filed return can be amended; change this return directly instead'
+      });
+    }
+
+    const chain = await TaxReturn.findAmendmentChain(taxReturn.originalReturnId || taxReturn.id);
+    const open = chain.find(other => !['filed', 'cancelled'].includes(other.status));
+    if (open) {
+      return res.status(409).json({
+        success: false,
+        error: 'An amendment of this return is already in progress',
+        data: { amendmentId: open.id }
+      });
+    }
+
+    const latestFiled = chain
+      .filter(other => other.status === 'filed')
+      .reduce((latest, other) => (new Date(other.filedDate) > new Date(latest.filedDate) ? other : latest));
+    if (latestFiled.id !== taxReturn.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'A later amendment of this return has been filed; amend that one instead',
+        data: { latestFiledReturnId: latestFiled.id }
+      });
+    }
+
+    const amendBy = await TaxYear.getAmendmentDeadline(taxReturn.taxYear);
+    if (new Date() > new Date(`${amendBy}T23:59:59`)) {
+      return res.status(400).json({
+        success: false,
+        error: `The ${taxReturn.taxYear} return could only be amended online until ${amendBy}; later corrections need an overpayment relief claim or a letter to HMRC`
+      });
+    }
+
+    let amendment = await taxReturn.createAmendment({ price: parseFloat(req.body.price) || 0 }, {
+      userId: req.user.id,
+      role: req.user.role,
+      reason: req.body.reason
+    });
+    amendment = await amendment.addNotes(`Amendment of the return filed with HMRC reference ${taxReturn.hmrcReference}: ${req.body.reason}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Amendment started; the filed return is unchanged',
+      data: amendment.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
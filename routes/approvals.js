@@ -0,0 +1,207 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { transaction } = require('../config/database');
+const ReturnApproval = require('../models/ReturnApproval');
+const { authenticate, authorize } = require('../middleware/auth');
+const { loadTaxReturn } = require('../middleware/taxReturnAccess');
+
+// Mounted at /api/tax-returns/:taxReturnId/approval
+const router = express.Router({ mergeParams: true });
+
+// Validation helper
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// The figures the customer is asked to approve, frozen as they are when sent. Totals entered by hand have
+// no breakdown lines behind them.
+const buildSnapshot = async (taxReturn) => {
+  const paymentsOnAccount = await taxReturn.getPaymentsOnAccount();
+  const expenses = await taxReturn.getExpenses();
+
+  return {
+    taxYear: taxReturn.taxYear,
+    calculationVersion: taxReturn.calculationVersion,
+    calculatedAt: taxReturn.calculatedAt,
+    totals: taxReturn.getCalculationTotals(),
+    lines: taxReturn.calculationBreakdown ? taxReturn.calculationBreakdown.lines : [],
+    incomeSources: await taxReturn.getIncomeSources(),
+    expenses: expenses.filter(expense => expense.is_approved),
+    paymentSchedule: paymentsOnAccount ? paymentsOnAccount.schedule : []
+  };
+};
+
+// The request waiting for the customer; responding to one for an out-of-date calculation is refused
+const findRequestToAnswer = async (taxReturn) => {
+  const approval = await ReturnApproval.findPending(taxReturn.id);
+  if (!approval) {
+    const error = new Error('There is no calculation waiting for your approval');
+    error.statusCode = 404;
+    throw error;
+  }
+  if (approval.calculationVersion !== taxReturn.calculationVersion) {
+    const error = new Error('The calculation has changed since it was sent to you; your accountant will send the new version');
+    error.statusCode = 409;
+    throw error;
+  }
+  return approval;
+};
+
+// @route   GET /api/tax-returns/:taxReturnId/approval
+// @desc    Get the calculation waiting for approval (or last sent) and earlier approval requests
+// @access  Private
+router.get('/', authenticate, loadTaxReturn('taxReturnId'), async (req, res, next) => {
+  try {
+    const approvals = await ReturnApproval.findByTaxReturnId(req.taxReturn.id);
+    const [current] = approvals;
+
+    res.json({
+      success: true,
+      data: {
+        current: current ? current.toJSON() : null,
+        isCurrentVersion: current ? current.calculationVersion === req.taxReturn.calculationVersion : false,
+        history: approvals.slice(1).map(approval => {
+          const { snapshot, ...summary } = approval.toJSON();
+          return { ...summary, totals: snapshot.totals };
+        })
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tax-returns/:taxReturnId/approval
+// @desc    Send the computed return to the customer for approval, moving it to review
+// @access  Private (Accountant/Admin)
+router.post('/', authenticate, authorize('accountant', 'admin'), loadTaxReturn('taxReturnId'), [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Note must be 2000 characters or fewer')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { taxReturn } = req;
+    if (!taxReturn.calculatedAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'Calculate the return before sending it for approval'
+      });
+    }
+
+    // A return already in review is re-sent with the latest calculation. The snapshot is taken first so the
+    // status change and the approval request are written together or not at all.
+    const snapshot = await buildSnapshot(taxReturn);
+    const approval = await transaction(async (client) => {
+      if (taxReturn.status !== 'review') {
+        await taxReturn.updateStatus('review', {
+          userId: req.user.id,
+          role: req.user.role,
+          reason: `Calculation version ${taxReturn.calculationVersion} sent for customer approval`
+        }, {}, client);
+      }
+
+      return await ReturnApproval.create({
+        taxReturnId: taxReturn.id,
+        calculationVersion: taxReturn.calculationVersion,
+        snapshot,
+        submittedBy: req.user.id,
+        submissionNote: req.body.note
+      }, client);
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Calculation sent to the customer for approval',
+      data: approval.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tax-returns/:taxReturnId/approval/approve
+// @desc    Approve the calculation as sent, so the return can be filed
+// @access  Private (Customer)
+router.post('/approve', authenticate, authorize('customer'), loadTaxReturn('taxReturnId'), [
+  body('comments')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Comments must be 2000 characters or fewer')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const approval = await findRequestToAnswer(req.taxReturn);
+
+    // The return is only completed if the approval is recorded with it
+    const { taxReturn, approved } = await transaction(async (client) => ({
+      taxReturn: await req.taxReturn.updateStatus('completed', {
+        userId: req.user.id,
+        role: req.user.role,
+        reason: `Customer approved calculation version ${approval.calculationVersion}`
+      }, {}, client),
+      approved: await approval.respond('approved', req.user.id, req.body.comments || null, client)
+    }));
+
+    res.json({
+      success: true,
+      message: 'Thank you, your tax return is approved for filing',
+      data: {
+        approval: approved.toJSON(),
+        taxReturn: taxReturn.toJSON()
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tax-returns/:taxReturnId/approval/request-changes
+// @desc    Send the calculation back to the accountant with the changes needed
+// @access  Private (Customer)
+router.post('/request-changes', authenticate, authorize('customer'), loadTaxReturn('taxReturnId'), [
+  body('comments')
+    .trim()
+    .notEmpty()
+    .isLength({ max: 2000 })
+    .withMessage('Tell your accountant what needs to change')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const approval = await findRequestToAnswer(req.taxReturn);
+
+    const { taxReturn, answered } = await transaction(async (client) => ({
+      taxReturn: await req.taxReturn.updateStatus('in_progress', {
+        userId: req.user.id,
+        role: req.user.role,
+        reason: `Customer requested changes: ${req.body.comments}`
+      }, {}, client),
+      answered: await approval.respond('changes_requested', req.user.id, req.body.comments, client)
+    }));
+
+    res.json({
+      success: true,
+      message: 'Your accountant has been asked to make the changes',
+      data: {
+        approval: answered.toJSON(),
+        taxReturn: taxReturn.toJSON()
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,513 @@
+const express = require('express');
+const fs = require('fs').promises;
+const { body, query, validationResult } = require('express-validator');
+const BankTransaction = require('../models/BankTransaction');
+const CategorisationRule = require('../models/CategorisationRule');
+const Document = require('../models/Document');
+const Expense = require('../models/Expense');
+const IncomeSource = require('../models/IncomeSource');
+const Property = require('../models/Property');
+const { authenticate } = require('../middleware/auth');
+const { loadTaxReturn, requireOpen } = require('../middleware/taxReturnAccess');
+const { RULE_TARGETS, BANK_INCOME_SOURCE_TYPES, DEFAULT_RULES, parseStatement, categoriseTransaction } = require('../services/bankStatements');
+const { SUBMITTABLE_CATEGORIES } = require('../services/expenseCategories');
+const { incomeSourceProblems } = require('../services/incomeSources');
+const { getTaxYearDates, getTaxYearForDate } = require('../config/taxYears');
+
+// Mounted at /api/tax-returns/:taxReturnId/bank-statements
+const router = express.Router({ mergeParams: true });
+
+// Validation helper
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const ruleValidation = [
+  body('pattern')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Pattern must be between 2 and 100 characters'),
+  body('target')
+    .optional()
+    .isIn(RULE_TARGETS)
+    .withMessage(`Target must be one of: ${RULE_TARGETS.join(', ')}`),
+  body('category')
+    .optional({ values: 'null' })
+    .isIn(SUBMITTABLE_CATEGORIES)
+    .withMessage('Invalid expense category'),
+  body('sourceType')
+    .optional({ values: 'null' })
+    .isIn(BANK_INCOME_SOURCE_TYPES)
+    .withMessage(`Income rules can propose: ${BANK_INCOME_SOURCE_TYPES.join(', ')}; employment income is entered from the P60`)
+];
+
+const EMPLOYMENT_FROM_P60 = 'Wages are paid net of tax; enter employment income from the P60 (gross pay and tax deducted) on the income page';
+
+// An expense rule needs its category and an income rule its source type
+const ruleProblems = (rule) => {
+  if (rule.target === 'expense' && !rule.category) {
+    return [{ path: 'category', msg: 'Expense rules need an expense category' }];
+  }
+  if (rule.target === 'income' && !rule.sourceType) {
+    return [{ path: 'sourceType', msg: 'Income rules need an income source type' }];
+  }
+  return [];
+};
+
+// Find one of the customer's rules
+const findCustomerRule = async (taxReturn, ruleId) => {
+  const rule = await CategorisationRule.findById(ruleId);
+  if (!rule || rule.customerId !== taxReturn.customerId) {
+    return null;
+  }
+  return rule;
+};
+
+// Find one of the customer's transactions dated in the return's tax year
+const findReturnTransaction = async (taxReturn, transactionId) => {
+  const bankTransaction = await BankTransaction.findById(transactionId);
+  if (!bankTransaction || bankTransaction.customerId !== taxReturn.customerId || bankTransaction.taxYear !== taxReturn.taxYear) {
+    return null;
+  }
+  return bankTransaction;
+};
+
+const proposalFor = (bankTransaction, rules) => categoriseTransaction(
+  { description: bankTransaction.description, amount: parseFloat(bankTransaction.amount) },
+  rules
+);
+
+// Accept a transaction into the return using the customer's choices, falling back to the rule's proposal.
+// Receipts are added to the return's income source of the same type when it has just one, rather than
+// starting a new source for every payment, and never to employment income. Returns { problems } if it
+// cannot be accepted as it stands.
+const acceptTransaction = async (req, bankTransaction, choices, rules) => {
+  const { taxReturn } = req;
+  const proposal = proposalFor(bankTransaction, rules);
+
+  if (parseFloat(bankTransaction.amount) < 0) {
+    const category = choices.category || (proposal?.target === 'expense' ? proposal.category : null);
+    if (!category) {
+      return { problems: [{ path: 'category', msg: 'Choose the expense category for this payment' }] };
+    }
+
+    const { transaction, expense } = await bankTransaction.acceptAsExpense(
+      taxReturn.id,
+      { category, description: choices.description },
+      req.user.id
+    );
+    return { transaction, expense: new Expense(expense).toJSON() };
+  }
+
+  const sources = await IncomeSource.findByTaxReturnId(taxReturn.id);
+  let incomeSourceId = choices.incomeSourceId;
+  let source = null;
+
+  if (incomeSourceId) {
+    const existing = sources.find(item => item.id === incomeSourceId);
+    if (!existing) {
+      return { problems: [{ path: 'incomeSourceId', msg: 'Income source not found on this return' }] };
+    }
+    if (existing.sourceType === 'employment') {
+      return { problems: [{ path: 'incomeSourceId', msg: EMPLOYMENT_FROM_P60 }] };
+    }
+  } else {
+    const sourceType = choices.sourceType || (proposal?.target === 'income' ? proposal.sourceType : null);
+    if (!sourceType) {
+      return { problems: [{ path: 'sourceType', msg: 'Choose the type of income this payment is' }] };
+    }
+    // Rules saved before employment was refused can still propose it
+    if (!BANK_INCOME_SOURCE_TYPES.includes(sourceType)) {
+      return { problems: [{ path: 'sourceType', msg: EMPLOYMENT_FROM_P60 }] };
+    }
+
+    const sameType = sources.filter(existing => existing.sourceType === sourceType);
+    const newSourceDetails = choices.employerName || choices.propertyId;
+    if (sameType.length === 1 && !newSourceDetails) {
+      incomeSourceId = sameType[0].id;
+    } else {
+      source = {
+        sourceType,
+        employerName: choices.employerName,
+        propertyId: choices.propertyId
+      };
+      const problems = incomeSourceProblems(source, getTaxYearDates(taxReturn.taxYear));
+      if (source.propertyId && !problems.some(problem => problem.path === 'propertyId')) {
+        const property = await Property.findById(source.propertyId);
+        if (!property || property.customerId !== taxReturn.customerId) {
+          problems.push({ path: 'propertyId', msg: 'Property not found' });
+        }
+      }
+      if (problems.length > 0) {
+        return { problems };
+      }
+    }
+  }
+
+  const { transaction, incomeSource } = await bankTransaction.acceptAsIncome(
+    taxReturn.id,
+    { incomeSourceId, source },
+    req.user.id
+  );
+  return { transaction, incomeSource: new IncomeSource(incomeSource).toJSON() };
+};
+
+// @route   GET /api/tax-returns/:taxReturnId/bank-statements/rules
+// @desc    Get the customer's categorisation rules and the built-in rules checked after them
+// @access  Private
+router.get('/rules', authenticate, loadTaxReturn('taxReturnId'), async (req, res, next) => {
+  try {
+    const rules = await CategorisationRule.findByCustomerId(req.taxReturn.customerId);
+
+    res.json({
+      success: true,
+      data: {
+        rules: rules.map(rule => rule.toJSON()),
+        defaults: DEFAULT_RULES
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tax-returns/:taxReturnId/bank-statements/rules
+// @desc    Add a rule: transactions whose description contains the pattern become an expense category,
+//          an income source type, or are ignored
+// @access  Private
+router.post('/rules', authenticate, loadTaxReturn('taxReturnId'), [
+  body('pattern')
+    .exists()
+    .withMessage('Pattern is required'),
+  body('target')
+    .exists()
+    .withMessage('Target is required'),
+  ...ruleValidation
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { pattern, target, category, sourceType } = req.body;
+    const problems = ruleProblems({ target, category, sourceType });
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: problems
+      });
+    }
+
+    const rule = await CategorisationRule.create({
+      customerId: req.taxReturn.customerId,
+      pattern,
+      target,
+      category,
+      sourceType
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rule added',
+      data: rule.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/tax-returns/:taxReturnId/bank-statements/rules/:ruleId
+// @desc    Update a categorisation rule
+// @access  Private
+router.put('/rules/:ruleId', authenticate, loadTaxReturn('taxReturnId'), ruleValidation, handleValidationErrors, async (req, res, next) => {
+  try {
+    const rule = await findCustomerRule(req.taxReturn, req.params.ruleId);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+
+    const changes = Object.fromEntries(
+      ['pattern', 'target', 'category', 'sourceType'].filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+    );
+    const problems = ruleProblems({ ...rule.toJSON(), ...changes });
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: problems
+      });
+    }
+
+    const updatedRule = await rule.update(changes);
+
+    res.json({
+      success: true,
+      message: 'Rule updated',
+      data: updatedRule.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/tax-returns/:taxReturnId/bank-statements/rules/:ruleId
+// @desc    Delete a categorisation rule
+// @access  Private
+router.delete('/rules/:ruleId', authenticate, loadTaxReturn('taxReturnId'), async (req, res, next) => {
+  try {
+    const rule = await findCustomerRule(req.taxReturn, req.params.ruleId);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+
+    await rule.delete();
+
+    res.json({
+      success: true,
+      message: 'Rule deleted'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tax-returns/:taxReturnId/bank-statements/import
+// @desc    Import the transactions from a CSV or OFX statement uploaded to the return; transactions already
+//          imported from this or another statement are skipped
+// @access  Private
+router.post('/import', authenticate, loadTaxReturn('taxReturnId'), requireOpen, [
+  body('documentId')
+    .isUUID()
+    .withMessage('Invalid document ID')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const document = await Document.findById(req.body.documentId);
+    if (!document || document.taxReturnId !== req.taxReturn.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    let content;
+    try {
+      content = await fs.readFile(document.filePath, 'utf8');
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        error: 'The statement file is no longer stored; upload it again'
+      });
+    }
+
+    const statement = parseStatement(content, document.originalName);
+    const transactions = statement.transactions.map(item => ({ ...item, taxYear: getTaxYearForDate(item.date) }));
+    const { imported, duplicates } = await BankTransaction.importStatement(req.taxReturn.customerId, document.id, transactions);
+
+    // A statement can run across tax years; each transaction shows on the return for its own year
+    const taxYears = {};
+    for (const item of imported) {
+      taxYears[item.taxYear] = (taxYears[item.taxYear] || 0) + 1;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${imported.length} transaction(s) imported, ${duplicates} already imported`,
+      data: {
+        format: statement.format,
+        imported: imported.length,
+        duplicates,
+        unreadableRows: statement.unreadableRows,
+        taxYears
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/tax-returns/:taxReturnId/bank-statements/transactions
+// @desc    Get the customer's imported transactions in the return's tax year, with what the rules propose
+//          for those still to review
+// @access  Private
+router.get('/transactions', authenticate, loadTaxReturn('taxReturnId'), [
+  query('status')
+    .optional()
+    .isIn(['pending', 'accepted', 'ignored'])
+    .withMessage('Status must be pending, accepted or ignored')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { taxReturn } = req;
+    const transactions = await BankTransaction.findForYear(taxReturn.customerId, taxReturn.taxYear, req.query.status);
+    const rules = await CategorisationRule.findByCustomerId(taxReturn.customerId);
+
+    res.json({
+      success: true,
+      data: transactions.map(bankTransaction => ({
+        ...bankTransaction.toJSON(),
+        proposal: bankTransaction.status === 'pending' ? proposalFor(bankTransaction, rules) : null
+      }))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tax-returns/:taxReturnId/bank-statements/transactions/accept
+// @desc    Accept the rules' proposals for several transactions; any that need more detail are skipped
+// @access  Private
+router.post('/transactions/accept', authenticate, loadTaxReturn('taxReturnId'), requireOpen, [
+  body('transactionIds')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Transaction IDs must be a list of up to 500 IDs'),
+  body('transactionIds.*')
+    .isUUID()
+    .withMessage('Invalid transaction ID')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const rules = await CategorisationRule.findByCustomerId(req.taxReturn.customerId);
+    const accepted = [];
+    const skipped = [];
+
+    for (const transactionId of new Set(req.body.transactionIds)) {
+      const bankTransaction = await findReturnTransaction(req.taxReturn, transactionId);
+      if (!bankTransaction) {
+        skipped.push({ id: transactionId, reason: 'Transaction not found' });
+        continue;
+      }
+      if (bankTransaction.status !== 'pending') {
+        skipped.push({ id: transactionId, reason: `Transaction is already ${bankTransaction.status}` });
+        continue;
+      }
+      if (proposalFor(bankTransaction, rules)?.target === 'ignore') {
+        skipped.push({ id: transactionId, reason: 'A rule marks this transaction to be ignored' });
+        continue;
+      }
+
+      const result = await acceptTransaction(req, bankTransaction, {}, rules);
+      if (result.problems) {
+        skipped.push({ id: transactionId, reason: result.problems.map(problem => problem.msg).join('; ') });
+      } else {
+        accepted.push({ ...result, transaction: result.transaction.toJSON() });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `${accepted.length} transaction(s) accepted, ${skipped.length} skipped`,
+      data: { accepted, skipped }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tax-returns/:taxReturnId/bank-statements/transactions/:transactionId/accept
+// @desc    Accept a transaction as an expense (money out) or income (money in), overriding the proposal if given
+// @access  Private
+router.post('/transactions/:transactionId/accept', authenticate, loadTaxReturn('taxReturnId'), requireOpen, [
+  body('category')
+    .optional()
+    .isIn(SUBMITTABLE_CATEGORIES)
+    .withMessage('Invalid expense category'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Description must be between 1 and 255 characters'),
+  body(['incomeSourceId', 'propertyId'])
+    .optional()
+    .isUUID()
+    .withMessage('Invalid ID'),
+  body('sourceType')
+    .optional()
+    .isIn(BANK_INCOME_SOURCE_TYPES)
+    .withMessage(EMPLOYMENT_FROM_P60),
+  body('employerName')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Employer name too long')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const bankTransaction = await findReturnTransaction(req.taxReturn, req.params.transactionId);
+    if (!bankTransaction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transaction not found'
+      });
+    }
+
+    const rules = await CategorisationRule.findByCustomerId(req.taxReturn.customerId);
+    const result = await acceptTransaction(req, bankTransaction, req.body, rules);
+    if (result.problems) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: result.problems
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.expense ? 'Expense submitted for review' : 'Income added to the return',
+      data: { ...result, transaction: result.transaction.toJSON() }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tax-returns/:taxReturnId/bank-statements/transactions/:transactionId/ignore
+// @desc    Leave a transaction off the return (e.g. transfers between the customer's own accounts)
+// @access  Private
+router.post('/transactions/:transactionId/ignore', authenticate, loadTaxReturn('taxReturnId'), requireOpen, async (req, res, next) => {
+  try {
+    const bankTransaction = await findReturnTransaction(req.taxReturn, req.params.transactionId);
+    if (!bankTransaction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transaction not found'
+      });
+    }
+
+    if (bankTransaction.status === 'accepted') {
+      return res.status(409).json({
+        success: false,
+        error: 'This transaction is on the return; remove the expense or income source it was accepted as instead'
+      });
+    }
+
+    const ignored = await bankTransaction.ignore(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Transaction ignored',
+      data: ignored.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
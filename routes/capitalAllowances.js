@@ -0,0 +1,310 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const CapitalAsset = require('../models/CapitalAsset');
+const Expense = require('../models/Expense');
+const { authenticate, authorize } = require('../middleware/auth');
+const { loadTaxReturn, requireOpen } = require('../middleware/taxReturnAccess');
+const { CAPITAL_ASSET_TYPES, CAPITAL_POOLS } = require('../services/capitalAllowances');
+const { toIsoDate } = require('../services/capitalGains');
+const { getPreviousTaxYear, getTaxYearDates } = require('../config/taxYears');
+
+// Mounted at /api/tax-returns/:taxReturnId/capital-allowances
+const router = express.Router({ mergeParams: true });
+
+// Validation helper
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const assetValidation = [
+  body('pool')
+    .optional()
+    .isIn(CAPITAL_POOLS)
+    .withMessage(`Pool must be one of: ${CAPITAL_POOLS.join(', ')}`),
+  body('registration')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Registration must be 20 characters or fewer'),
+  body('co2Emissions')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('CO2 emissions must be a whole number of g/km'),
+  body('isNew')
+    .optional()
+    .isBoolean()
+    .withMessage('isNew must be true or false'),
+  body('privateUsePercent')
+    .optional()
+    .isFloat({ min: 0, lt: 100 })
+    .withMessage('Private use must be a percentage from 0 up to (but not including) 100')
+];
+
+// Find one of the return's customer's assets
+const findCustomerAsset = async (taxReturn, assetId) => {
+  const asset = await CapitalAsset.findById(assetId);
+  if (!asset || asset.customerId !== taxReturn.customerId) {
+    return null;
+  }
+  return asset;
+};
+
+// A vehicle on simplified mileage while it is held cannot also get capital allowances; returns the
+// tax years it was claimed in
+const simplifiedMileageYears = async (customerId, registration, purchaseDate, disposalDate) => {
+  if (!registration) {
+    return [];
+  }
+
+  const claims = await Expense.findSimplifiedVehicleClaims(customerId, registration);
+  const years = claims
+    .map(claim => claim.tax_year)
+    .filter(taxYear => {
+      const { start, end } = getTaxYearDates(taxYear);
+      return end >= toIsoDate(purchaseDate) && (!disposalDate || start <= toIsoDate(disposalDate));
+    });
+  return [...new Set(years)];
+};
+
+// @route   GET /api/tax-returns/:taxReturnId/capital-allowances
+// @desc    Get the customer's capital assets, pool balances brought into this return and the last calculated allowances
+// @access  Private
+router.get('/', authenticate, loadTaxReturn('taxReturnId'), async (req, res, next) => {
+  try {
+    const { customerId, taxYear, calculationBreakdown } = req.taxReturn;
+    const assets = await CapitalAsset.findByCustomerId(customerId);
+
+    res.json({
+      success: true,
+      data: {
+        assets: assets.map(asset => new CapitalAsset(asset).toJSON()),
+        openingPools: await CapitalAsset.getClosingPools(customerId, getPreviousTaxYear(taxYear)),
+        lastCalculated: calculationBreakdown ? calculationBreakdown.capitalAllowances || null : null
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tax-returns/:taxReturnId/capital-allowances/assets
+// @desc    Add equipment or a car to the customer's capital assets register
+// @access  Private (Customer/Accountant)
+router.post('/assets', authenticate, loadTaxReturn('taxReturnId'), requireOpen, [
+  body('description')
+    .trim()
+    .notEmpty()
+    .isLength({ max: 255 })
+    .withMessage('Description is required'),
+  body('assetType')
+    .isIn(CAPITAL_ASSET_TYPES)
+    .withMessage(`Asset type must be one of: ${CAPITAL_ASSET_TYPES.join(', ')}`),
+  body('purchaseDate')
+    .isISO8601()
+    .withMessage('Valid purchase date is required'),
+  body('cost')
+    .isFloat({ min: 0 })
+    .withMessage('Cost must be a positive number'),
+  ...assetValidation
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const mileageYears = await simplifiedMileageYears(req.taxReturn.customerId, req.body.registration, req.body.purchaseDate);
+    if (mileageYears.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Simplified mileage is claimed for ${req.body.registration} in ${mileageYears.join(', ')}, so it cannot also get capital allowances`
+      });
+    }
+
+    const asset = await CapitalAsset.create({
+      customerId: req.taxReturn.customerId,
+      description: req.body.description,
+      assetType: req.body.assetType,
+      pool: req.body.pool,
+      purchaseDate: req.body.purchaseDate,
+      cost: req.body.cost,
+      co2Emissions: req.body.co2Emissions,
+      registration: req.body.registration ? req.body.registration.toUpperCase() : null,
+      isNew: req.body.isNew,
+      privateUsePercent: req.body.privateUsePercent
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Asset added to the capital assets register',
+      data: asset.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/tax-returns/:taxReturnId/capital-allowances/assets/:assetId
+// @desc    Update an asset or record its disposal
+// @access  Private (Customer/Accountant)
+router.put('/assets/:assetId', authenticate, loadTaxReturn('taxReturnId'), requireOpen, [
+  body('description')
+    .optional()
+    .trim()
+    .notEmpty()
+    .isLength({ max: 255 })
+    .withMessage('Description cannot be empty'),
+  body('purchaseDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid purchase date'),
+  body('cost')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Cost must be a positive number'),
+  body('disposalDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Invalid disposal date'),
+  body('disposalProceeds')
+    .if(body('disposalDate').exists({ values: 'null' }))
+    .isFloat({ min: 0 })
+    .withMessage('Disposal proceeds are required when recording a disposal'),
+  ...assetValidation
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const asset = await findCustomerAsset(req.taxReturn, req.params.assetId);
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Asset not found'
+      });
+    }
+
+    const purchaseDate = new Date(req.body.purchaseDate || asset.purchaseDate);
+    if (req.body.disposalDate && new Date(req.body.disposalDate) < purchaseDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'Disposal date cannot be before the purchase date'
+      });
+    }
+
+    const registration = req.body.registration === undefined ? asset.registration : req.body.registration;
+    const mileageYears = await simplifiedMileageYears(
+      asset.customerId,
+      registration,
+      req.body.purchaseDate || asset.purchaseDate,
+      req.body.disposalDate === undefined ? asset.disposalDate : req.body.disposalDate
+    );
+    if (mileageYears.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Simplified mileage is claimed for ${registration} in ${mileageYears.join(', ')}, so it cannot also get capital allowances`
+      });
+    }
+
+    const updateData = {
+      description: req.body.description,
+      pool: req.body.pool,
+      purchase_date: req.body.purchaseDate,
+      cost: req.body.cost,
+      co2_emissions: req.body.co2Emissions,
+      registration: req.body.registration ? req.body.registration.toUpperCase() : req.body.registration,
+      is_new: req.body.isNew,
+      private_use_percent: req.body.privateUsePercent,
+      disposal_date: req.body.disposalDate,
+      disposal_proceeds: req.body.disposalDate === null ? null : req.body.disposalProceeds
+    };
+
+    // Remove undefined values
+    Object.keys(updateData).forEach(key => {
+      if (updateData[key] === undefined) {
+        delete updateData[key];
+      }
+    });
+
+    const updatedAsset = await asset.update(updateData);
+
+    res.json({
+      success: true,
+      message: 'Asset updated successfully',
+      data: updatedAsset.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/tax-returns/:taxReturnId/capital-allowances/assets/:assetId
+// @desc    Remove an asset added in error (record a disposal instead when it is sold or scrapped)
+// @access  Private (Customer/Accountant)
+router.delete('/assets/:assetId', authenticate, loadTaxReturn('taxReturnId'), requireOpen, async (req, res, next) => {
+  try {
+    const asset = await findCustomerAsset(req.taxReturn, req.params.assetId);
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Asset not found'
+      });
+    }
+
+    await asset.delete();
+
+    res.json({
+      success: true,
+      message: 'Asset removed from the capital assets register'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/tax-returns/:taxReturnId/capital-allowances/opening-pools
+// @desc    Set the main and special rate pool balances brought into this return (e.g. from a previous accountant)
+// @access  Private (Accountant/Admin)
+router.put('/opening-pools', authenticate, authorize('accountant', 'admin'), loadTaxReturn('taxReturnId'), requireOpen, [
+  body(['mainPool', 'specialRatePool'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Pool balances must be positive numbers')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { customerId, taxYear } = req.taxReturn;
+    const previousYear = getPreviousTaxYear(taxYear);
+
+    // Single asset pools already carried forward are kept
+    const current = await CapitalAsset.getClosingPools(customerId, previousYear);
+    const pools = current
+      .filter(pool => !CAPITAL_POOLS.includes(pool.pool_key))
+      .map(pool => ({ poolKey: pool.pool_key, assetId: pool.asset_id, balance: pool.balance }));
+
+    const balances = { main: req.body.mainPool, special_rate: req.body.specialRatePool };
+    for (const poolKey of CAPITAL_POOLS) {
+      const existing = current.find(pool => pool.pool_key === poolKey);
+      const balance = balances[poolKey] ?? existing?.balance ?? 0;
+      if (parseFloat(balance) > 0) {
+        pools.push({ poolKey, balance });
+      }
+    }
+
+    const openingPools = await CapitalAsset.saveClosingPools(customerId, previousYear, pools, 'manual');
+
+    res.json({
+      success: true,
+      message: `Pool balances brought forward from ${previousYear} updated`,
+      data: openingPools
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,228 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Disposal = require('../models/Disposal');
+const AssetAcquisition = require('../models/AssetAcquisition');
+const { authenticate } = require('../middleware/auth');
+const { loadTaxReturn, requireOpen } = require('../middleware/taxReturnAccess');
+const { ASSET_TYPES, POOLED_ASSET_TYPES, calculateDisposalGains } = require('../services/capitalGains');
+const { getTaxYearDates } = require('../config/taxYears');
+
+// Mounted at /api/tax-returns/:taxReturnId/capital-gains
+const router = express.Router({ mergeParams: true });
+
+// Validation helper
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Shares and crypto are matched on an upper-case identifier such as a ticker or token symbol
+const normaliseIdentifier = (identifier) => String(identifier).trim().toUpperCase();
+
+// @route   GET /api/tax-returns/:taxReturnId/capital-gains
+// @desc    List the return's disposals and the customer's share and crypto acquisitions, with gains worked out
+// @access  Private
+router.get('/', authenticate, loadTaxReturn('taxReturnId'), async (req, res, next) => {
+  try {
+    const { taxReturn } = req;
+    const disposals = await Disposal.findByTaxReturnId(taxReturn.id);
+    const acquisitions = await AssetAcquisition.findByCustomerId(taxReturn.customerId);
+
+    // Earlier disposals affect the pools, so match against the customer's whole history
+    const { gains, pools } = calculateDisposalGains(await Disposal.findByCustomerId(taxReturn.customerId), acquisitions);
+    const disposalIds = disposals.map(disposal => disposal.id);
+
+    res.json({
+      success: true,
+      data: {
+        disposals: disposals.map(disposal => disposal.toJSON()),
+        acquisitions: acquisitions.map(row => new AssetAcquisition(row).toJSON()),
+        gains: gains.filter(gain => disposalIds.includes(gain.id)),
+        pools
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tax-returns/:taxReturnId/capital-gains/disposals
+// @desc    Add a disposal to a tax return
+// @access  Private (Customer/Accountant)
+router.post('/disposals', authenticate, loadTaxReturn('taxReturnId'), requireOpen, [
+  body('assetType')
+    .isIn(ASSET_TYPES)
+    .withMessage(`Asset type must be one of: ${ASSET_TYPES.join(', ')}`),
+  body('assetName')
+    .trim()
+    .notEmpty()
+    .isLength({ max: 255 })
+    .withMessage('Asset name is required'),
+  body('assetIdentifier')
+    .if(body('assetType').isIn(POOLED_ASSET_TYPES))
+    .trim()
+    .notEmpty()
+    .isLength({ max: 100 })
+    .withMessage('Shares and crypto need an identifier such as a ticker or token symbol'),
+  body('quantity')
+    .if(body('assetType').isIn(POOLED_ASSET_TYPES))
+    .isFloat({ gt: 0 })
+    .withMessage('Quantity disposed must be greater than zero'),
+  body('disposalDate')
+    .isISO8601()
+    .withMessage('Invalid disposal date'),
+  body('acquisitionDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid acquisition date'),
+  body('proceeds')
+    .isFloat({ min: 0 })
+    .withMessage('Proceeds must be a positive number'),
+  body('acquisitionCost')
+    .if(body('assetType').not().isIn(POOLED_ASSET_TYPES))
+    .isFloat({ min: 0 })
+    .withMessage('Acquisition cost must be a positive number'),
+  body('disposalCosts')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Disposal costs must be a positive number')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { taxReturn } = req;
+    const { start, end } = getTaxYearDates(taxReturn.taxYear);
+    const disposalDate = req.body.disposalDate.slice(0, 10);
+
+    if (disposalDate < start || disposalDate > end) {
+      return res.status(400).json({
+        success: false,
+        error: `Disposal date must fall in tax year ${taxReturn.taxYear} (${start} to ${end})`
+      });
+    }
+
+    const pooled = POOLED_ASSET_TYPES.includes(req.body.assetType);
+    const disposal = await Disposal.create({
+      taxReturnId: taxReturn.id,
+      assetType: req.body.assetType,
+      assetName: req.body.assetName,
+      assetIdentifier: pooled ? normaliseIdentifier(req.body.assetIdentifier) : null,
+      quantity: req.body.quantity,
+      acquisitionDate: pooled ? null : req.body.acquisitionDate,
+      disposalDate,
+      proceeds: req.body.proceeds,
+      acquisitionCost: pooled ? null : req.body.acquisitionCost,
+      disposalCosts: req.body.disposalCosts
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Disposal added successfully',
+      data: disposal.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/tax-returns/:taxReturnId/capital-gains/disposals/:disposalId
+// @desc    Remove a disposal from a tax return
+// @access  Private (Customer/Accountant)
+router.delete('/disposals/:disposalId', authenticate, loadTaxReturn('taxReturnId'), requireOpen, async (req, res, next) => {
+  try {
+    const disposal = await Disposal.findById(req.params.disposalId);
+    if (!disposal || disposal.taxReturnId !== req.taxReturn.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Disposal not found'
+      });
+    }
+
+    await disposal.delete();
+
+    res.json({
+      success: true,
+      message: 'Disposal deleted successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tax-returns/:taxReturnId/capital-gains/acquisitions
+// @desc    Record a purchase of shares or crypto for the customer (used for matching in every year)
+// @access  Private (Customer/Accountant)
+router.post('/acquisitions', authenticate, loadTaxReturn('taxReturnId'), requireOpen, [
+  body('assetType')
+    .isIn(POOLED_ASSET_TYPES)
+    .withMessage(`Asset type must be one of: ${POOLED_ASSET_TYPES.join(', ')}`),
+  body('assetIdentifier')
+    .trim()
+    .notEmpty()
+    .isLength({ max: 100 })
+    .withMessage('Asset identifier is required'),
+  body('acquisitionDate')
+    .isISO8601()
+    .withMessage('Invalid acquisition date'),
+  body('quantity')
+    .isFloat({ gt: 0 })
+    .withMessage('Quantity must be greater than zero'),
+  body('cost')
+    .isFloat({ min: 0 })
+    .withMessage('Cost must be a positive number')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const acquisition = await AssetAcquisition.create({
+      customerId: req.taxReturn.customerId,
+      assetType: req.body.assetType,
+      assetIdentifier: normaliseIdentifier(req.body.assetIdentifier),
+      acquisitionDate: req.body.acquisitionDate.slice(0, 10),
+      quantity: req.body.quantity,
+      cost: req.body.cost
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Acquisition added successfully',
+      data: acquisition.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/tax-returns/:taxReturnId/capital-gains/acquisitions/:acquisitionId
+// @desc    Remove one of the customer's acquisitions
+// @access  Private (Customer/Accountant)
+router.delete('/acquisitions/:acquisitionId', authenticate, loadTaxReturn('taxReturnId'), requireOpen, async (req, res, next) => {
+  try {
+    const acquisition = await AssetAcquisition.findById(req.params.acquisitionId);
+    if (!acquisition || acquisition.customerId !== req.taxReturn.customerId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Acquisition not found'
+      });
+    }
+
+    await acquisition.delete();
+
+    res.json({
+      success: true,
+      message: 'Acquisition deleted successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+const express = require('express');
+const CarryOverItem = require('../models/CarryOverItem');
+const { authenticate } = require('../middleware/auth');
+const { loadTaxReturn, requireOpen } = require('../middleware/taxReturnAccess');
+
+// Mounted at /api/tax-returns/:taxReturnId/carry-over
+const router = express.Router({ mergeParams: true });
+
+// @route   GET /api/tax-returns/:taxReturnId/carry-over
+// @desc    Get the items brought in from last year's return and which still need confirming
+// @access  Private
+router.get('/', authenticate, loadTaxReturn('taxReturnId'), async (req, res, next) => {
+  try {
+    const items = await CarryOverItem.findByTaxReturnId(req.taxReturn.id);
+
+    res.json({
+      success: true,
+      data: {
+        items: items.map(item => ({ ...item.toJSON(), removable: item.isRemovable() })),
+        unconfirmed: items.filter(item => !item.confirmedAt).length
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tax-returns/:taxReturnId/carry-over/:itemId/confirm
+// @desc    Confirm a carried-over item still applies this year
+// @access  Private
+router.post('/:itemId/confirm', authenticate, loadTaxReturn('taxReturnId'), requireOpen, async (req, res, next) => {
+  try {
+    const item = await CarryOverItem.findById(req.taxReturn.id, req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: 'Carried-over item not found'
+      });
+    }
+
+    const confirmed = await item.confirm(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Item confirmed',
+      data: confirmed.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/tax-returns/:taxReturnId/carry-over/:itemId
+// @desc    Remove a carried-over income source, property or expense category that does not apply this year
+// @access  Private
+router.delete('/:itemId', authenticate, loadTaxReturn('taxReturnId'), requireOpen, async (req, res, next) => {
+  try {
+    const item = await CarryOverItem.findById(req.taxReturn.id, req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: 'Carried-over item not found'
+      });
+    }
+
+    if (!item.isRemovable()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Losses and pool balances brought forward come from the ledger; correct them on the losses or capital allowances pages'
+      });
+    }
+
+    await item.delete();
+
+    res.json({
+      success: true,
+      message: 'Item removed from the return'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,362 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Couple = require('../models/Couple');
+const TaxReturn = require('../models/TaxReturn');
+const { authenticate, authorize } = require('../middleware/auth');
+const { query } = require('../config/database');
+const {
+  COUPLE_CLAIM_TYPES,
+  MCA_TRANSFERS,
+  MCA_BORN_BEFORE,
+  isBasicRateTaxpayer
+} = require('../services/marriageAllowance');
+const { toIsoDate } = require('../services/capitalGains');
+
+const router = express.Router();
+
+// Validation helper
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Admins manage any couple; accountants only couples where they handle one partner's returns
+const canManageCouple = async (user, customerIds) => {
+  if (user.role === 'admin') {
+    return true;
+  }
+
+  const result = await query(`
+    SELECT 1 FROM tax_returns tr
+    JOIN accountants a ON tr.accountant_id = a.id
+    WHERE a.user_id = $1 AND tr.customer_id = ANY($2::uuid[])
+    LIMIT 1
+  `, [user.id, customerIds]);
+  return result.rows.length > 0;
+};
+
+// Load the couple from :id and check the user may manage it
+const loadManagedCouple = async (req, res) => {
+  const couple = await Couple.findById(req.params.id);
+  if (!couple) {
+    res.status(404).json({
+      success: false,
+      error: 'Couple not found'
+    });
+    return null;
+  }
+
+  if (!(await canManageCouple(req.user, couple.getCustomerIds()))) {
+    res.status(403).json({
+      success: false,
+      error: 'Access denied'
+    });
+    return null;
+  }
+
+  return couple;
+};
+
+// Recalculate both partners' open returns for the year so a claim shows in each of them
+const recalculateCoupleReturns = async (couple, taxYear) => {
+  const results = [];
+
+  for (const customerId of couple.getCustomerIds()) {
+    const [taxReturn] = await TaxReturn.findByCustomerId(customerId, { taxYear });
+    if (!taxReturn || ['filed', 'cancelled'].includes(taxReturn.status)) {
+      continue;
+    }
+
+    const { breakdown } = await taxReturn.calculate();
+    results.push({
+      customerId,
+      taxReturnId: taxReturn.id,
+      marriageAllowance: breakdown.marriageAllowance,
+      marriedCouplesAllowance: breakdown.marriedCouplesAllowance,
+      totals: breakdown.totals
+    });
+  }
+
+  return results;
+};
+
+// @route   GET /api/couples/me
+// @desc    Get the signed-in customer's linked partner and allowance claims
+// @access  Private (Customer)
+router.get('/me', authenticate, authorize('customer'), async (req, res, next) => {
+  try {
+    const customerResult = await query('SELECT id FROM customers WHERE user_id = $1', [req.user.id]);
+    const customerId = customerResult.rows[0]?.id;
+    const couple = customerId ? await Couple.findActiveByCustomerId(customerId) : null;
+
+    res.json({
+      success: true,
+      data: couple ? { couple: couple.toJSON(), claims: await couple.getClaims() } : null
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/couples
+// @desc    Link two customers as spouses or civil partners
+// @access  Private (Accountant/Admin)
+router.post('/', authenticate, authorize('accountant', 'admin'), [
+  body(['customerId', 'partnerCustomerId'])
+    .isUUID()
+    .withMessage('Invalid customer ID'),
+  body('partnerCustomerId')
+    .custom((value, { req }) => value !== req.body.customerId)
+    .withMessage('A customer cannot be linked to themselves'),
+  body('relationship')
+    .optional()
+    .isIn(['married', 'civil_partnership'])
+    .withMessage('Relationship must be married or civil_partnership'),
+  body('marriageDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid marriage date')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { customerId, partnerCustomerId, relationship, marriageDate } = req.body;
+    const customerIds = [customerId, partnerCustomerId];
+
+    const customers = await query('SELECT id FROM customers WHERE id = ANY($1::uuid[])', [customerIds]);
+    if (customers.rows.length !== 2) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found'
+      });
+    }
+
+    if (!(await canManageCouple(req.user, customerIds))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    for (const id of customerIds) {
+      if (await Couple.findActiveByCustomerId(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'One of the customers is already linked to a partner'
+        });
+      }
+    }
+
+    const couple = await Couple.create({
+      customerId,
+      partnerCustomerId,
+      relationship,
+      marriageDate,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Customers linked as a couple',
+      data: couple.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/couples/:id
+// @desc    Get a couple and its allowance claims
+// @access  Private (Accountant/Admin)
+router.get('/:id', authenticate, authorize('accountant', 'admin'), async (req, res, next) => {
+  try {
+    const couple = await loadManagedCouple(req, res);
+    if (!couple) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        couple: couple.toJSON(),
+        claims: await couple.getClaims()
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/couples/:id
+// @desc    Unlink a couple
+// @access  Private (Accountant/Admin)
+router.delete('/:id', authenticate, authorize('accountant', 'admin'), async (req, res, next) => {
+  try {
+    const couple = await loadManagedCouple(req, res);
+    if (!couple) {
+      return;
+    }
+
+    const endedCouple = await couple.end();
+
+    res.json({
+      success: true,
+      message: 'Couple unlinked',
+      data: endedCouple.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/couples/:id/claims
+// @desc    Claim the marriage allowance or married couple's allowance for a tax year and apply it to both returns
+// @access  Private (Accountant/Admin)
+router.post('/:id/claims', authenticate, authorize('accountant', 'admin'), [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid couple ID'),
+  body('taxYear')
+    .matches(/^\d{4}-\d{2}$/)
+    .withMessage('Tax year must be in format YYYY-YY (e.g., 2023-24)'),
+  body('claimType')
+    .isIn(COUPLE_CLAIM_TYPES)
+    .withMessage(`Claim type must be one of: ${COUPLE_CLAIM_TYPES.join(', ')}`),
+  body('fromCustomerId')
+    .isUUID()
+    .withMessage('The transferring or claiming partner is required'),
+  body('mcaTransfer')
+    .optional()
+    .isIn(MCA_TRANSFERS)
+    .withMessage(`Married couple's allowance transfer must be one of: ${MCA_TRANSFERS.join(', ')}`)
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const couple = await loadManagedCouple(req, res);
+    if (!couple) {
+      return;
+    }
+
+    const { taxYear, claimType, fromCustomerId, mcaTransfer = 'none' } = req.body;
+
+    if (!couple.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'This couple is no longer linked'
+      });
+    }
+
+    if (!couple.getCustomerIds().includes(fromCustomerId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'The claiming partner must be one of the couple'
+      });
+    }
+
+    // The two allowances cannot both be claimed for the same year
+    const otherType = COUPLE_CLAIM_TYPES.find(type => type !== claimType);
+    const existingClaims = await couple.getClaims(taxYear);
+    if (existingClaims.some(claim => claim.claim_type === otherType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Marriage allowance cannot be claimed alongside married couple\'s allowance'
+      });
+    }
+
+    const toCustomerId = couple.getPartnerOf(fromCustomerId);
+
+    if (claimType === 'marriage_allowance') {
+      // The recipient must not be taxed above the basic rate
+      const [recipientReturn] = await TaxReturn.findByCustomerId(toCustomerId, { taxYear });
+      if (!recipientReturn) {
+        return res.status(400).json({
+          success: false,
+          error: `The receiving partner has no tax return for ${taxYear} to check eligibility against`
+        });
+      }
+
+      const { breakdown } = await recipientReturn.calculate();
+      if (!isBasicRateTaxpayer(breakdown.bands)) {
+        return res.status(400).json({
+          success: false,
+          error: 'The receiving partner is taxed above the basic rate, so marriage allowance is not available'
+        });
+      }
+    } else {
+      const datesOfBirth = await couple.getDatesOfBirth();
+      const eligible = Object.values(datesOfBirth).some(date => date && toIsoDate(date) < MCA_BORN_BEFORE);
+      if (!eligible) {
+        return res.status(400).json({
+          success: false,
+          error: `Married couple's allowance needs one partner born before ${MCA_BORN_BEFORE}`
+        });
+      }
+    }
+
+    const claim = await couple.saveClaim({
+      taxYear,
+      claimType,
+      fromCustomerId,
+      toCustomerId,
+      mcaTransfer: claimType === 'married_couples_allowance' ? mcaTransfer : 'none',
+      createdBy: req.user.id
+    });
+    const returns = await recalculateCoupleReturns(couple, taxYear);
+
+    res.status(201).json({
+      success: true,
+      message: 'Allowance claimed and applied to both returns',
+      data: {
+        claim,
+        returns
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/couples/:id/claims/:claimId
+// @desc    Withdraw an allowance claim and recalculate both returns
+// @access  Private (Accountant/Admin)
+router.delete('/:id/claims/:claimId', authenticate, authorize('accountant', 'admin'), async (req, res, next) => {
+  try {
+    const couple = await loadManagedCouple(req, res);
+    if (!couple) {
+      return;
+    }
+
+    const claim = await couple.withdrawClaim(req.params.claimId);
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        error: 'Claim not found'
+      });
+    }
+
+    const returns = await recalculateCoupleReturns(couple, claim.tax_year);
+
+    res.json({
+      success: true,
+      message: 'Allowance claim withdrawn',
+      data: {
+        claim,
+        returns
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
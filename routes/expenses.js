@@ -0,0 +1,355 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Expense = require('../models/Expense');
+const Document = require('../models/Document');
+const { authenticate, authorize } = require('../middleware/auth');
+const { loadTaxReturn, requireOpen } = require('../middleware/taxReturnAccess');
+const { EXPENSE_CATEGORIES, SUBMITTABLE_CATEGORIES, SA103_BOXES, totalsBySa103Box } = require('../services/expenseCategories');
+const { getTaxYearDates } = require('../config/taxYears');
+
+// Mounted at /api/tax-returns/:taxReturnId/expenses
+const router = express.Router({ mergeParams: true });
+
+// Validation helper
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const expenseValidation = [
+  body('description')
+    .optional()
+    .trim()
+    .notEmpty()
+    .isLength({ max: 255 })
+    .withMessage('Description is required and must be at most 255 characters'),
+  body('expenseDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Expense date must be in the format YYYY-MM-DD'),
+  body('vehicleRegistration')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Invalid vehicle registration'),
+  body('documentId')
+    .optional({ values: 'null' })
+    .isUUID()
+    .withMessage('Invalid document ID')
+];
+
+// Request fields and the columns they are stored in
+const FIELDS = {
+  category: 'category',
+  description: 'description',
+  amount: 'amount',
+  expenseDate: 'expense_date',
+  vehicleRegistration: 'vehicle_registration',
+  documentId: 'receipt_document_id'
+};
+
+// Find one of the return's expenses
+const findReturnExpense = async (taxReturn, expenseId) => {
+  const expense = await Expense.findById(expenseId);
+  if (!expense || expense.taxReturnId !== taxReturn.id) {
+    return null;
+  }
+  return expense;
+};
+
+// Check the expense as it will be stored: dated in the return's tax year, a receipt uploaded to the same
+// return, and not running costs for a vehicle already on simplified mileage
+const checkExpense = async (taxReturn, expense) => {
+  const problems = [];
+  const { start, end } = getTaxYearDates(taxReturn.taxYear);
+
+  const expenseDate = new Date(expense.expenseDate);
+  if (expenseDate < new Date(start) || expenseDate > new Date(end)) {
+    problems.push({ path: 'expenseDate', msg: `The expense must be dated within the ${taxReturn.taxYear} tax year (${start} to ${end})` });
+  }
+
+  if (expense.documentId) {
+    const document = await Document.findById(expense.documentId);
+    if (!document || document.taxReturnId !== taxReturn.id) {
+      problems.push({ path: 'documentId', msg: 'Receipt not found; upload it to this return first' });
+    }
+  }
+
+  if (expense.vehicleRegistration) {
+    const simplifiedClaims = await Expense.findForVehicle(taxReturn.id, expense.vehicleRegistration, 'simplified');
+    if (simplifiedClaims.length > 0) {
+      problems.push({
+        path: 'vehicleRegistration',
+        msg: `Simplified mileage is claimed for ${expense.vehicleRegistration.toUpperCase()}; its actual running costs cannot also be claimed`
+      });
+    }
+  }
+
+  return problems;
+};
+
+// @route   GET /api/tax-returns/:taxReturnId/expenses/categories
+// @desc    Get the expense categories a customer can submit under and the SA103 box each is totalled in
+// @access  Private
+router.get('/categories', authenticate, loadTaxReturn('taxReturnId'), async (req, res) => {
+  res.json({
+    success: true,
+    data: SUBMITTABLE_CATEGORIES.map(category => ({
+      category,
+      label: EXPENSE_CATEGORIES[category].label,
+      sa103Box: EXPENSE_CATEGORIES[category].sa103Box,
+      sa103Description: SA103_BOXES[EXPENSE_CATEGORIES[category].sa103Box]
+    }))
+  });
+});
+
+// @route   GET /api/tax-returns/:taxReturnId/expenses
+// @desc    Get the return's expenses, optionally by review status, with approved totals by SA103 box
+// @access  Private
+router.get('/', authenticate, loadTaxReturn('taxReturnId'), [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected'])
+    .withMessage('Status must be pending, approved or rejected')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const expenses = await Expense.findByTaxReturnId(req.taxReturn.id, { status: req.query.status });
+
+    res.json({
+      success: true,
+      data: {
+        expenses: expenses.map(expense => expense.toJSON()),
+        sa103: totalsBySa103Box(await req.taxReturn.getExpenses())
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/tax-returns/:taxReturnId/expenses/:expenseId
+// @desc    Get one expense
+// @access  Private
+router.get('/:expenseId', authenticate, loadTaxReturn('taxReturnId'), async (req, res, next) => {
+  try {
+    const expense = await findReturnExpense(req.taxReturn, req.params.expenseId);
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        error: 'Expense not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: expense.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tax-returns/:taxReturnId/expenses
+// @desc    Submit an expense for the accountant to review, optionally with an uploaded receipt
+// @access  Private
+router.post('/', authenticate, loadTaxReturn('taxReturnId'), requireOpen, [
+  body('category')
+    .isIn(SUBMITTABLE_CATEGORIES)
+    .withMessage('Invalid expense category'),
+  body('description')
+    .exists()
+    .withMessage('Description is required'),
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than zero'),
+  body('expenseDate')
+    .exists()
+    .withMessage('Expense date is required'),
+  ...expenseValidation
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const fields = Object.fromEntries(Object.keys(FIELDS).map(field => [field, req.body[field]]));
+    const problems = await checkExpense(req.taxReturn, fields);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: problems
+      });
+    }
+
+    const expense = await Expense.create({
+      taxReturnId: req.taxReturn.id,
+      category: fields.category,
+      description: fields.description,
+      amount: fields.amount,
+      expenseDate: fields.expenseDate,
+      vehicleRegistration: fields.vehicleRegistration || null,
+      receiptDocumentId: fields.documentId || null,
+      submittedBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Expense submitted for review',
+      data: expense.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/tax-returns/:taxReturnId/expenses/:expenseId
+// @desc    Update an expense; changing what is claimed sends it back for review
+// @access  Private
+router.put('/:expenseId', authenticate, loadTaxReturn('taxReturnId'), requireOpen, [
+  body('category')
+    .optional()
+    .isIn(SUBMITTABLE_CATEGORIES)
+    .withMessage('Invalid expense category'),
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than zero'),
+  ...expenseValidation
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const expense = await findReturnExpense(req.taxReturn, req.params.expenseId);
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        error: 'Expense not found'
+      });
+    }
+
+    if (expense.expenseMethod === 'simplified') {
+      return res.status(400).json({
+        success: false,
+        error: 'Simplified expenses are worked out by the flat rate calculators; delete it and recalculate instead'
+      });
+    }
+
+    const changes = Object.fromEntries(
+      Object.keys(FIELDS).filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+    );
+    const problems = await checkExpense(req.taxReturn, {
+      expenseDate: expense.expenseDate,
+      vehicleRegistration: expense.vehicleRegistration,
+      documentId: expense.receiptDocumentId,
+      ...changes
+    });
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: problems
+      });
+    }
+
+    const updateData = Object.fromEntries(Object.entries(changes).map(([field, value]) => [FIELDS[field], value]));
+    const updatedExpense = await expense.update(updateData);
+
+    res.json({
+      success: true,
+      message: 'Expense updated successfully',
+      data: updatedExpense.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/tax-returns/:taxReturnId/expenses/:expenseId
+// @desc    Remove an expense from the return
+// @access  Private
+router.delete('/:expenseId', authenticate, loadTaxReturn('taxReturnId'), requireOpen, async (req, res, next) => {
+  try {
+    const expense = await findReturnExpense(req.taxReturn, req.params.expenseId);
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        error: 'Expense not found'
+      });
+    }
+
+    await expense.delete();
+
+    res.json({
+      success: true,
+      message: 'Expense removed from the return'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tax-returns/:taxReturnId/expenses/:expenseId/approve
+// @desc    Approve an expense so it is included in the calculation
+// @access  Private (Accountant/Admin)
+router.post('/:expenseId/approve', authenticate, authorize('accountant', 'admin'), loadTaxReturn('taxReturnId'), requireOpen, async (req, res, next) => {
+  try {
+    const expense = await findReturnExpense(req.taxReturn, req.params.expenseId);
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        error: 'Expense not found'
+      });
+    }
+
+    const approved = await expense.review(true, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Expense approved',
+      data: approved.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tax-returns/:taxReturnId/expenses/:expenseId/reject
+// @desc    Reject an expense with the reason it is not allowable; it is left out of the calculation
+// @access  Private (Accountant/Admin)
+router.post('/:expenseId/reject', authenticate, authorize('accountant', 'admin'), loadTaxReturn('taxReturnId'), requireOpen, [
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('A reason for rejecting the expense is required')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const expense = await findReturnExpense(req.taxReturn, req.params.expenseId);
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        error: 'Expense not found'
+      });
+    }
+
+    const rejected = await expense.review(false, req.user.id, req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Expense rejected',
+      data: rejected.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
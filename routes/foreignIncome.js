@@ -0,0 +1,228 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ForeignIncome = require('../models/ForeignIncome');
+const { authenticate } = require('../middleware/auth');
+const { loadTaxReturn, requireOpen } = require('../middleware/taxReturnAccess');
+const { FOREIGN_INCOME_TYPES } = require('../services/foreignIncome');
+
+// Mounted at /api/tax-returns/:taxReturnId/foreign-income
+const router = express.Router({ mergeParams: true });
+
+// Validation helper
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const foreignIncomeValidation = [
+  body('description')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Description too long'),
+  body('currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Currency must be a three letter currency code'),
+  body('exchangeRate')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Exchange rate must be the units of currency per £1'),
+  body(['foreignTaxPaid', 'amountRemitted'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Amounts must be positive numbers'),
+  body('overseasPart')
+    .optional()
+    .isBoolean()
+    .withMessage('overseasPart must be true or false')
+];
+
+// Find one of the return's foreign income sources
+const findReturnSource = async (taxReturn, sourceId) => {
+  const source = await ForeignIncome.findById(sourceId);
+  if (!source || source.taxReturnId !== taxReturn.id) {
+    return null;
+  }
+  return source;
+};
+
+// Sterling returns need no conversion; other currencies need the rate used
+const exchangeRateError = (currency, exchangeRate) => {
+  if (currency && currency.toUpperCase() !== 'GBP' && exchangeRate === undefined) {
+    return `An exchange rate is required for income received in ${currency.toUpperCase()}`;
+  }
+  return null;
+};
+
+// @route   GET /api/tax-returns/:taxReturnId/foreign-income
+// @desc    Get the return's foreign income sources and the last calculated foreign income and tax credits
+// @access  Private
+router.get('/', authenticate, loadTaxReturn('taxReturnId'), async (req, res, next) => {
+  try {
+    const sources = await ForeignIncome.findByTaxReturnId(req.taxReturn.id);
+    const breakdown = req.taxReturn.calculationBreakdown;
+
+    res.json({
+      success: true,
+      data: {
+        sources: sources.map(source => new ForeignIncome(source).toJSON()),
+        lastCalculated: breakdown ? breakdown.foreignIncome || null : null
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tax-returns/:taxReturnId/foreign-income
+// @desc    Add a foreign income source with the foreign tax paid on it
+// @access  Private (Customer/Accountant)
+router.post('/', authenticate, loadTaxReturn('taxReturnId'), requireOpen, [
+  body('country')
+    .isISO31661Alpha2()
+    .withMessage('Country must be a two letter country code'),
+  body('incomeType')
+    .isIn(FOREIGN_INCOME_TYPES)
+    .withMessage(`Income type must be one of: ${FOREIGN_INCOME_TYPES.join(', ')}`),
+  body('amount')
+    .isFloat({ min: 0 })
+    .withMessage('Amount must be a positive number'),
+  ...foreignIncomeValidation
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const rateError = exchangeRateError(req.body.currency, req.body.exchangeRate);
+    if (rateError) {
+      return res.status(400).json({
+        success: false,
+        error: rateError
+      });
+    }
+
+    const source = await ForeignIncome.create({
+      taxReturnId: req.taxReturn.id,
+      country: req.body.country,
+      incomeType: req.body.incomeType,
+      description: req.body.description,
+      currency: req.body.currency,
+      exchangeRate: req.body.exchangeRate,
+      amount: req.body.amount,
+      foreignTaxPaid: req.body.foreignTaxPaid,
+      amountRemitted: req.body.amountRemitted,
+      overseasPart: req.body.overseasPart
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Foreign income added to the return',
+      data: source.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/tax-returns/:taxReturnId/foreign-income/:sourceId
+// @desc    Update a foreign income source
+// @access  Private (Customer/Accountant)
+router.put('/:sourceId', authenticate, loadTaxReturn('taxReturnId'), requireOpen, [
+  body('country')
+    .optional()
+    .isISO31661Alpha2()
+    .withMessage('Country must be a two letter country code'),
+  body('incomeType')
+    .optional()
+    .isIn(FOREIGN_INCOME_TYPES)
+    .withMessage(`Income type must be one of: ${FOREIGN_INCOME_TYPES.join(', ')}`),
+  body('amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Amount must be a positive number'),
+  ...foreignIncomeValidation
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const source = await findReturnSource(req.taxReturn, req.params.sourceId);
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        error: 'Foreign income source not found'
+      });
+    }
+
+    const rateError = req.body.currency && req.body.currency.toUpperCase() !== source.currency
+      ? exchangeRateError(req.body.currency, req.body.exchangeRate)
+      : null;
+    if (rateError) {
+      return res.status(400).json({
+        success: false,
+        error: rateError
+      });
+    }
+
+    const updateData = {
+      country: req.body.country ? req.body.country.toUpperCase() : undefined,
+      income_type: req.body.incomeType,
+      description: req.body.description,
+      currency: req.body.currency ? req.body.currency.toUpperCase() : undefined,
+      exchange_rate: req.body.currency && req.body.currency.toUpperCase() === 'GBP' ? 1 : req.body.exchangeRate,
+      amount: req.body.amount,
+      foreign_tax_paid: req.body.foreignTaxPaid,
+      amount_remitted: req.body.amountRemitted,
+      overseas_part: req.body.overseasPart
+    };
+
+    // Remove undefined values
+    Object.keys(updateData).forEach(key => {
+      if (updateData[key] === undefined) {
+        delete updateData[key];
+      }
+    });
+
+    const updatedSource = await source.update(updateData);
+
+    res.json({
+      success: true,
+      message: 'Foreign income updated successfully',
+      data: updatedSource.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/tax-returns/:taxReturnId/foreign-income/:sourceId
+// @desc    Remove a foreign income source
+// @access  Private (Customer/Accountant)
+router.delete('/:sourceId', authenticate, loadTaxReturn('taxReturnId'), requireOpen, async (req, res, next) => {
+  try {
+    const source = await findReturnSource(req.taxReturn, req.params.sourceId);
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        error: 'Foreign income source not found'
+      });
+    }
+
+    await source.delete();
+
+    res.json({
+      success: true,
+      message: 'Foreign income removed from the return'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
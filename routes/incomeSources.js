@@ -0,0 +1,251 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const IncomeSource = require('../models/IncomeSource');
+const Property = require('../models/Property');
+const { authenticate } = require('../middleware/auth');
+const { loadTaxReturn, requireOpen } = require('../middleware/taxReturnAccess');
+const { INCOME_SOURCE_TYPES, PAYE_REFERENCE_PATTERN, incomeSourceProblems } = require('../services/incomeSources');
+const { getTaxYearDates } = require('../config/taxYears');
+
+// Mounted at /api/tax-returns/:taxReturnId/income
+const router = express.Router({ mergeParams: true });
+
+// Validation helper
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const incomeSourceValidation = [
+  body('taxDeducted')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Tax deducted must be a positive number'),
+  body('niContributions')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('National Insurance contributions must be a positive number'),
+  body(['studentLoanDeducted', 'postgraduateLoanDeducted'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Loan repayments deducted must be a positive number'),
+  body('employerName')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Employer name too long'),
+  body('employerPayeReference')
+    .optional({ values: 'null' })
+    .trim()
+    .customSanitizer(value => value.toUpperCase())
+    .matches(PAYE_REFERENCE_PATTERN)
+    .withMessage('Employer PAYE reference must be the tax office number and reference, e.g. 123/AB45678'),
+  body('propertyId')
+    .optional({ values: 'null' })
+    .isUUID()
+    .withMessage('Invalid property ID'),
+  body(['startDate', 'endDate'])
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Dates must be in the format YYYY-MM-DD')
+];
+
+// Request fields and the columns they are stored in
+const FIELDS = {
+  sourceType: 'source_type',
+  employerName: 'employer_name',
+  employerPayeReference: 'employer_paye_reference',
+  propertyId: 'property_id',
+  grossIncome: 'gross_income',
+  taxDeducted: 'tax_deducted',
+  niContributions: 'ni_contributions',
+  studentLoanDeducted: 'student_loan_deducted',
+  postgraduateLoanDeducted: 'postgraduate_loan_deducted',
+  startDate: 'start_date',
+  endDate: 'end_date'
+};
+
+// Find one of the return's income sources
+const findReturnSource = async (taxReturn, sourceId) => {
+  const source = await IncomeSource.findById(sourceId);
+  if (!source || source.taxReturnId !== taxReturn.id) {
+    return null;
+  }
+  return source;
+};
+
+// Check the source as it will be stored against the rules for its type, and that a linked property is the customer's
+const checkSource = async (taxReturn, source) => {
+  const problems = incomeSourceProblems(source, getTaxYearDates(taxReturn.taxYear));
+
+  if (source.propertyId && !problems.some(problem => problem.path === 'propertyId')) {
+    const property = await Property.findById(source.propertyId);
+    if (!property || property.customerId !== taxReturn.customerId) {
+      problems.push({ path: 'propertyId', msg: 'Property not found' });
+    }
+  }
+
+  return problems;
+};
+
+// @route   GET /api/tax-returns/:taxReturnId/income
+// @desc    Get the return's income sources (carried-over sources show whether they still need confirming)
+// @access  Private
+router.get('/', authenticate, loadTaxReturn('taxReturnId'), async (req, res, next) => {
+  try {
+    const sources = await IncomeSource.findByTaxReturnId(req.taxReturn.id);
+
+    res.json({
+      success: true,
+      data: sources.map(source => source.toJSON())
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/tax-returns/:taxReturnId/income/:sourceId
+// @desc    Get one income source
+// @access  Private
+router.get('/:sourceId', authenticate, loadTaxReturn('taxReturnId'), async (req, res, next) => {
+  try {
+    const source = await findReturnSource(req.taxReturn, req.params.sourceId);
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        error: 'Income source not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: source.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tax-returns/:taxReturnId/income
+// @desc    Add income source to tax return
+// @access  Private (Customer/Accountant)
+router.post('/', authenticate, loadTaxReturn('taxReturnId'), requireOpen, [
+  body('sourceType')
+    .isIn(INCOME_SOURCE_TYPES)
+    .withMessage('Invalid income source type'),
+  body('grossIncome')
+    .isFloat({ min: 0 })
+    .withMessage('Gross income must be a positive number'),
+  ...incomeSourceValidation
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const fields = Object.fromEntries(Object.keys(FIELDS).map(field => [field, req.body[field]]));
+    const problems = await checkSource(req.taxReturn, fields);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: problems
+      });
+    }
+
+    const source = await IncomeSource.create({
+      taxReturnId: req.taxReturn.id,
+      ...Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined))
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Income source added successfully',
+      data: source.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/tax-returns/:taxReturnId/income/:sourceId
+// @desc    Update an income source (confirms it if it was carried over from last year)
+// @access  Private (Customer/Accountant)
+router.put('/:sourceId', authenticate, loadTaxReturn('taxReturnId'), requireOpen, [
+  body('sourceType')
+    .optional()
+    .isIn(INCOME_SOURCE_TYPES)
+    .withMessage('Invalid income source type'),
+  body('grossIncome')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Gross income must be a positive number'),
+  ...incomeSourceValidation
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const source = await findReturnSource(req.taxReturn, req.params.sourceId);
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        error: 'Income source not found'
+      });
+    }
+
+    const changes = Object.fromEntries(
+      Object.keys(FIELDS).filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+    );
+    const problems = await checkSource(req.taxReturn, { ...source.toJSON(), ...changes });
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: problems
+      });
+    }
+
+    const updateData = Object.fromEntries(Object.entries(changes).map(([field, value]) => [FIELDS[field], value]));
+    const updatedSource = await source.update(updateData, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Income source updated successfully',
+      data: updatedSource.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/tax-returns/:taxReturnId/income/:sourceId
+// @desc    Remove an income source from the return
+// @access  Private (Customer/Accountant)
+router.delete('/:sourceId', authenticate, loadTaxReturn('taxReturnId'), requireOpen, async (req, res, next) => {
+  try {
+    const source = await findReturnSource(req.taxReturn, req.params.sourceId);
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        error: 'Income source not found'
+      });
+    }
+
+    await source.delete();
+
+    res.json({
+      success: true,
+      message: 'Income source removed from the return'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
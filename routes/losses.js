@@ -0,0 +1,276 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Loss = require('../models/Loss');
+const TaxReturn = require('../models/TaxReturn');
+const { authenticate, authorize } = require('../middleware/auth');
+const { loadTaxReturn, requireOpen } = require('../middleware/taxReturnAccess');
+const { LOSS_TYPES, validateReliefClaim } = require('../services/losses');
+const { formatMoney } = require('../services/money');
+
+// Mounted at /api/tax-returns/:taxReturnId/losses
+const router = express.Router({ mergeParams: true });
+
+// Validation helper
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const isOpen = (taxReturn) => !['filed', 'cancelled'].includes(taxReturn.status);
+
+// Recalculate the customer's open returns for the given years so a change to the ledger shows in each
+const recalculateReturns = async (customerId, taxYears) => {
+  const results = [];
+
+  for (const taxYear of [...new Set(taxYears)]) {
+    const [taxReturn] = await TaxReturn.findByCustomerId(customerId, { taxYear });
+    if (!taxReturn || !isOpen(taxReturn)) {
+      continue;
+    }
+
+    const { breakdown } = await taxReturn.calculate();
+    results.push({
+      taxReturnId: taxReturn.id,
+      taxYear,
+      losses: breakdown.losses,
+      totals: breakdown.totals
+    });
+  }
+
+  return results;
+};
+
+// @route   GET /api/tax-returns/:taxReturnId/losses
+// @desc    Get the customer's loss ledger, the losses available to bring into this return and relief claimed in it
+// @access  Private
+router.get('/', authenticate, loadTaxReturn('taxReturnId'), async (req, res, next) => {
+  try {
+    const { customerId, taxYear } = req.taxReturn;
+    const ledger = await Loss.findByCustomerId(customerId);
+    const breakdown = req.taxReturn.calculationBreakdown;
+
+    res.json({
+      success: true,
+      data: {
+        ledger: ledger.map(loss => loss.toJSON()),
+        broughtForward: await Loss.getBroughtForward(customerId, taxYear),
+        reliefClaims: await Loss.findReliefClaimsInto(customerId, taxYear),
+        lastCalculated: breakdown ? breakdown.losses || null : null
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tax-returns/:taxReturnId/losses
+// @desc    Record a loss from an earlier year that is not on the platform, so it can be brought forward
+// @access  Private (Accountant/Admin)
+router.post('/', authenticate, authorize('accountant', 'admin'), loadTaxReturn('taxReturnId'), requireOpen, [
+  body('lossType')
+    .isIn(LOSS_TYPES)
+    .withMessage(`Loss type must be one of: ${LOSS_TYPES.join(', ')}`),
+  body('taxYear')
+    .matches(/^\d{4}-\d{2}$/)
+    .withMessage('Tax year must be in format YYYY-YY (e.g., 2023-24)')
+    .custom((value, { req }) => value < req.taxReturn.taxYear)
+    .withMessage('The loss must have arisen before this return\'s tax year'),
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than zero'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must be 1000 characters or fewer')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { lossType, taxYear, amount, notes } = req.body;
+    const { customerId } = req.taxReturn;
+
+    const loss = await Loss.create({
+      customerId,
+      lossType,
+      taxYear,
+      amount,
+      notes,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Loss recorded',
+      data: {
+        loss: loss.toJSON(),
+        broughtForward: await Loss.getBroughtForward(customerId, req.taxReturn.taxYear)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tax-returns/:taxReturnId/losses/:lossId/claims
+// @desc    Claim sideways or carry-back relief for a trading loss against this return's total income
+// @access  Private (Accountant/Admin)
+router.post('/:lossId/claims', authenticate, authorize('accountant', 'admin'), loadTaxReturn('taxReturnId'), requireOpen, [
+  param('lossId')
+    .isUUID()
+    .withMessage('Invalid loss ID'),
+  body('reliefType')
+    .isIn(['sideways', 'carry_back'])
+    .withMessage('Relief type must be sideways or carry_back'),
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than zero')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const taxReturn = req.taxReturn;
+    const loss = await Loss.findById(req.params.lossId);
+    if (!loss || loss.customerId !== taxReturn.customerId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Loss not found'
+      });
+    }
+
+    if (!isOpen(taxReturn)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Relief cannot be added to a filed or cancelled return'
+      });
+    }
+
+    const { reliefType } = req.body;
+    const amount = parseFloat(req.body.amount);
+
+    const claimError = validateReliefClaim({
+      lossType: loss.lossType,
+      lossTaxYear: loss.taxYear,
+      reliefType,
+      targetTaxYear: taxReturn.taxYear
+    });
+    if (claimError) {
+      return res.status(400).json({
+        success: false,
+        error: claimError
+      });
+    }
+
+    if (amount > parseFloat(loss.remaining)) {
+      return res.status(400).json({
+        success: false,
+        error: `Only ${formatMoney(parseFloat(loss.remaining))} of this loss is left to claim`
+      });
+    }
+
+    const claim = await loss.claimRelief({
+      reliefType,
+      taxYear: taxReturn.taxYear,
+      amount,
+      taxReturnId: taxReturn.id,
+      createdBy: req.user.id
+    });
+    const returns = await recalculateReturns(taxReturn.customerId, [taxReturn.taxYear, loss.taxYear]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Loss relief claimed',
+      data: {
+        claim,
+        returns
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/tax-returns/:taxReturnId/losses/claims/:claimId
+// @desc    Withdraw a sideways or carry-back claim made in this return
+// @access  Private (Accountant/Admin)
+router.delete('/claims/:claimId', authenticate, authorize('accountant', 'admin'), loadTaxReturn('taxReturnId'), requireOpen, async (req, res, next) => {
+  try {
+    const taxReturn = req.taxReturn;
+    const use = await Loss.findUseById(req.params.claimId);
+    if (!use || use.tax_return_id !== taxReturn.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Claim not found on this tax return'
+      });
+    }
+
+    if (!isOpen(taxReturn)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Relief cannot be withdrawn from a filed or cancelled return'
+      });
+    }
+
+    const claim = await Loss.withdrawReliefClaim(use.id);
+    if (!claim) {
+      return res.status(400).json({
+        success: false,
+        error: 'Losses brought forward are applied by the calculation and cannot be withdrawn'
+      });
+    }
+
+    const returns = await recalculateReturns(taxReturn.customerId, [taxReturn.taxYear, use.loss_tax_year]);
+
+    res.json({
+      success: true,
+      message: 'Loss relief claim withdrawn',
+      data: {
+        claim,
+        returns
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/tax-returns/:taxReturnId/losses/:lossId
+// @desc    Delete a manually recorded loss and any relief claimed from it
+// @access  Private (Accountant/Admin)
+router.delete('/:lossId', authenticate, authorize('accountant', 'admin'), loadTaxReturn('taxReturnId'), requireOpen, async (req, res, next) => {
+  try {
+    const loss = await Loss.findById(req.params.lossId);
+    if (!loss || loss.customerId !== req.taxReturn.customerId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Loss not found'
+      });
+    }
+
+    if (loss.source !== 'manual') {
+      return res.status(400).json({
+        success: false,
+        error: 'Calculated losses change with their return and cannot be deleted'
+      });
+    }
+
+    await loss.delete();
+
+    res.json({
+      success: true,
+      message: 'Loss deleted'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,216 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Property = require('../models/Property');
+const { authenticate } = require('../middleware/auth');
+const { loadTaxReturn, requireOpen } = require('../middleware/taxReturnAccess');
+
+// Mounted at /api/tax-returns/:taxReturnId/properties
+const router = express.Router({ mergeParams: true });
+
+// Validation helper
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const figureValidation = [
+  body(['allowableExpenses', 'financeCosts'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Expenses and finance costs must be positive numbers'),
+  body('ownershipShare')
+    .optional()
+    .isFloat({ gt: 0, max: 100 })
+    .withMessage('Ownership share must be a percentage between 0 and 100')
+];
+
+// Find one of the return's customer's properties
+const findCustomerProperty = async (taxReturn, propertyId) => {
+  const property = await Property.findById(propertyId);
+  if (!property || property.customerId !== taxReturn.customerId) {
+    return null;
+  }
+  return property;
+};
+
+// @route   GET /api/tax-returns/:taxReturnId/properties
+// @desc    List rental properties on a tax return with this year's figures
+// @access  Private
+router.get('/', authenticate, loadTaxReturn('taxReturnId'), async (req, res, next) => {
+  try {
+    const properties = await Property.findByTaxReturnId(req.taxReturn.id);
+
+    res.json({
+      success: true,
+      data: properties
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tax-returns/:taxReturnId/properties
+// @desc    Add a rental property (new or already on file) to a tax return with this year's figures
+// @access  Private (Customer/Accountant)
+router.post('/', authenticate, loadTaxReturn('taxReturnId'), requireOpen, [
+  body('propertyId')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid property ID'),
+  body('addressLine1')
+    .if(body('propertyId').not().exists())
+    .trim()
+    .notEmpty()
+    .isLength({ max: 255 })
+    .withMessage('Property address is required'),
+  body('postcode')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Postcode too long'),
+  body('rentsReceived')
+    .isFloat({ min: 0 })
+    .withMessage('Rents received must be a positive number'),
+  ...figureValidation
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { taxReturn } = req;
+    let property;
+
+    if (req.body.propertyId) {
+      property = await findCustomerProperty(taxReturn, req.body.propertyId);
+      if (!property) {
+        return res.status(404).json({
+          success: false,
+          error: 'Property not found'
+        });
+      }
+    } else {
+      property = await Property.create({
+        customerId: taxReturn.customerId,
+        addressLine1: req.body.addressLine1,
+        addressLine2: req.body.addressLine2,
+        city: req.body.city,
+        postcode: req.body.postcode,
+        ownershipShare: req.body.ownershipShare
+      });
+    }
+
+    const figures = await property.setReturnFigures(taxReturn.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Property added to tax return',
+      data: {
+        property: property.toJSON(),
+        figures
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/tax-returns/:taxReturnId/properties/:propertyId
+// @desc    Update a property's details and its figures for this tax return
+// @access  Private (Customer/Accountant)
+router.put('/:propertyId', authenticate, loadTaxReturn('taxReturnId'), requireOpen, [
+  body('rentsReceived')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Rents received must be a positive number'),
+  body('addressLine1')
+    .optional()
+    .trim()
+    .notEmpty()
+    .isLength({ max: 255 })
+    .withMessage('Property address cannot be empty'),
+  ...figureValidation
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { taxReturn } = req;
+    let property = await findCustomerProperty(taxReturn, req.params.propertyId);
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        error: 'Property not found'
+      });
+    }
+
+    const updateData = {
+      address_line1: req.body.addressLine1,
+      address_line2: req.body.addressLine2,
+      city: req.body.city,
+      postcode: req.body.postcode,
+      ownership_share: req.body.ownershipShare
+    };
+
+    // Remove undefined values
+    Object.keys(updateData).forEach(key => {
+      if (updateData[key] === undefined) {
+        delete updateData[key];
+      }
+    });
+
+    property = await property.update(updateData);
+
+    // Figures are replaced as a set, keeping any not sent in this request
+    const current = (await Property.findByTaxReturnId(taxReturn.id))
+      .find(row => row.property_id === property.id);
+    let figures = current || null;
+
+    if (['rentsReceived', 'allowableExpenses', 'financeCosts'].some(field => req.body[field] !== undefined)) {
+      figures = await property.setReturnFigures(taxReturn.id, {
+        rentsReceived: req.body.rentsReceived ?? current?.rents_received ?? 0,
+        allowableExpenses: req.body.allowableExpenses ?? current?.allowable_expenses ?? 0,
+        financeCosts: req.body.financeCosts ?? current?.finance_costs ?? 0
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Property updated successfully',
+      data: {
+        property: property.toJSON(),
+        figures
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/tax-returns/:taxReturnId/properties/:propertyId
+// @desc    Remove a property from a tax return (the customer's property record is kept)
+// @access  Private (Customer/Accountant)
+router.delete('/:propertyId', authenticate, loadTaxReturn('taxReturnId'), requireOpen, async (req, res, next) => {
+  try {
+    const property = await findCustomerProperty(req.taxReturn, req.params.propertyId);
+    if (!property || !(await property.removeFromReturn(req.taxReturn.id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Property not found on this tax return'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Property removed from tax return'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,201 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ResidenceAssessment = require('../models/ResidenceAssessment');
+const TaxYear = require('../models/TaxYear');
+const { authenticate } = require('../middleware/auth');
+const { loadTaxReturn, requireOpen } = require('../middleware/taxReturnAccess');
+const { UK_TIES, SPLIT_YEAR_CASES, assessResidence } = require('../services/residence');
+const { toIsoDate } = require('../services/capitalGains');
+const { getTaxYearDates } = require('../config/taxYears');
+
+// Mounted at /api/tax-returns/:taxReturnId/residence
+const router = express.Router({ mergeParams: true });
+
+// Validation helper
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const QUESTIONNAIRE_FIELDS = [
+  'daysInUk',
+  'residentInPreviousThreeYears',
+  'fullTimeWorkOverseas',
+  'ukWorkDays',
+  'onlyHomeInUk',
+  'fullTimeWorkInUk',
+  'ties',
+  'nonDomiciled',
+  'residentYearsInPreviousNine',
+  'residentYearsInPreviousFourteen'
+];
+
+// @route   GET /api/tax-returns/:taxReturnId/residence
+// @desc    Get the statutory residence test answers and outcome saved against the return
+// @access  Private
+router.get('/', authenticate, loadTaxReturn('taxReturnId'), async (req, res, next) => {
+  try {
+    const assessment = await ResidenceAssessment.findByTaxReturnId(req.taxReturn.id);
+
+    res.json({
+      success: true,
+      data: {
+        assessment: assessment ? assessment.toJSON() : null,
+        ties: UK_TIES,
+        splitYearCases: SPLIT_YEAR_CASES
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/tax-returns/:taxReturnId/residence
+// @desc    Answer the statutory residence test questionnaire and record split year and remittance basis claims
+// @access  Private (Customer/Accountant)
+router.put('/', authenticate, loadTaxReturn('taxReturnId'), requireOpen, [
+  body('daysInUk')
+    .isInt({ min: 0, max: 366 })
+    .withMessage('Days in the UK must be a whole number from 0 to 366'),
+  body('residentInPreviousThreeYears')
+    .isBoolean()
+    .withMessage('Say whether you were UK resident in any of the previous three tax years'),
+  body(['fullTimeWorkOverseas', 'onlyHomeInUk', 'fullTimeWorkInUk', 'nonDomiciled', 'splitYear', 'remittanceBasis'])
+    .optional()
+    .isBoolean()
+    .withMessage('Must be true or false'),
+  body('ukWorkDays')
+    .optional()
+    .isInt({ min: 0, max: 366 })
+    .withMessage('UK work days must be a whole number from 0 to 366'),
+  body('ties')
+    .optional()
+    .isArray()
+    .withMessage('Ties must be a list'),
+  body('ties.*')
+    .isIn(UK_TIES)
+    .withMessage(`Ties must be from: ${UK_TIES.join(', ')}`),
+  body('splitYearCase')
+    .if(body('splitYear').equals('true'))
+    .isIn(SPLIT_YEAR_CASES)
+    .withMessage('Split year case must be from 1 to 8'),
+  body('splitYearDate')
+    .if(body('splitYear').equals('true'))
+    .isISO8601()
+    .withMessage('The date the UK part of the year starts or ends is required for split year treatment'),
+  body('residentYearsInPreviousNine')
+    .optional()
+    .isInt({ min: 0, max: 9 })
+    .withMessage('Must be a number of years from 0 to 9'),
+  body('residentYearsInPreviousFourteen')
+    .optional()
+    .isInt({ min: 0, max: 14 })
+    .withMessage('Must be a number of years from 0 to 14')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { taxReturn } = req;
+    const answers = {};
+    for (const field of QUESTIONNAIRE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        answers[field] = req.body[field];
+      }
+    }
+
+    const outcome = assessResidence(answers);
+    const splitYear = Boolean(req.body.splitYear);
+    const remittanceBasis = Boolean(req.body.remittanceBasis);
+
+    if (splitYear) {
+      const { start, end } = getTaxYearDates(taxReturn.taxYear);
+      const splitYearDate = toIsoDate(req.body.splitYearDate);
+      if (!outcome.resident) {
+        return res.status(400).json({
+          success: false,
+          error: 'Split year treatment only applies to a year in which you are UK resident'
+        });
+      }
+      if (splitYearDate < start || splitYearDate > end) {
+        return res.status(400).json({
+          success: false,
+          error: `The split year date must fall within the ${taxReturn.taxYear} tax year`
+        });
+      }
+    }
+
+    if (remittanceBasis) {
+      const rates = await TaxYear.getRates(taxReturn.taxYear);
+      if (!rates || !rates.remittanceBasis || !rates.remittanceBasis.available) {
+        return res.status(400).json({
+          success: false,
+          error: `The remittance basis cannot be claimed for ${taxReturn.taxYear}`
+        });
+      }
+      if (!outcome.resident || !answers.nonDomiciled) {
+        return res.status(400).json({
+          success: false,
+          error: 'The remittance basis can only be claimed by UK residents who are not domiciled in the UK'
+        });
+      }
+    }
+
+    const assessment = await ResidenceAssessment.save({
+      taxReturnId: taxReturn.id,
+      answers,
+      isUkResident: outcome.resident,
+      decidingTest: outcome.test,
+      reason: outcome.reason,
+      splitYear,
+      splitYearCase: splitYear ? req.body.splitYearCase : null,
+      splitYearDate: splitYear ? req.body.splitYearDate : null,
+      remittanceBasis,
+      assessedBy: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: outcome.resident ? 'UK resident for the tax year' : 'Not UK resident for the tax year',
+      data: {
+        assessment: assessment.toJSON(),
+        outcome
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/tax-returns/:taxReturnId/residence
+// @desc    Clear the residence questionnaire so the return is calculated as UK resident
+// @access  Private (Customer/Accountant)
+router.delete('/', authenticate, loadTaxReturn('taxReturnId'), requireOpen, async (req, res, next) => {
+  try {
+    const assessment = await ResidenceAssessment.findByTaxReturnId(req.taxReturn.id);
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        error: 'No residence assessment saved for this return'
+      });
+    }
+
+    await assessment.delete();
+
+    res.json({
+      success: true,
+      message: 'Residence assessment removed'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const ReturnVersion = require('../models/ReturnVersion');
+const { authenticate } = require('../middleware/auth');
+const { loadTaxReturn } = require('../middleware/taxReturnAccess');
+const { diffVersions } = require('../services/versionDiff');
+
+// Mounted at /api/tax-returns/:taxReturnId/versions
+const router = express.Router({ mergeParams: true });
+
+// Validation helper
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// @route   GET /api/tax-returns/:taxReturnId/versions
+// @desc    List the return's calculation versions with their totals
+// @access  Private
+router.get('/', authenticate, loadTaxReturn('taxReturnId'), async (req, res, next) => {
+  try {
+    const versions = await ReturnVersion.findByTaxReturnId(req.taxReturn.id);
+
+    res.json({
+      success: true,
+      data: {
+        currentVersion: req.taxReturn.calculationVersion,
+        amendsReturnId: req.taxReturn.amendsReturnId,
+        versions: versions.map(version => {
+          const { calculation, income, expenses, ...summary } = version.toJSON();
+          return summary;
+        })
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/tax-returns/:taxReturnId/versions/diff
+// @desc    Compare two versions (default: the latest with the one before it). from=amended compares with the
+//          last version of the filed return this amendment corrects.
+// @access  Private
+router.get('/diff', authenticate, loadTaxReturn('taxReturnId'), [
+  query('to')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Version must be a whole number'),
+  query('from')
+    .optional()
+    .matches(/^(\d+|amended)$/)
+    .withMessage('From must be a version number or "amended"')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { taxReturn } = req;
+    const to = await ReturnVersion.find(taxReturn.id, req.query.to === undefined ? null : parseInt(req.query.to));
+    if (!to) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found'
+      });
+    }
+
+    let from;
+    if (req.query.from === 'amended') {
+      if (!taxReturn.amendsReturnId) {
+        return res.status(400).json({
+          success: false,
+          error: 'This return is not an amendment'
+        });
+      }
+      from = await ReturnVersion.find(taxReturn.amendsReturnId);
+    } else if (req.query.from !== undefined) {
+      from = await ReturnVersion.find(taxReturn.id, parseInt(req.query.from));
+    } else {
+      const earlier = (await ReturnVersion.findByTaxReturnId(taxReturn.id)).filter(version => version.version < to.version);
+      from = earlier.length > 0
+        ? await ReturnVersion.find(taxReturn.id, earlier[earlier.length - 1].version)
+        : taxReturn.amendsReturnId && await ReturnVersion.find(taxReturn.amendsReturnId);
+    }
+    if (!from) {
+      return res.status(404).json({
+        success: false,
+        error: 'There is no earlier version to compare with'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: diffVersions(from, to)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/tax-returns/:taxReturnId/versions/:version
+// @desc    Get one version: its totals, calculation breakdown, and the income and expenses it was calculated from
+// @access  Private
+router.get('/:version', authenticate, loadTaxReturn('taxReturnId'), [
+  param('version')
+    .isInt({ min: 0 })
+    .withMessage('Version must be a whole number')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const version = await ReturnVersion.find(req.taxReturn.id, parseInt(req.params.version));
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: version.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,259 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Expense = require('../models/Expense');
+const CapitalAsset = require('../models/CapitalAsset');
+const TaxYear = require('../models/TaxYear');
+const { authenticate } = require('../middleware/auth');
+const { loadTaxReturn, requireOpen } = require('../middleware/taxReturnAccess');
+const {
+  VEHICLE_TYPES,
+  SIMPLIFIED_CATEGORIES,
+  taxYearMonths,
+  calculateMileage,
+  calculateUseOfHome,
+  calculateBusinessPremises
+} = require('../services/simplifiedExpenses');
+const { formatMoney } = require('../services/money');
+const { getTaxYearDates } = require('../config/taxYears');
+
+// Mounted at /api/tax-returns/:taxReturnId/simplified-expenses
+const router = express.Router({ mergeParams: true });
+
+// Validation helper
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Months must fall in the return's tax year and appear only once
+const monthsValidation = (field) => [
+  body(field)
+    .isArray({ min: 1, max: 12 })
+    .withMessage('Give between 1 and 12 months'),
+  body(`${field}.*.month`)
+    .custom((value, { req }) => taxYearMonths(req.taxReturn.taxYear).includes(value))
+    .withMessage('Months must be in YYYY-MM format and within the return\'s tax year'),
+  body(field)
+    .custom(months => new Set(months.map(entry => entry.month)).size === months.length)
+    .withMessage('Each month can only be given once')
+];
+
+// Simplified expense rates for the return's tax year
+const getSimplifiedRates = async (taxYear) => {
+  const rates = await TaxYear.getRates(taxYear);
+  if (!rates || !rates.simplifiedExpenses) {
+    const error = new Error(`Simplified expense rates are not configured for tax year ${taxYear}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return rates.simplifiedExpenses;
+};
+
+// Months already covered by earlier calculations of the same kind on this return
+const monthsAlreadyClaimed = async (taxReturnId, category) => {
+  const existing = await Expense.findByCategory(taxReturnId, category);
+  return existing.flatMap(expense => (expense.calculation?.months || []).map(entry => entry.month));
+};
+
+// @route   GET /api/tax-returns/:taxReturnId/simplified-expenses
+// @desc    Get the simplified expense rates for the return's year and the simplified expenses already claimed
+// @access  Private
+router.get('/', authenticate, loadTaxReturn('taxReturnId'), async (req, res, next) => {
+  try {
+    const rates = await getSimplifiedRates(req.taxReturn.taxYear);
+    const expenses = (await req.taxReturn.getExpenses())
+      .filter(expense => expense.expense_method === 'simplified')
+      .map(expense => new Expense(expense).toJSON());
+
+    res.json({
+      success: true,
+      data: {
+        rates,
+        expenses
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tax-returns/:taxReturnId/simplified-expenses/mileage
+// @desc    Claim flat rate mileage for a vehicle instead of its actual running costs
+// @access  Private (Customer/Accountant)
+router.post('/mileage', authenticate, loadTaxReturn('taxReturnId'), requireOpen, [
+  body('vehicleType')
+    .isIn(VEHICLE_TYPES)
+    .withMessage(`Vehicle type must be one of: ${VEHICLE_TYPES.join(', ')}`),
+  body('vehicleRegistration')
+    .trim()
+    .notEmpty()
+    .isLength({ max: 20 })
+    .withMessage('Vehicle registration is required'),
+  body('businessMiles')
+    .isInt({ min: 1 })
+    .withMessage('Business miles must be a whole number of miles'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Description too long'),
+  body('expenseDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid expense date')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { taxReturn } = req;
+    const { vehicleType, businessMiles } = req.body;
+    const registration = req.body.vehicleRegistration.toUpperCase();
+    const taxYearDates = getTaxYearDates(taxReturn.taxYear);
+
+    // Simplified mileage replaces all of a vehicle's costs, including capital allowances
+    const actualCosts = await Expense.findForVehicle(taxReturn.id, registration, 'actual');
+    if (actualCosts.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Actual costs are already claimed for ${registration}; the same vehicle cannot also use simplified mileage`
+      });
+    }
+
+    const asset = await CapitalAsset.findVehicleHeldInYear(taxReturn.customerId, registration, taxYearDates);
+    if (asset) {
+      return res.status(400).json({
+        success: false,
+        error: `${registration} is in the capital assets register, so its costs are claimed through capital allowances and actual expenses`
+      });
+    }
+
+    const earlierClaims = await Expense.findForVehicle(taxReturn.id, registration, 'simplified');
+    const milesAlreadyClaimed = earlierClaims.reduce((sum, expense) => sum + (expense.calculation?.businessMiles || 0), 0);
+
+    const rates = await getSimplifiedRates(taxReturn.taxYear);
+    const calculation = calculateMileage({ vehicleType, businessMiles, milesAlreadyClaimed }, rates);
+
+    const expense = await Expense.create({
+      taxReturnId: taxReturn.id,
+      category: SIMPLIFIED_CATEGORIES.mileage,
+      description: req.body.description || `Business mileage: ${businessMiles} miles in ${registration}`,
+      amount: calculation.amount,
+      expenseDate: req.body.expenseDate || taxYearDates.end,
+      expenseMethod: 'simplified',
+      vehicleRegistration: registration,
+      calculation
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Mileage of ${formatMoney(calculation.amount)} added to the return`,
+      data: expense.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tax-returns/:taxReturnId/simplified-expenses/use-of-home
+// @desc    Claim the flat rate for working from home, by hours worked at home each month
+// @access  Private (Customer/Accountant)
+router.post('/use-of-home', authenticate, loadTaxReturn('taxReturnId'), requireOpen, [
+  ...monthsValidation('monthlyHours'),
+  body('monthlyHours.*.hours')
+    .isFloat({ min: 0, max: 744 })
+    .withMessage('Hours must be between 0 and the hours in a month')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { taxReturn } = req;
+    const { monthlyHours } = req.body;
+
+    const claimed = await monthsAlreadyClaimed(taxReturn.id, SIMPLIFIED_CATEGORIES.useOfHome);
+    const overlap = monthlyHours.filter(entry => claimed.includes(entry.month)).map(entry => entry.month);
+    if (overlap.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Use of home is already claimed for ${overlap.join(', ')}`
+      });
+    }
+
+    const rates = await getSimplifiedRates(taxReturn.taxYear);
+    const calculation = calculateUseOfHome({ monthlyHours }, rates);
+
+    const expense = await Expense.create({
+      taxReturnId: taxReturn.id,
+      category: SIMPLIFIED_CATEGORIES.useOfHome,
+      description: `Use of home (flat rate): ${monthlyHours.length} months`,
+      amount: calculation.amount,
+      expenseDate: getTaxYearDates(taxReturn.taxYear).end,
+      expenseMethod: 'simplified',
+      calculation
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Use of home of ${formatMoney(calculation.amount)} added to the return`,
+      data: expense.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tax-returns/:taxReturnId/simplified-expenses/business-premises
+// @desc    Claim business premises costs less the flat rate private use for people living there
+// @access  Private (Customer/Accountant)
+router.post('/business-premises', authenticate, loadTaxReturn('taxReturnId'), requireOpen, [
+  body('premisesCosts')
+    .isFloat({ min: 0 })
+    .withMessage('Premises costs must be a positive number'),
+  ...monthsValidation('monthlyOccupants'),
+  body('monthlyOccupants.*.occupants')
+    .isInt({ min: 0 })
+    .withMessage('Occupants must be a whole number of people')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { taxReturn } = req;
+    const { premisesCosts, monthlyOccupants } = req.body;
+
+    const claimed = await monthsAlreadyClaimed(taxReturn.id, SIMPLIFIED_CATEGORIES.businessPremises);
+    const overlap = monthlyOccupants.filter(entry => claimed.includes(entry.month)).map(entry => entry.month);
+    if (overlap.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Private use of business premises is already adjusted for ${overlap.join(', ')}`
+      });
+    }
+
+    const rates = await getSimplifiedRates(taxReturn.taxYear);
+    const calculation = calculateBusinessPremises({ premisesCosts, monthlyOccupants }, rates);
+
+    const expense = await Expense.create({
+      taxReturnId: taxReturn.id,
+      category: SIMPLIFIED_CATEGORIES.businessPremises,
+      description: `Business premises costs less private use: ${monthlyOccupants.length} months`,
+      amount: calculation.amount,
+      expenseDate: getTaxYearDates(taxReturn.taxYear).end,
+      expenseMethod: 'simplified',
+      calculation
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Business premises costs of ${formatMoney(calculation.amount)} added to the return`,
+      data: expense.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
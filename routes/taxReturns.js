@@ -1,8 +1,24 @@
 const express = require('express');
+const path = require('path');
+const fs = require('fs').promises;
 const { body, validationResult } = require('express-validator');
 const TaxReturn = require('../models/TaxReturn');
+const TaxYear = require('../models/TaxYear');
+const ForeignIncome = require('../models/ForeignIncome');
+const ResidenceAssessment = require('../models/ResidenceAssessment');
+const Document = require('../models/Document');
+const CarryOverItem = require('../models/CarryOverItem');
 const { authenticate, authorize, checkOwnership } = require('../middleware/auth');
-const { query } = require('../config/database');
+const { loadTaxReturn, requireOpen } = require('../middleware/taxReturnAccess');
+const { query, transaction } = require('../config/database');
+const { TAX_REGIMES } = require('../services/taxRegime');
+const { STUDENT_LOAN_PLANS } = require('../services/studentLoans');
+const { POA_REDUCTION_REASONS } = require('../services/paymentsOnAccount');
+const { PROPERTY_ELECTIONS } = require('../services/propertyIncome');
+const { TRADING_ALLOWANCE_ELECTIONS } = require('../services/tradingAllowance');
+const { buildCalculationPdf } = require('../services/calculationDocument');
+const { RETURN_STATUSES, DEDICATED_ENDPOINTS, availableTransitions } = require('../services/returnLifecycle');
+const { getPreviousTaxYear } = require('../config/taxYears');
 
 const router = express.Router();
 
@@ -25,8 +41,21 @@ const getCustomerIdFromUser = async (userId) => {
   return result.rows[0]?.id || null;
 };
 
+// Totals an accountant can enter by hand; the breakdown behind them is only ever written by the calculation engine
+const MANUAL_CALCULATION_FIELDS = [
+  'totalIncome',
+  'totalTaxDue',
+  'totalRefund',
+  'class2Nic',
+  'class4Nic',
+  'studentLoanRepayment',
+  'childBenefitCharge',
+  'capitalGainsTax'
+];
+
 // @route   POST /api/tax-returns
-// @desc    Create a new tax return
+// @desc    Create a new tax return (startFromLastYear copies last year's income sources, properties and
+//          balances brought forward onto it, flagged for confirmation)
 // @access  Private (Customer)
 router.post('/', authenticate, authorize('customer'), [
   body('taxYear')
@@ -38,10 +67,15 @@ router.post('/', authenticate, authorize('customer'), [
   body('submissionDeadline')
     .optional()
     .isISO8601()
-    .withMessage('Invalid submission deadline format')
+    .withMessage('Invalid submission deadline format'),
+  body('startFromLastYear')
+    .optional()
+    .isBoolean()
+    .withMessage('Start from last year must be true or false')
 ], handleValidationErrors, async (req, res, next) => {
   try {
     const { taxYear, situationType, submissionDeadline } = req.body;
+    const startFromLastYear = req.body.startFromLastYear === true || req.body.startFromLastYear === 'true';
 
     // Get customer ID
     const customerId = await getCustomerIdFromUser(req.user.id);
@@ -61,20 +95,43 @@ router.post('/', authenticate, authorize('customer'), [
       });
     }
 
-    // Set default deadline if not provided
-    const deadline = submissionDeadline || new Date('2024-01-31');
+    let previousReturn = null;
+    if (startFromLastYear) {
+      const previousTaxYear = getPreviousTaxYear(taxYear);
+      previousReturn = await TaxReturn.findLatestForYear(customerId, previousTaxYear);
+      if (!previousReturn) {
+        return res.status(400).json({
+          success: false,
+          error: `There is no ${previousTaxYear} return to start from`
+        });
+      }
+    }
 
-    const taxReturn = await TaxReturn.create({
-      customerId,
-      taxYear,
-      situationType,
-      submissionDeadline: deadline
+    // Default to the online filing deadline for the tax year
+    const deadline = submissionDeadline || await TaxYear.getSubmissionDeadline(taxYear);
+
+    // The return and what it carries over are created together, so a failed carry-over leaves no empty return behind
+    const { taxReturn, carriedOver } = await transaction(async (client) => {
+      const created = await TaxReturn.create({
+        customerId,
+        taxYear,
+        situationType,
+        submissionDeadline: deadline
+      }, client);
+      return {
+        taxReturn: created,
+        carriedOver: previousReturn ? await CarryOverItem.carryOver(client, created, previousReturn) : []
+      };
     });
 
     res.status(201).json({
       success: true,
-      message: 'Tax return created successfully',
-      data: taxReturn.toJSON()
+      message: previousReturn
+        ? `Tax return created from your ${previousReturn.taxYear} return; please confirm the ${carriedOver.length} item(s) carried over`
+        : 'Tax return created successfully',
+      data: previousReturn
+        ? { ...taxReturn.toJSON(), carriedOver: carriedOver.map(item => item.toJSON()) }
+        : taxReturn.toJSON()
     });
 
   } catch (error) {
@@ -161,6 +218,9 @@ router.get('/:id', authenticate, async (req, res, next) => {
     const expenses = await taxReturn.getExpenses();
     const documents = await taxReturn.getDocuments();
     const messages = await taxReturn.getMessages();
+    const paymentsOnAccount = await taxReturn.getPaymentsOnAccount();
+    const residence = await ResidenceAssessment.findByTaxReturnId(taxReturn.id);
+    const foreignIncome = await ForeignIncome.findByTaxReturnId(taxReturn.id);
 
     res.json({
       success: true,
@@ -168,8 +228,11 @@ router.get('/:id', authenticate, async (req, res, next) => {
         taxReturn: fullDetails,
         incomeSources,
         expenses,
+        residence: residence ? residence.toJSON() : null,
+        foreignIncome: foreignIncome.map(source => new ForeignIncome(source).toJSON()),
         documents,
-        messages
+        messages,
+        paymentsOnAccount
       }
     });
 
@@ -178,14 +241,10 @@ router.get('/:id', authenticate, async (req, res, next) => {
   }
 });
 
-// @route   PUT /api/tax-returns/:id/status
-// @desc    Update tax return status
-// @access  Private (Accountant/Admin)
-router.put('/:id/status', authenticate, authorize('accountant', 'admin'), [
-  body('status')
-    .isIn(['pending', 'in_progress', 'review', 'completed', 'filed', 'cancelled'])
-    .withMessage('Invalid status')
-], handleValidationErrors, async (req, res, next) => {
+// @route   GET /api/tax-returns/:id/summary
+// @desc    Get the customer-facing summary of the calculated tax bill and payment dates
+// @access  Private
+router.get('/:id/summary', authenticate, async (req, res, next) => {
   try {
     const taxReturn = await TaxReturn.findById(req.params.id);
     if (!taxReturn) {
@@ -195,8 +254,16 @@ router.put('/:id/status', authenticate, authorize('accountant', 'admin'), [
       });
     }
 
-    // Check if accountant is assigned to this return
-    if (req.user.role === 'accountant') {
+    // Check ownership or admin access
+    if (req.user.role === 'customer') {
+      const customerId = await getCustomerIdFromUser(req.user.id);
+      if (taxReturn.customerId !== customerId) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+    } else if (req.user.role === 'accountant') {
       const accountantResult = await query('SELECT id FROM accountants WHERE user_id = $1', [req.user.id]);
       const accountantId = accountantResult.rows[0]?.id;
       if (taxReturn.accountantId !== accountantId) {
@@ -207,7 +274,140 @@ router.put('/:id/status', authenticate, authorize('accountant', 'admin'), [
       }
     }
 
-    const updatedTaxReturn = await taxReturn.updateStatus(req.body.status);
+    if (!taxReturn.calculationBreakdown) {
+      return res.status(400).json({
+        success: false,
+        error: 'Your tax bill has not been calculated yet'
+      });
+    }
+
+    const paymentsOnAccount = await taxReturn.getPaymentsOnAccount();
+
+    res.json({
+      success: true,
+      data: {
+        taxYear: taxReturn.taxYear,
+        status: taxReturn.status,
+        calculatedAt: taxReturn.calculatedAt,
+        totals: taxReturn.calculationBreakdown.totals,
+        lines: taxReturn.calculationBreakdown.lines,
+        paymentsOnAccount,
+        paymentSchedule: paymentsOnAccount.schedule
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/tax-returns/:id/calculation.pdf
+// @desc    Download the tax calculation document for the computed return (stored in documents once per calculation version)
+// @access  Private
+router.get('/:id/calculation.pdf', authenticate, loadTaxReturn('id'), async (req, res, next) => {
+  try {
+    const { taxReturn } = req;
+    if (!taxReturn.calculationBreakdown) {
+      return res.status(400).json({
+        success: false,
+        error: 'The tax return has not been calculated yet'
+      });
+    }
+
+    // Reuse the document generated for this version of the calculation; a lost file is written again in place
+    let document = await Document.findCalculation(taxReturn.id, taxReturn.calculationVersion);
+    let pdf = document ? await fs.readFile(document.filePath).catch(() => null) : null;
+
+    if (!pdf) {
+      const details = await taxReturn.getFullDetails();
+      pdf = buildCalculationPdf({
+        taxYear: taxReturn.taxYear,
+        customerName: details.customer_name,
+        nationalInsuranceNumber: details.customer_ni_number,
+        hmrcReference: details.hmrc_reference,
+        accountantName: details.accountant_name,
+        calculatedAt: taxReturn.calculatedAt,
+        breakdown: taxReturn.calculationBreakdown,
+        paymentsOnAccount: await taxReturn.getPaymentsOnAccount()
+      });
+
+      const filePath = document
+        ? document.filePath
+        : path.join(process.env.UPLOAD_PATH || './uploads', `tax-calculation-${taxReturn.id}-v${taxReturn.calculationVersion}.pdf`);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, pdf);
+
+      if (!document) {
+        document = await Document.create({
+          taxReturnId: taxReturn.id,
+          uploadedBy: req.user.id,
+          documentType: 'tax_calculation',
+          originalName: `Tax calculation ${taxReturn.taxYear}.pdf`,
+          filePath,
+          fileSize: pdf.length,
+          mimeType: 'application/pdf',
+          isProcessed: true,
+          calculationVersion: taxReturn.calculationVersion
+        });
+      }
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename="${document.originalName}"`);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.send(pdf);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/tax-returns/:id/status-history
+// @desc    Get the return's status changes and the statuses the user can move it to next
+// @access  Private
+router.get('/:id/status-history', authenticate, loadTaxReturn('id'), async (req, res, next) => {
+  try {
+    const { taxReturn } = req;
+
+    res.json({
+      success: true,
+      data: {
+        status: taxReturn.status,
+        availableTransitions: availableTransitions(taxReturn.status, req.user.role),
+        history: await taxReturn.getStatusHistory()
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/tax-returns/:id/status
+// @desc    Move the return to another status (review, completed and filed have their own endpoints)
+// @access  Private
+router.put('/:id/status', authenticate, loadTaxReturn('id'), [
+  body('status')
+    .isIn(RETURN_STATUSES)
+    .withMessage('Invalid status'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Reason must be 1000 characters or fewer')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    if (DEDICATED_ENDPOINTS[req.body.status]) {
+      return res.status(400).json({
+        success: false,
+        error: `Use ${DEDICATED_ENDPOINTS[req.body.status]} to move a return to ${req.body.status}`
+      });
+    }
+
+    const updatedTaxReturn = await req.taxReturn.updateStatus(req.body.status, {
+      userId: req.user.id,
+      role: req.user.role,
+      reason: req.body.reason || null
+    });
 
     res.json({
       success: true,
@@ -250,7 +450,19 @@ router.put('/:id/assign', authenticate, authorize('admin'), [
       });
     }
 
-    const updatedTaxReturn = await taxReturn.assignAccountant(req.body.accountantId);
+    // A pending return starts being worked on once it has an accountant; both changes stand or fall together
+    const updatedTaxReturn = await transaction(async (client) => {
+      const assigned = await taxReturn.assignAccountant(req.body.accountantId, client);
+      if (assigned.status !== 'pending') {
+        return assigned;
+      }
+
+      return await assigned.updateStatus('in_progress', {
+        userId: req.user.id,
+        role: req.user.role,
+        reason: 'Accountant assigned'
+      }, {}, client);
+    });
 
     res.json({
       success: true,
@@ -264,10 +476,15 @@ router.put('/:id/assign', authenticate, authorize('admin'), [
 });
 
 // @route   PUT /api/tax-returns/:id/calculations
-// @desc    Update tax calculations
+// @desc    Update tax calculations (mode "compute" runs the calculation engine instead of storing entered totals)
 // @access  Private (Accountant/Admin)
-router.put('/:id/calculations', authenticate, authorize('accountant', 'admin'), [
+router.put('/:id/calculations', authenticate, authorize('accountant', 'admin'), loadTaxReturn('id'), requireOpen, [
+  body('mode')
+    .optional()
+    .isIn(['manual', 'compute'])
+    .withMessage('Mode must be manual or compute'),
   body('totalIncome')
+    .if(body('mode').not().equals('compute'))
     .isFloat({ min: 0 })
     .withMessage('Total income must be a positive number'),
   body('totalTaxDue')
@@ -277,30 +494,42 @@ router.put('/:id/calculations', authenticate, authorize('accountant', 'admin'),
   body('totalRefund')
     .optional()
     .isFloat({ min: 0 })
-    .withMessage('Total refund must be a positive number')
+    .withMessage('Total refund must be a positive number'),
+  body(['class2Nic', 'class4Nic'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('National Insurance contributions must be a positive number'),
+  body('studentLoanRepayment')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Student loan repayment must be a positive number'),
+  body('childBenefitCharge')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Child Benefit charge must be a positive number'),
+  body('capitalGainsTax')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Capital gains tax must be a positive number')
 ], handleValidationErrors, async (req, res, next) => {
   try {
-    const taxReturn = await TaxReturn.findById(req.params.id);
-    if (!taxReturn) {
-      return res.status(404).json({
-        success: false,
-        error: 'Tax return not found'
+    const { taxReturn } = req;
+
+    if (req.body.mode === 'compute') {
+      const { taxReturn: calculatedTaxReturn, breakdown } = await taxReturn.calculate();
+
+      return res.json({
+        success: true,
+        message: 'Tax calculations computed successfully',
+        data: {
+          taxReturn: calculatedTaxReturn.toJSON(),
+          breakdown
+        }
       });
     }
 
-    // Check if accountant is assigned to this return
-    if (req.user.role === 'accountant') {
-      const accountantResult = await query('SELECT id FROM accountants WHERE user_id = $1', [req.user.id]);
-      const accountantId = accountantResult.rows[0]?.id;
-      if (taxReturn.accountantId !== accountantId) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied'
-        });
-      }
-    }
-
-    const updatedTaxReturn = await taxReturn.updateCalculations(req.body);
+    const totals = Object.fromEntries(MANUAL_CALCULATION_FIELDS.map(field => [field, req.body[field]]));
+    const updatedTaxReturn = await taxReturn.updateCalculations(totals);
 
     res.json({
       success: true,
@@ -313,40 +542,86 @@ router.put('/:id/calculations', authenticate, authorize('accountant', 'admin'),
   }
 });
 
-// @route   POST /api/tax-returns/:id/file
-// @desc    Mark tax return as filed with HMRC
-// @access  Private (Accountant/Admin)
-router.post('/:id/file', authenticate, authorize('accountant', 'admin'), [
-  body('hmrcReference')
-    .notEmpty()
-    .withMessage('HMRC reference is required')
+// @route   PUT /api/tax-returns/:id/details
+// @desc    Update return-level details used in the tax calculation
+// @access  Private (Customer/Accountant/Admin)
+router.put('/:id/details', authenticate, loadTaxReturn('id'), requireOpen, [
+  body('class2Voluntary')
+    .optional()
+    .isBoolean()
+    .withMessage('Class 2 voluntary must be true or false'),
+  body('taxRegime')
+    .optional({ values: 'null' })
+    .isIn(TAX_REGIMES)
+    .withMessage(`Tax regime must be one of: ${TAX_REGIMES.join(', ')}`),
+  body('studentLoanPlans')
+    .optional()
+    .isArray()
+    .withMessage('Student loan plans must be an array'),
+  body('studentLoanPlans.*')
+    .isIn(STUDENT_LOAN_PLANS)
+    .withMessage(`Student loan plans must be one of: ${STUDENT_LOAN_PLANS.join(', ')}`),
+  body('childBenefitReceived')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Child Benefit received must be a positive number'),
+  body('childBenefitChildren')
+    .optional()
+    .isInt({ min: 0, max: 20 })
+    .withMessage('Number of children must be a whole number'),
+  body('paymentsOnAccountMade')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Payments on account made must be a positive number'),
+  body(['pensionContributions', 'giftAidDonations'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Pension contributions and Gift Aid donations must be positive numbers'),
+  body('tradingAllowanceElection')
+    .optional()
+    .isIn(TRADING_ALLOWANCE_ELECTIONS)
+    .withMessage(`Trading allowance election must be one of: ${TRADING_ALLOWANCE_ELECTIONS.join(', ')}`),
+  body('propertyAllowanceElection')
+    .optional()
+    .isIn(PROPERTY_ELECTIONS)
+    .withMessage(`Property allowance election must be one of: ${PROPERTY_ELECTIONS.join(', ')}`)
 ], handleValidationErrors, async (req, res, next) => {
   try {
-    const taxReturn = await TaxReturn.findById(req.params.id);
-    if (!taxReturn) {
-      return res.status(404).json({
+    const { taxReturn } = req;
+
+    // Only the accountant can override the regime derived from the customer's postcode
+    if (req.body.taxRegime !== undefined && req.user.role === 'customer') {
+      return res.status(403).json({
         success: false,
-        error: 'Tax return not found'
+        error: 'Only your accountant can change the tax regime'
       });
     }
 
-    // Check if accountant is assigned to this return
-    if (req.user.role === 'accountant') {
-      const accountantResult = await query('SELECT id FROM accountants WHERE user_id = $1', [req.user.id]);
-      const accountantId = accountantResult.rows[0]?.id;
-      if (taxReturn.accountantId !== accountantId) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied'
-        });
+    const updateData = {
+      class2_voluntary: req.body.class2Voluntary,
+      tax_regime: req.body.taxRegime,
+      student_loan_plans: req.body.studentLoanPlans,
+      child_benefit_received: req.body.childBenefitReceived,
+      child_benefit_children: req.body.childBenefitChildren,
+      payments_on_account_made: req.body.paymentsOnAccountMade,
+      pension_contributions: req.body.pensionContributions,
+      gift_aid_donations: req.body.giftAidDonations,
+      trading_allowance_election: req.body.tradingAllowanceElection,
+      property_allowance_election: req.body.propertyAllowanceElection
+    };
+
+    // Remove undefined values
+    Object.keys(updateData).forEach(key => {
+      if (updateData[key] === undefined) {
+        delete updateData[key];
       }
-    }
+    });
 
-    const updatedTaxReturn = await taxReturn.markAsFiled(req.body.hmrcReference);
+    const updatedTaxReturn = await taxReturn.updateDetails(updateData);
 
     res.json({
       success: true,
-      message: 'Tax return filed successfully',
+      message: 'Tax return details updated successfully',
       data: updatedTaxReturn.toJSON()
     });
 
@@ -355,25 +630,47 @@ router.post('/:id/file', authenticate, authorize('accountant', 'admin'), [
   }
 });
 
-// @route   POST /api/tax-returns/:id/income
-// @desc    Add income source to tax return
-// @access  Private (Customer/Accountant)
-router.post('/:id/income', authenticate, [
-  body('sourceType')
-    .isIn(['employment', 'self_employment', 'rental', 'dividends', 'interest', 'other'])
-    .withMessage('Invalid income source type'),
-  body('grossIncome')
-    .isFloat({ min: 0 })
-    .withMessage('Gross income must be a positive number'),
-  body('taxDeducted')
-    .optional()
+// @route   PUT /api/tax-returns/:id/payments-on-account
+// @desc    Claim to reduce next year's payments on account (reducedTo null withdraws the claim)
+// @access  Private (Accountant/Admin)
+router.put('/:id/payments-on-account', authenticate, authorize('accountant', 'admin'), loadTaxReturn('id'), requireOpen, [
+  body('reducedTo')
+    .optional({ values: 'null' })
     .isFloat({ min: 0 })
-    .withMessage('Tax deducted must be a positive number'),
-  body('employerName')
-    .optional()
-    .trim()
-    .isLength({ max: 255 })
-    .withMessage('Employer name too long')
+    .withMessage('Reduced payment on account must be a positive number'),
+  body('reason')
+    .if(body('reducedTo').exists({ values: 'null' }))
+    .isIn(POA_REDUCTION_REASONS)
+    .withMessage(`Reason must be one of: ${POA_REDUCTION_REASONS.join(', ')}`)
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { taxReturn } = req;
+
+    const reducedTo = req.body.reducedTo === undefined || req.body.reducedTo === null ? null : parseFloat(req.body.reducedTo);
+    const updatedTaxReturn = await taxReturn.claimPaymentOnAccountReduction(reducedTo, req.body.reason);
+    const paymentsOnAccount = await updatedTaxReturn.getPaymentsOnAccount();
+
+    res.json({
+      success: true,
+      message: reducedTo === null ? 'Payment on account reduction withdrawn' : 'Payment on account reduction claimed',
+      data: {
+        taxReturn: updatedTaxReturn.toJSON(),
+        paymentsOnAccount
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tax-returns/:id/file
+// @desc    Mark tax return as filed with HMRC (refused unless paid and the current calculation is customer-approved)
+// @access  Private (Accountant/Admin)
+router.post('/:id/file', authenticate, authorize('accountant', 'admin'), [
+  body('hmrcReference')
+    .notEmpty()
+    .withMessage('HMRC reference is required')
 ], handleValidationErrors, async (req, res, next) => {
   try {
     const taxReturn = await TaxReturn.findById(req.params.id);
@@ -384,16 +681,8 @@ router.post('/:id/income', authenticate, [
       });
     }
 
-    // Check access permissions
-    if (req.user.role === 'customer') {
-      const customerId = await getCustomerIdFromUser(req.user.id);
-      if (taxReturn.customerId !== customerId) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied'
-        });
-      }
-    } else if (req.user.role === 'accountant') {
+    // Check if accountant is assigned to this return
+    if (req.user.role === 'accountant') {
       const accountantResult = await query('SELECT id FROM accountants WHERE user_id = $1', [req.user.id]);
       const accountantId = accountantResult.rows[0]?.id;
       if (taxReturn.accountantId !== accountantId) {
@@ -404,21 +693,15 @@ router.post('/:id/income', authenticate, [
       }
     }
 
-    const { sourceType, grossIncome, taxDeducted, employerName, startDate, endDate } = req.body;
-
-    const queryText = `
-      INSERT INTO income_sources (tax_return_id, source_type, gross_income, tax_deducted, employer_name, start_date, end_date)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
-      RETURNING *
-    `;
-
-    const values = [req.params.id, sourceType, grossIncome, taxDeducted, employerName, startDate, endDate];
-    const result = await query(queryText, values);
+    const updatedTaxReturn = await taxReturn.markAsFiled(req.body.hmrcReference, {
+      userId: req.user.id,
+      role: req.user.role
+    });
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Income source added successfully',
-      data: result.rows[0]
+      message: 'Tax return filed successfully',
+      data: updatedTaxReturn.toJSON()
     });
 
   } catch (error) {
@@ -30,7 +30,7 @@ const storage = multer.diskStorage({
 
 // File filter
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = (process.env.ALLOWED_FILE_TYPES || 'pdf,jpg,jpeg,png,doc,docx,xls,xlsx').split(',');
+  const allowedTypes = (process.env.ALLOWED_FILE_TYPES || 'pdf,jpg,jpeg,png,doc,docx,xls,xlsx,csv,ofx,qfx').split(',');
   const fileExtension = path.extname(file.originalname).toLowerCase().substring(1);
   
   if (allowedTypes.includes(fileExtension)) {
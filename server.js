@@ -11,9 +11,24 @@ const { testConnection, closePool } = require('./config/database');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const taxReturnRoutes = require('./routes/taxReturns');
+const incomeSourceRoutes = require('./routes/incomeSources');
+const expenseRoutes = require('./routes/expenses');
+const bankStatementRoutes = require('./routes/bankStatements');
+const propertyRoutes = require('./routes/properties');
+const capitalGainsRoutes = require('./routes/capitalGains');
+const lossRoutes = require('./routes/losses');
+const capitalAllowanceRoutes = require('./routes/capitalAllowances');
+const simplifiedExpenseRoutes = require('./routes/simplifiedExpenses');
+const residenceRoutes = require('./routes/residence');
+const foreignIncomeRoutes = require('./routes/foreignIncome');
+const approvalRoutes = require('./routes/approvals');
+const amendmentRoutes = require('./routes/amendments');
+const returnVersionRoutes = require('./routes/returnVersions');
+const carryOverRoutes = require('./routes/carryOver');
 const contactRoutes = require('./routes/contact');
 const uploadRoutes = require('./routes/uploads');
 const adminRoutes = require('./routes/admin');
+const coupleRoutes = require('./routes/couples');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
@@ -114,10 +129,25 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/api/auth', authLimiter, authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/tax-returns/:taxReturnId/income', incomeSourceRoutes);
+app.use('/api/tax-returns/:taxReturnId/expenses', expenseRoutes);
+app.use('/api/tax-returns/:taxReturnId/bank-statements', bankStatementRoutes);
+app.use('/api/tax-returns/:taxReturnId/properties', propertyRoutes);
+app.use('/api/tax-returns/:taxReturnId/capital-gains', capitalGainsRoutes);
+app.use('/api/tax-returns/:taxReturnId/losses', lossRoutes);
+app.use('/api/tax-returns/:taxReturnId/capital-allowances', capitalAllowanceRoutes);
+app.use('/api/tax-returns/:taxReturnId/simplified-expenses', simplifiedExpenseRoutes);
+app.use('/api/tax-returns/:taxReturnId/residence', residenceRoutes);
+app.use('/api/tax-returns/:taxReturnId/foreign-income', foreignIncomeRoutes);
+app.use('/api/tax-returns/:taxReturnId/approval', approvalRoutes);
+app.use('/api/tax-returns/:taxReturnId/amendments', amendmentRoutes);
+app.use('/api/tax-returns/:taxReturnId/versions', returnVersionRoutes);
+app.use('/api/tax-returns/:taxReturnId/carry-over', carryOverRoutes);
 app.use('/api/tax-returns', taxReturnRoutes);
 app.use('/api/contact', contactRoutes);
 app.use('/api/uploads', uploadRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/couples', coupleRoutes);
 
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
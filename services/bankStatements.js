@@ -0,0 +1,319 @@
+// Reading bank statement exports (CSV and OFX from UK banks) into transactions, and the payee rules that
+// propose what each transaction is on the return
+
+const crypto = require('crypto');
+const { roundMoney } = require('./money');
+const { INCOME_SOURCE_TYPES } = require('./incomeSources');
+
+// File types the importer can read
+const STATEMENT_EXTENSIONS = ['csv', 'ofx', 'qfx'];
+
+// What a rule does with a matching transaction: money out becomes an expense, money in an income source
+const RULE_TARGETS = ['expense', 'income', 'ignore'];
+
+// Income a receipt can be accepted as. Wages reach the bank net of PAYE tax and National Insurance, so
+// employment income is entered from the P60's gross pay and tax deducted instead
+const BANK_INCOME_SOURCE_TYPES = INCOME_SOURCE_TYPES.filter(type => type !== 'employment');
+
+// Built-in rules for common payees; a customer's own rules are checked first
+const DEFAULT_RULES = [
+  { pattern: 'HMRC', target: 'ignore' },
+  { pattern: 'TRAINLINE', target: 'expense', category: 'travel' },
+  { pattern: 'TFL TRAVEL', target: 'expense', category: 'travel' },
+  { pattern: 'NATIONAL RAIL', target: 'expense', category: 'travel' },
+  { pattern: 'RINGGO', target: 'expense', category: 'travel' },
+  { pattern: 'PAYBYPHONE', target: 'expense', category: 'travel' },
+  { pattern: 'BT GROUP', target: 'expense', category: 'office_costs' },
+  { pattern: 'VODAFONE', target: 'expense', category: 'office_costs' },
+  { pattern: 'ROYAL MAIL', target: 'expense', category: 'office_costs' },
+  { pattern: 'STAPLES', target: 'expense', category: 'office_costs' },
+  { pattern: 'XERO', target: 'expense', category: 'office_costs' },
+  { pattern: 'QUICKBOOKS', target: 'expense', category: 'office_costs' },
+  { pattern: 'GOOGLE ADS', target: 'expense', category: 'advertising' },
+  { pattern: 'FACEBK', target: 'expense', category: 'advertising' },
+  { pattern: 'BUSINESS RATES', target: 'expense', category: 'premises' },
+  { pattern: 'ACCOUNTANCY', target: 'expense', category: 'professional_fees' },
+  { pattern: 'ACCOUNT FEE', target: 'expense', category: 'financial_charges' },
+  { pattern: 'BANK CHARGES', target: 'expense', category: 'financial_charges' },
+  { pattern: 'STRIPE', target: 'income', sourceType: 'self_employment' },
+  { pattern: 'PAYPAL', target: 'income', sourceType: 'self_employment' },
+  { pattern: 'SUMUP', target: 'income', sourceType: 'self_employment' },
+  { pattern: 'ZETTLE', target: 'income', sourceType: 'self_employment' },
+  { pattern: 'RENT', target: 'income', sourceType: 'rental' },
+  { pattern: 'DIVIDEND', target: 'income', sourceType: 'dividends' },
+  { pattern: 'INTEREST', target: 'income', sourceType: 'interest' }
+];
+
+// Header names used by UK bank CSV exports, most specific first
+const CSV_COLUMNS = {
+  date: ['date', 'transaction date', 'posting date', 'posted date', 'completed date'],
+  description: ['transaction description', 'description', 'details', 'narrative', 'memo', 'name', 'counter party', 'payee', 'transactions'],
+  amount: ['amount', 'amount (gbp)', 'value', 'net amount'],
+  moneyOut: ['debit amount', 'debit', 'paid out', 'money out'],
+  moneyIn: ['credit amount', 'credit', 'paid in', 'money in'],
+  reference: ['transaction id', 'fitid']
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const statementError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const normaliseDescription = (text) => String(text || '').toUpperCase().replace(/\s+/g, ' ').trim();
+
+// Statement dates are day first (31/01/2024, 31-01-24, 31 Jan 2024) or ISO; returns an ISO date or null
+const parseDate = (value) => {
+  const text = String(value || '').trim();
+  let match;
+  let year;
+  let month;
+  let day;
+
+  if ((match = text.match(/^(\d{4})-?(\d{2})-?(\d{2})/))) {
+    [, year, month, day] = match.map(Number);
+  } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/))) {
+    [, day, month, year] = match.map(Number);
+  } else if ((match = text.match(/^(\d{1,2})[\s-]([A-Za-z]{3})[A-Za-z]*[\s-](\d{2}|\d{4})$/))) {
+    day = Number(match[1]);
+    month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+    year = Number(match[3]);
+  } else {
+    return null;
+  }
+
+  if (year < 100) {
+    year += 2000;
+  }
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (!month || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+// Amounts may carry a pound sign, thousands separators, brackets or a DR suffix for money out
+const parseAmount = (value) => {
+  const text = String(value || '').replace(/[£\s]/g, '').toUpperCase();
+  if (!text) {
+    return null;
+  }
+
+  // With the pound sign gone a minus sign leads, whether it was written before or after the £
+  const negative = text.startsWith('-') || (text.startsWith('(') && text.endsWith(')')) || text.endsWith('DR');
+  const amount = parseFloat(text.replace(/[,()+-]|CR$|DR$/g, ''));
+  if (Number.isNaN(amount)) {
+    return null;
+  }
+  return roundMoney(negative ? -amount : amount);
+};
+
+// Split CSV text into rows of cells, allowing quoted cells with commas, doubled quotes and line breaks
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell.trim());
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(Boolean));
+};
+
+// Column positions from a header row, or null if the row is not a recognisable header
+const findColumns = (cells) => {
+  const headers = cells.map(cell => cell.toLowerCase().replace(/£/g, '').replace(/\s+/g, ' ').trim());
+  const columns = {};
+
+  for (const [key, names] of Object.entries(CSV_COLUMNS)) {
+    const name = names.find(candidate => headers.includes(candidate));
+    if (name) {
+      columns[key] = headers.indexOf(name);
+    }
+  }
+
+  const hasAmount = columns.amount !== undefined || columns.moneyOut !== undefined || columns.moneyIn !== undefined;
+  return columns.date !== undefined && columns.description !== undefined && hasAmount ? columns : null;
+};
+
+const parseCsv = (text) => {
+  const rows = parseCsvRows(text);
+
+  // Some exports start with account details before the header; HSBC's have no header at all
+  let headerIndex = rows.slice(0, 20).findIndex(cells => findColumns(cells));
+  let columns;
+  if (headerIndex >= 0) {
+    columns = findColumns(rows[headerIndex]);
+  } else if (rows.length > 0 && rows[0].length >= 3 && parseDate(rows[0][0]) && parseAmount(rows[0][2]) !== null) {
+    headerIndex = -1;
+    columns = { date: 0, description: 1, amount: 2 };
+  } else {
+    throw statementError('The statement has no date, description and amount columns this importer recognises');
+  }
+
+  const transactions = [];
+  let unreadableRows = 0;
+
+  for (const cells of rows.slice(headerIndex + 1)) {
+    const cell = (key) => (columns[key] !== undefined ? cells[columns[key]] : undefined);
+    if (!cell('date')) {
+      continue;
+    }
+
+    const date = parseDate(cell('date'));
+    const amount = columns.amount !== undefined
+      ? parseAmount(cell('amount'))
+      : roundMoney(Math.abs(parseAmount(cell('moneyIn')) || 0) - Math.abs(parseAmount(cell('moneyOut')) || 0));
+    if (!date || amount === null) {
+      unreadableRows++;
+      continue;
+    }
+    if (amount === 0) {
+      continue;
+    }
+
+    transactions.push({
+      date,
+      description: cell('description') || '',
+      amount,
+      reference: cell('reference') || null
+    });
+  }
+
+  return { format: 'csv', transactions, unreadableRows };
+};
+
+// OFX 1.x is SGML, where elements need not be closed, and 2.x is XML; both keep each transaction in STMTTRN
+const parseOfx = (text) => {
+  const element = (block, tag) => {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match ? match[1].trim() : null;
+  };
+
+  const transactions = [];
+  let unreadableRows = 0;
+
+  for (const [, block] of text.matchAll(/<STMTTRN>([\s\S]*?)<\/STMTTRN>/gi)) {
+    const date = parseDate((element(block, 'DTPOSTED') || '').slice(0, 8));
+    const amount = parseAmount(element(block, 'TRNAMT'));
+    if (!date || amount === null) {
+      unreadableRows++;
+      continue;
+    }
+
+    const name = element(block, 'NAME') || '';
+    const memo = element(block, 'MEMO') || '';
+    transactions.push({
+      date,
+      description: memo && !name.includes(memo) ? `${name} ${memo}`.trim() : name,
+      amount,
+      reference: element(block, 'FITID')
+    });
+  }
+
+  return { format: 'ofx', transactions, unreadableRows };
+};
+
+// Read a statement file's text into { format, transactions: [{ date, description, amount, reference, fingerprint }],
+// unreadableRows }; amounts are negative for money out
+const parseStatement = (content, fileName) => {
+  const text = String(content).replace(/^\uFEFF/, '');
+  const extension = String(fileName).split('.').pop().toLowerCase();
+
+  if (!STATEMENT_EXTENSIONS.includes(extension)) {
+    throw statementError(`Only ${STATEMENT_EXTENSIONS.join(', ')} bank statement exports can be imported`);
+  }
+
+  const statement = extension === 'csv' && !/<OFX>/i.test(text) ? parseCsv(text) : parseOfx(text);
+  if (statement.transactions.length === 0) {
+    throw statementError('No transactions were found in the statement');
+  }
+
+  // The same transaction always gets the same fingerprint, so importing a statement again (or an overlapping
+  // one) skips what is already there; identical transactions on one day are told apart by their order
+  const occurrences = {};
+  for (const transaction of statement.transactions) {
+    transaction.description = transaction.description.replace(/\s+/g, ' ').trim().slice(0, 255) || 'No description';
+    const key = transaction.reference
+      ? `ref|${transaction.reference}|${transaction.date}|${transaction.amount.toFixed(2)}`
+      : `${transaction.date}|${transaction.amount.toFixed(2)}|${normaliseDescription(transaction.description)}`;
+    occurrences[key] = (occurrences[key] || 0) + 1;
+    transaction.fingerprint = crypto.createHash('sha256').update(`${key}|${occurrences[key]}`).digest('hex');
+  }
+
+  return statement;
+};
+
+// Whether a rule's pattern appears as whole words in the transaction description
+const ruleMatches = (rule, description) => {
+  const pattern = normaliseDescription(rule.pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^A-Z0-9])${pattern}($|[^A-Z0-9])`).test(normaliseDescription(description));
+};
+
+// Propose what a transaction is from the customer's rules, then the built-in ones; the longest matching
+// pattern wins. Expense rules only apply to money out and income rules to money in. Returns null if no rule matches.
+const categoriseTransaction = (transaction, customerRules = []) => {
+  const direction = transaction.amount < 0 ? 'expense' : 'income';
+
+  for (const rules of [customerRules, DEFAULT_RULES]) {
+    const [rule] = rules
+      .filter(candidate => (candidate.target === 'ignore' || candidate.target === direction) && ruleMatches(candidate, transaction.description))
+      .sort((a, b) => b.pattern.length - a.pattern.length);
+
+    if (rule) {
+      return {
+        target: rule.target,
+        category: rule.target === 'expense' ? rule.category : null,
+        sourceType: rule.target === 'income' ? rule.sourceType : null,
+        ruleId: rule.id || null,
+        pattern: rule.pattern
+      };
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  STATEMENT_EXTENSIONS,
+  RULE_TARGETS,
+  BANK_INCOME_SOURCE_TYPES,
+  DEFAULT_RULES,
+  parseDate,
+  parseAmount,
+  parseStatement,
+  categoriseTransaction
+};
@@ -0,0 +1,171 @@
+// SA302-style tax calculation document laid out from a computed return's breakdown
+
+const { formatMoney } = require('./money');
+const { PAGE_WIDTH, PAGE_HEIGHT, textWidth, renderPdf } = require('./pdf');
+const { getTaxYearDates } = require('../config/taxYears');
+
+// Breakdown sections in the order they appear on the document (the trading allowance comparison is left out)
+const SECTIONS = [
+  { key: 'income', title: 'Income' },
+  { key: 'deductions', title: 'Deductions and net income' },
+  { key: 'capital_allowances', title: 'Capital allowances' },
+  { key: 'allowances', title: 'Allowances' },
+  { key: 'income_tax', title: 'Income tax' },
+  { key: 'national_insurance', title: 'National Insurance contributions' },
+  { key: 'student_loans', title: 'Student loan repayments' },
+  { key: 'capital_gains', title: 'Capital gains tax' },
+  { key: 'payments', title: 'Amounts due' }
+];
+
+// Lines shown in bold, and with their amount even when it is nil
+const TOTAL_LINES = [
+  'Total income',
+  'Net income',
+  'Adjusted net income',
+  'Taxable income',
+  'Income tax due',
+  'Capital allowances claimed',
+  'Capital gains tax due',
+  'Total liability',
+  'Balance due',
+  'Refund due'
+];
+
+const MARGIN = 50;
+const RIGHT_EDGE = PAGE_WIDTH - MARGIN;
+const DESCRIPTION_WIDTH = 390;
+const LINE_HEIGHT = 14;
+const CONTENT_BOTTOM = PAGE_HEIGHT - 70;
+const FONT_SIZE = 9;
+
+const formatAmount = (amount) => (amount < 0 ? `-${formatMoney(-amount)}` : formatMoney(amount));
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+
+// Split a description into lines that fit the description column
+const wrapText = (text, width, size) => {
+  const lines = [];
+  let current = '';
+  for (const word of String(text).split(' ')) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (current && textWidth(candidate, size) > width) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = candidate;
+    }
+  }
+  if (current) {
+    lines.push(current);
+  }
+  return lines;
+};
+
+// Lay out the document and render it; returns the PDF as a Buffer
+const buildCalculationPdf = ({
+  taxYear,
+  customerName,
+  nationalInsuranceNumber,
+  hmrcReference,
+  accountantName,
+  calculatedAt,
+  generatedAt = new Date(),
+  breakdown,
+  paymentsOnAccount
+}) => {
+  const pages = [];
+  let page;
+  let y;
+
+  const newPage = () => {
+    page = [];
+    pages.push(page);
+    y = MARGIN;
+  };
+  // Start a new page when the next `height` points would run into the footer
+  const ensureSpace = (height) => {
+    if (y + height > CONTENT_BOTTOM) {
+      newPage();
+    }
+  };
+  const text = (x, value, options = {}) => page.push({ type: 'text', x, y, text: value, size: FONT_SIZE, ...options });
+  const rule = (width = 0.5) => page.push({ type: 'line', x1: MARGIN, y1: y, x2: RIGHT_EDGE, y2: y, width });
+
+  const row = (description, amount, { bold = false, showAmount = true } = {}) => {
+    const wrapped = wrapText(description, DESCRIPTION_WIDTH, FONT_SIZE);
+    ensureSpace(wrapped.length * LINE_HEIGHT);
+    wrapped.forEach((line, index) => {
+      text(MARGIN, line, { bold });
+      if (index === wrapped.length - 1 && showAmount) {
+        text(RIGHT_EDGE, formatAmount(amount), { bold, align: 'right' });
+      }
+      y += LINE_HEIGHT;
+    });
+  };
+
+  const heading = (title) => {
+    ensureSpace(LINE_HEIGHT * 3);
+    y += 6;
+    text(MARGIN, title, { size: 11, bold: true });
+    y += 5;
+    rule();
+    y += LINE_HEIGHT;
+  };
+
+  newPage();
+  const { start, end } = getTaxYearDates(taxYear);
+  text(MARGIN, 'Tax calculation', { size: 18, bold: true });
+  y += 20;
+  text(MARGIN, `Tax year ${formatDate(start)} to ${formatDate(end)}`, { size: 11 });
+  y += 24;
+
+  const details = [
+    ['Name', customerName],
+    ['National Insurance number', nationalInsuranceNumber],
+    ['HMRC reference', hmrcReference],
+    ['Calculated on', calculatedAt ? formatDate(calculatedAt) : null],
+    ['Prepared by', accountantName]
+  ].filter(([, value]) => value && String(value).trim());
+  for (const [label, value] of details) {
+    text(MARGIN, label, { bold: true });
+    text(MARGIN + 150, String(value));
+    y += LINE_HEIGHT;
+  }
+  y += 4;
+  rule(1);
+  y += LINE_HEIGHT;
+
+  for (const section of SECTIONS) {
+    const lines = breakdown.lines.filter(line => line.section === section.key);
+    if (lines.length === 0) {
+      continue;
+    }
+
+    heading(section.title);
+    for (const line of lines) {
+      const isTotal = TOTAL_LINES.includes(line.description);
+      row(line.description, line.amount, { bold: isTotal, showAmount: isTotal || line.amount !== 0 });
+    }
+  }
+
+  if (paymentsOnAccount && paymentsOnAccount.schedule.length > 0) {
+    heading('Payment schedule');
+    for (const payment of paymentsOnAccount.schedule) {
+      row(`${formatDate(payment.date)}: ${payment.description}`, payment.amount);
+    }
+  }
+
+  // Footer on every page once the page count is known
+  pages.forEach((operations, index) => {
+    const footerY = PAGE_HEIGHT - 40;
+    operations.push({ type: 'line', x1: MARGIN, y1: footerY - 12, x2: RIGHT_EDGE, y2: footerY - 12, width: 0.5 });
+    operations.push({ type: 'text', x: MARGIN, y: footerY, size: 8, text: `Generated by TaxPro on ${formatDate(generatedAt)} from the calculation of the ${taxYear} return` });
+    operations.push({ type: 'text', x: RIGHT_EDGE, y: footerY, size: 8, align: 'right', text: `Page ${index + 1} of ${pages.length}` });
+  });
+
+  return renderPdf(pages, { title: `Tax calculation ${taxYear}` });
+};
+
+module.exports = {
+  buildCalculationPdf
+};
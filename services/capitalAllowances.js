@@ -0,0 +1,179 @@
+// Capital allowances on equipment and vehicles used in a trade
+// Pools are worked out for one tax year from the balances carried forward from the year before.
+
+const { roundMoney, toNumber } = require('./money');
+const { toIsoDate } = require('./capitalGains');
+
+const CAPITAL_ASSET_TYPES = ['equipment', 'car'];
+const CAPITAL_POOLS = ['main', 'special_rate'];
+
+const POOL_NAMES = {
+  main: 'Main pool',
+  special_rate: 'Special rate pool'
+};
+
+const inYear = (date, dates) => Boolean(date) && (!dates || (date >= dates.start && date <= dates.end));
+
+// Which pool an asset belongs to and which allowances it can get. Cars go by CO2 emissions (no figure
+// counts as above the threshold); assets with private use each get their own single asset pool.
+const classifyAsset = (asset, config) => {
+  const isCar = asset.asset_type === 'car';
+  const co2 = asset.co2_emissions === null || asset.co2_emissions === undefined ? null : toNumber(asset.co2_emissions);
+  const privateUse = toNumber(asset.private_use_percent);
+
+  let rateType = asset.pool === 'special_rate' ? 'special_rate' : 'main';
+  if (isCar) {
+    rateType = co2 !== null && co2 <= config.carCo2Threshold ? 'main' : 'special_rate';
+  }
+
+  return {
+    key: privateUse > 0 ? `single:${asset.id}` : rateType,
+    rateType,
+    businessShare: (100 - privateUse) / 100,
+    annualInvestmentAllowance: !isCar,
+    firstYearAllowance: isCar && co2 === 0 && Boolean(asset.is_new)
+  };
+};
+
+// Allowances and charges for the year. `openingPools` are last year's closing balances ({pool_key, balance});
+// with `claim` false no allowances are claimed (e.g. the trading allowance is used instead) and pools just
+// carry forward their additions and disposals.
+const calculateCapitalAllowances = ({ assets = [], openingPools = [], taxYearDates = null, claim = true }, config) => {
+  const assetsById = new Map(assets.map(asset => [asset.id, asset]));
+  const pools = new Map();
+
+  const getPool = (key, rateType, businessShare = 1, asset = null) => {
+    if (!pools.has(key)) {
+      pools.set(key, {
+        key,
+        name: asset ? `Single asset pool: ${asset.description}` : POOL_NAMES[rateType],
+        assetId: asset ? asset.id : null,
+        rate: rateType === 'special_rate' ? config.specialRate : config.mainRate,
+        businessShare,
+        opening: 0,
+        additions: 0,
+        annualInvestmentAllowance: 0,
+        firstYearAllowance: 0,
+        disposals: 0,
+        writingDownAllowance: 0,
+        balancingAllowance: 0,
+        balancingCharge: 0,
+        closing: 0,
+        disposedOf: false
+      });
+    }
+    return pools.get(key);
+  };
+
+  for (const pool of openingPools) {
+    const balance = toNumber(pool.balance);
+    if (pool.pool_key.startsWith('single:')) {
+      const asset = assetsById.get(pool.pool_key.slice('single:'.length));
+      if (asset) {
+        const info = classifyAsset(asset, config);
+        getPool(pool.pool_key, info.rateType, info.businessShare, asset).opening += balance;
+        continue;
+      }
+    }
+    const key = CAPITAL_POOLS.includes(pool.pool_key) ? pool.pool_key : 'main';
+    getPool(key, key).opening += balance;
+  }
+
+  // The Annual Investment Allowance goes against special rate spending first, as it has the slower writing-down rate
+  const additions = assets
+    .filter(asset => inYear(toIsoDate(asset.purchase_date), taxYearDates))
+    .map(asset => ({ asset, info: classifyAsset(asset, config) }))
+    .sort((a, b) => (a.info.rateType === 'special_rate' ? 0 : 1) - (b.info.rateType === 'special_rate' ? 0 : 1));
+
+  let annualInvestmentAllowanceLeft = claim ? config.annualInvestmentAllowance : 0;
+  for (const { asset, info } of additions) {
+    const pool = getPool(info.key, info.rateType, info.businessShare, info.key === info.rateType ? null : asset);
+    const cost = toNumber(asset.cost);
+    pool.additions += cost;
+
+    if (claim && info.firstYearAllowance) {
+      pool.firstYearAllowance += cost;
+    } else if (info.annualInvestmentAllowance) {
+      const used = Math.min(cost, annualInvestmentAllowanceLeft);
+      annualInvestmentAllowanceLeft -= used;
+      pool.annualInvestmentAllowance += used;
+    }
+  }
+
+  // Disposal value is the proceeds, but never more than the asset cost
+  for (const asset of assets.filter(candidate => inYear(toIsoDate(candidate.disposal_date), taxYearDates))) {
+    const info = classifyAsset(asset, config);
+    const pool = getPool(info.key, info.rateType, info.businessShare, info.key === info.rateType ? null : asset);
+    pool.disposals += Math.min(toNumber(asset.disposal_proceeds), toNumber(asset.cost));
+    pool.disposedOf = pool.disposedOf || info.key !== info.rateType;
+  }
+
+  const results = [];
+  for (const pool of pools.values()) {
+    const balance = pool.opening + pool.additions - pool.annualInvestmentAllowance - pool.firstYearAllowance - pool.disposals;
+    const isSingleAsset = pool.assetId !== null;
+
+    if (balance < 0) {
+      pool.balancingCharge = -balance;
+    } else if (pool.disposedOf) {
+      pool.balancingAllowance = balance;
+    } else if (claim) {
+      // Main and special rate pools of £1,000 or less can be written off in full
+      const smallPool = !isSingleAsset && balance <= config.smallPoolsLimit;
+      pool.writingDownAllowance = smallPool ? balance : balance * pool.rate;
+      pool.closing = balance - pool.writingDownAllowance;
+    } else {
+      pool.closing = balance;
+    }
+
+    // Private use restricts what is claimed, not how far the pool is written down
+    const allowances = pool.annualInvestmentAllowance + pool.firstYearAllowance + pool.writingDownAllowance + pool.balancingAllowance;
+    const result = {
+      key: pool.key,
+      name: pool.name,
+      assetId: pool.assetId,
+      rate: pool.rate,
+      businessUsePercent: roundMoney(pool.businessShare * 100),
+      opening: roundMoney(pool.opening),
+      additions: roundMoney(pool.additions),
+      annualInvestmentAllowance: roundMoney(pool.annualInvestmentAllowance),
+      firstYearAllowance: roundMoney(pool.firstYearAllowance),
+      disposals: roundMoney(pool.disposals),
+      writingDownAllowance: roundMoney(pool.writingDownAllowance),
+      balancingAllowance: roundMoney(pool.balancingAllowance),
+      balancingCharge: roundMoney(pool.balancingCharge),
+      allowancesClaimed: roundMoney(allowances * pool.businessShare),
+      chargeAssessed: roundMoney(pool.balancingCharge * pool.businessShare),
+      closing: roundMoney(pool.closing)
+    };
+
+    if (result.opening || result.additions || result.disposals || result.closing) {
+      results.push(result);
+    }
+  }
+
+  const totalAllowances = roundMoney(results.reduce((sum, pool) => sum + pool.allowancesClaimed, 0));
+  const totalCharges = roundMoney(results.reduce((sum, pool) => sum + pool.chargeAssessed, 0));
+
+  return {
+    claimed: claim,
+    pools: results,
+    annualInvestmentAllowance: {
+      limit: config.annualInvestmentAllowance,
+      used: roundMoney((claim ? config.annualInvestmentAllowance : 0) - annualInvestmentAllowanceLeft)
+    },
+    totalAllowances,
+    totalCharges,
+    net: roundMoney(totalAllowances - totalCharges),
+    closingPools: results
+      .filter(pool => pool.closing > 0)
+      .map(pool => ({ poolKey: pool.key, assetId: pool.assetId, balance: pool.closing }))
+  };
+};
+
+module.exports = {
+  CAPITAL_ASSET_TYPES,
+  CAPITAL_POOLS,
+  classifyAsset,
+  calculateCapitalAllowances
+};
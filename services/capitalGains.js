@@ -0,0 +1,262 @@
+// Capital gains tax on disposals of shares, crypto, property and other assets
+// Shares and crypto are matched to acquisitions using the same-day, 30-day and section 104 pool rules.
+
+const { roundMoney, toNumber } = require('./money');
+
+const ASSET_TYPES = ['shares', 'crypto', 'residential_property', 'other_property', 'other'];
+
+// Asset types whose disposals are matched against the customer's acquisitions
+const POOLED_ASSET_TYPES = ['shares', 'crypto'];
+
+const MATCHING_RULE_LABELS = {
+  same_day: 'same-day acquisitions',
+  thirty_day: 'acquisitions within 30 days',
+  section_104: 'section 104 pool'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dates arrive as 'YYYY-MM-DD' strings or as Date objects from the database driver
+const toIsoDate = (value) => {
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+};
+
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+// Match one asset's disposals to its acquisitions: same-day first, then acquisitions in the
+// following 30 days (earliest first), then the section 104 pool of everything else.
+const matchAsset = (acquisitions, disposals) => {
+  const bought = acquisitions
+    .map(row => ({
+      date: toIsoDate(row.acquisition_date),
+      quantity: toNumber(row.quantity),
+      cost: toNumber(row.cost),
+      remaining: toNumber(row.quantity)
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const sold = disposals
+    .map(row => ({
+      row,
+      date: toIsoDate(row.disposal_date),
+      remaining: toNumber(row.quantity),
+      matches: []
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const take = (disposal, acquisition, rule) => {
+    const quantity = Math.min(disposal.remaining, acquisition.remaining);
+    if (quantity <= 0) {
+      return;
+    }
+    disposal.matches.push({
+      rule,
+      acquisitionDate: acquisition.date,
+      quantity,
+      cost: roundMoney(acquisition.cost * quantity / acquisition.quantity)
+    });
+    disposal.remaining -= quantity;
+    acquisition.remaining -= quantity;
+  };
+
+  for (const disposal of sold) {
+    bought.filter(acquisition => acquisition.date === disposal.date)
+      .forEach(acquisition => take(disposal, acquisition, 'same_day'));
+  }
+
+  for (const disposal of sold) {
+    bought.filter(acquisition => {
+      const days = daysBetween(disposal.date, acquisition.date);
+      return days > 0 && days <= 30;
+    }).forEach(acquisition => take(disposal, acquisition, 'thirty_day'));
+  }
+
+  // Walk through time adding unmatched acquisitions to the pool; a day's acquisitions join before its disposals
+  const pool = { quantity: 0, cost: 0 };
+  const events = [
+    ...bought.map(acquisition => ({ date: acquisition.date, order: 0, acquisition })),
+    ...sold.map(disposal => ({ date: disposal.date, order: 1, disposal }))
+  ].sort((a, b) => a.date.localeCompare(b.date) || a.order - b.order);
+
+  for (const event of events) {
+    if (event.acquisition) {
+      const { acquisition } = event;
+      pool.cost += acquisition.cost * acquisition.remaining / acquisition.quantity;
+      pool.quantity += acquisition.remaining;
+      continue;
+    }
+
+    const { disposal } = event;
+    const quantity = Math.min(disposal.remaining, pool.quantity);
+    if (quantity > 0) {
+      const cost = pool.cost * quantity / pool.quantity;
+      disposal.matches.push({ rule: 'section_104', acquisitionDate: null, quantity, cost: roundMoney(cost) });
+      disposal.remaining -= quantity;
+      pool.quantity -= quantity;
+      pool.cost -= cost;
+    }
+  }
+
+  return {
+    disposals: sold,
+    pool: { quantity: pool.quantity, cost: roundMoney(pool.cost) }
+  };
+};
+
+// Gain or loss on each disposal. Pooled assets take their cost from matching; others use the cost entered.
+const calculateDisposalGains = (disposals, acquisitions = []) => {
+  const results = new Map();
+  const pools = {};
+
+  const pooled = disposals.filter(row => POOLED_ASSET_TYPES.includes(row.asset_type));
+  const identifiers = [...new Set(pooled.map(row => row.asset_identifier))];
+
+  for (const identifier of identifiers) {
+    const matched = matchAsset(
+      acquisitions.filter(row => row.asset_identifier === identifier),
+      pooled.filter(row => row.asset_identifier === identifier)
+    );
+    pools[identifier] = matched.pool;
+
+    for (const disposal of matched.disposals) {
+      results.set(disposal.row.id, {
+        matches: disposal.matches,
+        allowableCost: roundMoney(disposal.matches.reduce((sum, match) => sum + match.cost, 0)),
+        unmatchedQuantity: disposal.remaining
+      });
+    }
+  }
+
+  const gains = disposals.map(row => {
+    const matching = results.get(row.id) || {
+      matches: [],
+      allowableCost: roundMoney(toNumber(row.acquisition_cost)),
+      unmatchedQuantity: 0
+    };
+    const proceeds = roundMoney(toNumber(row.proceeds));
+    const disposalCosts = roundMoney(toNumber(row.disposal_costs));
+
+    return {
+      id: row.id,
+      assetType: row.asset_type,
+      assetName: row.asset_name,
+      assetIdentifier: row.asset_identifier,
+      disposalDate: toIsoDate(row.disposal_date),
+      quantity: row.quantity === null || row.quantity === undefined ? null : toNumber(row.quantity),
+      proceeds,
+      disposalCosts,
+      ...matching,
+      gain: roundMoney(proceeds - disposalCosts - matching.allowableCost)
+    };
+  });
+
+  return { gains, pools };
+};
+
+// Rates that apply to a disposal, allowing for a change of rates part way through the year
+const ratesFor = (disposal, config) => {
+  const category = disposal.assetType === 'residential_property' ? 'residential' : 'other';
+  const change = config.rateChange;
+
+  if (change && change.rates[category] && disposal.disposalDate >= change.from) {
+    return { key: `${category}_from_${change.from}`, category, from: change.from, rates: change.rates[category] };
+  }
+  return { key: category, category, from: null, rates: config.rates[category] };
+};
+
+// Set an amount against the groups' gains in order, returning how much was used
+const setAgainstGroups = (groups, amount, field) => {
+  let remaining = amount;
+  for (const group of groups) {
+    const used = Math.min(remaining, group.taxableGains);
+    group.taxableGains -= used;
+    group[field] += used;
+    remaining -= used;
+  }
+  return amount - remaining;
+};
+
+// Capital gains tax for the year's disposals. Losses of the year are set against gains in full;
+// brought forward losses only reduce gains down to the annual exempt amount. Losses and the exempt
+// amount go against the highest-rate gains first, and the basic rate band left after taxable income
+// decides how much is taxed at the lower rates.
+const calculateCapitalGainsTax = ({ gains, lossBroughtForward = 0, unusedBasicRateBand }, config) => {
+  const groupMap = new Map();
+  let currentLosses = 0;
+
+  for (const disposal of gains) {
+    if (disposal.gain < 0) {
+      currentLosses += -disposal.gain;
+      continue;
+    }
+    const { key, category, from, rates } = ratesFor(disposal, config);
+    if (!groupMap.has(key)) {
+      groupMap.set(key, { key, category, from, rates, gains: 0, lossesUsed: 0, exemptAmountUsed: 0, taxableGains: 0 });
+    }
+    groupMap.get(key).gains += disposal.gain;
+  }
+
+  const groups = [...groupMap.values()]
+    .sort((a, b) => (b.rates.higher - a.rates.higher) || (b.rates.basic - a.rates.basic));
+  groups.forEach(group => { group.taxableGains = group.gains; });
+
+  const totalGains = groups.reduce((sum, group) => sum + group.gains, 0);
+  const currentLossesUsed = setAgainstGroups(groups, currentLosses, 'lossesUsed');
+  const netGains = totalGains - currentLossesUsed;
+
+  const broughtForwardUsed = setAgainstGroups(groups, Math.min(lossBroughtForward, Math.max(0, netGains - config.annualExemptAmount)), 'lossesUsed');
+  const exemptAmountUsed = setAgainstGroups(groups, config.annualExemptAmount, 'exemptAmountUsed');
+
+  // The basic rate band goes where it saves most: the gains with the biggest gap between their rates
+  let basicBandLeft = Math.max(0, unusedBasicRateBand);
+  const taxBands = [];
+  const byRateGap = [...groups].sort((a, b) => (b.rates.higher - b.rates.basic) - (a.rates.higher - a.rates.basic));
+  for (const group of byRateGap) {
+    const atBasic = Math.min(group.taxableGains, basicBandLeft);
+    const atHigher = group.taxableGains - atBasic;
+    basicBandLeft -= atBasic;
+
+    [['basic', atBasic], ['higher', atHigher]].forEach(([band, amount]) => {
+      if (amount > 0) {
+        const rate = group.rates[band];
+        taxBands.push({
+          category: group.category,
+          from: group.from,
+          band,
+          rate,
+          gains: roundMoney(amount),
+          tax: roundMoney(amount * rate)
+        });
+      }
+    });
+  }
+
+  return {
+    disposals: gains,
+    totalGains: roundMoney(totalGains),
+    currentLosses: roundMoney(currentLosses),
+    currentLossesUsed: roundMoney(currentLossesUsed),
+    netGains: roundMoney(netGains),
+    lossBroughtForward: roundMoney(lossBroughtForward),
+    lossBroughtForwardUsed: roundMoney(broughtForwardUsed),
+    annualExemptAmount: config.annualExemptAmount,
+    annualExemptAmountUsed: roundMoney(exemptAmountUsed),
+    taxableGains: roundMoney(groups.reduce((sum, group) => sum + group.taxableGains, 0)),
+    bands: taxBands,
+    lossCarriedForward: roundMoney(lossBroughtForward - broughtForwardUsed + (currentLosses - currentLossesUsed)),
+    total: roundMoney(taxBands.reduce((sum, band) => sum + band.tax, 0))
+  };
+};
+
+module.exports = {
+  ASSET_TYPES,
+  POOLED_ASSET_TYPES,
+  MATCHING_RULE_LABELS,
+  toIsoDate,
+  calculateDisposalGains,
+  calculateCapitalGainsTax
+};
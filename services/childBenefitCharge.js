@@ -0,0 +1,24 @@
+// High Income Child Benefit Charge
+
+const { roundMoney } = require('./money');
+
+// Percentage of Child Benefit clawed back: 1% for every step of adjusted net income over the threshold
+const calculateChildBenefitCharge = ({ adjustedNetIncome, childBenefitReceived = 0 }, config) => {
+  const { threshold, taperWidth } = config;
+  const step = taperWidth / 100;
+  const excess = Math.max(0, adjustedNetIncome - threshold);
+  const percentage = childBenefitReceived > 0 ? Math.min(100, Math.floor(excess / step)) : 0;
+
+  return {
+    adjustedNetIncome: roundMoney(adjustedNetIncome),
+    threshold,
+    childBenefitReceived: roundMoney(childBenefitReceived),
+    percentage,
+    // The charge is rounded down to whole pounds
+    charge: Math.floor(childBenefitReceived * percentage / 100)
+  };
+};
+
+module.exports = {
+  calculateChildBenefitCharge
+};
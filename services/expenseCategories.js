@@ -0,0 +1,70 @@
+// Allowable business expense categories and the SA103F (self-employment, full) box each is totalled in.
+// Simplified expense categories are only created by the flat rate calculators.
+
+const { roundMoney, toNumber } = require('./money');
+const { SIMPLIFIED_CATEGORIES } = require('./simplifiedExpenses');
+
+const EXPENSE_CATEGORIES = {
+  cost_of_goods: { label: 'Cost of goods bought for resale or goods used', sa103Box: 17 },
+  subcontractors: { label: 'Construction industry payments to subcontractors', sa103Box: 18 },
+  staff_costs: { label: 'Wages, salaries and other staff costs', sa103Box: 19 },
+  travel: { label: 'Car, van and travel expenses', sa103Box: 20 },
+  premises: { label: 'Rent, rates, power and insurance costs', sa103Box: 21 },
+  repairs: { label: 'Repairs and maintenance of property and equipment', sa103Box: 22 },
+  office_costs: { label: 'Phone, stationery and other office costs', sa103Box: 23 },
+  advertising: { label: 'Advertising costs', sa103Box: 24 },
+  loan_interest: { label: 'Interest on bank and other business loans', sa103Box: 25 },
+  financial_charges: { label: 'Bank, credit card and other financial charges', sa103Box: 26 },
+  bad_debts: { label: 'Irrecoverable debts written off', sa103Box: 27 },
+  professional_fees: { label: 'Accountancy, legal and other professional fees', sa103Box: 28 },
+  other: { label: 'Other allowable business expenses', sa103Box: 30 },
+  [SIMPLIFIED_CATEGORIES.mileage]: { label: 'Flat rate mileage', sa103Box: 20, simplified: true },
+  [SIMPLIFIED_CATEGORIES.useOfHome]: { label: 'Use of home flat rate', sa103Box: 21, simplified: true },
+  [SIMPLIFIED_CATEGORIES.businessPremises]: { label: 'Business premises less private use', sa103Box: 21, simplified: true }
+};
+
+const SA103_BOXES = {
+  17: 'Cost of goods bought for resale or goods used',
+  18: 'Construction industry - payments to subcontractors',
+  19: 'Wages, salaries and other staff costs',
+  20: 'Car, van and travel expenses',
+  21: 'Rent, rates, power and insurance costs',
+  22: 'Repairs and maintenance of property and equipment',
+  23: 'Phone, fax, stationery and other office costs',
+  24: 'Advertising and business entertainment costs',
+  25: 'Interest on bank and other loans',
+  26: 'Bank, credit card and other financial charges',
+  27: 'Irrecoverable debts written off',
+  28: 'Accountancy, legal and other professional fees',
+  30: 'Other business expenses'
+};
+
+// Categories a customer can submit an expense under directly
+const SUBMITTABLE_CATEGORIES = Object.keys(EXPENSE_CATEGORIES).filter(key => !EXPENSE_CATEGORIES[key].simplified);
+
+// Approved expenses totalled by SA103F box (box 31 is the total); rows are expenses table rows
+const totalsBySa103Box = (expenses) => {
+  const boxes = {};
+
+  for (const expense of expenses.filter(row => row.is_approved)) {
+    const box = (EXPENSE_CATEGORIES[expense.category] || EXPENSE_CATEGORIES.other).sa103Box;
+    boxes[box] = roundMoney((boxes[box] || 0) + toNumber(expense.amount));
+  }
+
+  const lines = Object.keys(boxes)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map(box => ({ box, description: SA103_BOXES[box], amount: boxes[box] }));
+
+  return {
+    boxes: lines,
+    total: { box: 31, description: 'Total expenses', amount: roundMoney(lines.reduce((sum, line) => sum + line.amount, 0)) }
+  };
+};
+
+module.exports = {
+  EXPENSE_CATEGORIES,
+  SUBMITTABLE_CATEGORIES,
+  SA103_BOXES,
+  totalsBySa103Box
+};
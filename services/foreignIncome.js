@@ -0,0 +1,131 @@
+// Foreign income: sterling conversion, how much is taxed in the UK, and foreign tax credit relief
+
+const { roundMoney, toNumber } = require('./money');
+
+const FOREIGN_INCOME_TYPES = ['employment', 'self_employment', 'property', 'pension', 'dividends', 'interest', 'other'];
+
+const FOREIGN_INCOME_LABELS = {
+  employment: 'employment income',
+  self_employment: 'self-employment income',
+  property: 'property income',
+  pension: 'pension',
+  dividends: 'dividends',
+  interest: 'interest',
+  other: 'other income'
+};
+
+// Which part of the income tax calculation each type of foreign income is taxed in
+const INCOME_CATEGORIES = {
+  dividends: 'dividends',
+  interest: 'savings'
+};
+
+const EARNED_TYPES = ['employment', 'self_employment'];
+
+// Exchange rates are units of foreign currency per £1, as HMRC publishes them
+const toSterling = (amount, exchangeRate) => roundMoney(toNumber(amount) / (toNumber(exchangeRate) || 1));
+
+// Annual charge for a long-term resident claiming the remittance basis; `priorResidentYears` maps a
+// look-back period (e.g. 9) to the number of those previous tax years the customer was UK resident
+const remittanceBasisChargeFor = (priorResidentYears = {}, config) => {
+  const band = config.charges.find(candidate => toNumber(priorResidentYears[candidate.ofYears]) >= candidate.residentYears);
+  return band ? band.charge : 0;
+};
+
+// Work out how much of each foreign source is taxed in the UK.
+// UK residents are taxed on the arising basis, except income arising in the overseas part of a split year;
+// on the remittance basis only amounts brought to the UK are taxed. Non-residents are only taxed on UK income.
+// Foreign tax is creditable in proportion to the part of the income taxed here.
+const taxableForeignIncome = (rows, residence = {}, config) => {
+  const { resident = true, splitYear = false, priorResidentYears } = residence;
+  const remittanceBasis = Boolean(residence.remittanceBasis && resident && config.available);
+
+  const sources = rows.map(row => {
+    const gross = toSterling(row.amount, row.exchange_rate);
+    const foreignTax = toSterling(row.foreign_tax_paid, row.exchange_rate);
+    const remitted = Math.min(gross, toSterling(row.amount_remitted, row.exchange_rate));
+
+    let basis = 'arising';
+    let taxable = gross;
+    if (!resident) {
+      basis = 'non_resident';
+      taxable = 0;
+    } else if (splitYear && row.overseas_part) {
+      basis = 'overseas_part';
+      taxable = 0;
+    } else if (remittanceBasis) {
+      basis = 'remittance';
+      taxable = remitted;
+    }
+
+    return {
+      id: row.id,
+      country: row.country,
+      incomeType: row.income_type,
+      category: INCOME_CATEGORIES[row.income_type] || 'nonSavings',
+      currency: row.currency,
+      gross,
+      taxable,
+      unremitted: basis === 'remittance' ? roundMoney(gross - remitted) : 0,
+      basis,
+      foreignTax,
+      creditableTax: gross > 0 ? roundMoney(foreignTax * taxable / gross) : 0
+    };
+  });
+
+  const sum = (items, field) => roundMoney(items.reduce((total, source) => total + source[field], 0));
+  const inCategory = (category) => sources.filter(source => source.category === category);
+  const unremitted = sum(sources, 'unremitted');
+  const chargeable = remittanceBasis && unremitted >= config.unremittedIncomeLimit;
+
+  return {
+    remittanceBasis,
+    sources,
+    nonSavings: sum(inCategory('nonSavings'), 'taxable'),
+    savings: sum(inCategory('savings'), 'taxable'),
+    dividends: sum(inCategory('dividends'), 'taxable'),
+    earned: sum(sources.filter(source => EARNED_TYPES.includes(source.incomeType)), 'taxable'),
+    taxable: sum(sources, 'taxable'),
+    excluded: {
+      nonResident: sum(sources.filter(source => source.basis === 'non_resident'), 'gross'),
+      overseasPart: sum(sources.filter(source => source.basis === 'overseas_part'), 'gross'),
+      unremitted
+    },
+    // Small amounts left abroad get the remittance basis without losing the allowance or paying the charge
+    personalAllowanceLost: chargeable,
+    remittanceBasisCharge: chargeable ? remittanceBasisChargeFor(priorResidentYears, config) : 0
+  };
+};
+
+// Foreign tax credit relief is the lower of the foreign tax paid and the UK tax on that income, with the
+// source treated as the top slice of income; `taxWithout(source)` gives the UK tax if it were left out
+const calculateForeignTaxCredits = (sources, totalTax, taxWithout) => {
+  const credits = sources
+    .filter(source => source.taxable > 0 && source.creditableTax > 0)
+    .map(source => {
+      const ukTax = roundMoney(Math.max(0, totalTax - taxWithout(source)));
+      const credit = Math.min(source.creditableTax, ukTax);
+      return {
+        sourceId: source.id,
+        country: source.country,
+        incomeType: source.incomeType,
+        foreignTax: source.creditableTax,
+        ukTax,
+        credit,
+        unrelieved: roundMoney(source.creditableTax - credit)
+      };
+    });
+
+  return {
+    credits,
+    total: roundMoney(credits.reduce((sum, credit) => sum + credit.credit, 0))
+  };
+};
+
+module.exports = {
+  FOREIGN_INCOME_TYPES,
+  FOREIGN_INCOME_LABELS,
+  toSterling,
+  taxableForeignIncome,
+  calculateForeignTaxCredits
+};
@@ -0,0 +1,74 @@
+// Income source types and what each type of source needs to be complete
+
+const INCOME_SOURCE_TYPES = ['employment', 'self_employment', 'rental', 'dividends', 'interest', 'other'];
+
+// Employer PAYE reference: three digit tax office number, a slash, then the employer's reference (as on a P60)
+const PAYE_REFERENCE_PATTERN = /^\d{3}\/[A-Z0-9]{1,10}$/;
+
+// Deductions only made through an employer's payroll
+const PAYROLL_DEDUCTIONS = {
+  niContributions: 'National Insurance contributions',
+  studentLoanDeducted: 'Student loan repayments',
+  postgraduateLoanDeducted: 'Postgraduate loan repayments'
+};
+
+// Check an income source (camelCase fields, as stored after the change) against the rules for its type and
+// the return's tax year; returns a list of { path, msg } problems
+const incomeSourceProblems = (source, taxYearDates) => {
+  const problems = [];
+  const problem = (path, msg) => problems.push({ path, msg });
+  const hasAmount = (value) => parseFloat(value) > 0;
+
+  if (source.sourceType === 'employment') {
+    if (!source.employerName) {
+      problem('employerName', 'Employer name is required for employment income');
+    }
+    if (!source.employerPayeReference) {
+      problem('employerPayeReference', 'Employer PAYE reference is required for employment income (e.g. 123/AB45678, shown on the P60)');
+    }
+  } else {
+    if (source.employerPayeReference) {
+      problem('employerPayeReference', 'Only employment income has an employer PAYE reference');
+    }
+    for (const [field, label] of Object.entries(PAYROLL_DEDUCTIONS)) {
+      if (hasAmount(source[field])) {
+        problem(field, `${label} are only deducted from employment income`);
+      }
+    }
+  }
+
+  if (source.sourceType === 'rental') {
+    if (!source.propertyId) {
+      problem('propertyId', 'Rental income must be linked to a property');
+    }
+  } else if (source.propertyId) {
+    problem('propertyId', 'Only rental income is linked to a property');
+  }
+
+  // Dividends have been paid without a tax credit since April 2016
+  if (source.sourceType === 'dividends' && hasAmount(source.taxDeducted)) {
+    problem('taxDeducted', 'No tax is deducted from dividends');
+  }
+
+  const startDate = source.startDate ? new Date(source.startDate) : null;
+  const endDate = source.endDate ? new Date(source.endDate) : null;
+  if (startDate && endDate && endDate < startDate) {
+    problem('endDate', 'End date cannot be before the start date');
+  }
+  if (taxYearDates) {
+    if (startDate && startDate > new Date(taxYearDates.end)) {
+      problem('startDate', 'The source must start before the end of the tax year');
+    }
+    if (endDate && endDate < new Date(taxYearDates.start)) {
+      problem('endDate', 'The source must not have ended before the start of the tax year');
+    }
+  }
+
+  return problems;
+};
+
+module.exports = {
+  INCOME_SOURCE_TYPES,
+  PAYE_REFERENCE_PATTERN,
+  incomeSourceProblems
+};
@@ -0,0 +1,73 @@
+// Trading, property and capital losses: relief claims and what is carried forward
+
+const { roundMoney } = require('./money');
+const { getStartYear } = require('../config/taxYears');
+
+const LOSS_TYPES = ['trading', 'property', 'capital'];
+const LOSS_RELIEF_TYPES = ['carry_forward', 'sideways', 'carry_back'];
+
+const RELIEF_TYPE_LABELS = {
+  carry_forward: 'losses brought forward',
+  sideways: 'sideways relief',
+  carry_back: 'carry-back relief'
+};
+
+// Trading losses can be carried back up to this many years (early years and terminal losses)
+const CARRY_BACK_YEARS = 3;
+
+// Relief against other income is capped at the greater of £50,000 and 25% of adjusted total income
+const RELIEF_CAP = { minimum: 50000, share: 0.25 };
+
+// Check a sideways or carry-back claim is allowed; returns an error message or null
+const validateReliefClaim = ({ lossType, lossTaxYear, reliefType, targetTaxYear }) => {
+  if (lossType !== 'trading') {
+    return 'Only trading losses can be relieved sideways or carried back; other losses are carried forward';
+  }
+
+  const yearsBack = getStartYear(lossTaxYear) - getStartYear(targetTaxYear);
+  if (reliefType === 'sideways' && (yearsBack < 0 || yearsBack > 1)) {
+    return 'Sideways relief can only be claimed in the year of the loss or the year before';
+  }
+  if (reliefType === 'carry_back' && (yearsBack < 1 || yearsBack > CARRY_BACK_YEARS)) {
+    return `Losses can only be carried back to one of the ${CARRY_BACK_YEARS} years before the loss`;
+  }
+
+  return null;
+};
+
+// Set sideways and carry-back claims against the year's income, in the order claimed, up to the cap
+const applyLossReliefClaims = (claims, adjustedTotalIncome) => {
+  const cap = roundMoney(Math.max(RELIEF_CAP.minimum, adjustedTotalIncome * RELIEF_CAP.share));
+  let available = Math.min(cap, Math.max(0, adjustedTotalIncome));
+
+  const relieved = claims.map(claim => {
+    const amount = Math.min(claim.amount, available);
+    available -= amount;
+    return { ...claim, relieved: roundMoney(amount), restricted: amount < claim.amount };
+  });
+
+  return {
+    cap,
+    claimed: roundMoney(claims.reduce((sum, claim) => sum + claim.amount, 0)),
+    relieved: roundMoney(relieved.reduce((sum, claim) => sum + claim.relieved, 0)),
+    claims: relieved
+  };
+};
+
+// One loss type's position for the year: brought forward, used, arising and carried forward
+const lossPosition = ({ broughtForward = 0, used = 0, arising = 0, claimed = 0 }) => ({
+  broughtForward: roundMoney(broughtForward),
+  used: roundMoney(used),
+  arising: roundMoney(arising),
+  claimed: roundMoney(claimed),
+  carriedForward: roundMoney(Math.max(0, broughtForward - used + arising - claimed))
+});
+
+module.exports = {
+  LOSS_TYPES,
+  LOSS_RELIEF_TYPES,
+  RELIEF_TYPE_LABELS,
+  validateReliefClaim,
+  applyLossReliefClaims,
+  lossPosition
+};
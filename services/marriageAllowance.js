@@ -0,0 +1,46 @@
+// Marriage allowance and married couple's allowance for linked spouses and civil partners
+
+const { roundMoney } = require('./money');
+
+const COUPLE_CLAIM_TYPES = ['marriage_allowance', 'married_couples_allowance'];
+const MCA_TRANSFERS = ['none', 'half_minimum', 'all_minimum'];
+
+// Married couple's allowance needs one partner born before this date
+const MCA_BORN_BEFORE = '1935-04-06';
+
+// Bands above the basic rate (Scottish intermediate rate still counts as basic for these claims)
+const HIGHER_RATE_BANDS = ['higher', 'advanced', 'additional', 'top'];
+
+// Whether none of the income is taxed above the basic rate
+const isBasicRateTaxpayer = (bands) => !bands.some(band => HIGHER_RATE_BANDS.includes(band.name) && band.income > 0);
+
+// Married couple's allowance for the claimant (tapered by adjusted net income above the income limit,
+// but never below the minimum) or the amount of the minimum transferred to the spouse
+const calculateMarriedCouplesAllowance = ({ role, transfer = 'none', adjustedNetIncome }, config) => {
+  const transferred = { none: 0, half_minimum: config.minimum / 2, all_minimum: config.minimum }[transfer] || 0;
+
+  let allowance = transferred;
+  let taperReduction = 0;
+  if (role === 'claimant') {
+    taperReduction = Math.floor(Math.max(0, adjustedNetIncome - config.incomeLimit) / 2);
+    allowance = Math.max(config.minimum, config.maximum - taperReduction) - transferred;
+  }
+
+  return {
+    role,
+    transfer,
+    taperReduction: Math.min(taperReduction, config.maximum - config.minimum),
+    transferred,
+    allowance,
+    rate: config.reducerRate,
+    reducer: roundMoney(allowance * config.reducerRate)
+  };
+};
+
+module.exports = {
+  COUPLE_CLAIM_TYPES,
+  MCA_TRANSFERS,
+  MCA_BORN_BEFORE,
+  isBasicRateTaxpayer,
+  calculateMarriedCouplesAllowance
+};
@@ -0,0 +1,18 @@
+// Shared money helpers for the calculation services
+
+// Round a monetary amount to pence
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// DECIMAL columns come back from pg as strings
+const toNumber = (value) => parseFloat(value) || 0;
+
+const formatMoney = (value) => `£${roundMoney(value).toLocaleString('en-GB', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatRate = (rate) => `${roundMoney(rate * 100)}%`;
+
+module.exports = {
+  roundMoney,
+  toNumber,
+  formatMoney,
+  formatRate
+};
@@ -0,0 +1,69 @@
+// Class 2 and Class 4 National Insurance on self-employment profits
+
+const { roundMoney } = require('./money');
+
+const WEEKS_IN_TAX_YEAR = 52;
+
+// Class 4: main rate between the lower and upper profits limits, additional rate above
+const calculateClass4 = (profits, config) => {
+  const { lowerProfitsLimit, upperProfitsLimit, mainRate, additionalRate } = config;
+  const mainProfits = Math.max(0, Math.min(profits, upperProfitsLimit) - lowerProfitsLimit);
+  const additionalProfits = Math.max(0, profits - upperProfitsLimit);
+
+  const mainContributions = roundMoney(mainProfits * mainRate);
+  const additionalContributions = roundMoney(additionalProfits * additionalRate);
+
+  return {
+    mainProfits: roundMoney(mainProfits),
+    mainRate,
+    mainContributions,
+    additionalProfits: roundMoney(additionalProfits),
+    additionalRate,
+    additionalContributions,
+    total: roundMoney(mainContributions + additionalContributions)
+  };
+};
+
+// Class 2: payable above the compulsory threshold, credited between the thresholds,
+// and optionally paid voluntarily below the small profits threshold to protect the NI record
+const calculateClass2 = (profits, config, { voluntary = false, weeks = WEEKS_IN_TAX_YEAR } = {}) => {
+  const { weeklyRate, smallProfitsThreshold, compulsoryThreshold } = config;
+  const annualAmount = roundMoney(weeklyRate * weeks);
+
+  let status;
+  if (compulsoryThreshold !== null && profits > compulsoryThreshold) {
+    status = 'payable';
+  } else if (profits >= smallProfitsThreshold) {
+    status = 'credited';
+  } else if (voluntary) {
+    status = 'voluntary';
+  } else {
+    status = 'not_payable';
+  }
+
+  return {
+    status,
+    weeks,
+    weeklyRate,
+    total: status === 'payable' || status === 'voluntary' ? annualAmount : 0
+  };
+};
+
+// Both classes for a year's self-employment profits
+const calculateSelfEmployedNI = (profits, nationalInsurance, options = {}) => {
+  const class4 = calculateClass4(profits, nationalInsurance.class4);
+  const class2 = calculateClass2(profits, nationalInsurance.class2, options);
+
+  return {
+    profits: roundMoney(profits),
+    class2,
+    class4,
+    total: roundMoney(class2.total + class4.total)
+  };
+};
+
+module.exports = {
+  calculateClass2,
+  calculateClass4,
+  calculateSelfEmployedNI
+};
@@ -0,0 +1,91 @@
+// Payments on account and the January/July payment schedule for a computed return
+
+const { roundMoney } = require('./money');
+
+// No payments on account when the relevant amount is below this...
+const DE_MINIMIS = 1000;
+// ...or when at least this share of the liability was deducted at source
+const DEDUCTED_AT_SOURCE_LIMIT = 0.8;
+
+const POA_REDUCTION_REASONS = [
+  'lower_income',
+  'higher_reliefs',
+  'more_tax_deducted_at_source',
+  'other'
+];
+
+// Decide whether payments on account apply and build the payment schedule.
+// `breakdown` is the stored output of the calculation engine for the return's tax year.
+const calculatePaymentsOnAccount = (breakdown, {
+  taxYear,
+  nextTaxYear,
+  deadlines,
+  paymentsOnAccountMade = 0,
+  reducedTo = null
+}) => {
+  // Class 2 NIC and student loan repayments never count towards payments on account
+  const class4 = breakdown.nationalInsurance ? breakdown.nationalInsurance.class4.total : 0;
+  const liability = roundMoney(breakdown.incomeTax + class4);
+  const deductedAtSource = breakdown.taxDeducted;
+  const relevantAmount = roundMoney(Math.max(0, liability - deductedAtSource));
+  const deductedShare = liability > 0 ? deductedAtSource / liability : 1;
+
+  const belowDeMinimis = relevantAmount <= DE_MINIMIS;
+  const mostlyDeductedAtSource = deductedShare >= DEDUCTED_AT_SOURCE_LIMIT;
+  const applies = !belowDeMinimis && !mostlyDeductedAtSource;
+
+  const calculatedPayment = applies ? roundMoney(relevantAmount / 2) : 0;
+  const reduced = applies && reducedTo !== null && reducedTo < calculatedPayment;
+  const paymentOnAccount = reduced ? roundMoney(reducedTo) : calculatedPayment;
+
+  const balance = roundMoney(breakdown.totals.totalTaxDue - breakdown.totals.totalRefund);
+  const balancingPayment = roundMoney(balance - paymentsOnAccountMade);
+
+  const schedule = [
+    {
+      date: deadlines.balancingPayment,
+      description: balancingPayment >= 0 ? `Balancing payment for ${taxYear}` : `Overpayment for ${taxYear} to be repaid`,
+      amount: balancingPayment
+    }
+  ];
+
+  if (applies && paymentOnAccount > 0) {
+    schedule.push({
+      date: deadlines.balancingPayment,
+      description: `First payment on account for ${nextTaxYear}`,
+      amount: paymentOnAccount
+    });
+    schedule.push({
+      date: deadlines.secondPaymentOnAccount,
+      description: `Second payment on account for ${nextTaxYear}`,
+      amount: paymentOnAccount
+    });
+  }
+
+  const dueOn = (date) => roundMoney(schedule
+    .filter(payment => payment.date === date && payment.amount > 0)
+    .reduce((sum, payment) => sum + payment.amount, 0));
+
+  return {
+    applies,
+    tests: {
+      relevantAmount,
+      belowDeMinimis,
+      deductedAtSourceShare: roundMoney(deductedShare * 100),
+      mostlyDeductedAtSource
+    },
+    calculatedPaymentOnAccount: calculatedPayment,
+    paymentOnAccount,
+    reduced,
+    paymentsOnAccountMade: roundMoney(paymentsOnAccountMade),
+    balancingPayment,
+    schedule,
+    dueInJanuary: dueOn(deadlines.balancingPayment),
+    dueInJuly: dueOn(deadlines.secondPaymentOnAccount)
+  };
+};
+
+module.exports = {
+  POA_REDUCTION_REASONS,
+  calculatePaymentsOnAccount
+};
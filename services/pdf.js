@@ -0,0 +1,102 @@
+// Minimal PDF writer for generated documents: text in the standard Helvetica fonts and ruled lines on A4 pages.
+// Coordinates are in points from the top-left corner; no external library or service is needed.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+const FONTS = {
+  regular: 'Helvetica',
+  bold: 'Helvetica-Bold'
+};
+
+// Helvetica widths (per 1000 units of font size) for characters used in amounts, so they can be right-aligned;
+// other characters use an average width
+const CHARACTER_WIDTHS = {
+  ' ': 278, ',': 278, '.': 278, '-': 333, '(': 333, ')': 333, '%': 889, '£': 556, '@': 1015
+};
+const DEFAULT_WIDTH = 556;
+
+// WinAnsiEncoding codes for the typographic characters likely to appear in descriptions
+const WIN_ANSI = {
+  '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '–': 0x96, '—': 0x97
+};
+
+const textWidth = (text, size) => [...text].reduce((sum, char) => sum + (CHARACTER_WIDTHS[char] || DEFAULT_WIDTH), 0) * size / 1000;
+
+// Encode a string as a PDF literal in WinAnsiEncoding; characters it cannot show become '?'
+const encodeText = (text) => {
+  const bytes = [...String(text)].map(char => {
+    const code = char.charCodeAt(0);
+    if (WIN_ANSI[char]) {
+      return WIN_ANSI[char];
+    }
+    return code < 256 && char.length === 1 ? code : 0x3f;
+  });
+
+  let encoded = '';
+  for (const byte of bytes) {
+    const char = String.fromCharCode(byte);
+    encoded += ['(', ')', '\\'].includes(char) ? `\\${char}` : char;
+  }
+  return `(${encoded})`;
+};
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+// Content stream for one page of drawing operations:
+// { type: 'text', x, y, text, size, bold, align } and { type: 'line', x1, y1, x2, y2, width }
+const pageContent = (operations) => operations.map(operation => {
+  if (operation.type === 'line') {
+    const { x1, y1, x2, y2, width = 0.5 } = operation;
+    return `${formatNumber(width)} w ${formatNumber(x1)} ${formatNumber(PAGE_HEIGHT - y1)} m ${formatNumber(x2)} ${formatNumber(PAGE_HEIGHT - y2)} l S`;
+  }
+
+  const { text, size = 10, bold = false, align = 'left' } = operation;
+  const x = align === 'right' ? operation.x - textWidth(String(text), size) : operation.x;
+  return `BT /${bold ? 'F2' : 'F1'} ${formatNumber(size)} Tf ${formatNumber(x)} ${formatNumber(PAGE_HEIGHT - operation.y)} Td ${encodeText(text)} Tj ET`;
+}).join('\n');
+
+// Build a PDF file from pages of drawing operations; returns a Buffer
+const renderPdf = (pages, { title = '' } = {}) => {
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const regularFontId = addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.regular} /Encoding /WinAnsiEncoding >>`);
+  const boldFontId = addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.bold} /Encoding /WinAnsiEncoding >>`);
+  const infoId = addObject(`<< /Title ${encodeText(title)} /Producer (TaxPro) >>`);
+
+  const pageIds = pages.map(operations => {
+    const content = pageContent(operations);
+    const contentId = addObject(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(output, 'latin1');
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+};
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  textWidth,
+  renderPdf
+};
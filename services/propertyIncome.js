@@ -0,0 +1,87 @@
+// UK property business profits from per-property records
+
+const { roundMoney, toNumber } = require('./money');
+
+const PROPERTY_ELECTIONS = ['auto', 'allowance', 'expenses'];
+
+// Apply the customer's ownership share to each property's whole-property figures
+const shareOfProperty = (record) => {
+  const share = (record.ownership_share === undefined || record.ownership_share === null ? 100 : toNumber(record.ownership_share)) / 100;
+
+  return {
+    propertyId: record.property_id || record.id,
+    address: [record.address_line1, record.postcode].filter(Boolean).join(', '),
+    ownershipShare: roundMoney(share * 100),
+    rents: roundMoney(toNumber(record.rents_received) * share),
+    expenses: roundMoney(toNumber(record.allowable_expenses) * share),
+    financeCosts: roundMoney(toNumber(record.finance_costs) * share)
+  };
+};
+
+// Choose between the property allowance and actual expenses. Using the allowance also gives up
+// the finance cost reduction, so on "auto" it only wins when it beats expenses plus finance costs.
+const chooseMethod = (election, rents, expenses, financeCosts, allowance) => {
+  if (election === 'allowance' || election === 'expenses') {
+    return election;
+  }
+  return Math.min(rents, allowance) > expenses + financeCosts ? 'allowance' : 'expenses';
+};
+
+// Property profit after the allowance or expenses and brought forward losses
+const calculatePropertyIncome = ({
+  properties = [],
+  election = 'auto',
+  lossBroughtForward = 0,
+  financeCostsBroughtForward = 0
+}, config) => {
+  const perProperty = properties.map(shareOfProperty);
+  const rents = roundMoney(perProperty.reduce((sum, record) => sum + record.rents, 0));
+  const expenses = roundMoney(perProperty.reduce((sum, record) => sum + record.expenses, 0));
+  const financeCosts = roundMoney(perProperty.reduce((sum, record) => sum + record.financeCosts, 0));
+
+  const method = chooseMethod(election, rents, expenses, financeCosts, config.propertyAllowance);
+  const deduction = method === 'allowance' ? Math.min(rents, config.propertyAllowance) : expenses;
+  const result = rents - deduction;
+
+  const profitBeforeLosses = Math.max(0, result);
+  const currentLoss = Math.max(0, -result);
+  const lossUsed = Math.min(lossBroughtForward, profitBeforeLosses);
+
+  return {
+    properties: perProperty,
+    rents,
+    expenses,
+    financeCosts,
+    election,
+    method,
+    deduction: roundMoney(deduction),
+    profitBeforeLosses: roundMoney(profitBeforeLosses),
+    lossBroughtForward: roundMoney(lossBroughtForward),
+    lossUsed: roundMoney(lossUsed),
+    currentLoss: roundMoney(currentLoss),
+    lossCarriedForward: roundMoney(lossBroughtForward - lossUsed + currentLoss),
+    profit: roundMoney(profitBeforeLosses - lossUsed),
+    // Finance costs are not deductible under the property allowance
+    financeCostsAvailable: roundMoney((method === 'expenses' ? financeCosts : 0) + financeCostsBroughtForward),
+    financeCostsBroughtForward: roundMoney(financeCostsBroughtForward)
+  };
+};
+
+// Basic rate reduction for finance costs, limited to the lowest of the costs, the property profit
+// and adjusted total income; anything unrelieved is carried forward
+const calculateFinanceCostRelief = (property, adjustedTotalIncome, rate) => {
+  const relieved = Math.max(0, Math.min(property.financeCostsAvailable, property.profit, adjustedTotalIncome));
+
+  return {
+    relieved: roundMoney(relieved),
+    rate,
+    credit: roundMoney(relieved * rate),
+    carriedForward: roundMoney(property.financeCostsAvailable - relieved)
+  };
+};
+
+module.exports = {
+  PROPERTY_ELECTIONS,
+  calculatePropertyIncome,
+  calculateFinanceCostRelief
+};
@@ -0,0 +1,38 @@
+// Relief for relief-at-source pension contributions and Gift Aid donations
+// Both are paid net of basic rate tax. The gross amounts extend the tax bands and reduce adjusted net income.
+
+const { roundMoney } = require('./money');
+
+// Gross amount of a payment made net of tax at `rate`
+const grossUp = (paid, rate) => roundMoney(paid / (1 - rate));
+
+// Gross pension contributions and Gift Aid donations from the net amounts paid
+const calculateReliefs = ({ pensionContributions = 0, giftAidDonations = 0 }, config) => {
+  const pension = {
+    paid: roundMoney(pensionContributions),
+    gross: grossUp(pensionContributions, config.reliefAtSourceRate)
+  };
+  const giftAid = {
+    paid: roundMoney(giftAidDonations),
+    gross: grossUp(giftAidDonations, config.reliefAtSourceRate)
+  };
+
+  return {
+    pension,
+    giftAid,
+    totalGross: roundMoney(pension.gross + giftAid.gross)
+  };
+};
+
+// Raise every band limit below the top band by `amount`, so more income is taxed at the lower rates
+const extendBands = (bands, amount) => {
+  if (!bands || amount <= 0) {
+    return bands;
+  }
+  return bands.map(band => (band.limit === null ? band : { ...band, limit: band.limit + amount }));
+};
+
+module.exports = {
+  calculateReliefs,
+  extendBands
+};
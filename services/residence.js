@@ -0,0 +1,68 @@
+// Statutory residence test: automatic overseas tests, automatic UK tests, then the sufficient ties test
+
+const { toNumber } = require('./money');
+
+const UK_TIES = ['family', 'accommodation', 'work', 'ninety_day', 'country'];
+
+// Split year treatment cases (1-3 for people leaving the UK, 4-8 for people arriving)
+const SPLIT_YEAR_CASES = [1, 2, 3, 4, 5, 6, 7, 8];
+
+// Ties needed to be resident, by days spent in the UK. People resident in any of the previous three tax
+// years ("leavers") need fewer ties than arrivers, and only they count the country tie.
+const TIES_NEEDED = {
+  leaver: [
+    { maxDays: 45, ties: 4 },
+    { maxDays: 90, ties: 3 },
+    { maxDays: 120, ties: 2 },
+    { maxDays: 182, ties: 1 }
+  ],
+  arriver: [
+    { maxDays: 45, ties: null },
+    { maxDays: 90, ties: 4 },
+    { maxDays: 120, ties: 3 },
+    { maxDays: 182, ties: 2 }
+  ]
+};
+
+const outcome = (resident, test, reason, extra = {}) => ({ resident, test, reason, ...extra });
+
+// Decide residence for a tax year from the questionnaire answers
+const assessResidence = (answers) => {
+  const days = toNumber(answers.daysInUk);
+  const wasResident = Boolean(answers.residentInPreviousThreeYears);
+
+  if (wasResident && days < 16) {
+    return outcome(false, 'automatic_overseas', 'Fewer than 16 days in the UK after being resident in one of the previous three tax years');
+  }
+  if (!wasResident && days < 46) {
+    return outcome(false, 'automatic_overseas', 'Fewer than 46 days in the UK and not resident in any of the previous three tax years');
+  }
+  if (answers.fullTimeWorkOverseas && days < 91 && toNumber(answers.ukWorkDays) < 31) {
+    return outcome(false, 'automatic_overseas', 'Full-time work overseas with fewer than 91 days in the UK and fewer than 31 UK work days');
+  }
+
+  if (days >= 183) {
+    return outcome(true, 'automatic_uk', '183 days or more in the UK');
+  }
+  if (answers.onlyHomeInUk) {
+    return outcome(true, 'automatic_uk', 'Only home was in the UK');
+  }
+  if (answers.fullTimeWorkInUk) {
+    return outcome(true, 'automatic_uk', 'Full-time work in the UK');
+  }
+
+  const ties = UK_TIES.filter(tie => (tie !== 'country' || wasResident) && (answers.ties || []).includes(tie));
+  const { ties: tiesNeeded } = TIES_NEEDED[wasResident ? 'leaver' : 'arriver'].find(row => days <= row.maxDays);
+  const resident = tiesNeeded !== null && ties.length >= tiesNeeded;
+  const reason = tiesNeeded === null
+    ? `${days} days in the UK is too few for UK ties to make an arriver resident`
+    : `${ties.length} UK ties with ${days} days in the UK (${tiesNeeded} needed)`;
+
+  return outcome(resident, 'sufficient_ties', reason, { ties, tiesNeeded });
+};
+
+module.exports = {
+  UK_TIES,
+  SPLIT_YEAR_CASES,
+  assessResidence
+};
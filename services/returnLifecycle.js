@@ -0,0 +1,107 @@
+// Tax return lifecycle: the statuses a return moves through, who can move it, and the conditions for each move
+
+const RETURN_STATUSES = ['pending', 'in_progress', 'review', 'completed', 'filed', 'cancelled'];
+
+// Statuses in which the figures on a return can still be entered and changed; from review onwards the
+// return is being checked and approved as it stands
+const OPEN_STATUSES = ['pending', 'in_progress'];
+
+// Allowed moves from each status and the roles that can make them. A return goes to review when a calculation is
+// sent for approval and the customer approves it into completed; filed and cancelled returns cannot be moved on.
+const TRANSITIONS = {
+  pending: {
+    in_progress: ['accountant', 'admin'],
+    cancelled: ['customer', 'admin']
+  },
+  in_progress: {
+    review: ['accountant', 'admin'],
+    pending: ['admin'],
+    cancelled: ['admin']
+  },
+  review: {
+    completed: ['customer'],
+    in_progress: ['customer', 'accountant', 'admin'],
+    cancelled: ['admin']
+  },
+  completed: {
+    filed: ['accountant', 'admin'],
+    review: ['accountant', 'admin'],
+    in_progress: ['accountant', 'admin'],
+    cancelled: ['admin']
+  },
+  filed: {},
+  cancelled: {}
+};
+
+// Moves that record more than the status, so are only made through their own endpoints
+const DEDICATED_ENDPOINTS = {
+  review: 'POST /api/tax-returns/:id/approval',
+  completed: 'POST /api/tax-returns/:id/approval/approve',
+  filed: 'POST /api/tax-returns/:id/file'
+};
+
+// Conditions for entering a status, given what is known about the return; each returns an error message or null
+const GUARDS = {
+  review: ({ calculated, unconfirmedCarryOver = 0 }) => {
+    if (unconfirmedCarryOver > 0) {
+      return `Confirm or remove the ${unconfirmedCarryOver} item(s) carried over from last year before the return goes to review`;
+    }
+    if (!calculated) {
+      return 'The return must be calculated before it goes to review';
+    }
+    return null;
+  },
+  filed: ({ paid, customerApproved }) => {
+    if (!paid) {
+      return 'The return cannot be filed until it has been paid for';
+    }
+    if (!customerApproved) {
+      return 'The return cannot be filed until the customer has approved the current calculation';
+    }
+    return null;
+  }
+};
+
+// Check a status change; returns { statusCode, error } when it is not allowed, otherwise null
+const checkTransition = (fromStatus, toStatus, role, context = {}) => {
+  if (!RETURN_STATUSES.includes(toStatus)) {
+    return { statusCode: 400, error: 'Invalid status' };
+  }
+  if (fromStatus === toStatus) {
+    return { statusCode: 400, error: `The return is already ${toStatus}` };
+  }
+
+  const roles = (TRANSITIONS[fromStatus] || {})[toStatus];
+  if (!roles) {
+    return { statusCode: 400, error: `A return cannot move from ${fromStatus} to ${toStatus}` };
+  }
+  if (!roles.includes(role)) {
+    return { statusCode: 403, error: `Only ${roles.join(' or ')} users can move a return from ${fromStatus} to ${toStatus}` };
+  }
+
+  const guard = GUARDS[toStatus];
+  const failure = guard ? guard(context) : null;
+  return failure ? { statusCode: 400, error: failure } : null;
+};
+
+// Statuses a user with `role` could move the return to next (guards are checked when the move is made)
+const availableTransitions = (fromStatus, role) => Object.entries(TRANSITIONS[fromStatus] || {})
+  .filter(([, roles]) => roles.includes(role))
+  .map(([status]) => status);
+
+// IDs of the returns whose figures stand for their year, from rows of { id, status, amends_return_id }:
+// cancelled returns are left out, as is a return replaced by an amendment that has not been cancelled
+const currentReturnIds = (returns) => {
+  const live = returns.filter(row => row.status !== 'cancelled');
+  const replaced = new Set(live.map(row => row.amends_return_id).filter(Boolean));
+  return new Set(live.filter(row => !replaced.has(row.id)).map(row => row.id));
+};
+
+module.exports = {
+  RETURN_STATUSES,
+  OPEN_STATUSES,
+  DEDICATED_ENDPOINTS,
+  checkTransition,
+  availableTransitions,
+  currentReturnIds
+};
@@ -0,0 +1,106 @@
+// Simplified expenses for the self-employed: flat rates instead of actual vehicle and home costs.
+// Each calculator returns the amount to claim and the working shown alongside the expense.
+
+const { roundMoney, toNumber, formatMoney } = require('./money');
+const { getStartYear } = require('../config/taxYears');
+
+const VEHICLE_TYPES = ['car', 'goods_vehicle', 'motorcycle'];
+
+// Categories of the expenses rows the calculators create
+const SIMPLIFIED_CATEGORIES = {
+  mileage: 'simplified_mileage',
+  useOfHome: 'simplified_use_of_home',
+  businessPremises: 'business_premises'
+};
+
+// The twelve months of a tax year as YYYY-MM, April to March
+const taxYearMonths = (taxYear) => {
+  const startYear = getStartYear(taxYear);
+  return Array.from({ length: 12 }, (_, index) => {
+    const month = ((index + 3) % 12) + 1;
+    const year = index < 9 ? startYear : startYear + 1;
+    return `${year}-${String(month).padStart(2, '0')}`;
+  });
+};
+
+// Flat rate mileage for one vehicle. Cars and goods vehicles drop to the reduced rate once the vehicle's
+// business miles for the year pass the threshold, counting miles already claimed earlier in the year.
+const calculateMileage = ({ vehicleType, businessMiles, milesAlreadyClaimed = 0 }, config) => {
+  const rates = config.mileage[vehicleType];
+  const miles = toNumber(businessMiles);
+
+  let fullRateMiles = miles;
+  let reducedRateMiles = 0;
+  if (rates.reducedRateAfter) {
+    fullRateMiles = Math.max(0, Math.min(miles, rates.reducedRateAfter - milesAlreadyClaimed));
+    reducedRateMiles = miles - fullRateMiles;
+  }
+
+  const amount = roundMoney(fullRateMiles * rates.rate + reducedRateMiles * (rates.reducedRate || 0));
+  const steps = [`${fullRateMiles} miles @ ${formatMoney(rates.rate)} = ${formatMoney(fullRateMiles * rates.rate)}`];
+  if (reducedRateMiles > 0) {
+    steps.push(`${reducedRateMiles} miles over ${rates.reducedRateAfter} @ ${formatMoney(rates.reducedRate)} = ${formatMoney(reducedRateMiles * rates.reducedRate)}`);
+  }
+
+  return {
+    method: 'mileage',
+    vehicleType,
+    businessMiles: miles,
+    milesAlreadyClaimed,
+    fullRateMiles,
+    reducedRateMiles,
+    amount,
+    steps
+  };
+};
+
+// Flat rate for working at home, by hours worked at home in each month
+const calculateUseOfHome = ({ monthlyHours }, config) => {
+  const months = monthlyHours.map(({ month, hours }) => {
+    const band = [...config.useOfHome].reverse().find(candidate => toNumber(hours) >= candidate.minHours);
+    return { month, hours: toNumber(hours), amount: band ? band.monthly : 0 };
+  });
+
+  const amount = roundMoney(months.reduce((sum, month) => sum + month.amount, 0));
+
+  return {
+    method: 'use_of_home',
+    months,
+    amount,
+    steps: months.map(month => `${month.month}: ${month.hours} hours = ${formatMoney(month.amount)}`)
+  };
+};
+
+// Actual business premises costs less the flat private use deduction for the people living there each month
+const calculateBusinessPremises = ({ premisesCosts, monthlyOccupants }, config) => {
+  const rates = [...config.premisesPrivateUse].sort((a, b) => b.occupants - a.occupants);
+  const months = monthlyOccupants.map(({ month, occupants }) => {
+    const band = rates.find(candidate => toNumber(occupants) >= candidate.occupants);
+    return { month, occupants: toNumber(occupants), privateUse: band ? band.monthly : 0 };
+  });
+
+  const costs = roundMoney(premisesCosts);
+  const privateUse = roundMoney(months.reduce((sum, month) => sum + month.privateUse, 0));
+
+  return {
+    method: 'business_premises',
+    premisesCosts: costs,
+    months,
+    privateUse,
+    amount: roundMoney(Math.max(0, costs - privateUse)),
+    steps: [
+      `Premises costs ${formatMoney(costs)}`,
+      ...months.map(month => `${month.month}: ${month.occupants} living at the premises, less ${formatMoney(month.privateUse)}`),
+      `Allowable ${formatMoney(Math.max(0, costs - privateUse))}`
+    ]
+  };
+};
+
+module.exports = {
+  VEHICLE_TYPES,
+  SIMPLIFIED_CATEGORIES,
+  taxYearMonths,
+  calculateMileage,
+  calculateUseOfHome,
+  calculateBusinessPremises
+};
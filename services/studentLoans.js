@@ -0,0 +1,84 @@
+// Student and postgraduate loan repayments collected through Self Assessment
+
+const { roundMoney } = require('./money');
+
+const STUDENT_LOAN_PLANS = ['plan_1', 'plan_2', 'plan_4', 'plan_5', 'postgraduate'];
+
+const PLAN_LABELS = {
+  plan_1: 'Plan 1',
+  plan_2: 'Plan 2',
+  plan_4: 'Plan 4',
+  plan_5: 'Plan 5',
+  postgraduate: 'Postgraduate loan'
+};
+
+// Repayments are charged in whole pounds
+const repaymentAbove = (income, threshold, rate) => Math.floor(Math.max(0, income - threshold) * rate);
+
+// Repayments due for a year's income, less amounts already deducted through PAYE.
+// Unearned income only counts when it exceeds the unearned income limit.
+const calculateStudentLoanRepayments = ({ plans = [], earnedIncome, unearnedIncome, deducted = {} }, config) => {
+  const includesUnearned = unearnedIncome > config.unearnedIncomeLimit;
+  const income = roundMoney(earnedIncome + (includesUnearned ? unearnedIncome : 0));
+  const results = [];
+  const unsupportedPlans = [];
+
+  // Undergraduate plans share one 9% charge above the lowest threshold among the borrower's plans
+  const undergraduatePlans = plans
+    .filter(plan => plan !== 'postgraduate')
+    .filter(plan => {
+      if (!config[plan]) {
+        unsupportedPlans.push(plan);
+        return false;
+      }
+      return true;
+    })
+    .sort((a, b) => config[a].threshold - config[b].threshold);
+
+  if (undergraduatePlans.length > 0) {
+    const plan = undergraduatePlans[0];
+    const { threshold, rate } = config[plan];
+    const repayment = repaymentAbove(income, threshold, rate);
+    const alreadyDeducted = roundMoney(deducted.studentLoan || 0);
+
+    results.push({
+      plan,
+      label: undergraduatePlans.map(name => PLAN_LABELS[name]).join(' / '),
+      threshold,
+      rate,
+      repayment,
+      deducted: alreadyDeducted,
+      due: roundMoney(Math.max(0, repayment - alreadyDeducted))
+    });
+  }
+
+  if (plans.includes('postgraduate') && config.postgraduate) {
+    const { threshold, rate } = config.postgraduate;
+    const repayment = repaymentAbove(income, threshold, rate);
+    const alreadyDeducted = roundMoney(deducted.postgraduateLoan || 0);
+
+    results.push({
+      plan: 'postgraduate',
+      label: PLAN_LABELS.postgraduate,
+      threshold,
+      rate,
+      repayment,
+      deducted: alreadyDeducted,
+      due: roundMoney(Math.max(0, repayment - alreadyDeducted))
+    });
+  }
+
+  return {
+    income,
+    includesUnearned,
+    plans: results,
+    unsupportedPlans,
+    total: roundMoney(results.reduce((sum, result) => sum + result.due, 0))
+  };
+};
+
+module.exports = {
+  STUDENT_LOAN_PLANS,
+  PLAN_LABELS,
+  calculateStudentLoanRepayments
+};
@@ -0,0 +1,748 @@
+// UK Self Assessment income tax calculation engine
+// Works on plain database rows so it can be used without a database connection.
+
+const { roundMoney, toNumber, formatMoney, formatRate } = require('./money');
+const { calculateSelfEmployedNI } = require('./nationalInsurance');
+const { getNonSavingsBands } = require('./taxRegime');
+const { PLAN_LABELS, calculateStudentLoanRepayments } = require('./studentLoans');
+const { calculateChildBenefitCharge } = require('./childBenefitCharge');
+const { calculatePropertyIncome, calculateFinanceCostRelief } = require('./propertyIncome');
+const { tradingProfitFor, summariseScenario, compareTradingScenarios } = require('./tradingAllowance');
+const { calculateDisposalGains, calculateCapitalGainsTax } = require('./capitalGains');
+const { calculateReliefs, extendBands } = require('./reliefs');
+const { isBasicRateTaxpayer, calculateMarriedCouplesAllowance } = require('./marriageAllowance');
+const { RELIEF_TYPE_LABELS, applyLossReliefClaims, lossPosition } = require('./losses');
+const { calculateCapitalAllowances } = require('./capitalAllowances');
+const { FOREIGN_INCOME_LABELS, taxableForeignIncome, calculateForeignTaxCredits } = require('./foreignIncome');
+const { getTaxYearDates } = require('../config/taxYears');
+
+// Add a line to the breakdown, skipping zero amounts unless forced
+const addLine = (lines, section, description, amount, always = false) => {
+  if (!always && roundMoney(amount) === 0) {
+    return;
+  }
+  lines.push({ section, description, amount: roundMoney(amount) });
+};
+
+// Sum gross income, tax deducted and allowable expenses by income source type.
+// With the "allowance" trading method the trading allowance replaces actual expenses against trading income;
+// otherwise net capital allowances are deducted along with the expenses.
+const aggregateIncome = (incomeSources, expenses, { tradingMethod = 'expenses', tradingAllowance = 0, capitalAllowances = 0 } = {}) => {
+  const income = {
+    employment: 0,
+    selfEmployment: 0,
+    rental: 0,
+    dividends: 0,
+    interest: 0,
+    other: 0
+  };
+  const typeMap = {
+    employment: 'employment',
+    self_employment: 'selfEmployment',
+    rental: 'rental',
+    dividends: 'dividends',
+    interest: 'interest',
+    other: 'other'
+  };
+  let taxDeducted = 0;
+  let studentLoanDeducted = 0;
+  let postgraduateLoanDeducted = 0;
+
+  for (const source of incomeSources) {
+    const key = typeMap[source.source_type] || 'other';
+    income[key] += toNumber(source.gross_income);
+    taxDeducted += toNumber(source.tax_deducted);
+    studentLoanDeducted += toNumber(source.student_loan_deducted);
+    postgraduateLoanDeducted += toNumber(source.postgraduate_loan_deducted);
+  }
+
+  const totalExpenses = expenses.reduce((sum, expense) => sum + toNumber(expense.amount), 0);
+
+  // Expenses are set against trading income, or against rents when there is no trade
+  const trading = tradingProfitFor(tradingMethod, income.selfEmployment, totalExpenses + capitalAllowances, tradingAllowance);
+  let tradingProfit = income.selfEmployment;
+  let propertyProfit = income.rental;
+  const tradingLoss = income.selfEmployment > 0 ? trading.loss : 0;
+  if (income.selfEmployment > 0 || income.rental === 0) {
+    tradingProfit = trading.profit;
+  } else {
+    propertyProfit = Math.max(0, income.rental - totalExpenses);
+  }
+
+  const totalIncome = Object.values(income).reduce((sum, value) => sum + value, 0);
+  const tradingAllowanceUsed = income.selfEmployment > 0 && tradingMethod === 'allowance' ? trading.deduction : 0;
+  const allowableExpenses = (income.selfEmployment - tradingProfit - tradingAllowanceUsed) + (income.rental - propertyProfit);
+
+  return {
+    ...income,
+    totalIncome,
+    totalExpenses,
+    allowableExpenses,
+    tradingAllowanceUsed,
+    tradingProfit,
+    tradingLoss,
+    propertyProfit,
+    netIncome: totalIncome - allowableExpenses - tradingAllowanceUsed,
+    taxDeducted,
+    studentLoanDeducted,
+    postgraduateLoanDeducted
+  };
+};
+
+// Personal allowance after the £1 for every £2 taper above the income limit
+const calculatePersonalAllowance = (adjustedNetIncome, rates) => {
+  const standard = rates.personalAllowance;
+  const excess = Math.max(0, adjustedNetIncome - rates.personalAllowanceTaperThreshold);
+  const reduction = Math.min(standard, Math.floor(excess / 2));
+
+  return {
+    standard,
+    reduction,
+    available: standard - reduction
+  };
+};
+
+// Tax an income slice that sits on top of `startingPoint` of already-taxed income
+const applyBands = (amount, bands, startingPoint = 0) => {
+  const results = [];
+  let remaining = amount;
+  let position = startingPoint;
+
+  for (const band of bands) {
+    const upperLimit = band.limit === null ? Infinity : band.limit;
+
+    if (remaining > 0 && position < upperLimit) {
+      const taxedInBand = Math.min(remaining, upperLimit - position);
+      results.push({
+        name: band.name,
+        rate: band.rate,
+        income: roundMoney(taxedInBand),
+        tax: roundMoney(taxedInBand * band.rate)
+      });
+      remaining -= taxedInBand;
+      position += taxedInBand;
+    }
+  }
+
+  return results;
+};
+
+// Name of the band the top slice of taxable income falls in
+const getHighestBand = (taxableIncome, bands) => {
+  const band = bands.find(candidate => candidate.limit === null || taxableIncome <= candidate.limit);
+  return band ? band.name : bands[bands.length - 1].name;
+};
+
+// Income tax on non-savings, savings and dividend income, stacked in that order.
+// Savings and dividends always use the UK bands; non-savings bands can be overridden.
+const calculateIncomeTax = ({ nonSavings, savings, dividends }, personalAllowance, rates, nonSavingsBands = rates.incomeTaxBands) => {
+  const ukBands = rates.incomeTaxBands;
+
+  // The personal allowance is set against non-savings income first, then savings, then dividends
+  let allowanceLeft = personalAllowance;
+  const useAllowance = (amount) => {
+    const used = Math.min(amount, allowanceLeft);
+    allowanceLeft -= used;
+    return amount - used;
+  };
+  const taxable = {
+    nonSavings: useAllowance(nonSavings),
+    savings: useAllowance(savings),
+    dividends: useAllowance(dividends)
+  };
+  const totalTaxable = taxable.nonSavings + taxable.savings + taxable.dividends;
+
+  const bands = [];
+  const addBands = (incomeType, results) => {
+    results.forEach(band => bands.push({ incomeType, ...band }));
+  };
+  const addFixedRate = (incomeType, name, rate, amount) => {
+    if (amount > 0) {
+      bands.push({ incomeType, name, rate, income: roundMoney(amount), tax: roundMoney(amount * rate) });
+    }
+  };
+
+  addBands('non_savings', applyBands(taxable.nonSavings, nonSavingsBands));
+  let position = taxable.nonSavings;
+
+  // Savings: starting rate band (reduced by non-savings income), then the Personal Savings Allowance
+  let remainingSavings = taxable.savings;
+  const startingRateIncome = Math.min(remainingSavings, Math.max(0, rates.savings.startingRateBand - position));
+  addFixedRate('savings', 'starting', rates.savings.startingRate, startingRateIncome);
+  remainingSavings -= startingRateIncome;
+  position += startingRateIncome;
+
+  const savingsAllowance = rates.savings.personalSavingsAllowance[getHighestBand(totalTaxable, ukBands)] || 0;
+  const savingsAllowanceUsed = Math.min(remainingSavings, savingsAllowance);
+  addFixedRate('savings', 'personal_savings_allowance', 0, savingsAllowanceUsed);
+  remainingSavings -= savingsAllowanceUsed;
+  position += savingsAllowanceUsed;
+
+  addBands('savings', applyBands(remainingSavings, ukBands, position));
+  position += remainingSavings;
+
+  // Dividends: the dividend allowance, then dividend rates in whichever band they fall
+  const dividendAllowanceUsed = Math.min(taxable.dividends, rates.dividends.allowance);
+  addFixedRate('dividends', 'dividend_allowance', 0, dividendAllowanceUsed);
+  position += dividendAllowanceUsed;
+
+  const dividendBands = ukBands.map(band => ({ ...band, rate: rates.dividends.rates[band.name] }));
+  addBands('dividends', applyBands(taxable.dividends - dividendAllowanceUsed, dividendBands, position));
+
+  return {
+    taxable: {
+      nonSavings: roundMoney(taxable.nonSavings),
+      savings: roundMoney(taxable.savings),
+      dividends: roundMoney(taxable.dividends),
+      total: roundMoney(totalTaxable)
+    },
+    personalSavingsAllowance: savingsAllowance,
+    bands,
+    total: roundMoney(bands.reduce((sum, band) => sum + band.tax, 0))
+  };
+};
+
+const FIXED_BAND_LABELS = {
+  starting: 'Starting rate for savings',
+  personal_savings_allowance: 'Personal Savings Allowance',
+  dividend_allowance: 'Dividend allowance'
+};
+
+const DIVIDEND_BAND_NAMES = {
+  basic: 'ordinary',
+  higher: 'upper',
+  additional: 'additional'
+};
+
+// Label for a band as shown on the calculation, e.g. "Dividend upper rate"
+const bandLabel = ({ incomeType, name }) => {
+  if (FIXED_BAND_LABELS[name]) {
+    return FIXED_BAND_LABELS[name];
+  }
+  if (incomeType === 'dividends') {
+    return `Dividend ${DIVIDEND_BAND_NAMES[name] || name} rate`;
+  }
+  if (incomeType === 'savings') {
+    return `Savings ${name} rate`;
+  }
+  return `${name.charAt(0).toUpperCase()}${name.slice(1)} rate`;
+};
+
+const GAINS_CATEGORY_LABELS = {
+  residential: 'Residential property gains',
+  other: 'Other gains'
+};
+
+// Calculate a return with trading income worked out using `tradingMethod` ('expenses' or 'allowance').
+// `disposals` and `acquisitions` cover the customer's whole history so shares can be matched; only
+// disposals in the return's tax year are charged.
+const calculateReturnUsing = ({
+  incomeSources = [],
+  expenses = [],
+  properties = [],
+  capitalAssets = [],
+  foreignIncome = [],
+  disposals = [],
+  acquisitions = [],
+  options = {}
+}, rates, tradingMethod) => {
+  const lines = [];
+
+  // Capital allowances are only claimed against a trade using actual expenses; pools still carry forward otherwise
+  const capitalAllowancePools = options.capitalAllowancePools || [];
+  let capitalAllowances = null;
+  if (capitalAssets.length > 0 || capitalAllowancePools.length > 0) {
+    const hasTrade = incomeSources.some(source => source.source_type === 'self_employment' && toNumber(source.gross_income) > 0);
+    capitalAllowances = calculateCapitalAllowances({
+      assets: capitalAssets,
+      openingPools: capitalAllowancePools,
+      taxYearDates: options.taxYear ? getTaxYearDates(options.taxYear) : null,
+      claim: hasTrade && tradingMethod === 'expenses'
+    }, rates.capitalAllowances);
+  }
+
+  // A property's figures on the return replace the rental income sources linked to that property; rent on
+  // properties without figures stays in as entered
+  const recordedProperties = new Set(properties.map(row => row.property_id || row.id));
+  const hasPropertyRecords = properties.length > 0;
+  const income = aggregateIncome(
+    incomeSources.filter(source => source.source_type !== 'rental' || !recordedProperties.has(source.property_id)),
+    expenses,
+    {
+      tradingMethod,
+      tradingAllowance: rates.tradingAllowance || 0,
+      capitalAllowances: capitalAllowances && capitalAllowances.claimed ? capitalAllowances.net : 0
+    }
+  );
+
+  let property = null;
+  if (hasPropertyRecords) {
+    property = calculatePropertyIncome({
+      properties,
+      election: options.propertyElection,
+      lossBroughtForward: options.propertyLossBroughtForward || 0,
+      financeCostsBroughtForward: options.financeCostsBroughtForward || 0
+    }, rates.property);
+
+    income.rental += property.rents;
+    income.propertyProfit += property.profit;
+    income.totalIncome += property.rents;
+    income.netIncome += property.profit;
+  }
+
+  // Trading losses brought forward are set against the profits of the trade
+  const tradingLossUsed = Math.min(options.tradingLossBroughtForward || 0, income.tradingProfit);
+  income.tradingProfit -= tradingLossUsed;
+  income.netIncome -= tradingLossUsed;
+
+  // Foreign income is taxed according to the customer's residence position for the year
+  const residence = options.residence || { resident: true };
+  const foreign = taxableForeignIncome(foreignIncome, residence, rates.remittanceBasis);
+  income.foreign = foreign.taxable;
+  income.totalIncome += foreign.taxable;
+  income.netIncome += foreign.taxable;
+
+  if (options.residence) {
+    const status = residence.resident
+      ? `UK resident${residence.splitYear ? ' (split year)' : ''}${foreign.remittanceBasis ? ', remittance basis claimed' : ''}`
+      : 'not UK resident';
+    addLine(lines, 'income', `Residence: ${status}`, 0, true);
+  }
+  addLine(lines, 'income', 'Employment income', income.employment);
+  addLine(lines, 'income', 'Self-employment income', income.selfEmployment);
+  addLine(lines, 'income', 'Rental income', income.rental);
+  addLine(lines, 'income', 'Dividend income', income.dividends);
+  addLine(lines, 'income', 'Interest income', income.interest);
+  addLine(lines, 'income', 'Other income', income.other);
+  addLine(lines, 'income', 'Foreign income', income.foreign);
+  addLine(lines, 'income', `Foreign income not taxable: not UK resident (${formatMoney(foreign.excluded.nonResident)})`, 0, foreign.excluded.nonResident > 0);
+  addLine(lines, 'income', `Foreign income not taxable: overseas part of a split year (${formatMoney(foreign.excluded.overseasPart)})`, 0, foreign.excluded.overseasPart > 0);
+  addLine(lines, 'income', `Foreign income not remitted to the UK (${formatMoney(foreign.excluded.unremitted)}, remittance basis)`, 0, foreign.excluded.unremitted > 0);
+  addLine(lines, 'income', 'Total income', income.totalIncome, true);
+  if (capitalAllowances && capitalAllowances.claimed && capitalAllowances.net !== 0) {
+    addLine(lines, 'deductions', `Less: allowable expenses (including ${formatMoney(capitalAllowances.net)} net capital allowances)`, -income.allowableExpenses, true);
+  } else {
+    addLine(lines, 'deductions', 'Less: allowable expenses', -income.allowableExpenses);
+  }
+  if (income.tradingAllowanceUsed > 0) {
+    addLine(lines, 'deductions', `Less: trading allowance (elected instead of ${formatMoney(income.totalExpenses)} expenses)`, -income.tradingAllowanceUsed);
+  }
+  const tradingLosses = lossPosition({
+    broughtForward: options.tradingLossBroughtForward || 0,
+    used: tradingLossUsed,
+    arising: income.tradingLoss,
+    claimed: options.tradingLossClaimed || 0
+  });
+  addLine(lines, 'deductions', 'Less: trading losses brought forward', -tradingLosses.used);
+  addLine(lines, 'deductions', `Trading loss for the year: ${formatMoney(tradingLosses.arising)}`, 0, tradingLosses.arising > 0);
+  addLine(lines, 'deductions', `Trading loss carried forward: ${formatMoney(tradingLosses.carriedForward)}`, 0, tradingLosses.carriedForward > 0);
+
+  if (property) {
+    if (property.method === 'allowance') {
+      addLine(lines, 'deductions', `Less: property allowance (elected instead of ${formatMoney(property.expenses)} expenses)`, -property.deduction, true);
+    } else {
+      addLine(lines, 'deductions', 'Less: property expenses', -property.deduction);
+    }
+    addLine(lines, 'deductions', 'Less: property losses brought forward', -property.lossUsed);
+    addLine(lines, 'deductions', `Property loss carried forward: ${formatMoney(property.lossCarriedForward)}`, 0, property.lossCarriedForward > 0);
+  }
+
+  // Sideways and carry-back claims set trading losses against total income, up to the relief cap
+  const lossRelief = applyLossReliefClaims(options.lossReliefClaims || [], income.netIncome);
+  for (const claim of lossRelief.claims) {
+    const restricted = claim.restricted ? ` (restricted from ${formatMoney(claim.amount)})` : '';
+    addLine(lines, 'deductions', `Less: ${RELIEF_TYPE_LABELS[claim.reliefType]} for ${claim.lossTaxYear} trading loss${restricted}`, -claim.relieved, true);
+  }
+  income.netIncome -= lossRelief.relieved;
+
+  addLine(lines, 'deductions', 'Net income', income.netIncome, true);
+
+  if (capitalAllowances) {
+    for (const pool of capitalAllowances.pools) {
+      // Private use restricts the amounts claimed, shown here, not the pool itself
+      const business = pool.businessUsePercent < 100 ? ` (${pool.businessUsePercent}% business use)` : '';
+      const share = pool.businessUsePercent / 100;
+      addLine(lines, 'capital_allowances', `${pool.name}: brought forward ${formatMoney(pool.opening)}, additions ${formatMoney(pool.additions)}, disposals ${formatMoney(pool.disposals)}`, 0, true);
+      addLine(lines, 'capital_allowances', `${pool.name}: Annual Investment Allowance${business}`, -pool.annualInvestmentAllowance * share);
+      addLine(lines, 'capital_allowances', `${pool.name}: first-year allowance${business}`, -pool.firstYearAllowance * share);
+      addLine(lines, 'capital_allowances', `${pool.name}: writing-down allowance @ ${formatRate(pool.rate)}${business}`, -pool.writingDownAllowance * share);
+      addLine(lines, 'capital_allowances', `${pool.name}: balancing allowance${business}`, -pool.balancingAllowance * share);
+      addLine(lines, 'capital_allowances', `${pool.name}: balancing charge${business}`, pool.chargeAssessed);
+      addLine(lines, 'capital_allowances', `${pool.name}: carried forward ${formatMoney(pool.closing)}`, 0, true);
+    }
+    if (!capitalAllowances.claimed) {
+      addLine(lines, 'capital_allowances', 'Capital allowances not claimed (no trading income, or the trading allowance is used)', 0, true);
+    }
+    addLine(lines, 'capital_allowances', 'Capital allowances claimed', -capitalAllowances.totalAllowances, true);
+    addLine(lines, 'capital_allowances', 'Balancing charges', capitalAllowances.totalCharges);
+  }
+
+  // Gross pension contributions and Gift Aid reduce adjusted net income and extend the tax bands
+  const reliefs = calculateReliefs({
+    pensionContributions: options.pensionContributions || 0,
+    giftAidDonations: options.giftAidDonations || 0
+  }, rates.reliefs);
+  const adjustedNetIncome = Math.max(0, income.netIncome - reliefs.totalGross);
+  const bandRates = {
+    ...rates,
+    incomeTaxBands: extendBands(rates.incomeTaxBands, reliefs.totalGross),
+    scottishIncomeTaxBands: extendBands(rates.scottishIncomeTaxBands, reliefs.totalGross)
+  };
+
+  if (reliefs.totalGross > 0) {
+    addLine(lines, 'deductions', `Less: gross pension contributions (${formatMoney(reliefs.pension.paid)} paid)`, -reliefs.pension.gross);
+    addLine(lines, 'deductions', `Less: gross Gift Aid donations (${formatMoney(reliefs.giftAid.paid)} paid)`, -reliefs.giftAid.gross);
+    addLine(lines, 'deductions', 'Adjusted net income', adjustedNetIncome, true);
+  }
+
+  const personalAllowance = calculatePersonalAllowance(adjustedNetIncome, rates);
+
+  addLine(lines, 'allowances', 'Personal allowance', -personalAllowance.standard, true);
+  addLine(lines, 'allowances', `Personal allowance reduction (adjusted net income over ${formatMoney(rates.personalAllowanceTaperThreshold)})`, personalAllowance.reduction);
+
+  // Claiming the remittance basis with more than a small amount left abroad loses the personal allowance
+  if (foreign.personalAllowanceLost) {
+    personalAllowance.remittanceBasisLoss = personalAllowance.available;
+    personalAllowance.available = 0;
+    addLine(lines, 'allowances', 'Personal allowance lost: remittance basis claimed', personalAllowance.remittanceBasisLoss, true);
+  }
+
+  // Loss relief comes off non-savings income first, then savings, then dividends
+  let lossReliefLeft = lossRelief.relieved;
+  const afterLossRelief = (amount) => {
+    const used = Math.min(amount, lossReliefLeft);
+    lossReliefLeft -= used;
+    return amount - used;
+  };
+  const incomeForTax = {
+    nonSavings: afterLossRelief(income.employment + income.tradingProfit + income.propertyProfit + income.other + foreign.nonSavings),
+    savings: afterLossRelief(income.interest + foreign.savings),
+    dividends: afterLossRelief(income.dividends + foreign.dividends)
+  };
+
+  const taxRegime = options.taxRegime || 'uk';
+  const runIncomeTax = (allowance, incomeParts = incomeForTax) => calculateIncomeTax(incomeParts, allowance, bandRates, getNonSavingsBands(taxRegime, bandRates));
+  let incomeTaxResult = runIncomeTax(personalAllowance.available);
+
+  // Marriage allowance: the transferor gives up part of their personal allowance and the recipient gets a
+  // tax reducer, as long as neither is taxed above the basic rate
+  let marriageAllowance = null;
+  if (options.marriageAllowance) {
+    const { role } = options.marriageAllowance;
+    const { transferableAmount, reducerRate } = rates.marriageAllowance;
+
+    if (role === 'transferor') {
+      const withTransfer = runIncomeTax(Math.max(0, personalAllowance.available - transferableAmount));
+      const eligible = isBasicRateTaxpayer(withTransfer.bands);
+      if (eligible) {
+        incomeTaxResult = withTransfer;
+        personalAllowance.transferredToSpouse = Math.min(transferableAmount, personalAllowance.available);
+        personalAllowance.available -= personalAllowance.transferredToSpouse;
+      }
+      marriageAllowance = { role, eligible, amount: transferableAmount, rate: reducerRate, reducer: 0 };
+    } else {
+      const eligible = isBasicRateTaxpayer(incomeTaxResult.bands);
+      marriageAllowance = { role, eligible, amount: transferableAmount, rate: reducerRate, reducer: eligible ? roundMoney(transferableAmount * reducerRate) : 0 };
+    }
+
+    if (!marriageAllowance.eligible) {
+      addLine(lines, 'allowances', 'Marriage allowance not applied: income is taxed above the basic rate', 0, true);
+    } else if (role === 'transferor') {
+      addLine(lines, 'allowances', 'Marriage allowance transferred to spouse or civil partner', personalAllowance.transferredToSpouse, true);
+    }
+  }
+  const { bands, taxable } = incomeTaxResult;
+
+  addLine(lines, 'allowances', 'Taxable income', taxable.total, true);
+
+  if (reliefs.totalGross > 0) {
+    addLine(lines, 'income_tax', `Tax bands extended by ${formatMoney(reliefs.totalGross)} for pension contributions and Gift Aid`, 0, true);
+  }
+
+  if (taxRegime === 'scottish') {
+    addLine(lines, 'income_tax', 'Scottish rates applied to non-savings income', 0, true);
+  } else if (taxRegime === 'welsh') {
+    addLine(lines, 'income_tax', 'Welsh rates applied to non-savings income', 0, true);
+  }
+
+  for (const band of bands) {
+    addLine(lines, 'income_tax', `${bandLabel(band)}: ${formatMoney(band.income)} @ ${formatRate(band.rate)}`, band.tax, true);
+  }
+
+  // Tax reducers can only bring income tax down to nil
+  let taxLeft = incomeTaxResult.total;
+  const reduceTax = (amount) => {
+    const used = Math.min(amount, taxLeft);
+    taxLeft -= used;
+    return roundMoney(used);
+  };
+
+  let marriedCouplesAllowance = null;
+  if (options.marriedCouplesAllowance) {
+    marriedCouplesAllowance = calculateMarriedCouplesAllowance({
+      ...options.marriedCouplesAllowance,
+      adjustedNetIncome
+    }, rates.marriedCouplesAllowance);
+    marriedCouplesAllowance.reduction = reduceTax(marriedCouplesAllowance.reducer);
+
+    addLine(lines, 'income_tax', `Less: married couple's allowance: ${formatMoney(marriedCouplesAllowance.allowance)} @ ${formatRate(marriedCouplesAllowance.rate)}`, -marriedCouplesAllowance.reduction, true);
+  }
+
+  if (marriageAllowance && marriageAllowance.reducer > 0) {
+    marriageAllowance.reduction = reduceTax(marriageAllowance.reducer);
+    addLine(lines, 'income_tax', `Less: marriage allowance: ${formatMoney(marriageAllowance.amount)} @ ${formatRate(marriageAllowance.rate)}`, -marriageAllowance.reduction, true);
+  }
+
+  // Residential finance costs are relieved as a basic rate reduction, limited to the tax on other income
+  let financeCostRelief = null;
+  if (property && property.financeCostsAvailable > 0) {
+    financeCostRelief = calculateFinanceCostRelief(property, taxable.nonSavings, rates.property.financeCostCreditRate);
+    financeCostRelief.credit = reduceTax(financeCostRelief.credit);
+
+    addLine(lines, 'income_tax', `Less: finance cost relief: ${formatMoney(financeCostRelief.relieved)} @ ${formatRate(financeCostRelief.rate)}`, -financeCostRelief.credit, true);
+    addLine(lines, 'income_tax', `Unrelieved finance costs carried forward: ${formatMoney(financeCostRelief.carriedForward)}`, 0, financeCostRelief.carriedForward > 0);
+  }
+
+  // Each foreign source's credit is limited to the UK tax on it, worked out by leaving it out of income
+  const foreignTaxCredit = calculateForeignTaxCredits(foreign.sources, incomeTaxResult.total, (source) => runIncomeTax(personalAllowance.available, {
+    ...incomeForTax,
+    [source.category]: Math.max(0, incomeForTax[source.category] - source.taxable)
+  }).total);
+  for (const credit of foreignTaxCredit.credits) {
+    credit.credit = reduceTax(credit.credit);
+    addLine(lines, 'income_tax', `Less: foreign tax credit relief: ${credit.country} ${FOREIGN_INCOME_LABELS[credit.incomeType]} (${formatMoney(credit.foreignTax)} foreign tax, UK tax ${formatMoney(credit.ukTax)})`, -credit.credit, true);
+  }
+  foreignTaxCredit.total = roundMoney(foreignTaxCredit.credits.reduce((sum, credit) => sum + credit.credit, 0));
+
+  if (foreign.remittanceBasisCharge > 0) {
+    addLine(lines, 'income_tax', 'Remittance basis charge', foreign.remittanceBasisCharge);
+  }
+
+  let childBenefitCharge = null;
+  if (options.childBenefitReceived > 0) {
+    childBenefitCharge = calculateChildBenefitCharge({
+      adjustedNetIncome,
+      childBenefitReceived: options.childBenefitReceived
+    }, rates.childBenefitCharge);
+
+    if (childBenefitCharge.charge > 0) {
+      addLine(lines, 'income_tax', `High Income Child Benefit Charge: ${childBenefitCharge.percentage}% of ${formatMoney(childBenefitCharge.childBenefitReceived)} Child Benefit (adjusted net income ${formatMoney(adjustedNetIncome)} over ${formatMoney(childBenefitCharge.threshold)})`, childBenefitCharge.charge);
+    } else {
+      addLine(lines, 'income_tax', `No High Income Child Benefit Charge (adjusted net income ${formatMoney(adjustedNetIncome)} does not exceed ${formatMoney(childBenefitCharge.threshold)})`, 0, true);
+    }
+  }
+
+  const incomeTax = roundMoney(taxLeft + (childBenefitCharge ? childBenefitCharge.charge : 0) + foreign.remittanceBasisCharge);
+  addLine(lines, 'income_tax', 'Income tax due', incomeTax, true);
+
+  let capitalGains = null;
+  const capitalLossBroughtForward = options.capitalLossBroughtForward || 0;
+  if (disposals.length > 0 || capitalLossBroughtForward > 0) {
+    const taxYearDates = options.taxYear ? getTaxYearDates(options.taxYear) : null;
+    const { gains, pools } = calculateDisposalGains(disposals, acquisitions);
+    const yearGains = taxYearDates
+      ? gains.filter(gain => gain.disposalDate >= taxYearDates.start && gain.disposalDate <= taxYearDates.end)
+      : gains;
+
+    // Gains use the UK basic rate band whatever the income tax regime
+    capitalGains = {
+      ...calculateCapitalGainsTax({
+        gains: yearGains,
+        lossBroughtForward: capitalLossBroughtForward,
+        unusedBasicRateBand: bandRates.incomeTaxBands[0].limit - taxable.total
+      }, rates.capitalGains),
+      pools
+    };
+
+    for (const gain of capitalGains.disposals) {
+      addLine(lines, 'capital_gains', `${gain.assetName} disposed ${gain.disposalDate}: proceeds ${formatMoney(gain.proceeds)} less costs ${formatMoney(gain.allowableCost + gain.disposalCosts)}`, gain.gain, true);
+      if (gain.unmatchedQuantity > 0) {
+        addLine(lines, 'capital_gains', `${gain.assetName}: ${gain.unmatchedQuantity} units have no matching acquisition, so no cost is allowed for them`, 0, true);
+      }
+    }
+    addLine(lines, 'capital_gains', 'Less: capital losses brought forward', -capitalGains.lossBroughtForwardUsed);
+    addLine(lines, 'capital_gains', 'Less: annual exempt amount', -capitalGains.annualExemptAmountUsed);
+    for (const band of capitalGains.bands) {
+      const label = `${GAINS_CATEGORY_LABELS[band.category]}${band.from ? ` from ${band.from}` : ''}`;
+      addLine(lines, 'capital_gains', `${label}: ${formatMoney(band.gains)} @ ${formatRate(band.rate)}`, band.tax, true);
+    }
+    addLine(lines, 'capital_gains', 'Capital gains tax due', capitalGains.total, true);
+    addLine(lines, 'capital_gains', `Capital losses carried forward: ${formatMoney(capitalGains.lossCarriedForward)}`, 0, capitalGains.lossCarriedForward > 0);
+  }
+
+  let nationalInsurance = null;
+  if (income.selfEmployment > 0) {
+    nationalInsurance = calculateSelfEmployedNI(income.tradingProfit, rates.nationalInsurance, {
+      voluntary: options.class2Voluntary
+    });
+    const { class2, class4 } = nationalInsurance;
+
+    addLine(lines, 'national_insurance', `Class 4 NIC: ${formatMoney(class4.mainProfits)} @ ${formatRate(class4.mainRate)}`, class4.mainContributions);
+    addLine(lines, 'national_insurance', `Class 4 NIC: ${formatMoney(class4.additionalProfits)} @ ${formatRate(class4.additionalRate)}`, class4.additionalContributions);
+
+    if (class2.status === 'payable') {
+      addLine(lines, 'national_insurance', `Class 2 NIC: ${class2.weeks} weeks @ ${formatMoney(class2.weeklyRate)}`, class2.total);
+    } else if (class2.status === 'voluntary') {
+      addLine(lines, 'national_insurance', `Class 2 NIC (voluntary): ${class2.weeks} weeks @ ${formatMoney(class2.weeklyRate)}`, class2.total);
+    } else if (class2.status === 'credited') {
+      addLine(lines, 'national_insurance', 'Class 2 NIC treated as paid (profits above small profits threshold)', 0, true);
+    }
+  }
+
+  let studentLoans = null;
+  if (options.studentLoanPlans && options.studentLoanPlans.length > 0) {
+    studentLoans = calculateStudentLoanRepayments({
+      plans: options.studentLoanPlans,
+      earnedIncome: income.employment + income.tradingProfit + foreign.earned,
+      unearnedIncome: income.propertyProfit + income.interest + income.dividends + income.other + (foreign.taxable - foreign.earned),
+      deducted: {
+        studentLoan: income.studentLoanDeducted,
+        postgraduateLoan: income.postgraduateLoanDeducted
+      }
+    }, rates.studentLoans);
+
+    for (const plan of studentLoans.plans) {
+      addLine(lines, 'student_loans', `${plan.label} repayment: ${formatMoney(Math.max(0, studentLoans.income - plan.threshold))} over ${formatMoney(plan.threshold)} @ ${formatRate(plan.rate)}`, plan.repayment, true);
+      addLine(lines, 'student_loans', `Less: ${plan.label} repayments deducted through PAYE`, -Math.min(plan.deducted, plan.repayment));
+    }
+    for (const plan of studentLoans.unsupportedPlans) {
+      addLine(lines, 'student_loans', `${PLAN_LABELS[plan] || plan} repayments are not due for this tax year`, 0, true);
+    }
+  }
+
+  // What each kind of loss did this year and what is left to carry forward
+  const losses = {
+    trading: tradingLosses,
+    property: lossPosition({
+      broughtForward: options.propertyLossBroughtForward || 0,
+      used: property ? property.lossUsed : 0,
+      arising: property ? property.currentLoss : 0
+    }),
+    capital: lossPosition({
+      broughtForward: capitalLossBroughtForward,
+      used: capitalGains ? capitalGains.lossBroughtForwardUsed : 0,
+      arising: capitalGains ? capitalGains.currentLosses - capitalGains.currentLossesUsed : 0
+    }),
+    reliefClaims: lossRelief
+  };
+
+  const nationalInsuranceTotal = nationalInsurance ? nationalInsurance.total : 0;
+  const studentLoanTotal = studentLoans ? studentLoans.total : 0;
+  const capitalGainsTax = capitalGains ? capitalGains.total : 0;
+  const totalLiability = incomeTax + nationalInsuranceTotal + studentLoanTotal + capitalGainsTax;
+  addLine(lines, 'payments', 'Total liability', totalLiability, true);
+  addLine(lines, 'payments', 'Less: tax deducted at source', -income.taxDeducted);
+
+  const balance = roundMoney(totalLiability - income.taxDeducted);
+  addLine(lines, 'payments', balance >= 0 ? 'Balance due' : 'Refund due', Math.abs(balance), true);
+
+  return {
+    taxRegime,
+    income: {
+      employment: roundMoney(income.employment),
+      selfEmployment: roundMoney(income.selfEmployment),
+      rental: roundMoney(income.rental),
+      dividends: roundMoney(income.dividends),
+      interest: roundMoney(income.interest),
+      other: roundMoney(income.other),
+      foreign: roundMoney(income.foreign),
+      total: roundMoney(income.totalIncome)
+    },
+    allowableExpenses: roundMoney(income.allowableExpenses),
+    trading: {
+      method: tradingMethod,
+      turnover: roundMoney(income.selfEmployment),
+      expenses: roundMoney(income.totalExpenses),
+      deduction: roundMoney(income.selfEmployment - income.tradingProfit - tradingLossUsed),
+      profit: roundMoney(income.tradingProfit),
+      lossUsed: roundMoney(tradingLossUsed),
+      loss: roundMoney(income.tradingLoss)
+    },
+    netIncome: roundMoney(income.netIncome),
+    adjustedNetIncome: roundMoney(adjustedNetIncome),
+    reliefs,
+    property: property && {
+      ...property,
+      financeCostRelief,
+      financeCostsCarriedForward: financeCostRelief ? financeCostRelief.carriedForward : property.financeCostsAvailable
+    },
+    personalAllowance,
+    marriageAllowance,
+    marriedCouplesAllowance,
+    taxableIncome: taxable.total,
+    taxable,
+    personalSavingsAllowance: incomeTaxResult.personalSavingsAllowance,
+    bands,
+    incomeTax,
+    childBenefitCharge,
+    nationalInsurance,
+    studentLoans,
+    capitalAllowances,
+    residence,
+    foreignIncome: {
+      ...foreign,
+      taxCredits: foreignTaxCredit.credits,
+      totalTaxCredit: foreignTaxCredit.total
+    },
+    capitalGains,
+    losses,
+    taxDeducted: roundMoney(income.taxDeducted),
+    totals: {
+      totalIncome: roundMoney(income.totalIncome),
+      class2Nic: nationalInsurance ? nationalInsurance.class2.total : 0,
+      class4Nic: nationalInsurance ? nationalInsurance.class4.total : 0,
+      studentLoanRepayment: studentLoanTotal,
+      childBenefitCharge: childBenefitCharge ? childBenefitCharge.charge : 0,
+      capitalGainsTax,
+      totalTaxDue: Math.max(0, balance),
+      totalRefund: Math.max(0, -balance)
+    },
+    lines
+  };
+};
+
+// Calculate a full return from its income sources, approved expenses, property records and return-level options.
+// Returns with self-employment income are worked out with both the trading allowance and actual expenses
+// so the two can be compared; the elected (or, on "auto", the cheaper) scenario is the one returned.
+const calculateTaxReturn = (inputs, rates) => {
+  const options = inputs.options || {};
+  const hasTrade = (inputs.incomeSources || []).some(source => source.source_type === 'self_employment' && toNumber(source.gross_income) > 0);
+
+  if (!hasTrade) {
+    return { ...calculateReturnUsing(inputs, rates, 'expenses'), tradingAllowance: null };
+  }
+
+  const results = {
+    expenses: calculateReturnUsing(inputs, rates, 'expenses'),
+    allowance: calculateReturnUsing(inputs, rates, 'allowance')
+  };
+  const tradingAllowance = compareTradingScenarios(options.tradingAllowanceElection || 'auto', {
+    expenses: summariseScenario('expenses', results.expenses),
+    allowance: summariseScenario('allowance', results.allowance)
+  });
+  const result = results[tradingAllowance.method];
+  const { scenarios, method, recommended, saving } = tradingAllowance;
+  const lines = [...result.lines];
+
+  addLine(lines, 'trading_allowance', `Actual expenses: ${formatMoney(scenarios.expenses.deduction)} deducted, trading profit ${formatMoney(scenarios.expenses.tradingProfit)}; total liability`, scenarios.expenses.totalLiability, true);
+  addLine(lines, 'trading_allowance', `Trading allowance: ${formatMoney(scenarios.allowance.deduction)} deducted, trading profit ${formatMoney(scenarios.allowance.tradingProfit)}; total liability`, scenarios.allowance.totalLiability, true);
+
+  const methodName = { expenses: 'actual expenses', allowance: 'the trading allowance' };
+  if (method === recommended) {
+    addLine(lines, 'trading_allowance', `Using ${methodName[method]}${saving > 0 ? ` saves ${formatMoney(saving)}` : ''}`, 0, true);
+  } else if (saving > 0) {
+    addLine(lines, 'trading_allowance', `Using ${methodName[method]} as elected; ${methodName[recommended]} would save ${formatMoney(saving)}`, 0, true);
+  } else {
+    addLine(lines, 'trading_allowance', `Using ${methodName[method]} as elected; ${methodName[recommended]} gives the same liability with a lower trading profit`, 0, true);
+  }
+
+  return { ...result, tradingAllowance, lines };
+};
+
+module.exports = {
+  calculateTaxReturn,
+  calculatePersonalAllowance,
+  calculateIncomeTax,
+  applyBands,
+  aggregateIncome
+};
@@ -0,0 +1,72 @@
+// Which income tax regime applies to a taxpayer: Scottish, Welsh or UK rates
+// Scottish and Welsh rates only affect non-savings income; savings and dividends always use UK rates.
+
+const TAX_REGIMES = ['uk', 'scottish', 'welsh'];
+
+const SCOTTISH_AREAS = ['AB', 'DD', 'DG', 'EH', 'FK', 'G', 'HS', 'IV', 'KA', 'KW', 'KY', 'ML', 'PA', 'PH', 'TD', 'ZE'];
+const WELSH_AREAS = ['CF', 'LD', 'LL', 'NP', 'SA'];
+
+// Border districts whose area code would otherwise point to the wrong country
+const ENGLISH_DISTRICTS = ['TD15'];
+const WELSH_DISTRICTS = ['CH5', 'CH6', 'CH7', 'CH8', 'SY15', 'SY16', 'SY17', 'SY18', 'SY19', 'SY20', 'SY21', 'SY22', 'SY23', 'SY24', 'SY25'];
+
+// Work out the regime from a UK postcode; returns null when the postcode is missing or unrecognised
+const deriveTaxRegime = (postcode) => {
+  if (!postcode) {
+    return null;
+  }
+
+  const normalised = String(postcode).trim().toUpperCase();
+  const outward = normalised.includes(' ') ? normalised.split(/\s+/)[0] : normalised.slice(0, -3);
+  const match = outward.match(/^([A-Z]{1,2})\d/);
+  if (!match) {
+    return null;
+  }
+
+  const district = outward.match(/^[A-Z]{1,2}\d+/)[0];
+  const area = match[1];
+
+  if (ENGLISH_DISTRICTS.includes(district)) {
+    return 'uk';
+  }
+  if (WELSH_DISTRICTS.includes(district) || WELSH_AREAS.includes(area)) {
+    return 'welsh';
+  }
+  if (SCOTTISH_AREAS.includes(area)) {
+    return 'scottish';
+  }
+
+  return 'uk';
+};
+
+// The regime to use: an accountant's override wins, then the postcode, then UK rates
+const resolveTaxRegime = (override, postcode) => {
+  if (override) {
+    return { regime: override, source: 'override' };
+  }
+
+  const derived = deriveTaxRegime(postcode);
+  if (derived) {
+    return { regime: derived, source: 'postcode' };
+  }
+
+  return { regime: 'uk', source: 'default' };
+};
+
+// Non-savings income tax bands for a regime (Welsh rates currently match UK rates)
+const getNonSavingsBands = (regime, rates) => {
+  if (regime === 'scottish' && rates.scottishIncomeTaxBands) {
+    return rates.scottishIncomeTaxBands;
+  }
+  if (regime === 'welsh' && rates.welshIncomeTaxBands) {
+    return rates.welshIncomeTaxBands;
+  }
+  return rates.incomeTaxBands;
+};
+
+module.exports = {
+  TAX_REGIMES,
+  deriveTaxRegime,
+  resolveTaxRegime,
+  getNonSavingsBands
+};
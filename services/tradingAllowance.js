@@ -0,0 +1,56 @@
+// Trading allowance vs actual expenses for self-employment income
+// The engine works out the return both ways; this picks the method and summarises each scenario.
+
+const { roundMoney } = require('./money');
+
+const TRADING_ALLOWANCE_ELECTIONS = ['auto', 'allowance', 'expenses'];
+
+// Deduction, profit and loss under each method for the year's turnover.
+// Only actual expenses can make a loss; the trading allowance stops at nil profit.
+const tradingProfitFor = (method, turnover, expenses, allowance) => {
+  const deduction = method === 'allowance' ? Math.min(turnover, allowance) : Math.min(turnover, expenses);
+  return {
+    deduction: roundMoney(deduction),
+    profit: roundMoney(turnover - deduction),
+    loss: method === 'allowance' ? 0 : roundMoney(Math.max(0, expenses - turnover))
+  };
+};
+
+// The figures shown for one scenario in the side-by-side comparison
+const summariseScenario = (method, result) => ({
+  method,
+  deduction: result.trading.deduction,
+  tradingProfit: result.trading.profit,
+  incomeTax: result.incomeTax,
+  class2Nic: result.totals.class2Nic,
+  class4Nic: result.totals.class4Nic,
+  studentLoanRepayment: result.totals.studentLoanRepayment,
+  capitalGainsTax: result.totals.capitalGainsTax,
+  totalLiability: roundMoney(result.incomeTax + result.totals.class2Nic + result.totals.class4Nic +
+    result.totals.studentLoanRepayment + result.totals.capitalGainsTax)
+});
+
+// Compare the two scenarios and decide which method to use. On "auto" the cheaper one wins;
+// on equal liabilities the lower trading profit wins, then actual expenses.
+const compareTradingScenarios = (election, scenarios) => {
+  const { allowance, expenses } = scenarios;
+  const allowanceIsBetter = allowance.totalLiability < expenses.totalLiability ||
+    (allowance.totalLiability === expenses.totalLiability && allowance.tradingProfit < expenses.tradingProfit);
+  const recommended = allowanceIsBetter ? 'allowance' : 'expenses';
+  const method = election === 'allowance' || election === 'expenses' ? election : recommended;
+
+  return {
+    election,
+    method,
+    recommended,
+    saving: roundMoney(Math.abs(allowance.totalLiability - expenses.totalLiability)),
+    scenarios
+  };
+};
+
+module.exports = {
+  TRADING_ALLOWANCE_ELECTIONS,
+  tradingProfitFor,
+  summariseScenario,
+  compareTradingScenarios
+};
@@ -0,0 +1,138 @@
+// Differences between two stored versions of a return: the totals, the calculation lines, and the income
+// and expense records each version was calculated from
+
+const { roundMoney, toNumber } = require('./money');
+
+// Snapshot collections and how to recognise the same record in both versions. Records are matched by id
+// first; an amendment's records are copies with new ids, so anything left is matched on what it describes.
+const RECORD_COLLECTIONS = {
+  incomeSources: { from: (version) => version.income.incomeSources, key: ['source_type', 'employer_name'] },
+  properties: { from: (version) => version.income.properties, key: ['property_id'] },
+  foreignIncome: { from: (version) => version.income.foreignIncome, key: ['country', 'income_type', 'description'] },
+  expenses: { from: (version) => version.expenses, key: ['category', 'description', 'expense_date'] }
+};
+
+// Bookkeeping columns that differ between copies of the same record
+const IGNORED_FIELDS = ['id', 'tax_return_id', 'created_at', 'updated_at'];
+
+const isNumeric = (value) => value !== null && value !== '' && !Number.isNaN(Number(value));
+
+const change = (from, to) => roundMoney(toNumber(to) - toNumber(from));
+
+// Totals whose value differs, with the change in each
+const diffTotals = (fromTotals, toTotals) => {
+  const fields = [...new Set([...Object.keys(fromTotals || {}), ...Object.keys(toTotals || {})])];
+
+  return fields
+    .map(field => ({ field, from: (fromTotals || {})[field] ?? null, to: (toTotals || {})[field] ?? null }))
+    .filter(({ from, to }) => toNumber(from) !== toNumber(to))
+    .map(total => ({ ...total, change: change(total.from, total.to) }));
+};
+
+// Key calculation lines by section and description, numbering repeats so each line has its own key
+const keyLines = (calculation) => {
+  const keyed = new Map();
+  const seen = {};
+
+  for (const line of (calculation && calculation.lines) || []) {
+    const base = `${line.section}|${line.description}`;
+    seen[base] = (seen[base] || 0) + 1;
+    keyed.set(`${base}|${seen[base]}`, line);
+  }
+  return keyed;
+};
+
+// Calculation lines added, removed or with a different amount (a missing line counts as nil)
+const diffLines = (fromCalculation, toCalculation) => {
+  const fromLines = keyLines(fromCalculation);
+  const toLines = keyLines(toCalculation);
+  const keys = [...new Set([...fromLines.keys(), ...toLines.keys()])];
+
+  return keys.reduce((lines, key) => {
+    const before = fromLines.get(key);
+    const after = toLines.get(key);
+    const from = before ? before.amount : null;
+    const to = after ? after.amount : null;
+
+    if (before && after && toNumber(from) === toNumber(to)) {
+      return lines;
+    }
+
+    const { section, description } = after || before;
+    lines.push({ section, description, from, to, change: change(from, to) });
+    return lines;
+  }, []);
+};
+
+// Fields that differ between two copies of a record
+const diffFields = (before, after) => {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(field => !IGNORED_FIELDS.includes(field));
+
+  return fields
+    .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+    .map(field => {
+      const from = before[field] ?? null;
+      const to = after[field] ?? null;
+      return isNumeric(from) && isNumeric(to) ? { field, from, to, change: change(from, to) } : { field, from, to };
+    });
+};
+
+// Records added, removed and changed between two lists of rows
+const diffRecords = (fromRows, toRows, keyFields) => {
+  const naturalKey = (row) => JSON.stringify(keyFields.map(field => row[field] ?? null));
+  const unmatched = new Map(fromRows.map(row => [row.id, row]));
+  const pairs = [];
+  const added = [];
+
+  for (const row of toRows) {
+    if (unmatched.has(row.id)) {
+      pairs.push([unmatched.get(row.id), row]);
+      unmatched.delete(row.id);
+    } else {
+      added.push(row);
+    }
+  }
+
+  const stillAdded = added.filter(row => {
+    const match = [...unmatched.values()].find(candidate => naturalKey(candidate) === naturalKey(row));
+    if (!match) {
+      return true;
+    }
+    pairs.push([match, row]);
+    unmatched.delete(match.id);
+    return false;
+  });
+
+  const changed = pairs
+    .map(([before, after]) => ({ from: before.id, to: after.id, fields: diffFields(before, after) }))
+    .filter(record => record.fields.length > 0);
+
+  return {
+    added: stillAdded,
+    removed: [...unmatched.values()],
+    changed
+  };
+};
+
+// Compare two version snapshots (ReturnVersion rows)
+const diffVersions = (fromVersion, toVersion) => {
+  const records = Object.fromEntries(
+    Object.entries(RECORD_COLLECTIONS).map(([name, { from, key }]) => [
+      name,
+      diffRecords(from(fromVersion) || [], from(toVersion) || [], key)
+    ])
+  );
+
+  return {
+    from: { taxReturnId: fromVersion.taxReturnId, version: fromVersion.version, createdAt: fromVersion.createdAt },
+    to: { taxReturnId: toVersion.taxReturnId, version: toVersion.version, createdAt: toVersion.createdAt },
+    totals: diffTotals(fromVersion.totals, toVersion.totals),
+    lines: diffLines(fromVersion.calculation, toVersion.calculation),
+    ...records
+  };
+};
+
+module.exports = {
+  diffVersions
+};
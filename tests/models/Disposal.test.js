@@ -0,0 +1,86 @@
+jest.mock('../../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const { query } = require('../../config/database');
+const Disposal = require('../../models/Disposal');
+const { calculateDisposalGains } = require('../../services/capitalGains');
+
+const disposal = (id, taxReturnId, proceeds) => ({
+  id,
+  tax_return_id: taxReturnId,
+  asset_type: 'other',
+  asset_name: 'Painting',
+  asset_identifier: null,
+  quantity: null,
+  disposal_date: '2023-09-01',
+  proceeds: String(proceeds),
+  acquisition_cost: '10000.00',
+  disposal_costs: '0.00'
+});
+
+// Stands in for the database: the returns query, then the disposals on returns that are not cancelled
+const mockCustomer = (returns, disposals) => {
+  query.mockImplementation(async (text) => {
+    if (text.includes('FROM tax_returns')) {
+      return { rows: returns };
+    }
+    const open = new Set(returns.filter(row => row.status !== 'cancelled').map(row => row.id));
+    return { rows: disposals.filter(row => open.has(row.tax_return_id)) };
+  });
+};
+
+describe('Disposal.findByCustomerId', () => {
+  beforeEach(() => query.mockReset());
+
+  it('uses an amendment\'s copies instead of the disposals on the return it amends', async () => {
+    mockCustomer(
+      [
+        { id: 'original', status: 'filed', amends_return_id: null },
+        { id: 'amendment', status: 'in_progress', amends_return_id: 'original' }
+      ],
+      [disposal('d1', 'original', 22000), disposal('d1-copy', 'amendment', 22000)]
+    );
+
+    const rows = await Disposal.findByCustomerId('customer');
+
+    expect(rows.map(row => row.id)).toEqual(['d1-copy']);
+    const { gains } = calculateDisposalGains(rows);
+    expect(gains.reduce((sum, gain) => sum + gain.gain, 0)).toBe(12000);
+  });
+
+  it('follows a chain of amendments to the latest one', async () => {
+    mockCustomer(
+      [
+        { id: 'original', status: 'filed', amends_return_id: null },
+        { id: 'first', status: 'filed', amends_return_id: 'original' },
+        { id: 'second', status: 'pending', amends_return_id: 'first' }
+      ],
+      [disposal('a', 'original', 22000), disposal('b', 'first', 22000), disposal('c', 'second', 25000)]
+    );
+
+    expect((await Disposal.findByCustomerId('customer')).map(row => row.id)).toEqual(['c']);
+  });
+
+  it('goes back to the amended return when its amendment is cancelled', async () => {
+    mockCustomer(
+      [
+        { id: 'original', status: 'filed', amends_return_id: null },
+        { id: 'amendment', status: 'cancelled', amends_return_id: 'original' }
+      ],
+      [disposal('d1', 'original', 22000), disposal('d1-copy', 'amendment', 30000)]
+    );
+
+    expect((await Disposal.findByCustomerId('customer')).map(row => row.id)).toEqual(['d1']);
+  });
+
+  it('keeps disposals from every year', async () => {
+    mockCustomer(
+      [
+        { id: '2022-23', status: 'filed', amends_return_id: null },
+        { id: '2023-24', status: 'in_progress', amends_return_id: null }
+      ],
+      [disposal('a', '2022-23', 15000), disposal('b', '2023-24', 18000)]
+    );
+
+    expect((await Disposal.findByCustomerId('customer')).map(row => row.id)).toEqual(['a', 'b']);
+  });
+});
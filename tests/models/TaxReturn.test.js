@@ -0,0 +1,78 @@
+jest.mock('../../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const { query, transaction } = require('../../config/database');
+const TaxReturn = require('../../models/TaxReturn');
+
+const taxReturn = (fields) => new TaxReturn({
+  id: 'return-1',
+  customer_id: 'customer-1',
+  tax_year: '2023-24',
+  status: 'in_progress',
+  calculation_version: 1,
+  ...fields
+});
+
+// Every read answers with nothing on record apart from one employment; the return's update answers with
+// the row as written
+const respond = async (text, values = []) => {
+  if (text.includes('FROM income_sources')) {
+    return { rows: [{ source_type: 'employment', gross_income: '30000.00', tax_deducted: '3486.00' }] };
+  }
+  if (text.includes('COALESCE(SUM')) {
+    return { rows: [{ claimed: '0', available: '0' }] };
+  }
+  if (text.includes('UPDATE tax_returns')) {
+    return { rows: [{ id: 'return-1', customer_id: 'customer-1', tax_year: '2023-24', calculation_version: 1, total_income: values[0] }] };
+  }
+  return { rows: [] };
+};
+
+describe('TaxReturn#calculate', () => {
+  const client = { query: jest.fn(respond) };
+
+  beforeEach(() => {
+    query.mockReset();
+    transaction.mockReset();
+    client.query.mockClear();
+    query.mockImplementation(respond);
+    transaction.mockImplementation(async (callback) => callback(client));
+  });
+
+  it('writes the totals and the losses it carries forward in one transaction', async () => {
+    const { taxReturn: calculated } = await taxReturn().calculate();
+
+    expect(calculated.totalIncome).toBe(30000);
+    expect(transaction).toHaveBeenCalledTimes(1);
+    expect(client.query.mock.calls.some(([text]) => text.includes('UPDATE tax_returns'))).toBe(true);
+    expect(client.query.mock.calls.some(([text]) => text.includes('loss_uses'))).toBe(true);
+    expect(query.mock.calls.filter(([text]) => /^\s*(INSERT|UPDATE|DELETE)/.test(text))).toEqual([]);
+  });
+
+  it('refuses to calculate a cancelled return', async () => {
+    await expect(taxReturn({ status: 'cancelled' }).calculate()).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'This return has been cancelled and cannot be calculated'
+    });
+    expect(transaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('TaxReturn#createAmendment', () => {
+  const client = { query: jest.fn() };
+
+  beforeEach(() => {
+    transaction.mockReset();
+    client.query.mockReset();
+    client.query.mockImplementation(async (text) => (text.includes('RETURNING *')
+      ? { rows: [{ id: 'amendment-1', status: 'in_progress', amends_return_id: 'return-1', calculation_version: 1 }] }
+      : { rows: [{ id: 'return-1', status: 'filed', calculation_version: 2 }] }));
+    transaction.mockImplementation(async (callback) => callback(client));
+  });
+
+  it('opens the amendment\'s history with who started it and why', async () => {
+    await taxReturn({ status: 'filed' }).createAmendment({}, { userId: 'user-accountant', role: 'accountant', reason: 'Missed a P60' });
+
+    const transition = client.query.mock.calls.find(([text]) => text.includes('INSERT INTO tax_return_transitions'));
+    expect(transition[1]).toEqual(['amendment-1', 'filed', 'in_progress', 'user-accountant', 'accountant', 'Missed a P60']);
+  });
+});
@@ -0,0 +1,193 @@
+jest.mock('../../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const request = require('supertest');
+const database = require('../../config/database');
+const router = require('../../routes/approvals');
+const { USERS, buildApp, tokenFor, taxReturnRow, fakeDatabase } = require('./helpers');
+
+const app = buildApp('/api/tax-returns/:taxReturnId/approval', router);
+
+const approvalRow = (fields) => ({
+  id: 'approval-1',
+  tax_return_id: 'return-1',
+  calculation_version: 2,
+  snapshot: { totals: {} },
+  status: 'pending',
+  ...fields
+});
+
+// A calculated return in review, the request waiting for the customer, and the writes made on answering it
+const answerHandlers = ({ pending = approvalRow(), respondFails = false } = {}) => {
+  const row = taxReturnRow({ status: 'review', calculation_version: 2, calculated_at: '2024-05-01T00:00:00Z' });
+  return [
+    ['SELECT * FROM tax_returns WHERE id', [row]],
+    ['status = \'pending\' ORDER BY created_at DESC LIMIT 1', pending ? [pending] : []],
+    ['SELECT 1 FROM return_approvals', []],
+    ['FROM carry_over_items', [{ unconfirmed: '0' }]],
+    ['UPDATE tax_returns', ([status]) => [{ ...row, status }]],
+    ['INSERT INTO tax_return_transitions', []],
+    ['UPDATE return_approvals', ([status, respondedBy, comments]) => {
+      if (respondFails) {
+        throw new Error('connection lost');
+      }
+      return [approvalRow({ status, responded_by: respondedBy, customer_comments: comments })];
+    }]
+  ];
+};
+
+const statementsOn = (mock) => mock.mock.calls.map(([text]) => text.trim().split(/\s+/).slice(0, 2).join(' '));
+
+describe('POST /api/tax-returns/:taxReturnId/approval/approve', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  const approve = () => request(app)
+    .post('/api/tax-returns/return-1/approval/approve')
+    .set('Authorization', tokenFor('customer'))
+    .send({ comments: 'All correct' });
+
+  it('completes the return and records the approval in one transaction', async () => {
+    const client = fakeDatabase(database, answerHandlers());
+
+    const res = await approve();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.taxReturn.status).toBe('completed');
+    expect(res.body.data.approval).toMatchObject({ status: 'approved', respondedBy: USERS.customer.id, customerComments: 'All correct' });
+    expect(database.transaction).toHaveBeenCalledTimes(1);
+    expect(statementsOn(client.query)).toEqual(['UPDATE tax_returns', 'INSERT INTO', 'UPDATE return_approvals']);
+    expect(statementsOn(database.query)).not.toContain('UPDATE tax_returns');
+  });
+
+  it('fails as a whole when the approval cannot be recorded', async () => {
+    const client = fakeDatabase(database, answerHandlers({ respondFails: true }));
+
+    const res = await approve();
+
+    expect(res.status).toBe(500);
+    await expect(database.transaction.mock.results[0].value).rejects.toThrow('connection lost');
+    expect(statementsOn(client.query)).toEqual(['UPDATE tax_returns', 'INSERT INTO', 'UPDATE return_approvals']);
+  });
+
+  it('refuses to approve a calculation that has changed since it was sent', async () => {
+    fakeDatabase(database, answerHandlers({ pending: approvalRow({ calculation_version: 1 }) }));
+
+    const res = await approve();
+
+    expect(res.status).toBe(409);
+    expect(database.transaction).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 when nothing is waiting for approval', async () => {
+    fakeDatabase(database, answerHandlers({ pending: null }));
+
+    const res = await approve();
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('There is no calculation waiting for your approval');
+  });
+
+  it('is only open to the customer', async () => {
+    fakeDatabase(database, answerHandlers());
+
+    const res = await request(app)
+      .post('/api/tax-returns/return-1/approval/approve')
+      .set('Authorization', tokenFor('accountant'));
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('POST /api/tax-returns/:taxReturnId/approval/request-changes', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  it('sends the return back to in progress with the customer\'s comments, in one transaction', async () => {
+    const client = fakeDatabase(database, answerHandlers());
+
+    const res = await request(app)
+      .post('/api/tax-returns/return-1/approval/request-changes')
+      .set('Authorization', tokenFor('customer'))
+      .send({ comments: 'The rent is wrong' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.taxReturn.status).toBe('in_progress');
+    expect(res.body.data.approval).toMatchObject({ status: 'changes_requested', customerComments: 'The rent is wrong' });
+    expect(database.transaction).toHaveBeenCalledTimes(1);
+    expect(statementsOn(client.query)).toEqual(['UPDATE tax_returns', 'INSERT INTO', 'UPDATE return_approvals']);
+  });
+
+  it('needs the changes to be described', async () => {
+    fakeDatabase(database, answerHandlers());
+
+    const res = await request(app)
+      .post('/api/tax-returns/return-1/approval/request-changes')
+      .set('Authorization', tokenFor('customer'))
+      .send({ comments: ' ' });
+
+    expect(res.status).toBe(400);
+    expect(database.transaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/tax-returns/:taxReturnId/approval', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  // A return whose totals the accountant entered by hand, so it has no breakdown
+  const manualReturn = taxReturnRow({
+    calculation_version: 3,
+    calculated_at: '2024-05-01T00:00:00Z',
+    calculation_breakdown: null,
+    total_income: '42000.00',
+    total_tax_due: '1250.50',
+    total_refund: '0.00',
+    class2_nic: null,
+    class4_nic: '310.20'
+  });
+
+  const sendHandlers = (row) => [
+    ['SELECT * FROM tax_returns WHERE id', [row]],
+    ['SELECT 1 FROM return_approvals', []],
+    ['FROM carry_over_items', [{ unconfirmed: '0' }]],
+    ['SELECT * FROM income_sources', []],
+    ['SELECT * FROM expenses', []],
+    ['UPDATE tax_returns', ([status]) => [{ ...row, status }]],
+    ['INSERT INTO tax_return_transitions', []],
+    ['SET status = \'superseded\'', []],
+    ['INSERT INTO return_approvals', ([taxReturnId, calculationVersion, snapshot]) => [
+      approvalRow({ tax_return_id: taxReturnId, calculation_version: calculationVersion, snapshot: JSON.parse(snapshot) })
+    ]]
+  ];
+
+  it('sends a return with hand-entered totals for approval, freezing the totals as entered', async () => {
+    const client = fakeDatabase(database, sendHandlers(manualReturn));
+
+    const res = await request(app)
+      .post('/api/tax-returns/return-1/approval')
+      .set('Authorization', tokenFor('accountant'))
+      .send({ note: 'Figures from your spreadsheet' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.calculationVersion).toBe(3);
+    expect(res.body.data.snapshot).toMatchObject({
+      totals: { totalIncome: 42000, totalTaxDue: 1250.5, totalRefund: 0, class2Nic: null, class4Nic: 310.2 },
+      lines: [],
+      paymentSchedule: []
+    });
+    expect(statementsOn(client.query)).toEqual(['UPDATE tax_returns', 'INSERT INTO', 'UPDATE return_approvals', 'INSERT INTO']);
+  });
+
+  it('refuses to send a return that has not been calculated', async () => {
+    fakeDatabase(database, [['SELECT * FROM tax_returns WHERE id', [taxReturnRow()]]]);
+
+    const res = await request(app)
+      .post('/api/tax-returns/return-1/approval')
+      .set('Authorization', tokenFor('accountant'))
+      .send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Calculate the return before sending it for approval');
+    expect(database.transaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,147 @@
+jest.mock('../../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const request = require('supertest');
+const database = require('../../config/database');
+const router = require('../../routes/bankStatements');
+const { CUSTOMER_ID, buildApp, tokenFor, taxReturnRow, fakeDatabase } = require('./helpers');
+
+const app = buildApp('/api/tax-returns/:taxReturnId/bank-statements', router);
+
+const TRANSACTION_ID = '5b0c2f4e-8d7a-4c39-9f1e-2a6b3c4d5e6f';
+const EMPLOYMENT_SOURCE_ID = '0d9c8b7a-6f5e-4d3c-8b2a-1f0e9d8c7b6a';
+const INTEREST_SOURCE_ID = '7e6d5c4b-3a29-4817-a6f5-e4d3c2b1a098';
+const EMPLOYMENT_FROM_P60 = 'Wages are paid net of tax; enter employment income from the P60 (gross pay and tax deducted) on the income page';
+
+const bankTransactionRow = (fields) => ({
+  id: TRANSACTION_ID,
+  customer_id: CUSTOMER_ID,
+  tax_year: '2023-24',
+  description: 'ACME LTD SALARY',
+  amount: '2100.00',
+  status: 'pending',
+  ...fields
+});
+
+// A return with an employment and an interest source, one of the customer's transactions and their rules
+const statementHandlers = ({ status = 'in_progress', rules = [] } = {}) => [
+  ['SELECT * FROM tax_returns WHERE id', [taxReturnRow({ status })]],
+  ['SELECT * FROM bank_transactions WHERE id', [bankTransactionRow()]],
+  ['FROM categorisation_rules WHERE customer_id', rules],
+  ['FROM income_sources s', [
+    { id: EMPLOYMENT_SOURCE_ID, tax_return_id: 'return-1', source_type: 'employment', employer_name: 'Acme Ltd' },
+    { id: INTEREST_SOURCE_ID, tax_return_id: 'return-1', source_type: 'interest' }
+  ]],
+  ['SET status = \'accepted\'', ([taxReturnId]) => [bankTransactionRow({ status: 'accepted', tax_return_id: taxReturnId })]],
+  ['UPDATE income_sources SET gross_income', ([amount, id]) => [{ id, tax_return_id: 'return-1', source_type: 'interest', gross_income: amount }]],
+  ['UPDATE carry_over_items', []],
+  ['UPDATE bank_transactions SET income_source_id', ([incomeSourceId]) => [
+    bankTransactionRow({ status: 'accepted', tax_return_id: 'return-1', income_source_id: incomeSourceId })
+  ]],
+  ['SET status = \'ignored\'', ([userId]) => [bankTransactionRow({ status: 'ignored', resolved_by: userId })]]
+];
+
+const accept = (body) => request(app)
+  .post(`/api/tax-returns/return-1/bank-statements/transactions/${TRANSACTION_ID}/accept`)
+  .set('Authorization', tokenFor('customer'))
+  .send(body);
+
+describe('POST /api/tax-returns/:taxReturnId/bank-statements/transactions/:transactionId/accept', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  it('refuses a receipt as employment income', async () => {
+    fakeDatabase(database, statementHandlers());
+
+    const res = await accept({ sourceType: 'employment', employerName: 'Acme Ltd' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(detail => detail.msg)).toEqual([EMPLOYMENT_FROM_P60]);
+    expect(database.transaction).not.toHaveBeenCalled();
+  });
+
+  it('refuses to add a receipt to an employment source', async () => {
+    fakeDatabase(database, statementHandlers());
+
+    const res = await accept({ incomeSourceId: EMPLOYMENT_SOURCE_ID });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([{ path: 'incomeSourceId', msg: EMPLOYMENT_FROM_P60 }]);
+    expect(database.transaction).not.toHaveBeenCalled();
+  });
+
+  it('refuses employment proposed by a rule saved before it was refused', async () => {
+    fakeDatabase(database, statementHandlers({
+      rules: [{ id: 'rule-1', customer_id: CUSTOMER_ID, pattern: 'ACME LTD', target: 'income', source_type: 'employment' }]
+    }));
+
+    const res = await accept({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([{ path: 'sourceType', msg: EMPLOYMENT_FROM_P60 }]);
+  });
+
+  it('adds the receipt to the return\'s one source of the chosen type', async () => {
+    const client = fakeDatabase(database, statementHandlers());
+
+    const res = await accept({ sourceType: 'interest' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.incomeSource).toMatchObject({ id: INTEREST_SOURCE_ID, grossIncome: 2100 });
+    expect(res.body.data.transaction).toMatchObject({ status: 'accepted', incomeSourceId: INTEREST_SOURCE_ID });
+    expect(client.query).toHaveBeenCalledTimes(4);
+  });
+
+  it('is locked while the return is in review', async () => {
+    fakeDatabase(database, statementHandlers({ status: 'review' }));
+
+    const res = await accept({ sourceType: 'interest' });
+
+    expect(res.status).toBe(409);
+    expect(database.transaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/tax-returns/:taxReturnId/bank-statements/transactions/:transactionId/ignore', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  const ignore = () => request(app)
+    .post(`/api/tax-returns/return-1/bank-statements/transactions/${TRANSACTION_ID}/ignore`)
+    .set('Authorization', tokenFor('customer'));
+
+  it('leaves the transaction off an open return', async () => {
+    fakeDatabase(database, statementHandlers());
+
+    const res = await ignore();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('ignored');
+  });
+
+  it('is locked once the return leaves in progress', async () => {
+    for (const status of ['review', 'completed', 'filed', 'cancelled']) {
+      fakeDatabase(database, statementHandlers({ status }));
+      const res = await ignore();
+      expect(res.status).toBe(409);
+      expect(database.query.mock.calls.some(([text]) => text.includes('SET status = \'ignored\''))).toBe(false);
+    }
+  });
+});
+
+describe('POST /api/tax-returns/:taxReturnId/bank-statements/import', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  it('is locked once the return leaves in progress', async () => {
+    fakeDatabase(database, statementHandlers({ status: 'completed' }));
+
+    const res = await request(app)
+      .post('/api/tax-returns/return-1/bank-statements/import')
+      .set('Authorization', tokenFor('customer'))
+      .send({ documentId: '9a8b7c6d-5e4f-4a3b-9c2d-1e0f9a8b7c6d' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('This return is completed; it must be moved back to in progress before it can be changed');
+    expect(database.query.mock.calls.some(([text]) => text.includes('documents'))).toBe(false);
+  });
+});
@@ -0,0 +1,96 @@
+jest.mock('../../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const request = require('supertest');
+const database = require('../../config/database');
+const router = require('../../routes/carryOver');
+const { USERS, buildApp, tokenFor, taxReturnRow, fakeDatabase } = require('./helpers');
+
+const app = buildApp('/api/tax-returns/:taxReturnId/carry-over', router);
+
+const itemRow = (fields) => ({
+  id: 'item-1',
+  tax_return_id: 'return-1',
+  from_tax_return_id: 'return-0',
+  item_type: 'loss',
+  description: 'Trading loss brought forward',
+  confirmed_at: null,
+  ...fields
+});
+
+const withReturn = (status) => fakeDatabase(database, [
+  ['SELECT * FROM tax_returns WHERE id', [taxReturnRow({ status })]],
+  ['SELECT * FROM carry_over_items WHERE id', [itemRow()]],
+  ['UPDATE carry_over_items', ([userId]) => [itemRow({ confirmed_at: '2024-05-01T00:00:00Z', confirmed_by: userId })]]
+]);
+
+describe('POST /api/tax-returns/:taxReturnId/carry-over/:itemId/confirm', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  const confirm = () => request(app)
+    .post('/api/tax-returns/return-1/carry-over/item-1/confirm')
+    .set('Authorization', tokenFor('customer'));
+
+  it('confirms the item while the return is open', async () => {
+    withReturn('pending');
+
+    const res = await confirm();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.confirmedBy).toBe(USERS.customer.id);
+  });
+
+  it('is locked once the return has gone to review', async () => {
+    withReturn('review');
+
+    const res = await confirm();
+
+    expect(res.status).toBe(409);
+    expect(database.query.mock.calls.some(([text]) => text.includes('UPDATE carry_over_items'))).toBe(false);
+  });
+
+  it('is locked once the return is filed', async () => {
+    withReturn('filed');
+
+    const res = await confirm();
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('This return has been filed and cannot be changed; start an amendment to correct it');
+    expect(database.query.mock.calls.some(([text]) => text.includes('UPDATE carry_over_items'))).toBe(false);
+  });
+});
+
+describe('DELETE /api/tax-returns/:taxReturnId/carry-over/:itemId', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  it('keeps losses brought forward, which come from the ledger', async () => {
+    withReturn('in_progress');
+
+    const res = await request(app)
+      .delete('/api/tax-returns/return-1/carry-over/item-1')
+      .set('Authorization', tokenFor('customer'));
+
+    expect(res.status).toBe(400);
+    expect(database.transaction).not.toHaveBeenCalled();
+  });
+
+  it('sends bank transactions accepted into a removed income source back for review', async () => {
+    const client = fakeDatabase(database, [
+      ['SELECT * FROM tax_returns WHERE id', [taxReturnRow({ status: 'in_progress' })]],
+      ['SELECT * FROM carry_over_items WHERE id', [itemRow({ item_type: 'income_source', item_id: 'source-1' })]],
+      ['UPDATE bank_transactions', []],
+      ['DELETE FROM', []]
+    ]);
+
+    const res = await request(app)
+      .delete('/api/tax-returns/return-1/carry-over/item-1')
+      .set('Authorization', tokenFor('customer'));
+
+    expect(res.status).toBe(200);
+    const [reopen, ...deletes] = client.query.mock.calls;
+    expect(reopen[0]).toContain('UPDATE bank_transactions');
+    expect(reopen[1]).toEqual(['source-1']);
+    expect(deletes.map(([text]) => text.split(' WHERE')[0])).toEqual(['DELETE FROM income_sources', 'DELETE FROM carry_over_items']);
+  });
+});
@@ -0,0 +1,79 @@
+// Shared set-up for route tests: each test file mocks config/database and mounts the router under test on its
+// own app, as server.js would, with the database answered by fakeDatabase
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const errorHandler = require('../../middleware/errorHandler');
+
+process.env.JWT_SECRET = 'route-test-secret';
+
+const USERS = {
+  customer: { id: 'user-customer', role: 'customer' },
+  accountant: { id: 'user-accountant', role: 'accountant' },
+  admin: { id: 'user-admin', role: 'admin' }
+};
+
+const CUSTOMER_ID = 'customer-1';
+const ACCOUNTANT_ID = 'accountant-1';
+
+const buildApp = (path, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+  app.use(errorHandler);
+  return app;
+};
+
+// Authorization header for a verified user with the role
+const tokenFor = (role) => `Bearer ${jwt.sign({ id: USERS[role].id }, process.env.JWT_SECRET)}`;
+
+// A tax_returns row for the customer, assigned to the accountant
+const taxReturnRow = (fields) => ({
+  id: 'return-1',
+  customer_id: CUSTOMER_ID,
+  accountant_id: ACCOUNTANT_ID,
+  tax_year: '2023-24',
+  status: 'in_progress',
+  calculation_version: 1,
+  payment_status: 'pending',
+  ...fields
+});
+
+// Stands in for the database. Each statement is answered by the first handler whose text it contains, with
+// rows or a function of the values giving rows; the users and their customer and accountant records are
+// answered after the test's own handlers. Statements run inside a transaction go to the returned client.
+const fakeDatabase = ({ query, transaction }, handlers = []) => {
+  const all = [
+    ...handlers,
+    ['FROM users WHERE id', ([id]) => Object.values(USERS)
+      .filter(user => user.id === id)
+      .map(user => ({ ...user, email: `${user.role}@example.com`, is_verified: true }))],
+    ['FROM customers WHERE user_id', ([userId]) => (userId === USERS.customer.id ? [{ id: CUSTOMER_ID }] : [])],
+    ['FROM accountants WHERE user_id', ([userId]) => (userId === USERS.accountant.id ? [{ id: ACCOUNTANT_ID }] : [])]
+  ];
+
+  const run = async (text, values = []) => {
+    const handler = all.find(([pattern]) => text.includes(pattern));
+    if (!handler) {
+      throw new Error(`Unexpected query: ${text.trim()}`);
+    }
+    const [, answer] = handler;
+    return { rows: typeof answer === 'function' ? answer(values) : answer };
+  };
+
+  const client = { query: jest.fn(run) };
+  query.mockReset();
+  transaction.mockReset();
+  query.mockImplementation(run);
+  transaction.mockImplementation(async (callback) => callback(client));
+  return client;
+};
+
+module.exports = {
+  USERS,
+  CUSTOMER_ID,
+  ACCOUNTANT_ID,
+  buildApp,
+  tokenFor,
+  taxReturnRow,
+  fakeDatabase
+};
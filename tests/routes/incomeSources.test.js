@@ -0,0 +1,82 @@
+jest.mock('../../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const request = require('supertest');
+const database = require('../../config/database');
+const router = require('../../routes/incomeSources');
+const { buildApp, tokenFor, taxReturnRow, fakeDatabase } = require('./helpers');
+
+const app = buildApp('/api/tax-returns/:taxReturnId/income', router);
+
+const withReturn = (status) => fakeDatabase(database, [
+  ['SELECT * FROM tax_returns WHERE id', [taxReturnRow({ status })]],
+  ['INSERT INTO income_sources', ([taxReturnId, sourceType, , , , grossIncome]) => [
+    { id: 'source-1', tax_return_id: taxReturnId, source_type: sourceType, gross_income: grossIncome }
+  ]]
+]);
+
+const addInterest = () => request(app)
+  .post('/api/tax-returns/return-1/income')
+  .set('Authorization', tokenFor('customer'))
+  .send({ sourceType: 'interest', grossIncome: 250 });
+
+const insertsOf = () => database.query.mock.calls.filter(([text]) => text.includes('INSERT INTO income_sources'));
+
+describe('POST /api/tax-returns/:taxReturnId/income', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  it('adds income while the return is pending or in progress', async () => {
+    for (const status of ['pending', 'in_progress']) {
+      withReturn(status);
+      const res = await addInterest();
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ sourceType: 'interest', grossIncome: 250 });
+    }
+  });
+
+  it('is locked from review until the return is moved back to in progress', async () => {
+    for (const status of ['review', 'completed']) {
+      withReturn(status);
+      const res = await addInterest();
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe(`This return is ${status}; it must be moved back to in progress before it can be changed`);
+      expect(insertsOf()).toHaveLength(0);
+    }
+  });
+
+  it('points to an amendment once the return is filed, and refuses a cancelled return', async () => {
+    withReturn('filed');
+    const filed = await addInterest();
+    expect(filed.status).toBe(409);
+    expect(filed.body.error).toBe('This return has been filed and cannot be changed; start an amendment to correct it');
+
+    withReturn('cancelled');
+    const cancelled = await addInterest();
+    expect(cancelled.status).toBe(409);
+    expect(cancelled.body.error).toBe('This return has been cancelled and cannot be changed');
+  });
+
+  it('checks the lock only after the user\'s access to the return', async () => {
+    fakeDatabase(database, [['SELECT * FROM tax_returns WHERE id', [taxReturnRow({ status: 'review', customer_id: 'customer-2' })]]]);
+
+    const res = await addInterest();
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('DELETE /api/tax-returns/:taxReturnId/income/:sourceId', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  it('is locked while the return is in review', async () => {
+    withReturn('review');
+
+    const res = await request(app)
+      .delete('/api/tax-returns/return-1/income/source-1')
+      .set('Authorization', tokenFor('accountant'));
+
+    expect(res.status).toBe(409);
+    expect(database.query.mock.calls.some(([text]) => text.includes('income_sources'))).toBe(false);
+  });
+});
@@ -0,0 +1,298 @@
+jest.mock('../../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const database = require('../../config/database');
+const router = require('../../routes/taxReturns');
+const { USERS, CUSTOMER_ID, buildApp, tokenFor, taxReturnRow, fakeDatabase } = require('./helpers');
+
+const app = buildApp('/api/tax-returns', router);
+
+// The return as loaded, and the status change written on the transaction's client
+const returnHandlers = (row, { moved = false } = {}) => [
+  ['SELECT * FROM tax_returns WHERE id', ([id]) => (id === row.id ? [row] : [])],
+  ['FROM return_approvals', []],
+  ['FROM carry_over_items', [{ unconfirmed: '0' }]],
+  ['UPDATE tax_returns', ([status]) => (moved ? [] : [{ ...row, status }])],
+  ['INSERT INTO tax_return_transitions', []]
+];
+
+describe('PUT /api/tax-returns/:id/status', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  it('moves the return and records who moved it, in one transaction', async () => {
+    const client = fakeDatabase(database, returnHandlers(taxReturnRow({ status: 'pending' })));
+
+    const res = await request(app)
+      .put('/api/tax-returns/return-1/status')
+      .set('Authorization', tokenFor('customer'))
+      .send({ status: 'cancelled', reason: 'Filed elsewhere' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('cancelled');
+    expect(database.transaction).toHaveBeenCalledTimes(1);
+
+    const [, transition] = client.query.mock.calls;
+    expect(transition[0]).toContain('INSERT INTO tax_return_transitions');
+    expect(transition[1]).toEqual(['return-1', 'pending', 'cancelled', USERS.customer.id, 'customer', 'Filed elsewhere']);
+  });
+
+  it('refuses a move the user\'s role cannot make', async () => {
+    const client = fakeDatabase(database, returnHandlers(taxReturnRow({ status: 'pending' })));
+
+    const res = await request(app)
+      .put('/api/tax-returns/return-1/status')
+      .set('Authorization', tokenFor('accountant'))
+      .send({ status: 'cancelled' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Only customer or admin users can move a return from pending to cancelled');
+    expect(client.query).not.toHaveBeenCalled();
+  });
+
+  it('refuses a move the lifecycle does not allow', async () => {
+    fakeDatabase(database, returnHandlers(taxReturnRow({ status: 'cancelled' })));
+
+    const res = await request(app)
+      .put('/api/tax-returns/return-1/status')
+      .set('Authorization', tokenFor('admin'))
+      .send({ status: 'in_progress' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('A return cannot move from cancelled to in_progress');
+  });
+
+  it('sends moves to review, completed and filed to their own endpoints', async () => {
+    fakeDatabase(database, returnHandlers(taxReturnRow()));
+
+    const res = await request(app)
+      .put('/api/tax-returns/return-1/status')
+      .set('Authorization', tokenFor('accountant'))
+      .send({ status: 'review' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Use POST /api/tax-returns/:id/approval to move a return to review');
+  });
+
+  it('refuses the move when someone else has moved the return since it was loaded', async () => {
+    fakeDatabase(database, returnHandlers(taxReturnRow({ status: 'review' }), { moved: true }));
+
+    const res = await request(app)
+      .put('/api/tax-returns/return-1/status')
+      .set('Authorization', tokenFor('accountant'))
+      .send({ status: 'in_progress' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('The return\'s status has changed; reload it and try again');
+  });
+
+  it('only lets customers move their own returns', async () => {
+    fakeDatabase(database, returnHandlers(taxReturnRow({ status: 'pending', customer_id: 'customer-2' })));
+
+    const res = await request(app)
+      .put('/api/tax-returns/return-1/status')
+      .set('Authorization', tokenFor('customer'))
+      .send({ status: 'cancelled' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Access denied');
+  });
+});
+
+describe('PUT /api/tax-returns/:id/details', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  const updateDetails = (status) => {
+    fakeDatabase(database, returnHandlers(taxReturnRow({ status })));
+    return request(app)
+      .put('/api/tax-returns/return-1/details')
+      .set('Authorization', tokenFor('accountant'))
+      .send({ class2Voluntary: true });
+  };
+
+  it('is locked while the return is in review or completed', async () => {
+    for (const [status, described] of [['review', 'review'], ['completed', 'completed']]) {
+      const res = await updateDetails(status);
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe(`This return is ${described}; it must be moved back to in progress before it can be changed`);
+    }
+  });
+
+  it('is locked for good once the return is cancelled or filed', async () => {
+    const cancelled = await updateDetails('cancelled');
+    expect(cancelled.status).toBe(409);
+    expect(cancelled.body.error).toBe('This return has been cancelled and cannot be changed');
+
+    const filed = await updateDetails('filed');
+    expect(filed.status).toBe(409);
+    expect(filed.body.error).toBe('This return has been filed and cannot be changed; start an amendment to correct it');
+  });
+});
+
+describe('PUT /api/tax-returns/:id/assign', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  const NEW_ACCOUNTANT_ID = '6f1c2b9e-4a57-4c1e-9d3a-2f8e7b6c5d40';
+
+  it('assigns the accountant and starts work on a pending return in one transaction', async () => {
+    const row = taxReturnRow({ status: 'pending', accountant_id: null });
+    const client = fakeDatabase(database, [
+      ['FROM accountants WHERE id', [{ id: NEW_ACCOUNTANT_ID }]],
+      ['SET accountant_id', ([accountantId]) => [{ ...row, accountant_id: accountantId }]],
+      ...returnHandlers(row)
+    ]);
+
+    const res = await request(app)
+      .put('/api/tax-returns/return-1/assign')
+      .set('Authorization', tokenFor('admin'))
+      .send({ accountantId: NEW_ACCOUNTANT_ID });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('in_progress');
+    expect(database.transaction).toHaveBeenCalledTimes(1);
+    expect(client.query.mock.calls[0][1]).toEqual([NEW_ACCOUNTANT_ID, 'return-1']);
+    expect(client.query.mock.calls.map(([text]) => text)).toEqual([
+      expect.stringContaining('SET accountant_id'),
+      expect.stringContaining('UPDATE tax_returns'),
+      expect.stringContaining('INSERT INTO tax_return_transitions')
+    ]);
+    expect(database.query.mock.calls.some(([text]) => text.includes('UPDATE tax_returns'))).toBe(false);
+  });
+});
+
+describe('PUT /api/tax-returns/:id/calculations', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  const enterTotals = (row, role = 'accountant') => {
+    fakeDatabase(database, returnHandlers(row));
+    return request(app)
+      .put('/api/tax-returns/return-1/calculations')
+      .set('Authorization', tokenFor(role))
+      .send({ totalIncome: 30000, totalTaxDue: 3486 });
+  };
+
+  it('is locked while the return is in review', async () => {
+    const res = await enterTotals(taxReturnRow({ status: 'review' }));
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('This return is review; it must be moved back to in progress before it can be changed');
+    expect(database.transaction).not.toHaveBeenCalled();
+  });
+
+  it('is only open to the accountant assigned to the return', async () => {
+    const res = await enterTotals(taxReturnRow({ accountant_id: 'accountant-2' }));
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Access denied');
+  });
+});
+
+describe('PUT /api/tax-returns/:id/payments-on-account', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  it('is locked once the return has gone to review or been filed', async () => {
+    for (const status of ['review', 'filed']) {
+      fakeDatabase(database, returnHandlers(taxReturnRow({ status })));
+
+      const res = await request(app)
+        .put('/api/tax-returns/return-1/payments-on-account')
+        .set('Authorization', tokenFor('accountant'))
+        .send({ reducedTo: 0, reason: 'lower_income' });
+
+      expect(res.status).toBe(409);
+      expect(database.query.mock.calls.some(([text]) => text.includes('UPDATE tax_returns'))).toBe(false);
+    }
+  });
+});
+
+describe('GET /api/tax-returns/:id/calculation.pdf', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  it('serves the document already generated for the calculation version instead of storing another', async () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'calculation-')), 'tax-calculation.pdf');
+    fs.writeFileSync(filePath, '%PDF-1.4 stored');
+    fakeDatabase(database, [
+      ['SELECT * FROM tax_returns WHERE id', [taxReturnRow({ calculation_version: 3, calculation_breakdown: { totals: {} } })]],
+      ['FROM documents', ([, version]) => (version === 3
+        ? [{ id: 'document-1', document_type: 'tax_calculation', original_name: 'Tax calculation 2023-24.pdf', file_path: filePath, calculation_version: 3 }]
+        : [])]
+    ]);
+
+    const res = await request(app)
+      .get('/api/tax-returns/return-1/calculation.pdf')
+      .set('Authorization', tokenFor('customer'))
+      .buffer(true)
+      .parse((response, callback) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.toString()).toBe('%PDF-1.4 stored');
+    expect(database.query.mock.calls.some(([text]) => text.includes('INSERT INTO documents'))).toBe(false);
+
+    fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+  });
+});
+
+describe('POST /api/tax-returns', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  const previousReturn = taxReturnRow({ id: 'return-0', tax_year: '2022-23', status: 'filed' });
+
+  const createHandlers = (carryOverFails) => [
+    ['SELECT * FROM tax_returns WHERE customer_id = $1 AND tax_year', []],
+    ['AND status <> \'cancelled\'', [previousReturn]],
+    ['INSERT INTO tax_returns', ([customerId, taxYear, situationType]) => [
+      taxReturnRow({ id: 'return-new', customer_id: customerId, tax_year: taxYear, situation_type: situationType, status: 'pending' })
+    ]],
+    ['FROM losses', []],
+    ['SELECT * FROM income_sources', () => {
+      if (carryOverFails) {
+        throw new Error('connection lost');
+      }
+      return [];
+    }],
+    ['FROM property_income', []]
+  ];
+
+  const create = (body) => request(app)
+    .post('/api/tax-returns')
+    .set('Authorization', tokenFor('customer'))
+    .send({ taxYear: '2023-24', situationType: 'landlord', submissionDeadline: '2025-01-31', ...body });
+
+  it('creates the return on the transaction\'s client', async () => {
+    const client = fakeDatabase(database, createHandlers(false));
+
+    const res = await create({});
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ id: 'return-new', customerId: CUSTOMER_ID, status: 'pending' });
+    expect(client.query.mock.calls[0][0]).toContain('INSERT INTO tax_returns');
+    expect(database.query.mock.calls.some(([text]) => text.includes('INSERT INTO tax_returns'))).toBe(false);
+  });
+
+  it('fails as a whole when the carry-over fails, with the return written in the same transaction', async () => {
+    const client = fakeDatabase(database, createHandlers(true));
+
+    const res = await create({ startFromLastYear: true });
+
+    expect(res.status).toBe(500);
+    expect(database.transaction).toHaveBeenCalledTimes(1);
+    await expect(database.transaction.mock.results[0].value).rejects.toThrow('connection lost');
+    expect(client.query.mock.calls.map(([text]) => text.trim().split('\n')[0])).toEqual([
+      expect.stringContaining('INSERT INTO tax_returns'),
+      expect.stringContaining('SELECT * FROM income_sources')
+    ]);
+  });
+});
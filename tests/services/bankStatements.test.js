@@ -0,0 +1,104 @@
+const {
+  BANK_INCOME_SOURCE_TYPES,
+  parseDate,
+  parseAmount,
+  parseStatement,
+  categoriseTransaction
+} = require('../../services/bankStatements');
+
+describe('parseDate', () => {
+  it('reads day-first, month name and ISO dates', () => {
+    expect(parseDate('31/01/2024')).toBe('2024-01-31');
+    expect(parseDate('31-01-24')).toBe('2024-01-31');
+    expect(parseDate('5 Apr 2024')).toBe('2024-04-05');
+    expect(parseDate('2024-04-05')).toBe('2024-04-05');
+    expect(parseDate('20240405')).toBe('2024-04-05');
+  });
+
+  it('refuses dates that do not exist', () => {
+    expect(parseDate('31/02/2024')).toBeNull();
+    expect(parseDate('yesterday')).toBeNull();
+  });
+});
+
+describe('parseAmount', () => {
+  it('reads pound signs, separators, brackets and DR suffixes', () => {
+    expect(parseAmount('£1,234.50')).toBe(1234.5);
+    expect(parseAmount('-12.00')).toBe(-12);
+    expect(parseAmount('£-12.00')).toBe(-12);
+    expect(parseAmount('-£12.00')).toBe(-12);
+    expect(parseAmount('£ -1,200.00')).toBe(-1200);
+    expect(parseAmount('(12.00)')).toBe(-12);
+    expect(parseAmount('12.00 DR')).toBe(-12);
+    expect(parseAmount('12.00 CR')).toBe(12);
+    expect(parseAmount('')).toBeNull();
+  });
+});
+
+describe('parseStatement', () => {
+  it('reads a CSV with separate money in and money out columns', () => {
+    const csv = [
+      'Account,12345678',
+      'Date,Description,Money Out,Money In',
+      '01/05/2023,"TRAINLINE, LONDON",45.20,',
+      '02/05/2023,STRIPE PAYMENTS,,1200.00',
+      'not a date,BROKEN,1.00,'
+    ].join('\r\n');
+
+    const statement = parseStatement(csv, 'statement.CSV');
+
+    expect(statement.format).toBe('csv');
+    expect(statement.unreadableRows).toBe(1);
+    expect(statement.transactions.map(({ date, description, amount }) => ({ date, description, amount }))).toEqual([
+      { date: '2023-05-01', description: 'TRAINLINE, LONDON', amount: -45.2 },
+      { date: '2023-05-02', description: 'STRIPE PAYMENTS', amount: 1200 }
+    ]);
+  });
+
+  it('reads an OFX statement', () => {
+    const ofx = `<OFX><BANKTRANLIST>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20230601120000<TRNAMT>-9.99<FITID>abc1<NAME>VODAFONE<MEMO>Monthly</STMTTRN>
+</BANKTRANLIST></OFX>`;
+
+    const [transaction] = parseStatement(ofx, 'statement.ofx').transactions;
+    expect(transaction).toMatchObject({ date: '2023-06-01', description: 'VODAFONE Monthly', amount: -9.99, reference: 'abc1' });
+  });
+
+  it('gives the same transaction the same fingerprint and tells identical ones on a day apart', () => {
+    const csv = 'Date,Description,Amount\n01/05/2023,COFFEE,-3.00\n01/05/2023,COFFEE,-3.00\n';
+    const first = parseStatement(csv, 'a.csv').transactions;
+    const again = parseStatement(csv, 'b.csv').transactions;
+
+    expect(first[0].fingerprint).not.toBe(first[1].fingerprint);
+    expect(again.map(item => item.fingerprint)).toEqual(first.map(item => item.fingerprint));
+  });
+
+  it('refuses files it cannot read', () => {
+    expect(() => parseStatement('x', 'statement.pdf')).toThrow(/Only csv, ofx, qfx/);
+    expect(() => parseStatement('a,b\n1,2\n', 'statement.csv')).toThrow(/no date, description and amount columns/);
+  });
+});
+
+describe('categoriseTransaction', () => {
+  it('proposes an expense category for money out and an income type for money in', () => {
+    expect(categoriseTransaction({ description: 'TRAINLINE.COM LONDON', amount: -45 })).toMatchObject({ target: 'expense', category: 'travel' });
+    expect(categoriseTransaction({ description: 'STRIPE PAYOUT', amount: 1200 })).toMatchObject({ target: 'income', sourceType: 'self_employment' });
+    expect(categoriseTransaction({ description: 'STRIPE FEE', amount: -2 })).toBeNull();
+  });
+
+  it('checks the customer\'s rules before the built-in ones', () => {
+    const rules = [{ id: 'rule-1', pattern: 'Trainline', target: 'ignore' }];
+    expect(categoriseTransaction({ description: 'TRAINLINE.COM', amount: -45 }, rules)).toMatchObject({ target: 'ignore', ruleId: 'rule-1' });
+  });
+
+  it('only matches whole words', () => {
+    expect(categoriseTransaction({ description: 'PARENTAL TRANSFER', amount: 100 })).toBeNull();
+  });
+});
+
+describe('BANK_INCOME_SOURCE_TYPES', () => {
+  it('leaves out employment, which is entered from the P60', () => {
+    expect(BANK_INCOME_SOURCE_TYPES).not.toContain('employment');
+    expect(BANK_INCOME_SOURCE_TYPES).toContain('self_employment');
+  });
+});
@@ -0,0 +1,93 @@
+const { calculateCapitalAllowances, classifyAsset } = require('../../services/capitalAllowances');
+const { getTaxYearRates, getTaxYearDates } = require('../../config/taxYears');
+
+const config = getTaxYearRates('2023-24').capitalAllowances;
+const taxYearDates = getTaxYearDates('2023-24');
+
+const asset = (fields) => ({
+  id: 'asset-1',
+  asset_type: 'equipment',
+  description: 'Laptop',
+  cost: '5000.00',
+  purchase_date: '2023-05-01',
+  disposal_date: null,
+  disposal_proceeds: null,
+  co2_emissions: null,
+  private_use_percent: '0',
+  is_new: false,
+  pool: null,
+  ...fields
+});
+
+const poolFor = (result, key) => result.pools.find(pool => pool.key === key);
+
+describe('classifyAsset', () => {
+  it('puts cars in the main or special rate pool by CO2 emissions', () => {
+    expect(classifyAsset(asset({ asset_type: 'car', co2_emissions: '50' }), config).rateType).toBe('main');
+    expect(classifyAsset(asset({ asset_type: 'car', co2_emissions: '51' }), config).rateType).toBe('special_rate');
+    expect(classifyAsset(asset({ asset_type: 'car' }), config).rateType).toBe('special_rate');
+  });
+
+  it('gives an asset with private use its own pool', () => {
+    expect(classifyAsset(asset({ private_use_percent: '25' }), config)).toMatchObject({ key: 'single:asset-1', businessShare: 0.75 });
+  });
+});
+
+describe('calculateCapitalAllowances', () => {
+  it('claims the Annual Investment Allowance on equipment bought in the year', () => {
+    const result = calculateCapitalAllowances({ assets: [asset()], taxYearDates }, config);
+
+    expect(poolFor(result, 'main')).toMatchObject({ additions: 5000, annualInvestmentAllowance: 5000, closing: 0 });
+    expect(result.totalAllowances).toBe(5000);
+  });
+
+  it('writes down cars, which get no Annual Investment Allowance', () => {
+    const result = calculateCapitalAllowances({
+      assets: [asset({ asset_type: 'car', description: 'Van', cost: '20000.00', co2_emissions: '120' })],
+      taxYearDates
+    }, config);
+
+    expect(poolFor(result, 'special_rate')).toMatchObject({ annualInvestmentAllowance: 0, writingDownAllowance: 1200, closing: 18800 });
+  });
+
+  it('gives new zero-emission cars a 100% first-year allowance', () => {
+    const result = calculateCapitalAllowances({
+      assets: [asset({ asset_type: 'car', cost: '30000.00', co2_emissions: '0', is_new: true })],
+      taxYearDates
+    }, config);
+
+    expect(poolFor(result, 'main')).toMatchObject({ firstYearAllowance: 30000, closing: 0 });
+  });
+
+  it('restricts the allowance claimed for private use but writes the pool down in full', () => {
+    const result = calculateCapitalAllowances({
+      assets: [asset({ asset_type: 'car', cost: '10000.00', co2_emissions: '40', private_use_percent: '25' })],
+      taxYearDates
+    }, config);
+
+    expect(poolFor(result, 'single:asset-1')).toMatchObject({ writingDownAllowance: 1800, allowancesClaimed: 1350, closing: 8200 });
+  });
+
+  it('writes off a pool of £1,000 or less', () => {
+    const result = calculateCapitalAllowances({ openingPools: [{ pool_key: 'main', balance: '800.00' }], taxYearDates }, config);
+    expect(poolFor(result, 'main')).toMatchObject({ writingDownAllowance: 800, closing: 0 });
+  });
+
+  it('charges a balancing charge when disposals exceed the pool, limited to the cost', () => {
+    const result = calculateCapitalAllowances({
+      assets: [asset({ cost: '6000.00', purchase_date: '2021-05-01', disposal_date: '2023-08-01', disposal_proceeds: '9000.00' })],
+      openingPools: [{ pool_key: 'main', balance: '2000.00' }],
+      taxYearDates
+    }, config);
+
+    expect(poolFor(result, 'main')).toMatchObject({ disposals: 6000, balancingCharge: 4000 });
+    expect(result.net).toBe(-4000);
+  });
+
+  it('carries additions forward unclaimed when allowances are not claimed', () => {
+    const result = calculateCapitalAllowances({ assets: [asset()], taxYearDates, claim: false }, config);
+
+    expect(result.totalAllowances).toBe(0);
+    expect(result.closingPools).toEqual([{ poolKey: 'main', assetId: null, balance: 5000 }]);
+  });
+});
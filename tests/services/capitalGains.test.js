@@ -0,0 +1,144 @@
+const { calculateDisposalGains, calculateCapitalGainsTax, toIsoDate } = require('../../services/capitalGains');
+const { getTaxYearRates } = require('../../config/taxYears');
+
+const bought = (date, quantity, cost, identifier = 'GB0001') => ({
+  asset_identifier: identifier,
+  acquisition_date: date,
+  quantity: String(quantity),
+  cost: String(cost)
+});
+
+const sold = (id, date, quantity, proceeds, identifier = 'GB0001') => ({
+  id,
+  asset_type: 'shares',
+  asset_name: 'Acme plc',
+  asset_identifier: identifier,
+  disposal_date: date,
+  quantity: String(quantity),
+  proceeds: String(proceeds),
+  acquisition_cost: null,
+  disposal_costs: '0.00'
+});
+
+const gain = (id, assetType, disposalDate, amount) => ({ id, assetType, disposalDate, gain: amount });
+
+describe('calculateDisposalGains', () => {
+  it('matches same-day acquisitions, then the next 30 days, then the section 104 pool', () => {
+    const { gains, pools } = calculateDisposalGains(
+      [sold('d1', '2023-06-01', 500, 5000)],
+      [
+        bought('2020-01-01', 1000, 1000),
+        bought('2021-01-01', 1000, 3000),
+        bought('2023-06-01', 100, 500),
+        bought('2023-06-15', 200, 800)
+      ]
+    );
+
+    expect(gains[0].matches).toEqual([
+      { rule: 'same_day', acquisitionDate: '2023-06-01', quantity: 100, cost: 500 },
+      { rule: 'thirty_day', acquisitionDate: '2023-06-15', quantity: 200, cost: 800 },
+      { rule: 'section_104', acquisitionDate: null, quantity: 200, cost: 400 }
+    ]);
+    expect(gains[0]).toMatchObject({ allowableCost: 1700, gain: 3300, unmatchedQuantity: 0 });
+    expect(pools.GB0001).toEqual({ quantity: 1800, cost: 3600 });
+  });
+
+  it('leaves acquisitions more than 30 days after the disposal in the pool', () => {
+    const { gains, pools } = calculateDisposalGains(
+      [sold('d1', '2023-06-01', 100, 1000)],
+      [bought('2020-01-01', 100, 300), bought('2023-07-02', 100, 900)]
+    );
+
+    expect(gains[0].matches).toEqual([{ rule: 'section_104', acquisitionDate: null, quantity: 100, cost: 300 }]);
+    expect(pools.GB0001).toEqual({ quantity: 100, cost: 900 });
+  });
+
+  it('only pools acquisitions made before the disposal', () => {
+    const { gains } = calculateDisposalGains(
+      [sold('d1', '2023-06-01', 100, 1000)],
+      [bought('2023-08-01', 100, 900)]
+    );
+
+    expect(gains[0]).toMatchObject({ matches: [], allowableCost: 0, unmatchedQuantity: 100, gain: 1000 });
+  });
+
+  it('keeps each share line separate', () => {
+    const { gains } = calculateDisposalGains(
+      [sold('d1', '2023-06-01', 100, 1000, 'GB0001'), sold('d2', '2023-06-01', 100, 1000, 'GB0002')],
+      [bought('2020-01-01', 100, 200, 'GB0001'), bought('2020-01-01', 100, 700, 'GB0002')]
+    );
+
+    expect(gains.map(result => result.gain)).toEqual([800, 300]);
+  });
+
+  it('uses the cost entered for assets that are not pooled', () => {
+    const { gains } = calculateDisposalGains([{
+      id: 'd1',
+      asset_type: 'residential_property',
+      asset_name: 'Flat',
+      disposal_date: new Date(2023, 8, 1),
+      quantity: null,
+      proceeds: '250000.00',
+      acquisition_cost: '180000.00',
+      disposal_costs: '5000.00'
+    }]);
+
+    expect(gains[0]).toMatchObject({ disposalDate: '2023-09-01', quantity: null, allowableCost: 180000, gain: 65000 });
+  });
+});
+
+describe('calculateCapitalGainsTax', () => {
+  it('sets the annual exempt amount against the highest-rate gains and uses the basic rate band left', () => {
+    const result = calculateCapitalGainsTax({
+      gains: [gain('a', 'other', '2023-09-01', 20000), gain('b', 'residential_property', '2023-10-01', 10000)],
+      unusedBasicRateBand: 5000
+    }, getTaxYearRates('2023-24').capitalGains);
+
+    expect(result.annualExemptAmountUsed).toBe(6000);
+    expect(result.bands).toEqual([
+      { category: 'residential', from: null, band: 'basic', rate: 0.18, gains: 4000, tax: 720 },
+      { category: 'other', from: null, band: 'basic', rate: 0.10, gains: 1000, tax: 100 },
+      { category: 'other', from: null, band: 'higher', rate: 0.20, gains: 19000, tax: 3800 }
+    ]);
+    expect(result.total).toBe(4620);
+  });
+
+  it('sets the year\'s losses against gains in full', () => {
+    const result = calculateCapitalGainsTax({
+      gains: [gain('a', 'other', '2023-09-01', 10000), gain('b', 'other', '2023-10-01', -3000)],
+      unusedBasicRateBand: 0
+    }, getTaxYearRates('2023-24').capitalGains);
+
+    expect(result).toMatchObject({ currentLossesUsed: 3000, netGains: 7000, taxableGains: 1000, total: 200 });
+  });
+
+  it('only uses losses brought forward down to the annual exempt amount', () => {
+    const result = calculateCapitalGainsTax({
+      gains: [gain('a', 'other', '2023-09-01', 8000)],
+      lossBroughtForward: 5000,
+      unusedBasicRateBand: 0
+    }, getTaxYearRates('2023-24').capitalGains);
+
+    expect(result).toMatchObject({ lossBroughtForwardUsed: 2000, lossCarriedForward: 3000, total: 0 });
+  });
+
+  it('charges the higher rates on disposals from 30 October 2024', () => {
+    const result = calculateCapitalGainsTax({
+      gains: [gain('a', 'other', '2024-05-01', 10000), gain('b', 'other', '2024-11-01', 10000)],
+      unusedBasicRateBand: 0
+    }, getTaxYearRates('2024-25').capitalGains);
+
+    expect(result.bands).toEqual([
+      { category: 'other', from: null, band: 'higher', rate: 0.20, gains: 10000, tax: 2000 },
+      { category: 'other', from: '2024-10-30', band: 'higher', rate: 0.24, gains: 7000, tax: 1680 }
+    ]);
+    expect(result.total).toBe(3680);
+  });
+});
+
+describe('toIsoDate', () => {
+  it('reads dates from the database driver and from strings', () => {
+    expect(toIsoDate(new Date(2024, 3, 5))).toBe('2024-04-05');
+    expect(toIsoDate('2024-04-05T00:00:00.000Z')).toBe('2024-04-05');
+  });
+});
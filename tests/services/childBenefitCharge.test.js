@@ -0,0 +1,27 @@
+const { calculateChildBenefitCharge } = require('../../services/childBenefitCharge');
+const { getTaxYearRates } = require('../../config/taxYears');
+
+describe('calculateChildBenefitCharge', () => {
+  const before = getTaxYearRates('2023-24').childBenefitCharge;
+  const after = getTaxYearRates('2024-25').childBenefitCharge;
+
+  it('charges nothing up to the threshold', () => {
+    expect(calculateChildBenefitCharge({ adjustedNetIncome: 50000, childBenefitReceived: 2000 }, before)).toMatchObject({ percentage: 0, charge: 0 });
+  });
+
+  it('charges 1% for every £100 over £50,000 before 2024-25', () => {
+    expect(calculateChildBenefitCharge({ adjustedNetIncome: 55050, childBenefitReceived: 2000 }, before)).toMatchObject({ percentage: 50, charge: 1000 });
+  });
+
+  it('charges 1% for every £200 over £60,000 from 2024-25', () => {
+    expect(calculateChildBenefitCharge({ adjustedNetIncome: 65000, childBenefitReceived: 2000 }, after)).toMatchObject({ percentage: 25, charge: 500 });
+  });
+
+  it('never charges more than the Child Benefit received', () => {
+    expect(calculateChildBenefitCharge({ adjustedNetIncome: 120000, childBenefitReceived: 2000 }, before)).toMatchObject({ percentage: 100, charge: 2000 });
+  });
+
+  it('rounds the charge down to whole pounds', () => {
+    expect(calculateChildBenefitCharge({ adjustedNetIncome: 50100, childBenefitReceived: 1248 }, before).charge).toBe(12);
+  });
+});
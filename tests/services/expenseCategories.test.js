@@ -0,0 +1,31 @@
+const { SUBMITTABLE_CATEGORIES, totalsBySa103Box } = require('../../services/expenseCategories');
+
+describe('SUBMITTABLE_CATEGORIES', () => {
+  it('leaves out the categories only the flat rate calculators create', () => {
+    expect(SUBMITTABLE_CATEGORIES).toContain('travel');
+    expect(SUBMITTABLE_CATEGORIES).not.toContain('simplified_mileage');
+    expect(SUBMITTABLE_CATEGORIES).not.toContain('business_premises');
+  });
+});
+
+describe('totalsBySa103Box', () => {
+  it('totals approved expenses by SA103F box in box order', () => {
+    const result = totalsBySa103Box([
+      { category: 'office_costs', amount: '30.00', is_approved: true },
+      { category: 'travel', amount: '100.50', is_approved: true },
+      { category: 'simplified_mileage', amount: '450.00', is_approved: true },
+      { category: 'travel', amount: '999.00', is_approved: false }
+    ]);
+
+    expect(result.boxes).toEqual([
+      { box: 20, description: 'Car, van and travel expenses', amount: 550.5 },
+      { box: 23, description: 'Phone, fax, stationery and other office costs', amount: 30 }
+    ]);
+    expect(result.total).toEqual({ box: 31, description: 'Total expenses', amount: 580.5 });
+  });
+
+  it('puts unknown categories in box 30', () => {
+    expect(totalsBySa103Box([{ category: 'retired_category', amount: '12.00', is_approved: true }]).boxes)
+      .toEqual([{ box: 30, description: 'Other business expenses', amount: 12 }]);
+  });
+});
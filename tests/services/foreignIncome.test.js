@@ -0,0 +1,70 @@
+const { toSterling, taxableForeignIncome, calculateForeignTaxCredits } = require('../../services/foreignIncome');
+const { getTaxYearRates } = require('../../config/taxYears');
+
+const config = getTaxYearRates('2023-24').remittanceBasis;
+
+const row = (fields) => ({
+  id: 'foreign-1',
+  country: 'France',
+  income_type: 'dividends',
+  currency: 'EUR',
+  amount: '1000',
+  exchange_rate: '1',
+  foreign_tax_paid: '0',
+  amount_remitted: '0',
+  overseas_part: false,
+  ...fields
+});
+
+describe('toSterling', () => {
+  it('divides by the rate in foreign currency per £1', () => {
+    expect(toSterling('1170', '1.17')).toBe(1000);
+  });
+});
+
+describe('taxableForeignIncome', () => {
+  it('taxes a UK resident on all foreign income as it arises', () => {
+    const result = taxableForeignIncome([row(), row({ id: 'foreign-2', income_type: 'employment', amount: '5000' })], { resident: true }, config);
+    expect(result).toMatchObject({ dividends: 1000, nonSavings: 5000, earned: 5000, taxable: 6000 });
+  });
+
+  it('does not tax a non-resident or the overseas part of a split year', () => {
+    expect(taxableForeignIncome([row()], { resident: false }, config)).toMatchObject({ taxable: 0, excluded: { nonResident: 1000 } });
+    expect(taxableForeignIncome([row({ overseas_part: true })], { resident: true, splitYear: true }, config))
+      .toMatchObject({ taxable: 0, excluded: { overseasPart: 1000 } });
+  });
+
+  it('only taxes amounts remitted on the remittance basis, with the charge when £2,000 or more stays abroad', () => {
+    const result = taxableForeignIncome(
+      [row({ amount: '10000', amount_remitted: '7000' })],
+      { resident: true, remittanceBasis: true, priorResidentYears: { 9: 7 } },
+      config
+    );
+
+    expect(result).toMatchObject({ remittanceBasis: true, taxable: 7000, personalAllowanceLost: true, remittanceBasisCharge: 30000 });
+  });
+
+  it('keeps the personal allowance when less than £2,000 stays abroad', () => {
+    const result = taxableForeignIncome([row({ amount: '10000', amount_remitted: '8500' })], { resident: true, remittanceBasis: true }, config);
+    expect(result).toMatchObject({ personalAllowanceLost: false, remittanceBasisCharge: 0 });
+  });
+
+  it('has no remittance basis from 2025-26', () => {
+    const result = taxableForeignIncome(
+      [row({ amount: '10000', amount_remitted: '0' })],
+      { resident: true, remittanceBasis: true },
+      getTaxYearRates('2025-26').remittanceBasis
+    );
+    expect(result).toMatchObject({ remittanceBasis: false, taxable: 10000 });
+  });
+});
+
+describe('calculateForeignTaxCredits', () => {
+  it('gives credit for the lower of the foreign tax and the UK tax on the income', () => {
+    const sources = [{ id: 'foreign-1', country: 'France', incomeType: 'dividends', taxable: 1000, creditableTax: 300 }];
+    const result = calculateForeignTaxCredits(sources, 5000, () => 4800);
+
+    expect(result.credits).toEqual([{ sourceId: 'foreign-1', country: 'France', incomeType: 'dividends', foreignTax: 300, ukTax: 200, credit: 200, unrelieved: 100 }]);
+    expect(result.total).toBe(200);
+  });
+});
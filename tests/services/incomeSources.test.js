@@ -0,0 +1,40 @@
+const { PAYE_REFERENCE_PATTERN, incomeSourceProblems } = require('../../services/incomeSources');
+const { getTaxYearDates } = require('../../config/taxYears');
+
+const taxYearDates = getTaxYearDates('2023-24');
+const paths = (source) => incomeSourceProblems(source, taxYearDates).map(problem => problem.path);
+
+describe('PAYE_REFERENCE_PATTERN', () => {
+  it('matches the tax office number and employer reference', () => {
+    expect(PAYE_REFERENCE_PATTERN.test('123/AB45678')).toBe(true);
+    expect(PAYE_REFERENCE_PATTERN.test('12/AB45678')).toBe(false);
+    expect(PAYE_REFERENCE_PATTERN.test('123AB45678')).toBe(false);
+  });
+});
+
+describe('incomeSourceProblems', () => {
+  it('needs the employer name and PAYE reference for employment income', () => {
+    expect(paths({ sourceType: 'employment' })).toEqual(['employerName', 'employerPayeReference']);
+    expect(paths({ sourceType: 'employment', employerName: 'Acme', employerPayeReference: '123/AB45678' })).toEqual([]);
+  });
+
+  it('keeps payroll details to employment income', () => {
+    expect(paths({ sourceType: 'self_employment', employerPayeReference: '123/AB45678', studentLoanDeducted: '100' }))
+      .toEqual(['employerPayeReference', 'studentLoanDeducted']);
+  });
+
+  it('links rental income, and only rental income, to a property', () => {
+    expect(paths({ sourceType: 'rental' })).toEqual(['propertyId']);
+    expect(paths({ sourceType: 'interest', propertyId: 'property-1' })).toEqual(['propertyId']);
+  });
+
+  it('refuses tax deducted from dividends', () => {
+    expect(paths({ sourceType: 'dividends', taxDeducted: '10.00' })).toEqual(['taxDeducted']);
+  });
+
+  it('checks the dates against each other and the tax year', () => {
+    expect(paths({ sourceType: 'other', startDate: '2023-06-01', endDate: '2023-05-01' })).toEqual(['endDate']);
+    expect(paths({ sourceType: 'other', startDate: '2024-05-01' })).toEqual(['startDate']);
+    expect(paths({ sourceType: 'other', endDate: '2023-03-31' })).toEqual(['endDate']);
+  });
+});
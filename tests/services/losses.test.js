@@ -0,0 +1,54 @@
+const { validateReliefClaim, applyLossReliefClaims, lossPosition } = require('../../services/losses');
+
+describe('validateReliefClaim', () => {
+  const claim = (fields) => ({ lossType: 'trading', lossTaxYear: '2023-24', reliefType: 'sideways', targetTaxYear: '2023-24', ...fields });
+
+  it('allows sideways relief in the year of the loss or the year before', () => {
+    expect(validateReliefClaim(claim())).toBeNull();
+    expect(validateReliefClaim(claim({ targetTaxYear: '2022-23' }))).toBeNull();
+    expect(validateReliefClaim(claim({ targetTaxYear: '2021-22' }))).toMatch(/year of the loss or the year before/);
+    expect(validateReliefClaim(claim({ targetTaxYear: '2024-25' }))).toMatch(/year of the loss or the year before/);
+  });
+
+  it('allows carry-back to one of the three years before the loss', () => {
+    expect(validateReliefClaim(claim({ reliefType: 'carry_back', targetTaxYear: '2020-21' }))).toBeNull();
+    expect(validateReliefClaim(claim({ reliefType: 'carry_back', targetTaxYear: '2023-24' }))).toMatch(/3 years before/);
+    expect(validateReliefClaim(claim({ reliefType: 'carry_back', targetTaxYear: '2019-20' }))).toMatch(/3 years before/);
+  });
+
+  it('only relieves trading losses against other income', () => {
+    expect(validateReliefClaim(claim({ lossType: 'property' }))).toMatch(/Only trading losses/);
+  });
+});
+
+describe('applyLossReliefClaims', () => {
+  it('relieves claims in full within the cap', () => {
+    const result = applyLossReliefClaims([{ amount: 10000 }], 60000);
+    expect(result).toMatchObject({ cap: 50000, claimed: 10000, relieved: 10000 });
+    expect(result.claims[0]).toMatchObject({ relieved: 10000, restricted: false });
+  });
+
+  it('caps relief at the greater of £50,000 and 25% of income, in the order claimed', () => {
+    const result = applyLossReliefClaims([{ amount: 40000 }, { amount: 30000 }], 240000);
+
+    expect(result.cap).toBe(60000);
+    expect(result.claims.map(claim => [claim.relieved, claim.restricted])).toEqual([[40000, false], [20000, true]]);
+  });
+
+  it('cannot relieve more than the income there is', () => {
+    expect(applyLossReliefClaims([{ amount: 30000 }], 12000).relieved).toBe(12000);
+    expect(applyLossReliefClaims([{ amount: 30000 }], -500).relieved).toBe(0);
+  });
+});
+
+describe('lossPosition', () => {
+  it('carries forward what is left after use and claims', () => {
+    expect(lossPosition({ broughtForward: 5000, used: 2000, arising: 3000, claimed: 1000 })).toEqual({
+      broughtForward: 5000,
+      used: 2000,
+      arising: 3000,
+      claimed: 1000,
+      carriedForward: 5000
+    });
+  });
+});
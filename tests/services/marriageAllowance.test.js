@@ -0,0 +1,32 @@
+const { isBasicRateTaxpayer, calculateMarriedCouplesAllowance } = require('../../services/marriageAllowance');
+const { getTaxYearRates } = require('../../config/taxYears');
+
+const config = getTaxYearRates('2023-24').marriedCouplesAllowance;
+
+describe('isBasicRateTaxpayer', () => {
+  it('is false once any income is taxed above the basic rate', () => {
+    expect(isBasicRateTaxpayer([{ name: 'basic', income: 30000 }])).toBe(true);
+    expect(isBasicRateTaxpayer([{ name: 'intermediate', income: 5000 }])).toBe(true);
+    expect(isBasicRateTaxpayer([{ name: 'basic', income: 37700 }, { name: 'higher', income: 1 }])).toBe(false);
+    expect(isBasicRateTaxpayer([{ name: 'higher', income: 0 }])).toBe(true);
+  });
+});
+
+describe('calculateMarriedCouplesAllowance', () => {
+  it('gives the claimant the maximum up to the income limit, at 10%', () => {
+    expect(calculateMarriedCouplesAllowance({ role: 'claimant', adjustedNetIncome: 30000 }, config))
+      .toMatchObject({ allowance: 10375, rate: 0.10, reducer: 1037.5 });
+  });
+
+  it('tapers by £1 for every £2 over the income limit, down to the minimum', () => {
+    expect(calculateMarriedCouplesAllowance({ role: 'claimant', adjustedNetIncome: 40000 }, config).allowance).toBe(7675);
+    expect(calculateMarriedCouplesAllowance({ role: 'claimant', adjustedNetIncome: 100000 }, config))
+      .toMatchObject({ allowance: 4010, taperReduction: 6365 });
+  });
+
+  it('moves the minimum transferred from the claimant to the spouse', () => {
+    expect(calculateMarriedCouplesAllowance({ role: 'claimant', transfer: 'half_minimum', adjustedNetIncome: 30000 }, config).allowance).toBe(8370);
+    expect(calculateMarriedCouplesAllowance({ role: 'spouse', transfer: 'half_minimum', adjustedNetIncome: 30000 }, config))
+      .toMatchObject({ allowance: 2005, reducer: 200.5 });
+  });
+});
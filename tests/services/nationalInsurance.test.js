@@ -0,0 +1,55 @@
+const { calculateClass2, calculateClass4, calculateSelfEmployedNI } = require('../../services/nationalInsurance');
+const { getTaxYearRates } = require('../../config/taxYears');
+
+const ni = (taxYear) => getTaxYearRates(taxYear).nationalInsurance;
+
+describe('calculateClass4', () => {
+  it('charges nothing up to the lower profits limit', () => {
+    expect(calculateClass4(12570, ni('2023-24').class4).total).toBe(0);
+  });
+
+  it('charges the main rate between the limits and the additional rate above', () => {
+    const class4 = calculateClass4(60000, ni('2023-24').class4);
+
+    expect(class4).toMatchObject({
+      mainProfits: 37700,
+      mainContributions: 3393,
+      additionalProfits: 9730,
+      additionalContributions: 194.6,
+      total: 3587.6
+    });
+  });
+
+  it('uses the 6% main rate from 2024-25', () => {
+    expect(calculateClass4(20000, ni('2024-25').class4).total).toBe(445.8);
+  });
+});
+
+describe('calculateClass2', () => {
+  const class2 = ni('2023-24').class2;
+
+  it('is payable on profits over the compulsory threshold', () => {
+    expect(calculateClass2(20000, class2)).toEqual({ status: 'payable', weeks: 52, weeklyRate: 3.45, total: 179.4 });
+  });
+
+  it('is treated as paid between the small profits threshold and the compulsory threshold', () => {
+    expect(calculateClass2(10000, class2)).toMatchObject({ status: 'credited', total: 0 });
+    expect(calculateClass2(6725, class2).status).toBe('credited');
+  });
+
+  it('is only paid below the small profits threshold when paid voluntarily', () => {
+    expect(calculateClass2(5000, class2)).toMatchObject({ status: 'not_payable', total: 0 });
+    expect(calculateClass2(5000, class2, { voluntary: true })).toMatchObject({ status: 'voluntary', total: 179.4 });
+  });
+
+  it('is never compulsory from 2024-25', () => {
+    expect(calculateClass2(80000, ni('2024-25').class2)).toMatchObject({ status: 'credited', total: 0 });
+  });
+});
+
+describe('calculateSelfEmployedNI', () => {
+  it('adds both classes together', () => {
+    const result = calculateSelfEmployedNI(25000, ni('2023-24'));
+    expect(result.total).toBe(1298.1);
+  });
+});
@@ -0,0 +1,72 @@
+const { calculatePaymentsOnAccount } = require('../../services/paymentsOnAccount');
+const { filingDeadlines } = require('../../config/taxYears');
+
+const year = {
+  taxYear: '2023-24',
+  nextTaxYear: '2024-25',
+  deadlines: filingDeadlines(2023)
+};
+
+// The parts of a stored calculation that payments on account are worked out from
+const breakdown = ({ incomeTax, class4 = 0, class2 = 0, taxDeducted = 0 }) => {
+  const balance = incomeTax + class4 + class2 - taxDeducted;
+  return {
+    incomeTax,
+    taxDeducted,
+    nationalInsurance: { class2: { total: class2 }, class4: { total: class4 } },
+    totals: { totalTaxDue: Math.max(0, balance), totalRefund: Math.max(0, -balance) }
+  };
+};
+
+describe('calculatePaymentsOnAccount', () => {
+  it('asks for half the relevant amount on 31 January and 31 July', () => {
+    const result = calculatePaymentsOnAccount(breakdown({ incomeTax: 4000, class4: 1000 }), year);
+
+    expect(result.applies).toBe(true);
+    expect(result.paymentOnAccount).toBe(2500);
+    expect(result.schedule).toEqual([
+      { date: '2025-01-31', description: 'Balancing payment for 2023-24', amount: 5000 },
+      { date: '2025-01-31', description: 'First payment on account for 2024-25', amount: 2500 },
+      { date: '2025-07-31', description: 'Second payment on account for 2024-25', amount: 2500 }
+    ]);
+    expect(result.dueInJanuary).toBe(7500);
+    expect(result.dueInJuly).toBe(2500);
+  });
+
+  it('does not apply when the relevant amount is £1,000 or less', () => {
+    const atLimit = calculatePaymentsOnAccount(breakdown({ incomeTax: 1000 }), year);
+    expect(atLimit.applies).toBe(false);
+    expect(atLimit.tests.belowDeMinimis).toBe(true);
+
+    expect(calculatePaymentsOnAccount(breakdown({ incomeTax: 1000.01 }), year).applies).toBe(true);
+  });
+
+  it('does not apply when 80% or more of the liability was deducted at source', () => {
+    const atLimit = calculatePaymentsOnAccount(breakdown({ incomeTax: 10000, taxDeducted: 8000 }), year);
+    expect(atLimit.applies).toBe(false);
+    expect(atLimit.tests).toMatchObject({ relevantAmount: 2000, deductedAtSourceShare: 80, mostlyDeductedAtSource: true });
+
+    const justUnder = calculatePaymentsOnAccount(breakdown({ incomeTax: 10000, taxDeducted: 7999 }), year);
+    expect(justUnder.applies).toBe(true);
+    expect(justUnder.paymentOnAccount).toBe(1000.5);
+  });
+
+  it('leaves Class 2 NIC out of the relevant amount', () => {
+    const result = calculatePaymentsOnAccount(breakdown({ incomeTax: 900, class2: 179.4 }), year);
+    expect(result.tests.relevantAmount).toBe(900);
+    expect(result.applies).toBe(false);
+  });
+
+  it('uses a reduced payment on account when it is lower than the calculated one', () => {
+    const result = calculatePaymentsOnAccount(breakdown({ incomeTax: 6000 }), { ...year, reducedTo: 1000 });
+    expect(result).toMatchObject({ calculatedPaymentOnAccount: 3000, paymentOnAccount: 1000, reduced: true });
+
+    const higher = calculatePaymentsOnAccount(breakdown({ incomeTax: 6000 }), { ...year, reducedTo: 4000 });
+    expect(higher).toMatchObject({ paymentOnAccount: 3000, reduced: false });
+  });
+
+  it('takes payments on account already made off the balancing payment', () => {
+    const result = calculatePaymentsOnAccount(breakdown({ incomeTax: 6000 }), { ...year, paymentsOnAccountMade: 4000 });
+    expect(result.balancingPayment).toBe(2000);
+  });
+});
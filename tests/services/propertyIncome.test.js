@@ -0,0 +1,59 @@
+const { calculatePropertyIncome, calculateFinanceCostRelief } = require('../../services/propertyIncome');
+const { getTaxYearRates } = require('../../config/taxYears');
+
+const config = getTaxYearRates('2023-24').property;
+
+const property = (fields) => ({
+  id: 'property-1',
+  address_line1: '1 High Street',
+  postcode: 'AB1 2CD',
+  ownership_share: '100',
+  rents_received: '0',
+  allowable_expenses: '0',
+  finance_costs: '0',
+  ...fields
+});
+
+describe('calculatePropertyIncome', () => {
+  it('adds up the customer\'s share of each property', () => {
+    const result = calculatePropertyIncome({
+      properties: [
+        property({ ownership_share: '50', rents_received: '12000', allowable_expenses: '3000', finance_costs: '2000' }),
+        property({ id: 'property-2', rents_received: '8000', allowable_expenses: '1000' })
+      ]
+    }, config);
+
+    expect(result.properties[0]).toMatchObject({ address: '1 High Street, AB1 2CD', ownershipShare: 50, rents: 6000, expenses: 1500 });
+    expect(result).toMatchObject({ rents: 14000, expenses: 2500, financeCosts: 1000, method: 'expenses', profit: 11500, financeCostsAvailable: 1000 });
+  });
+
+  it('uses the property allowance on auto when it beats expenses and finance costs', () => {
+    const result = calculatePropertyIncome({ properties: [property({ rents_received: '900', allowable_expenses: '100' })] }, config);
+    expect(result).toMatchObject({ method: 'allowance', deduction: 900, profit: 0, financeCostsAvailable: 0 });
+  });
+
+  it('carries a loss forward and uses losses brought forward against later profits', () => {
+    const loss = calculatePropertyIncome({
+      properties: [property({ rents_received: '5000', allowable_expenses: '7000' })],
+      lossBroughtForward: 1000
+    }, config);
+    expect(loss).toMatchObject({ currentLoss: 2000, lossUsed: 0, lossCarriedForward: 3000, profit: 0 });
+
+    const profit = calculatePropertyIncome({
+      properties: [property({ rents_received: '10000', allowable_expenses: '2000' })],
+      lossBroughtForward: 3000
+    }, config);
+    expect(profit).toMatchObject({ lossUsed: 3000, lossCarriedForward: 0, profit: 5000 });
+  });
+});
+
+describe('calculateFinanceCostRelief', () => {
+  it('relieves the lowest of the finance costs, the property profit and income at the basic rate', () => {
+    expect(calculateFinanceCostRelief({ financeCostsAvailable: 5000, profit: 3000 }, 10000, config.financeCostCreditRate)).toEqual({
+      relieved: 3000,
+      rate: 0.20,
+      credit: 600,
+      carriedForward: 2000
+    });
+  });
+});
@@ -0,0 +1,24 @@
+const { calculateReliefs, extendBands } = require('../../services/reliefs');
+const { getTaxYearRates } = require('../../config/taxYears');
+
+const rates = getTaxYearRates('2023-24');
+
+describe('calculateReliefs', () => {
+  it('grosses up pension contributions and Gift Aid paid net of basic rate tax', () => {
+    expect(calculateReliefs({ pensionContributions: 800, giftAidDonations: 100 }, rates.reliefs)).toEqual({
+      pension: { paid: 800, gross: 1000 },
+      giftAid: { paid: 100, gross: 125 },
+      totalGross: 1125
+    });
+  });
+});
+
+describe('extendBands', () => {
+  it('raises every limit except the top band\'s', () => {
+    expect(extendBands(rates.incomeTaxBands, 1000).map(band => band.limit)).toEqual([38700, 126140, null]);
+  });
+
+  it('leaves the bands alone when there is nothing to extend them by', () => {
+    expect(extendBands(rates.incomeTaxBands, 0)).toBe(rates.incomeTaxBands);
+  });
+});
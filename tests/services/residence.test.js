@@ -0,0 +1,24 @@
+const { assessResidence } = require('../../services/residence');
+
+describe('assessResidence', () => {
+  it('applies the automatic overseas tests first', () => {
+    expect(assessResidence({ daysInUk: 10, residentInPreviousThreeYears: true })).toMatchObject({ resident: false, test: 'automatic_overseas' });
+    expect(assessResidence({ daysInUk: 40, residentInPreviousThreeYears: false })).toMatchObject({ resident: false, test: 'automatic_overseas' });
+    expect(assessResidence({ daysInUk: 80, fullTimeWorkOverseas: true, ukWorkDays: 20 })).toMatchObject({ resident: false, test: 'automatic_overseas' });
+  });
+
+  it('then the automatic UK tests', () => {
+    expect(assessResidence({ daysInUk: 190 })).toMatchObject({ resident: true, test: 'automatic_uk' });
+    expect(assessResidence({ daysInUk: 100, onlyHomeInUk: true })).toMatchObject({ resident: true, reason: 'Only home was in the UK' });
+  });
+
+  it('then counts UK ties against the days spent in the UK', () => {
+    expect(assessResidence({ daysInUk: 100, residentInPreviousThreeYears: true, ties: ['family', 'accommodation'] }))
+      .toMatchObject({ resident: true, test: 'sufficient_ties', tiesNeeded: 2 });
+  });
+
+  it('needs more ties for arrivers and does not count their country tie', () => {
+    const result = assessResidence({ daysInUk: 100, residentInPreviousThreeYears: false, ties: ['family', 'accommodation', 'country'] });
+    expect(result).toMatchObject({ resident: false, ties: ['family', 'accommodation'], tiesNeeded: 3 });
+  });
+});
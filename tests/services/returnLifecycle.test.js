@@ -0,0 +1,59 @@
+const { checkTransition, availableTransitions, currentReturnIds } = require('../../services/returnLifecycle');
+
+describe('checkTransition', () => {
+  it('lets an accountant start work on a pending return', () => {
+    expect(checkTransition('pending', 'in_progress', 'accountant')).toBeNull();
+  });
+
+  it('refuses unknown statuses and staying put', () => {
+    expect(checkTransition('pending', 'archived', 'admin')).toEqual({ statusCode: 400, error: 'Invalid status' });
+    expect(checkTransition('pending', 'pending', 'admin')).toEqual({ statusCode: 400, error: 'The return is already pending' });
+  });
+
+  it('refuses moves the lifecycle does not have', () => {
+    expect(checkTransition('pending', 'filed', 'admin')).toEqual({ statusCode: 400, error: 'A return cannot move from pending to filed' });
+    expect(checkTransition('filed', 'in_progress', 'admin').statusCode).toBe(400);
+    expect(checkTransition('cancelled', 'pending', 'admin').statusCode).toBe(400);
+  });
+
+  it('refuses moves the role cannot make', () => {
+    expect(checkTransition('review', 'completed', 'accountant')).toEqual({
+      statusCode: 403,
+      error: 'Only customer users can move a return from review to completed'
+    });
+    expect(checkTransition('pending', 'in_progress', 'customer').statusCode).toBe(403);
+  });
+
+  it('only sends a calculated return with its carry-over confirmed to review', () => {
+    expect(checkTransition('in_progress', 'review', 'accountant', { calculated: false }).error).toMatch(/must be calculated/);
+    expect(checkTransition('in_progress', 'review', 'accountant', { calculated: true, unconfirmedCarryOver: 2 }).error)
+      .toMatch(/Confirm or remove the 2 item\(s\)/);
+    expect(checkTransition('in_progress', 'review', 'accountant', { calculated: true })).toBeNull();
+  });
+
+  it('only files a paid return whose current calculation the customer approved', () => {
+    expect(checkTransition('completed', 'filed', 'accountant', { paid: false, customerApproved: true }).error).toMatch(/paid for/);
+    expect(checkTransition('completed', 'filed', 'accountant', { paid: true, customerApproved: false }).error).toMatch(/approved/);
+    expect(checkTransition('completed', 'filed', 'accountant', { paid: true, customerApproved: true })).toBeNull();
+  });
+});
+
+describe('availableTransitions', () => {
+  it('lists the moves open to the role', () => {
+    expect(availableTransitions('review', 'customer')).toEqual(['completed', 'in_progress']);
+    expect(availableTransitions('pending', 'customer')).toEqual(['cancelled']);
+    expect(availableTransitions('filed', 'admin')).toEqual([]);
+  });
+});
+
+describe('currentReturnIds', () => {
+  it('leaves out cancelled returns and returns replaced by an amendment', () => {
+    const ids = currentReturnIds([
+      { id: 'a', status: 'filed', amends_return_id: null },
+      { id: 'b', status: 'in_progress', amends_return_id: 'a' },
+      { id: 'c', status: 'cancelled', amends_return_id: null }
+    ]);
+
+    expect([...ids]).toEqual(['b']);
+  });
+});
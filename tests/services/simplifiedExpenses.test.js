@@ -0,0 +1,65 @@
+const {
+  taxYearMonths,
+  calculateMileage,
+  calculateUseOfHome,
+  calculateBusinessPremises
+} = require('../../services/simplifiedExpenses');
+const { getTaxYearRates } = require('../../config/taxYears');
+
+const config = getTaxYearRates('2023-24').simplifiedExpenses;
+
+describe('taxYearMonths', () => {
+  it('runs from April to the following March', () => {
+    const months = taxYearMonths('2023-24');
+    expect(months).toHaveLength(12);
+    expect([months[0], months[8], months[9], months[11]]).toEqual(['2023-04', '2023-12', '2024-01', '2024-03']);
+  });
+});
+
+describe('calculateMileage', () => {
+  it('drops to the reduced rate after 10,000 business miles', () => {
+    const result = calculateMileage({ vehicleType: 'car', businessMiles: 12000 }, config);
+    expect(result).toMatchObject({ fullRateMiles: 10000, reducedRateMiles: 2000, amount: 5000 });
+  });
+
+  it('counts miles already claimed in the year towards the threshold', () => {
+    const result = calculateMileage({ vehicleType: 'goods_vehicle', businessMiles: 2000, milesAlreadyClaimed: 9000 }, config);
+    expect(result).toMatchObject({ fullRateMiles: 1000, reducedRateMiles: 1000, amount: 700 });
+  });
+
+  it('pays motorcycles one rate for every mile', () => {
+    expect(calculateMileage({ vehicleType: 'motorcycle', businessMiles: 12000 }, config).amount).toBe(2880);
+  });
+});
+
+describe('calculateUseOfHome', () => {
+  it('pays the monthly rate for the hours worked at home', () => {
+    const result = calculateUseOfHome({
+      monthlyHours: [
+        { month: '2023-04', hours: 20 },
+        { month: '2023-05', hours: 30 },
+        { month: '2023-06', hours: 60 },
+        { month: '2023-07', hours: 120 }
+      ]
+    }, config);
+
+    expect(result.months.map(month => month.amount)).toEqual([0, 10, 18, 26]);
+    expect(result.amount).toBe(54);
+  });
+});
+
+describe('calculateBusinessPremises', () => {
+  it('takes the private use deduction for the people living there off the costs', () => {
+    const result = calculateBusinessPremises({
+      premisesCosts: 10000,
+      monthlyOccupants: [
+        { month: '2023-04', occupants: 1 },
+        { month: '2023-05', occupants: 2 },
+        { month: '2023-06', occupants: 3 },
+        { month: '2023-07', occupants: 4 }
+      ]
+    }, config);
+
+    expect(result).toMatchObject({ privateUse: 2150, amount: 7850 });
+  });
+});
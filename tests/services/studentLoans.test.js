@@ -0,0 +1,51 @@
+const { calculateStudentLoanRepayments } = require('../../services/studentLoans');
+const { getTaxYearRates } = require('../../config/taxYears');
+
+const config = getTaxYearRates('2023-24').studentLoans;
+
+describe('calculateStudentLoanRepayments', () => {
+  it('charges 9% of income over the plan threshold, in whole pounds', () => {
+    const result = calculateStudentLoanRepayments({ plans: ['plan_2'], earnedIncome: 40000, unearnedIncome: 0 }, config);
+
+    expect(result.plans[0]).toMatchObject({ plan: 'plan_2', threshold: 27295, repayment: 1143, due: 1143 });
+    expect(result.total).toBe(1143);
+  });
+
+  it('only counts unearned income over £2,000', () => {
+    const under = calculateStudentLoanRepayments({ plans: ['plan_2'], earnedIncome: 30000, unearnedIncome: 2000 }, config);
+    expect(under).toMatchObject({ income: 30000, includesUnearned: false });
+
+    const over = calculateStudentLoanRepayments({ plans: ['plan_2'], earnedIncome: 30000, unearnedIncome: 2001 }, config);
+    expect(over).toMatchObject({ income: 32001, includesUnearned: true });
+  });
+
+  it('charges one undergraduate repayment above the lowest threshold of the borrower\'s plans', () => {
+    const result = calculateStudentLoanRepayments({ plans: ['plan_2', 'plan_1'], earnedIncome: 30000, unearnedIncome: 0 }, config);
+
+    expect(result.plans).toHaveLength(1);
+    expect(result.plans[0]).toMatchObject({ plan: 'plan_1', label: 'Plan 1 / Plan 2', threshold: 22015, repayment: 718 });
+  });
+
+  it('adds postgraduate loan repayments at 6% on top', () => {
+    const result = calculateStudentLoanRepayments({ plans: ['plan_2', 'postgraduate'], earnedIncome: 31000, unearnedIncome: 0 }, config);
+
+    expect(result.plans.map(plan => [plan.plan, plan.repayment])).toEqual([['plan_2', 333], ['postgraduate', 600]]);
+    expect(result.total).toBe(933);
+  });
+
+  it('takes off repayments already deducted through PAYE', () => {
+    const result = calculateStudentLoanRepayments({
+      plans: ['plan_2'],
+      earnedIncome: 40000,
+      unearnedIncome: 0,
+      deducted: { studentLoan: 1500 }
+    }, config);
+
+    expect(result.plans[0]).toMatchObject({ repayment: 1143, deducted: 1500, due: 0 });
+  });
+
+  it('lists plans with no repayments due in the year', () => {
+    const result = calculateStudentLoanRepayments({ plans: ['plan_5'], earnedIncome: 40000, unearnedIncome: 0 }, config);
+    expect(result).toMatchObject({ plans: [], unsupportedPlans: ['plan_5'], total: 0 });
+  });
+});
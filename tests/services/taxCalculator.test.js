@@ -0,0 +1,198 @@
+const {
+  calculateTaxReturn,
+  calculatePersonalAllowance,
+  calculateIncomeTax,
+  applyBands
+} = require('../../services/taxCalculator');
+const { getTaxYearRates } = require('../../config/taxYears');
+
+const rates = getTaxYearRates('2023-24');
+
+const source = (sourceType, grossIncome, taxDeducted = 0) => ({
+  source_type: sourceType,
+  gross_income: String(grossIncome),
+  tax_deducted: String(taxDeducted)
+});
+
+const bandTax = (result, incomeType, name) => result.bands
+  .filter(band => band.incomeType === incomeType && band.name === name)
+  .reduce((sum, band) => sum + band.tax, 0);
+
+describe('applyBands', () => {
+  it('fills each band up to its limit before moving to the next', () => {
+    expect(applyBands(47430, rates.incomeTaxBands)).toEqual([
+      { name: 'basic', rate: 0.20, income: 37700, tax: 7540 },
+      { name: 'higher', rate: 0.40, income: 9730, tax: 3892 }
+    ]);
+  });
+
+  it('starts part way up the bands when income has already been taxed', () => {
+    expect(applyBands(1000, rates.incomeTaxBands, 37200)).toEqual([
+      { name: 'basic', rate: 0.20, income: 500, tax: 100 },
+      { name: 'higher', rate: 0.40, income: 500, tax: 200 }
+    ]);
+  });
+
+  it('taxes everything above the last limit at the additional rate', () => {
+    const [, , additional] = applyBands(130000, rates.incomeTaxBands);
+    expect(additional).toEqual({ name: 'additional', rate: 0.45, income: 4860, tax: 2187 });
+  });
+});
+
+describe('calculatePersonalAllowance', () => {
+  it('gives the full allowance up to the taper threshold', () => {
+    expect(calculatePersonalAllowance(100000, rates)).toEqual({ standard: 12570, reduction: 0, available: 12570 });
+  });
+
+  it('takes away £1 for every £2 over the threshold', () => {
+    expect(calculatePersonalAllowance(110000, rates).available).toBe(7570);
+    expect(calculatePersonalAllowance(100001, rates).reduction).toBe(0);
+  });
+
+  it('never takes away more than the allowance', () => {
+    expect(calculatePersonalAllowance(125140, rates).available).toBe(0);
+    expect(calculatePersonalAllowance(200000, rates)).toEqual({ standard: 12570, reduction: 12570, available: 0 });
+  });
+});
+
+describe('calculateIncomeTax', () => {
+  it('uses the personal allowance against non-savings income first', () => {
+    const result = calculateIncomeTax({ nonSavings: 10000, savings: 4000, dividends: 0 }, 12570, rates);
+    expect(result.taxable).toEqual({ nonSavings: 0, savings: 1430, dividends: 0, total: 1430 });
+    expect(result.total).toBe(0);
+  });
+
+  it('gives the starting rate for savings only where non-savings income leaves room in the £5,000 band', () => {
+    const result = calculateIncomeTax({ nonSavings: 14570, savings: 6000, dividends: 0 }, 12570, rates);
+
+    expect(result.bands).toEqual([
+      { incomeType: 'non_savings', name: 'basic', rate: 0.20, income: 2000, tax: 400 },
+      { incomeType: 'savings', name: 'starting', rate: 0, income: 3000, tax: 0 },
+      { incomeType: 'savings', name: 'personal_savings_allowance', rate: 0, income: 1000, tax: 0 },
+      { incomeType: 'savings', name: 'basic', rate: 0.20, income: 2000, tax: 400 }
+    ]);
+    expect(result.total).toBe(800);
+  });
+
+  it('gives a £1,000 Personal Savings Allowance to a basic rate taxpayer', () => {
+    const result = calculateIncomeTax({ nonSavings: 30000, savings: 2000, dividends: 0 }, 12570, rates);
+    expect(result.personalSavingsAllowance).toBe(1000);
+    expect(bandTax(result, 'savings', 'basic')).toBe(200);
+  });
+
+  it('gives £500 to a higher rate taxpayer and nothing to an additional rate taxpayer', () => {
+    const higher = calculateIncomeTax({ nonSavings: 60000, savings: 2000, dividends: 0 }, 12570, rates);
+    expect(higher.personalSavingsAllowance).toBe(500);
+    expect(bandTax(higher, 'savings', 'higher')).toBe(600);
+
+    const additional = calculateIncomeTax({ nonSavings: 150000, savings: 2000, dividends: 0 }, 0, rates);
+    expect(additional.personalSavingsAllowance).toBe(0);
+    expect(bandTax(additional, 'savings', 'additional')).toBe(900);
+  });
+
+  it('taxes dividends over the allowance at the dividend rate of the band they fall in', () => {
+    const result = calculateIncomeTax({ nonSavings: 40000, savings: 0, dividends: 5000 }, 12570, rates);
+    expect(bandTax(result, 'dividends', 'dividend_allowance')).toBe(0);
+    expect(bandTax(result, 'dividends', 'basic')).toBe(350);
+    expect(result.total).toBe(5836);
+  });
+
+  it('lets the dividend allowance use up basic rate band', () => {
+    const result = calculateIncomeTax({ nonSavings: 50000, savings: 0, dividends: 5000 }, 12570, rates);
+    expect(bandTax(result, 'dividends', 'basic')).toBe(0);
+    expect(bandTax(result, 'dividends', 'higher')).toBe(1350);
+  });
+
+  it('applies Scottish bands to non-savings income only', () => {
+    const result = calculateIncomeTax({ nonSavings: 30000, savings: 2000, dividends: 0 }, 12570, rates, rates.scottishIncomeTaxBands);
+
+    expect(result.bands.filter(band => band.incomeType === 'non_savings')).toEqual([
+      { incomeType: 'non_savings', name: 'starter', rate: 0.19, income: 2162, tax: 410.78 },
+      { incomeType: 'non_savings', name: 'basic', rate: 0.20, income: 10956, tax: 2191.2 },
+      { incomeType: 'non_savings', name: 'intermediate', rate: 0.21, income: 4312, tax: 905.52 }
+    ]);
+    expect(result.personalSavingsAllowance).toBe(1000);
+    expect(bandTax(result, 'savings', 'basic')).toBe(200);
+  });
+});
+
+describe('calculateTaxReturn', () => {
+  it('leaves nothing to pay when PAYE took the right tax', () => {
+    const result = calculateTaxReturn({ incomeSources: [source('employment', 50000, 7486)] }, rates);
+
+    expect(result.incomeTax).toBe(7486);
+    expect(result.totals).toMatchObject({ totalIncome: 50000, totalTaxDue: 0, totalRefund: 0 });
+  });
+
+  it('refunds tax deducted over the liability', () => {
+    const result = calculateTaxReturn({ incomeSources: [source('employment', 20000, 2000)] }, rates);
+    expect(result.totals.totalRefund).toBe(514);
+  });
+
+  it('tapers the personal allowance on adjusted net income over £100,000', () => {
+    const result = calculateTaxReturn({ incomeSources: [source('employment', 110000)] }, rates);
+
+    expect(result.personalAllowance.available).toBe(7570);
+    expect(result.taxableIncome).toBe(102430);
+    expect(result.incomeTax).toBe(33432);
+  });
+
+  it('restores the allowance when pension contributions bring adjusted net income down', () => {
+    const result = calculateTaxReturn({
+      incomeSources: [source('employment', 110000)],
+      options: { pensionContributions: 8000 }
+    }, rates);
+
+    expect(result.adjustedNetIncome).toBe(100000);
+    expect(result.personalAllowance.available).toBe(12570);
+  });
+
+  it('uses Scottish rates for a Scottish taxpayer', () => {
+    const result = calculateTaxReturn({
+      incomeSources: [source('employment', 30000)],
+      options: { taxRegime: 'scottish' }
+    }, rates);
+
+    expect(result.taxRegime).toBe('scottish');
+    expect(result.incomeTax).toBe(3507.5);
+    expect(result.lines).toContainEqual({ section: 'income_tax', description: 'Scottish rates applied to non-savings income', amount: 0 });
+  });
+
+  it('adds Class 2 and Class 4 NIC on trading profits', () => {
+    const result = calculateTaxReturn({
+      incomeSources: [source('self_employment', 30000)],
+      expenses: [{ amount: '5000.00' }],
+      options: { tradingAllowanceElection: 'expenses' }
+    }, rates);
+
+    expect(result.trading.profit).toBe(25000);
+    expect(result.totals.class4Nic).toBe(1118.7);
+    expect(result.totals.class2Nic).toBe(179.4);
+    expect(result.totals.totalTaxDue).toBe(3784.1);
+  });
+
+  it('picks the trading allowance on auto when it beats actual expenses', () => {
+    const result = calculateTaxReturn({
+      incomeSources: [source('employment', 30000), source('self_employment', 5000)],
+      expenses: [{ amount: '200.00' }]
+    }, rates);
+
+    expect(result.tradingAllowance.method).toBe('allowance');
+    expect(result.trading.profit).toBe(4000);
+  });
+
+  it('keeps rental income sources for properties with no figures on the return', () => {
+    const result = calculateTaxReturn({
+      incomeSources: [
+        { ...source('rental', 6000), property_id: 'property-1' },
+        { ...source('rental', 9000), property_id: 'property-2' }
+      ],
+      properties: [{ property_id: 'property-1', rents_received: '8000.00', allowable_expenses: '2000.00', finance_costs: '0.00' }],
+      options: { propertyElection: 'expenses' }
+    }, rates);
+
+    expect(result.totals.totalIncome).toBe(17000);
+    expect(result.income.rental).toBe(17000);
+    expect(result.netIncome).toBe(15000);
+  });
+});
@@ -0,0 +1,39 @@
+const { deriveTaxRegime, resolveTaxRegime, getNonSavingsBands } = require('../../services/taxRegime');
+const { getTaxYearRates } = require('../../config/taxYears');
+
+describe('deriveTaxRegime', () => {
+  it('works out the country from the postcode area', () => {
+    expect(deriveTaxRegime('EH1 1AA')).toBe('scottish');
+    expect(deriveTaxRegime('g2 1aa')).toBe('scottish');
+    expect(deriveTaxRegime('CF10 1AA')).toBe('welsh');
+    expect(deriveTaxRegime('GL1 1AA')).toBe('uk');
+    expect(deriveTaxRegime('SW1A1AA')).toBe('uk');
+  });
+
+  it('knows the border districts', () => {
+    expect(deriveTaxRegime('TD15 1AA')).toBe('uk');
+    expect(deriveTaxRegime('SY16 1AA')).toBe('welsh');
+  });
+
+  it('returns null for a missing or unrecognised postcode', () => {
+    expect(deriveTaxRegime(null)).toBeNull();
+    expect(deriveTaxRegime('XYZ')).toBeNull();
+  });
+});
+
+describe('resolveTaxRegime', () => {
+  it('prefers an override, then the postcode, then UK rates', () => {
+    expect(resolveTaxRegime('welsh', 'EH1 1AA')).toEqual({ regime: 'welsh', source: 'override' });
+    expect(resolveTaxRegime(null, 'EH1 1AA')).toEqual({ regime: 'scottish', source: 'postcode' });
+    expect(resolveTaxRegime(null, null)).toEqual({ regime: 'uk', source: 'default' });
+  });
+});
+
+describe('getNonSavingsBands', () => {
+  it('uses Scottish bands for Scottish taxpayers and UK bands while Welsh rates match them', () => {
+    const rates = getTaxYearRates('2024-25');
+    expect(getNonSavingsBands('scottish', rates)).toBe(rates.scottishIncomeTaxBands);
+    expect(getNonSavingsBands('welsh', rates)).toBe(rates.incomeTaxBands);
+    expect(getNonSavingsBands('uk', rates)).toBe(rates.incomeTaxBands);
+  });
+});
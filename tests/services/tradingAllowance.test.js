@@ -0,0 +1,30 @@
+const { tradingProfitFor, compareTradingScenarios } = require('../../services/tradingAllowance');
+
+const scenario = (totalLiability, tradingProfit) => ({ totalLiability, tradingProfit });
+
+describe('tradingProfitFor', () => {
+  it('limits the allowance to the turnover, so it never makes a loss', () => {
+    expect(tradingProfitFor('allowance', 800, 100, 1000)).toEqual({ deduction: 800, profit: 0, loss: 0 });
+  });
+
+  it('makes a loss when actual expenses are more than the turnover', () => {
+    expect(tradingProfitFor('expenses', 5000, 7000, 1000)).toEqual({ deduction: 5000, profit: 0, loss: 2000 });
+  });
+});
+
+describe('compareTradingScenarios', () => {
+  it('picks the cheaper method on auto', () => {
+    const result = compareTradingScenarios('auto', { allowance: scenario(100, 4000), expenses: scenario(200, 3000) });
+    expect(result).toMatchObject({ method: 'allowance', recommended: 'allowance', saving: 100 });
+  });
+
+  it('picks the lower trading profit when the liabilities are equal', () => {
+    expect(compareTradingScenarios('auto', { allowance: scenario(0, 500), expenses: scenario(0, 800) }).method).toBe('allowance');
+    expect(compareTradingScenarios('auto', { allowance: scenario(0, 800), expenses: scenario(0, 800) }).method).toBe('expenses');
+  });
+
+  it('uses the elected method even when the other is cheaper', () => {
+    const result = compareTradingScenarios('expenses', { allowance: scenario(100, 4000), expenses: scenario(200, 3000) });
+    expect(result).toMatchObject({ method: 'expenses', recommended: 'allowance', saving: 100 });
+  });
+});
@@ -0,0 +1,64 @@
+const { diffVersions } = require('../../services/versionDiff');
+
+// A stored version with the parts the diff reads
+const version = (number, { totals = {}, lines = [], incomeSources = [], expenses = [] } = {}) => ({
+  taxReturnId: 'return-1',
+  version: number,
+  createdAt: `2024-0${number}-01T00:00:00.000Z`,
+  totals,
+  calculation: { lines },
+  income: { incomeSources, properties: [], foreignIncome: [] },
+  expenses
+});
+
+describe('diffVersions', () => {
+  it('lists the totals that changed and by how much', () => {
+    const diff = diffVersions(
+      version(1, { totals: { totalIncome: 50000, totalTaxDue: 1000 } }),
+      version(2, { totals: { totalIncome: 52000, totalTaxDue: 1000 } })
+    );
+
+    expect(diff.totals).toEqual([{ field: 'totalIncome', from: 50000, to: 52000, change: 2000 }]);
+    expect(diff.from).toEqual({ taxReturnId: 'return-1', version: 1, createdAt: '2024-01-01T00:00:00.000Z' });
+  });
+
+  it('lists calculation lines added, removed and changed', () => {
+    const diff = diffVersions(
+      version(1, { lines: [
+        { section: 'income', description: 'Employment income', amount: 50000 },
+        { section: 'income', description: 'Interest income', amount: 200 }
+      ] }),
+      version(2, { lines: [
+        { section: 'income', description: 'Employment income', amount: 52000 },
+        { section: 'income', description: 'Dividend income', amount: 800 }
+      ] })
+    );
+
+    expect(diff.lines).toEqual([
+      { section: 'income', description: 'Employment income', from: 50000, to: 52000, change: 2000 },
+      { section: 'income', description: 'Interest income', from: 200, to: null, change: -200 },
+      { section: 'income', description: 'Dividend income', from: null, to: 800, change: 800 }
+    ]);
+  });
+
+  it('matches an amendment\'s copied records on what they describe', () => {
+    const diff = diffVersions(
+      version(1, { incomeSources: [{ id: 'a', tax_return_id: 'return-1', source_type: 'employment', employer_name: 'Acme', gross_income: '50000.00' }] }),
+      version(2, { incomeSources: [{ id: 'b', tax_return_id: 'return-2', source_type: 'employment', employer_name: 'Acme', gross_income: '52000.00' }] })
+    );
+
+    expect(diff.incomeSources).toEqual({
+      added: [],
+      removed: [],
+      changed: [{ from: 'a', to: 'b', fields: [{ field: 'gross_income', from: '50000.00', to: '52000.00', change: 2000 }] }]
+    });
+  });
+
+  it('lists records only in one version as added or removed', () => {
+    const before = { id: 'e1', category: 'travel', description: 'Train', expense_date: '2023-06-01', amount: '40.00' };
+    const after = { id: 'e2', category: 'office_costs', description: 'Paper', expense_date: '2023-07-01', amount: '10.00' };
+    const diff = diffVersions(version(1, { expenses: [before] }), version(2, { expenses: [after] }));
+
+    expect(diff.expenses).toEqual({ added: [after], removed: [before], changed: [] });
+  });
+});